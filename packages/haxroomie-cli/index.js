@@ -6,6 +6,8 @@ const lockFile = require(`lockfile`);
 const parseCommandLineArgs = require('./src/command-line-args');
 
 const HRConsoleApp = require(`./src/HRConsoleApp`);
+const commandPrompt = require('./src/command-prompt');
+const { ControlServer, ControlClient } = require('./src/control');
 const { logger } = require('haxroomie-core');
 
 const lockFilePath = path.join(os.tmpdir(), 'haxroomie.lock');
@@ -29,14 +31,84 @@ argv.noSandbox = argv.sandbox === false || process.env.HR_NO_SANDBOX;
 argv.executablePath = argv.executablePath || process.env.HR_EXECUTABLE_PATH;
 argv.headless = !argv.window || process.env.HR_WINDOW;
 argv.port = argv.port || process.env.HR_PORT;
+argv.offline = argv.offline || !!process.env.HR_OFFLINE;
+argv.apiPort = argv.apiPort || process.env.HR_API_PORT;
+argv.metricsPort = argv.metricsPort || process.env.HR_METRICS_PORT;
+argv.apiKeys = [
+  ...(argv.apiKey || []),
+  ...(process.env.HR_API_KEYS || '').split(','),
+].filter((key) => key);
 
-(async function bootstrap() {
+const command = argv._[0];
+
+if (command === 'attach' || command === 'exec') {
+  runClient();
+} else {
+  bootstrap();
+}
+
+/**
+ * Attaches to or executes a command in haxroomie running as a daemon.
+ */
+async function runClient() {
+  const client = new ControlClient({ socketPath: argv.socket });
+  // Words after "--" are not parsed into argv.command.
+  const line = [...(argv.command || []), ...argv._.slice(1)].join(' ');
+  if (command === 'exec' && !line) {
+    logger.error('Missing the command to execute.');
+    process.exit(1);
+  }
+  try {
+    const exitCode =
+      command === 'attach' ? await client.attach() : await client.exec(line);
+    process.exit(exitCode);
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Acquires the lock that prevents running multiple instances and writes the
+ * pid of this process to it.
+ *
+ * Removes the lock if the process that owned it is not running anymore
+ * (e.g. it crashed and left the rooms running).
+ */
+function acquireLock() {
   try {
     lockFile.lockSync(lockFilePath);
+  } catch (err) {
+    const pid = parseInt(fs.readFileSync(lockFilePath, 'utf8'), 10);
+    if (!pid || isProcessRunning(pid)) throw err;
+    logger.debug(`Removing the stale lock of process ${pid}.`);
+    fs.unlinkSync(lockFilePath);
+    lockFile.lockSync(lockFilePath);
+  }
+  fs.writeFileSync(lockFilePath, `${process.pid}`);
+}
+
+/**
+ * @param {number} pid - Process id.
+ * @returns {boolean} - Is the process running.
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code !== 'ESRCH';
+  }
+}
+
+async function bootstrap() {
+  try {
+    acquireLock();
   } catch (err) {
     logger.error(
       `Could not acquire lock:\n` +
         `Running multiple Haxroomie instances is not supported.\n` +
+        `If haxroomie is running as a daemon, use "haxroomie attach".\n` +
         `If you are sure you are not running multiple instances ` +
         `you can delete the file in\n${lockFilePath}`
     );
@@ -45,17 +117,42 @@ argv.port = argv.port || process.env.HR_PORT;
 
   try {
     initFilesAndDirectories();
+
+    let controlServer = null;
+    if (argv.daemon) {
+      controlServer = new ControlServer({
+        socketPath: argv.socket,
+        onLine: (line) => commandPrompt.onNewLine(line),
+      });
+      await controlServer.start();
+      commandPrompt.useControlServer(controlServer);
+    } else {
+      commandPrompt.useTerminal();
+    }
+
     let app = new HRConsoleApp(argv);
     await app.start();
+    // The listeners of exit can not wait, so the rooms are closed or left
+    // running by the commands and the signal handlers.
     process.on('exit', () => {
-      app.stop();
+      if (controlServer) controlServer.removeSocket();
       lockFile.unlockSync(lockFilePath);
     });
+    if (argv.daemon) {
+      const shutdown = async () => {
+        await controlServer.stop();
+        await app.stop();
+        process.exit(0);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    }
   } catch (err) {
     logger.error(err.stack);
+    lockFile.unlockSync(lockFilePath);
     process.exit(1);
   }
-})();
+}
 
 /**
  * Creates the config directory and necessary files if missing.
@@ -2,6 +2,7 @@ const path = require('path');
 const fs = require('fs');
 const deepEqual = require('deep-equal');
 const commandPrompt = require('./command-prompt');
+const { parseDuration } = require('./command/utils');
 
 /**
  * Object containing information about reloaded config.
@@ -165,6 +166,95 @@ class Config {
       newRoomConfig.plugins = loadedPlugins;
     }
 
+    if (
+      roomConfig.isolation &&
+      !['shared', 'context', 'process'].includes(roomConfig.isolation)
+    ) {
+      throw new Error(
+        'The "isolation" config option should be "shared", "context" or ' +
+          '"process"!'
+      );
+    }
+
+    if (roomConfig.proxy) {
+      if (typeof roomConfig.proxy !== 'string') {
+        throw new Error('The "proxy" config option should be a string!');
+      }
+      if (roomConfig.isolation === 'shared') {
+        throw new Error(
+          'The "proxy" config option requires "context" or "process" isolation!'
+        );
+      }
+    }
+
+    if (
+      roomConfig.watchdog &&
+      roomConfig.watchdog !== true &&
+      typeof roomConfig.watchdog !== 'object'
+    ) {
+      throw new Error(
+        'The "watchdog" config option should be a boolean or an object!'
+      );
+    }
+
+    if (roomConfig.stadiums && typeof roomConfig.stadiums !== 'string') {
+      throw new Error('The "stadiums" config option should be a string!');
+    }
+
+    if (roomConfig.roles) {
+      if (typeof roomConfig.roles !== 'object') {
+        throw new Error('The "roles" config option should be an object!');
+      }
+      for (let [name, password] of Object.entries(roomConfig.roles)) {
+        if (/\s/.test(name)) {
+          throw new Error(`The role "${name}" can not contain whitespace!`);
+        }
+        if (password !== null && typeof password !== 'string') {
+          throw new Error(
+            `The password of the role "${name}" should be a string!`
+          );
+        }
+      }
+    }
+
+    if (roomConfig.recording && roomConfig.recording !== true) {
+      if (typeof roomConfig.recording !== 'object') {
+        throw new Error(
+          'The "recording" config option should be a boolean or an object!'
+        );
+      }
+      // The max age can be given as a duration, e.g. '30d'.
+      let maxAge = roomConfig.recording.maxAge;
+      if (typeof maxAge === 'string') {
+        maxAge = parseDuration(maxAge);
+        if (!maxAge) {
+          throw new Error(
+            'The "recording.maxAge" config option should be a number or a ' +
+              'duration like "30d"!'
+          );
+        }
+        newRoomConfig.recording = { ...roomConfig.recording, maxAge };
+      }
+    }
+
+    if (roomConfig.moderation) {
+      newRoomConfig.moderation = this.parseModeration(roomConfig.moderation);
+    }
+
+    if (roomConfig.nodePlugins) {
+      if (!Array.isArray(roomConfig.nodePlugins)) {
+        throw new Error('The "nodePlugins" config option should be an array!');
+      }
+      for (let plugin of roomConfig.nodePlugins) {
+        if (!plugin.path) {
+          throw new Error('Node plugins config is missing path property!');
+        }
+        if (!plugin.name) {
+          throw new Error('Node plugins config is missing name property!');
+        }
+      }
+    }
+
     if (roomConfig.repositories) {
       if (!Array.isArray(roomConfig.repositories)) {
         throw new Error('The "repositories" config option should be an array!');
@@ -183,6 +273,65 @@ class Config {
     return newRoomConfig;
   }
 
+  /**
+   * Checks the moderation options of a room and converts the durations like
+   * `"10m"` to milliseconds and the RegExp patterns to strings, because the
+   * config is cloned as JSON. The rules are validated when the room is
+   * configured.
+   * @param {object} moderation - The moderation options.
+   * @private
+   */
+  parseModeration(moderation) {
+    if (typeof moderation !== 'object' || !Array.isArray(moderation.rules)) {
+      throw new Error(
+        'The "moderation" config option should be an object with a "rules" ' +
+          'array!'
+      );
+    }
+    const toMilliseconds = (duration, option) => {
+      if (typeof duration !== 'string') return duration;
+      const milliseconds = parseDuration(duration);
+      if (!milliseconds) {
+        throw new Error(
+          `The "${option}" config option should be a number or a duration ` +
+            'like "10m"!'
+        );
+      }
+      return milliseconds;
+    };
+    return {
+      ...moderation,
+      strikeExpiry: toMilliseconds(
+        moderation.strikeExpiry,
+        'moderation.strikeExpiry'
+      ),
+      rules: moderation.rules.map((rule) => {
+        if (!rule || typeof rule !== 'object') return rule;
+        const parsed = {
+          ...rule,
+          interval: toMilliseconds(rule.interval, 'moderation.rules.interval'),
+        };
+        if (rule.pattern instanceof RegExp) {
+          parsed.pattern = rule.pattern.source;
+          parsed.flags = rule.pattern.flags;
+        }
+        if (Array.isArray(rule.actions)) {
+          parsed.actions = rule.actions.map((action) => {
+            if (!action || typeof action !== 'object') return action;
+            return {
+              ...action,
+              duration: toMilliseconds(
+                action.duration,
+                'moderation.rules.actions.duration'
+              ),
+            };
+          });
+        }
+        return parsed;
+      }),
+    };
+  }
+
   /**
    * Serializes the repository to be ready to sent to browser.
    * @param {object} repository - The repository object.
@@ -1,5 +1,20 @@
-const { createHaxroomie } = require('haxroomie-core');
+const {
+  Haxroomie,
+  BanList,
+  MuteList,
+  MatchHistory,
+  PlayerRegistry,
+  ChatLog,
+  RoomSupervisor,
+  TokenProviderChain,
+  createTokenProvider,
+  ApiServer,
+  MetricsServer,
+  StadiumLibrary,
+  RoleList,
+} = require('haxroomie-core');
 const colors = require('colors/safe');
+const path = require('path');
 
 const { CommandManager, RoomContext } = require('./command');
 const RoomEventHandler = require('./RoomEventHandler');
@@ -7,6 +22,8 @@ const Config = require('./Config');
 const commandPrompt = require('./command-prompt');
 const { logger } = require('haxroomie-core');
 
+const DAY = 24 * 60 * 60 * 1000;
+
 const loglevels = {
   error: 0,
   warn: 1,
@@ -25,9 +42,24 @@ class HRConsoleApp {
     this.configPath = opt.config;
     this.userDataDir = opt.userDataDir;
     this.downloadDirectory = opt.downloadDirectory;
+    this.bansFile = opt.bansFile;
+    this.mutesFile = opt.mutesFile;
+    this.matchesFile = opt.matchesFile;
+    this.playersFile = opt.playersFile;
+    this.chatLogDirectory = opt.chatLogDirectory;
+    this.chatLogDays = opt.chatLogDays;
+    this.rolesDirectory = opt.rolesDirectory;
     this.executablePath = opt.executablePath;
     this.chromiumArgs = opt.chromiumArgs;
     this.noSandbox = opt.noSandbox;
+    this.offline = opt.offline;
+    this.detachBrowser = opt.detachBrowser;
+    this.roomsPerBrowser = opt.roomsPerBrowser;
+    this.apiPort = opt.apiPort;
+    this.apiHost = opt.apiHost;
+    this.apiKeys = opt.apiKeys;
+    this.metricsPort = opt.metricsPort;
+    this.metricsHost = opt.metricsHost;
     this.headless = Object.prototype.hasOwnProperty.call(opt, 'window')
       ? !opt.window
       : true;
@@ -41,12 +73,48 @@ class HRConsoleApp {
     this.config = null;
     this.currentRoom = null;
     this.roomEventHandler = null;
+    this.apiServer = null;
+    this.metricsServer = null;
+    this.supervisor = null;
+    this.tokenProviders = new Map();
+    this.stadiumLibraries = new Map();
+    this.roleLists = new Map();
+    /** Stadiums of the rooms by room id, restored when a room reopens. */
+    this.stadiumsToRestore = new Map();
 
     this.onStartupLog = this.onStartupLog.bind(this);
   }
 
   async start() {
-    this.haxroomie = await createHaxroomie({
+    let banList;
+    if (this.bansFile) {
+      banList = new BanList({ path: this.bansFile });
+      await banList.load();
+    }
+    let muteList;
+    if (this.mutesFile) {
+      muteList = new MuteList({ path: this.mutesFile });
+      await muteList.load();
+    }
+    let matchHistory;
+    if (this.matchesFile) {
+      matchHistory = new MatchHistory({ path: this.matchesFile });
+      await matchHistory.load();
+    }
+    let playerRegistry;
+    if (this.playersFile) {
+      playerRegistry = new PlayerRegistry({ path: this.playersFile });
+      await playerRegistry.load();
+    }
+    let chatLog;
+    if (this.chatLogDirectory) {
+      chatLog = new ChatLog({
+        directory: this.chatLogDirectory,
+        maxAge: this.chatLogDays > 0 ? this.chatLogDays * DAY : undefined,
+      });
+    }
+
+    this.haxroomie = new Haxroomie({
       userDataDir: this.userDataDir,
       downloadDirectory: this.downloadDirectory,
       executablePath: this.executablePath,
@@ -55,30 +123,212 @@ class HRConsoleApp {
       port: this.port,
       timeout: this.timeout,
       chromiumArgs: this.chromiumArgs,
+      offline: this.offline,
+      detachBrowser: this.detachBrowser,
+      roomsPerBrowser: this.roomsPerBrowser,
+      banList,
+      muteList,
+      matchHistory,
+      playerRegistry,
+      chatLog,
     });
 
     this.haxroomie.on('room-added', (room) => this.onNewRoom(room));
     this.haxroomie.on('room-removed', (room) => this.onRoomRemoved(room));
+    this.haxroomie.on('browser-disconnected', () => {
+      commandPrompt.print(
+        'The browser exited. Restarting the rooms.',
+        'BROWSER DISCONNECTED'
+      );
+    });
 
     this.config = new Config({
       configPath: this.configPath,
       haxroomie: this.haxroomie,
     });
 
+    this.startSupervisor();
+
+    if (await this.haxroomie.connectBrowser()) {
+      await this.recoverRooms();
+    } else {
+      await this.haxroomie.launchBrowser();
+    }
+
     await this.createRooms();
     await this.setRoom(this.haxroomie.getFirstRoom());
+    await this.startApiServer();
+    await this.startMetricsServer();
     await this.autoStartRooms();
   }
 
+  /**
+   * Stops the servers and closes the browser. With the `detachBrowser`
+   * option the browser is left running, so the rooms can be recovered when
+   * haxroomie starts again.
+   */
   async stop() {
+    if (this.supervisor) this.supervisor.stop();
+    for (let { provider } of this.tokenProviders.values()) {
+      provider.close();
+    }
+    if (this.apiServer) await this.apiServer.stop();
+    if (this.metricsServer) await this.metricsServer.stop();
+    if (this.detachBrowser) return this.haxroomie.disconnectBrowser();
     return this.haxroomie.closeBrowser();
   }
 
   /**
-   * Creates the rooms.
+   * Starts the supervisor that restarts the rooms if they crash.
+   */
+  startSupervisor() {
+    this.supervisor = new RoomSupervisor({ haxroomie: this.haxroomie });
+    this.supervisor.on('restart-scheduled', (roomId, { delay, reason }) => {
+      commandPrompt.print(
+        `${colors.cyan(roomId)} in ${Math.round(delay / 1000)}s (${reason})`,
+        'RESTARTING ROOM'
+      );
+    });
+    this.supervisor.on('room-restarted', (roomId) => {
+      commandPrompt.print(`${colors.cyan(roomId)}`, 'ROOM RESTARTED');
+    });
+    this.supervisor.on('restart-failed', (roomId, { error }) => {
+      commandPrompt.print(
+        `Could not restart ${colors.cyan(roomId)}: ${error.message}`,
+        'ERROR'
+      );
+    });
+    this.supervisor.on('restart-gave-up', (roomId, { attempts }) => {
+      commandPrompt.print(
+        `Gave up restarting ${colors.cyan(roomId)} after ${attempts} attempts.`,
+        'ERROR'
+      );
+    });
+    this.supervisor.start();
+  }
+
+  /**
+   * Sets the room to be restarted if it crashes, unless it is disabled
+   * with `restartPolicy: false` in the config.
+   * @param {string|number} roomId - Room id.
+   */
+  superviseRoom(roomId) {
+    const roomConfig = this.config.getRoomConfig(roomId);
+    if (roomConfig.restartPolicy === false) {
+      this.supervisor.unsupervise(roomId);
+      return;
+    }
+    this.supervisor.supervise(roomId, {
+      ...roomConfig.restartPolicy,
+      tokenProvider: this.getTokenProvider(roomId),
+      config: { ...roomConfig, token: this.config.getToken(roomId) },
+    });
+  }
+
+  /**
+   * Returns the token provider of the room. It gives the token that the
+   * user entered or the one in the config first and then tries the
+   * providers in the `tokenProvider` property of the config.
+   *
+   * The provider is created again if the config has changed.
+   * @param {string|number} roomId - Room id.
+   * @returns {TokenProviderChain} - The token provider.
+   */
+  getTokenProvider(roomId) {
+    const spec = JSON.stringify(
+      this.config.getRoomConfig(roomId).tokenProvider
+    );
+    const old = this.tokenProviders.get(roomId);
+    if (old && old.spec === spec) return old.provider;
+    if (old) old.provider.close();
+
+    const providers = [{ getToken: (id) => this.config.getToken(id) }];
+    if (spec) providers.push(createTokenProvider(JSON.parse(spec)));
+    const provider = new TokenProviderChain({ providers });
+    provider.on('token-required', (id) => {
+      commandPrompt.print(
+        `${colors.cyan(id)}: No valid token available.`,
+        'TOKEN REQUIRED'
+      );
+    });
+    this.tokenProviders.set(roomId, { spec, provider });
+    if (old && this.supervisor.isSupervised(roomId)) {
+      this.superviseRoom(roomId);
+    }
+    return provider;
+  }
+
+  /**
+   * Starts the remote control API if the port for it was given.
+   */
+  async startApiServer() {
+    if (!this.apiPort) return;
+    if (!this.apiKeys || this.apiKeys.length === 0) {
+      throw new Error('The API requires at least one API key (--api-key).');
+    }
+    this.apiServer = new ApiServer({
+      haxroomie: this.haxroomie,
+      port: this.apiPort,
+      host: this.apiHost,
+      apiKeys: this.apiKeys,
+    });
+    await this.apiServer.start();
+    commandPrompt.print(`${colors.cyan(this.apiServer.url)}`, 'API STARTED');
+  }
+
+  /**
+   * Starts the metrics server if the port for it was given.
+   */
+  async startMetricsServer() {
+    if (!this.metricsPort) return;
+    this.metricsServer = new MetricsServer({
+      haxroomie: this.haxroomie,
+      port: this.metricsPort,
+      host: this.metricsHost,
+    });
+    await this.metricsServer.start();
+    commandPrompt.print(
+      `${colors.cyan(this.metricsServer.url + '/metrics')}`,
+      'METRICS STARTED'
+    );
+  }
+
+  /**
+   * Takes control of the rooms that were left running by the previous
+   * haxroomie process. Closes the rooms that are not in the config anymore.
+   */
+  async recoverRooms() {
+    const rooms = await this.haxroomie.recoverRooms(async (roomId) => {
+      if (!this.config.getRoomConfig(roomId)) return undefined;
+      await this.loadStadiums(roomId);
+      await this.loadRoles(roomId);
+      return this.getRoomControllerOptions(roomId);
+    });
+    for (let room of rooms) {
+      if (!this.config.getRoomConfig(room.id)) {
+        commandPrompt.print(
+          `${colors.cyan(room.id)} is not in the config. Closing it.`,
+          'ROOM CLOSED'
+        );
+        await this.haxroomie.removeRoom(room.id);
+        continue;
+      }
+      this.superviseRoom(room.id);
+      commandPrompt.print(
+        `${colors.cyan(room.id)}` +
+          (room.running ? ` - ${room.roomInfo.roomLink}` : ''),
+        'ROOM RECOVERED'
+      );
+    }
+  }
+
+  /**
+   * Creates the rooms that do not exist yet.
    */
   async createRooms() {
-    const roomIds = this.config.getRoomIds();
+    const roomIds = this.config
+      .getRoomIds()
+      .filter((roomId) => !this.haxroomie.hasRoom(roomId));
     await Promise.all(
       roomIds.map(async (roomId) => {
         return this.createRoom(roomId);
@@ -90,29 +340,52 @@ class HRConsoleApp {
    * Factory method for creating a RoomController.
    */
   async createRoom(roomId) {
-    const roomConfig = this.config.getRoomConfig(roomId);
-
     commandPrompt.print(`${colors.cyan(roomId)}`, 'ADDING ROOM');
 
-    await this.haxroomie.addRoom(roomId, {
-      hhmVersion: roomConfig.hhmVersion,
-      hhm: roomConfig.hhm,
-    });
+    await this.loadStadiums(roomId);
+    await this.loadRoles(roomId);
+    this.superviseRoom(roomId);
+    await this.haxroomie.addRoom(roomId, this.getRoomControllerOptions(roomId));
 
     commandPrompt.print(`${colors.cyan(roomId)}`, 'ROOM ADDED');
   }
 
+  /**
+   * Returns the options of a RoomController from the config of the room.
+   * Used for the new and the recovered rooms.
+   * @private
+   */
+  getRoomControllerOptions(roomId) {
+    const roomConfig = this.config.getRoomConfig(roomId);
+    return {
+      hhmVersion: roomConfig.hhmVersion,
+      hhm: roomConfig.hhm,
+      isolation: roomConfig.isolation,
+      userDataDir: roomConfig.userDataDir,
+      proxy: roomConfig.proxy,
+      watchdog: roomConfig.watchdog === true ? {} : roomConfig.watchdog,
+      recording: roomConfig.recording,
+      moderation: roomConfig.moderation,
+      roleList: this.roleLists.get(roomId),
+    };
+  }
+
   /**
    * Opens all rooms that have autoStart: true in their config.
+   *
+   * Does not ask the user for tokens. The rooms that could not be opened are
+   * opened when their token provider gets a new token.
    */
   async autoStartRooms() {
-    for (let id of this.haxroomie.rooms.keys()) {
+    for (let [id, room] of this.haxroomie.rooms.entries()) {
+      if (room.running) continue;
       if (this.config.getRoomConfig(id).autoStart) {
         let roomInfo;
         try {
-          roomInfo = await this.openRoom(id);
+          roomInfo = await this.openRoom(id, { askToken: false });
           if (!roomInfo) {
             commandPrompt.print(`Could not open room: ${colors.cyan(id)}`);
+            this.openRoomOnNewToken(id);
           }
         } catch (err) {
           commandPrompt.error(err);
@@ -121,6 +394,21 @@ class HRConsoleApp {
     }
   }
 
+  /**
+   * Opens the room when its token provider gets a new token, unless it has
+   * been opened before that.
+   * @param {string|number} id - Room id.
+   */
+  openRoomOnNewToken(id) {
+    const tokenProvider = this.getTokenProvider(id);
+    tokenProvider.once('token-changed', async () => {
+      const room = this.haxroomie.getRoom(id);
+      if (!room || room.running || room.openRoomLock) return;
+      const roomInfo = await this.openRoom(id, { askToken: false });
+      if (!roomInfo) this.openRoomOnNewToken(id);
+    });
+  }
+
   /**
    * Sets the room that user is controlling.
    * @param {RoomController} room - The room to control.
@@ -149,6 +437,10 @@ class HRConsoleApp {
       openRoom: (id) => this.openRoom(id),
       closeRoom: (id) => this.closeRoom(id),
       createRoom: (id) => this.createRoom(id),
+      loadNodePlugins: (id) => this.loadNodePlugins(id),
+      loadStadiums: (id) => this.loadStadiums(id),
+      getStadiumLibrary: (id) => this.stadiumLibraries.get(id) || null,
+      loadRoles: (id) => this.loadRoles(id),
     });
 
     const commandManager = new CommandManager({ roomContext });
@@ -164,6 +456,12 @@ class HRConsoleApp {
    * @private
    */
   onNewRoom(room) {
+    // Keep controlling the same room if it was replaced by a new
+    // RoomController (e.g. restarted after a crash).
+    if (this.currentRoom && this.currentRoom.id === room.id) {
+      this.setRoom(room).catch((err) => commandPrompt.error(err));
+    }
+
     room.on(`open-room-start`, (err, config) =>
       this.onOpenRoomStart(err, room, config)
     );
@@ -175,6 +473,25 @@ class HRConsoleApp {
     room.on(`page-closed`, (room) => this.onPageClosed(room));
     room.on(`page-crash`, (err) => commandPrompt.error(err));
     room.on(`page-error`, (err) => commandPrompt.error(err));
+    room.on(`room-unresponsive`, ({ elapsed }) => {
+      commandPrompt.print(
+        `${this.logPrefix(room)} page did not answer in ${elapsed} ms`,
+        'ROOM UNRESPONSIVE'
+      );
+    });
+    room.on(`room-responsive`, ({ elapsed }) => {
+      commandPrompt.print(
+        `${this.logPrefix(room)} page answered after ${elapsed} ms`,
+        'ROOM RESPONSIVE'
+      );
+    });
+    room.on(`node-plugin-error`, ({ name, handlerName, error }) => {
+      commandPrompt.print(
+        `${this.logPrefix(room)} ${name} (${handlerName}): ${error.message}`,
+        'NODE PLUGIN ERROR'
+      );
+    });
+    this.loadNodePlugins(room.id).catch((err) => commandPrompt.error(err));
 
     // Set listening for the log events only if we are not in development
     // mode, because it will log anything to stdout anyways.
@@ -204,11 +521,148 @@ class HRConsoleApp {
     }
   }
 
+  /**
+   * Replaces the Node plugins of the room with the ones in the
+   * `nodePlugins` property of the room config. Errors are printed.
+   *
+   * @param {string} roomId - Id of the room.
+   */
+  async loadNodePlugins(roomId) {
+    const room = this.haxroomie.getRoom(roomId);
+    const roomConfig = this.config.getRoomConfig(roomId);
+    if (!room) return;
+
+    await room.nodePlugins.removePlugins();
+    if (!roomConfig || !roomConfig.nodePlugins) return;
+
+    for (let {
+      name,
+      path: pluginPath,
+      config,
+      enabled,
+    } of roomConfig.nodePlugins) {
+      try {
+        const modulePath = require.resolve(
+          path.resolve(process.cwd(), pluginPath)
+        );
+        // Load the latest version of the module when the config is reloaded.
+        delete require.cache[modulePath];
+        const plugin = require(modulePath);
+        await room.nodePlugins.addPlugin({ name, plugin, config, enabled });
+      } catch (err) {
+        commandPrompt.print(
+          `${this.logPrefix(room)} ${name}: ${err.message}`,
+          'NODE PLUGIN ERROR'
+        );
+        logger.debug(err.stack);
+      }
+    }
+  }
+
+  /**
+   * Loads the stadiums from the `stadiums` directory of the room config.
+   * Errors are printed.
+   *
+   * @param {string} roomId - Id of the room.
+   */
+  async loadStadiums(roomId) {
+    const roomConfig = this.config.getRoomConfig(roomId);
+    if (!roomConfig || !roomConfig.stadiums) {
+      this.stadiumLibraries.delete(roomId);
+      return;
+    }
+    const library = new StadiumLibrary({ directory: roomConfig.stadiums });
+    try {
+      await library.load();
+    } catch (err) {
+      commandPrompt.print(`${colors.cyan(roomId)}: ${err.message}`, 'ERROR');
+      return;
+    }
+    for (let { fileName, error } of library.errors) {
+      commandPrompt.print(
+        `${colors.cyan(roomId)}: ${fileName}: ${error.message}`,
+        'INVALID STADIUM'
+      );
+    }
+    this.stadiumLibraries.set(roomId, library);
+  }
+
+  /**
+   * Loads the roles of the room from the roles directory and adds the roles
+   * in the `roles` option of the room config. Errors are printed.
+   *
+   * The roles are loaded from the file only once, so the rooms keep their
+   * role list when the config is reloaded.
+   *
+   * @param {string} roomId - Id of the room.
+   */
+  async loadRoles(roomId) {
+    const roomConfig = this.config.getRoomConfig(roomId);
+    let roleList = this.roleLists.get(roomId);
+    try {
+      if (!roleList) {
+        roleList = new RoleList({
+          path: this.rolesDirectory
+            ? path.join(
+                this.rolesDirectory,
+                `${encodeURIComponent(`${roomId}`)}.json`
+              )
+            : undefined,
+        });
+        await roleList.load();
+        this.roleLists.set(roomId, roleList);
+      }
+      const roles = (roomConfig && roomConfig.roles) || {};
+      for (let [name, password] of Object.entries(roles)) {
+        await roleList.addRole(name, password);
+      }
+    } catch (err) {
+      commandPrompt.print(`${colors.cyan(roomId)}: ${err.message}`, 'ERROR');
+    }
+  }
+
+  /**
+   * Sets the stadium the room had before it was restarted.
+   * @private
+   */
+  async restoreStadium(room) {
+    const name = this.stadiumsToRestore.get(room.id);
+    this.stadiumsToRestore.delete(room.id);
+    if (!name || name === room.stadium) return;
+
+    const library = this.stadiumLibraries.get(room.id);
+    const stadium = StadiumLibrary.findDefaultStadium(name)
+      ? name
+      : library && library.getStadium(name);
+    if (!stadium) {
+      commandPrompt.print(
+        `${colors.cyan(room.id)}: Could not find the stadium ${name}.`,
+        'ERROR'
+      );
+      return;
+    }
+    try {
+      await room.setStadium(stadium);
+      commandPrompt.print(
+        `${colors.cyan(room.id)}: ${name}`,
+        'STADIUM RESTORED'
+      );
+    } catch (err) {
+      commandPrompt.print(
+        `${colors.cyan(room.id)}: Could not restore the stadium: ` +
+          `${err.message}`,
+        'ERROR'
+      );
+    }
+  }
+
   /**
    * Called when a room is removed from haxroomie
    * @private
    */
   onRoomRemoved(room) {
+    // A room that crashed is replaced by a new RoomController.
+    if (room.stadium) this.stadiumsToRestore.set(room.id, room.stadium);
     room.removeAllListeners(`open-room-start`);
     room.removeAllListeners(`open-room-stop`);
     room.removeAllListeners(`close-room-start`);
@@ -216,6 +670,9 @@ class HRConsoleApp {
     room.removeAllListeners(`page-closed`);
     room.removeAllListeners(`page-crash`);
     room.removeAllListeners(`page-error`);
+    room.removeAllListeners(`room-unresponsive`);
+    room.removeAllListeners(`room-responsive`);
+    room.removeAllListeners(`node-plugin-error`);
     room.removeAllListeners(`error-logged`);
     room.removeAllListeners(`warning-logged`);
     room.removeAllListeners(`info-logged`);
@@ -268,9 +725,11 @@ class HRConsoleApp {
       `${colors.cyan(room.id)} - ${roomInfo.roomLink}`,
       `ROOM STARTED`
     );
+    this.restoreStadium(room);
   }
 
   onCloseRoomStart(err, room) {
+    if (room.stadium) this.stadiumsToRestore.set(room.id, room.stadium);
     if (err) {
       commandPrompt.print(
         `Room was not closed properly and is ` + `probably unusable.`,
@@ -293,7 +752,10 @@ class HRConsoleApp {
   }
 
   async onPageClosed(room) {
-    await this.haxroomie.removeRoom(room.id);
+    // The supervisor replaces the RoomController of the supervised rooms.
+    if (!this.supervisor.isSupervised(room.id)) {
+      await this.haxroomie.removeRoom(room.id);
+    }
     commandPrompt.print(
       `The page controlling ${colors.cyan(room.id)} was closed.`,
       `PAGE CLOSED`
@@ -302,42 +764,45 @@ class HRConsoleApp {
 
   /**
    * Opens room with the given id.
+   *
+   * Tries the tokens from the token provider of the room until one of them
+   * works. If none of them does, asks the user for a token.
    * @param {number|string} id - Room id.
-   * @param {boolean} tryWithConfigToken - Try with the token given in config
-   *    or not.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.askToken=true] - Ask the user for a token if
+   *    the token provider has no valid tokens.
    */
-  async openRoom(id, tryWithConfigToken = true) {
+  async openRoom(id, { askToken = true } = {}) {
     if (!this.haxroomie.hasRoom(id)) {
       commandPrompt.print(`No room with id: ${id}.`, `ERROR`);
       return;
     }
 
-    let roomConfig = this.config.getRoomConfig(id);
-    let token = this.config.getToken(id);
-    let room = this.haxroomie.getRoom(id);
+    const roomConfig = this.config.getRoomConfig(id);
+    const tokenProvider = this.getTokenProvider(id);
+    const room = this.haxroomie.getRoom(id);
 
-    if (token && tryWithConfigToken) {
-      roomConfig.token = token;
+    let token = await tokenProvider.getToken(id);
+    while (token) {
       try {
-        let roomInfo = await room.openRoom(roomConfig);
-        if (roomInfo) {
-          return roomInfo;
-        }
+        return await room.openRoom({ ...roomConfig, token });
       } catch (err) {
-        if (err.name !== 'InvalidTokenError') {
-          let roomInfo = await this.openRoom(id, false);
-          return roomInfo;
-        }
+        // The other errors are printed by onOpenRoomStop.
+        if (err.name !== 'InvalidTokenError') return;
+        tokenProvider.invalidateToken(id, token);
       }
+      token = await tokenProvider.getToken(id);
     }
 
+    if (!askToken) return;
+
     let newToken = await commandPrompt.question(
       `Enter token for ${colors.green(id)} (c to cancel): `
     );
 
     if (!newToken) {
       commandPrompt.print('You have to give a token!', 'ERROR');
-      await this.openRoom(id, false);
+      return this.openRoom(id);
     } else if (newToken === 'c') {
       commandPrompt.print(
         `${colors.cyan(id)}: User canceled opening.`,
@@ -347,20 +812,7 @@ class HRConsoleApp {
     }
 
     this.config.setToken(id, newToken);
-    let newConfig = { ...roomConfig, token: newToken };
-
-    let roomInfo;
-    try {
-      roomInfo = await room.openRoom(newConfig);
-    } catch (err) {
-      if (err.name === 'InvalidTokenError') {
-        roomInfo = await this.openRoom(id, false);
-      }
-    }
-    if (!roomInfo) {
-      return;
-    }
-    return roomInfo;
+    return this.openRoom(id);
   }
 
   /**
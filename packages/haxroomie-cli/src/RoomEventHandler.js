@@ -12,7 +12,11 @@ class RoomEventHandler extends EventEmitter {
     this.onPluginRemoved = this.onPluginRemoved.bind(this);
     this.onPluginEnabled = this.onPluginEnabled.bind(this);
     this.onPluginDisabled = this.onPluginDisabled.bind(this);
+    this.onPluginLoadError = this.onPluginLoadError.bind(this);
+    this.onPluginConfigChanged = this.onPluginConfigChanged.bind(this);
+    this.onHhmError = this.onHhmError.bind(this);
     this.onRoomEvent = this.onRoomEvent.bind(this);
+    this.onModerationAction = this.onModerationAction.bind(this);
 
     this.addListeners(this.room);
   }
@@ -23,6 +27,10 @@ class RoomEventHandler extends EventEmitter {
     room.on(`plugin-removed`, this.onPluginRemoved);
     room.on(`plugin-enabled`, this.onPluginEnabled);
     room.on(`plugin-disabled`, this.onPluginDisabled);
+    room.on(`plugin-load-error`, this.onPluginLoadError);
+    room.on(`plugin-config-changed`, this.onPluginConfigChanged);
+    room.on(`hhm-error`, this.onHhmError);
+    room.on(`moderation-action`, this.onModerationAction);
   }
 
   removeListeners(room) {
@@ -31,6 +39,10 @@ class RoomEventHandler extends EventEmitter {
     room.removeListener(`plugin-removed`, this.onPluginRemoved);
     room.removeListener(`plugin-enabled`, this.onPluginEnabled);
     room.removeListener(`plugin-disabled`, this.onPluginDisabled);
+    room.removeListener(`plugin-load-error`, this.onPluginLoadError);
+    room.removeListener(`plugin-config-changed`, this.onPluginConfigChanged);
+    room.removeListener(`hhm-error`, this.onHhmError);
+    room.removeListener(`moderation-action`, this.onModerationAction);
   }
 
   playerInfoString(player) {
@@ -63,13 +75,46 @@ class RoomEventHandler extends EventEmitter {
     this.emit(`print`, `${pluginData.pluginSpec.name}`, `PLUGIN DISABLED`);
   }
 
+  onPluginLoadError({ pluginName, error }) {
+    const name = pluginName || 'unnamed plugin';
+    this.emit(`print`, `${name}: ${error}`, `PLUGIN LOAD ERROR`);
+  }
+
+  onPluginConfigChanged(pluginData) {
+    this.emit(
+      `print`,
+      `${pluginData.pluginSpec.name}: ` +
+        `${JSON.stringify(pluginData.pluginSpec.config)}`,
+      `PLUGIN CONFIG`
+    );
+  }
+
+  onHhmError(error) {
+    this.emit(`print`, `${error}`, `HHM ERROR`);
+  }
+
+  onModerationAction({ rule, action, reason, strikes, player }) {
+    this.emit(
+      `print`,
+      `${action} ${this.playerInfoString(player)} - ${rule} ` +
+        `(strike ${strikes}): ${reason}`,
+      `MODERATION`
+    );
+  }
+
   onPlayerChat(player, message) {
     const playerInfo = this.playerInfoString(player);
     this.emit(`print`, `${playerInfo}> ${message}`, `CHAT`);
   }
 
   onPlayerJoin(player) {
-    const playerInfo = this.playerInfoString(player);
+    let playerInfo = this.playerInfoString(player);
+    if (player.auth) playerInfo += ` auth: ${player.auth}`;
+    const registry = this.room.playerRegistry;
+    const alts = registry && player.auth ? registry.findAlts(player.auth) : [];
+    if (alts.length > 0) {
+      playerInfo += ` possible alts: ${alts.map((a) => a.name).join(', ')}`;
+    }
     this.emit(`print`, `${playerInfo}`, `PLAYER JOINED`);
   }
 
@@ -4,6 +4,23 @@ function parseCommandLineArgs(configDirectory) {
   const argv = require(`yargs`)
     .usage(`Usage: $0 [options]`)
 
+    .command(`attach`, `Attach to haxroomie running as a daemon.`)
+    .command(
+      `exec [command..]`,
+      `Execute a command in haxroomie running as a daemon. ` +
+        `Use -- before commands that have dashes in them.`
+    )
+
+    .boolean(`daemon`)
+    .describe(
+      `daemon`,
+      `Runs haxroomie without the interactive console. Control it with ` +
+        `"attach" and "exec" through the control socket.`
+    )
+
+    .describe(`socket`, `Path to the control socket of the daemon.`)
+    .default(`socket`, path.join(configDirectory, 'haxroomie.sock'))
+
     .alias(`v`, `version`)
     .boolean(`window`)
     .describe(`version`, `Print out the current version.`)
@@ -32,6 +49,53 @@ function parseCommandLineArgs(configDirectory) {
     )
     .default(`download-directory`, path.join(configDirectory, 'downloads'))
 
+    .describe(
+      `bans-file`,
+      `Path to the file where the bans shared by all the rooms are saved.`
+    )
+    .default(`bans-file`, path.join(configDirectory, 'bans.json'))
+
+    .describe(
+      `mutes-file`,
+      `Path to the file where the players muted in all the rooms are saved.`
+    )
+    .default(`mutes-file`, path.join(configDirectory, 'mutes.json'))
+
+    .describe(
+      `matches-file`,
+      `Path to the file where the matches of all the rooms are saved for ` +
+        `the player statistics.`
+    )
+    .default(`matches-file`, path.join(configDirectory, 'matches.jsonl'))
+
+    .describe(
+      `players-file`,
+      `Path to the file where the players that join the rooms are saved ` +
+        `for the whois command.`
+    )
+    .default(`players-file`, path.join(configDirectory, 'players.json'))
+
+    .describe(
+      `chat-log-directory`,
+      `Directory where the chat of the rooms is saved. A new file is ` +
+        `started every day.`
+    )
+    .default(`chat-log-directory`, path.join(configDirectory, 'chat'))
+
+    .number(`chat-log-days`)
+    .describe(
+      `chat-log-days`,
+      `How many days the chat logs are kept. 0 keeps them forever.`
+    )
+    .default(`chat-log-days`, 90)
+
+    .describe(
+      `roles-directory`,
+      `Directory where the roles of the rooms and the players that have ` +
+        `them are saved.`
+    )
+    .default(`roles-directory`, path.join(configDirectory, 'roles'))
+
     .alias(`t`, `timeout`)
     .describe(
       `timeout`,
@@ -60,6 +124,59 @@ function parseCommandLineArgs(configDirectory) {
     .boolean(`no-sandbox`)
     .describe(`no-sandbox`, `Runs headless Chrome without sandboxing.`)
 
+    .boolean(`detach-browser`)
+    .describe(
+      `detach-browser`,
+      `Keeps the browser and the rooms running if haxroomie crashes or ` +
+        `exits with the "leave" command. The rooms are recovered when ` +
+        `haxroomie starts again.`
+    )
+    .default(`detach-browser`, false)
+
+    .number(`rooms-per-browser`)
+    .describe(
+      `rooms-per-browser`,
+      `Max number of rooms in one browser. More browsers are launched ` +
+        `when needed, so a crashing browser takes down only its own rooms. ` +
+        `By default all the rooms run in one browser.`
+    )
+
+    .boolean(`offline`)
+    .describe(
+      `offline`,
+      `Runs the rooms against a local stand-in for the HaxBall headless ` +
+        `host and HHM. Useful for testing configs without a token or ` +
+        `network access.`
+    )
+
+    .number(`api-port`)
+    .describe(
+      `api-port`,
+      `Starts the HTTP and WebSocket API for controlling the rooms ` +
+        `remotely in the given port. Requires at least one --api-key.`
+    )
+
+    .describe(`api-host`, `Host that the API listens to.`)
+    .default(`api-host`, `127.0.0.1`)
+
+    .array(`api-key`)
+    .describe(
+      `api-key`,
+      `Key that is allowed to access the API. Can be given multiple times. ` +
+        `Keys can also be given in the HR_API_KEYS environment variable ` +
+        `separated by commas.`
+    )
+
+    .number(`metrics-port`)
+    .describe(
+      `metrics-port`,
+      `Exposes the metrics of the rooms for Prometheus in the /metrics ` +
+        `path of the given port.`
+    )
+
+    .describe(`metrics-host`, `Host that the metrics server listens to.`)
+    .default(`metrics-host`, `127.0.0.1`)
+
     .alias(`w`, `window`)
     .boolean(`window`)
     .describe(`window`, `Tries to spawn a browser window for debugging.`).argv;
@@ -10,21 +10,43 @@ const COLORS = {
   'ROOM CLOSED': colors.yellow.bold,
   'STARTING ROOM': colors.green,
   'ROOM STARTED': colors.green.bold,
+  'ROOM RECOVERED': colors.green.bold,
+  'RESTARTING ROOM': colors.yellow,
+  'ROOM RESTARTED': colors.green.bold,
+  'BROWSER DISCONNECTED': colors.red.bold,
   'INVALID TOKEN': colors.red.bold,
+  'TOKEN REQUIRED': colors.red.bold,
   CHAT: colors.white.bold,
   'PLAYER JOINED': colors.green,
   'PLAYER LEFT': colors.cyan,
   'PLAYER KICKED': colors.yellow.bold,
+  MODERATION: colors.yellow,
   'GAME PAUSED': colors.cyan,
   'GAME UNPAUSED': colors.cyan,
   'GAME STOPPED': colors.cyan,
   'GAME STARTED': colors.cyan,
   'PLAYER BANNED': colors.red,
+  'PLAYER UNBANNED': colors.green,
+  'PLAYER MUTED': colors.yellow,
+  'PLAYER UNMUTED': colors.green,
   ADMIN: colors.yellow,
   UNADMIN: colors.yellow,
   PLAYERS: colors.green,
+  'PLAYER STATS': colors.green,
+  WHOIS: colors.green,
+  LEADERBOARD: colors.green,
+  RECORDINGS: colors.green,
+  'RECORDINGS PRUNED': colors.cyan,
   'ROLE INFO': colors.green,
+  ROLES: colors.green,
+  'ROLE ADDED': colors.green,
+  'ROLE REMOVED': colors.cyan,
   'PAGE CLOSED': colors.red,
+  'ROOM UNRESPONSIVE': colors.red.bold,
+  'ROOM RESPONSIVE': colors.green,
+  STADIUMS: colors.green,
+  'STADIUM RESTORED': colors.green,
+  'INVALID STADIUM': colors.red,
   ERROR: colors.red.bold,
   'INVALID COMMAND': colors.red,
   'INVALID ARGUMENTS': colors.red,
@@ -36,35 +58,62 @@ const COLORS = {
   'PLUGIN REMOVED': colors.cyan,
   'PLUGIN ENABLED': colors.green,
   'PLUGIN DISABLED': colors.cyan,
+  'PLUGIN LOAD ERROR': colors.red,
+  'NODE PLUGIN ERROR': colors.red,
+  'PLUGIN CONFIG': colors.cyan,
+  'HHM ERROR': colors.red.bold,
   'LOADING CONFIG': colors.yellow,
   'RELOAD CONFIG': colors.yellow,
+  'API STARTED': colors.green.bold,
+  'METRICS STARTED': colors.green.bold,
 };
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
-
+let rl = null;
+let controlServer = null;
 let cmd = null;
+let prompt = '> ';
 
-rl.on(`line`, (line) => onNewLine(line));
-rl.on(`close`, () => {
-  if (!cmd) {
-    process.exit(0);
-  } else {
-    cmd.execute(`q`);
-  }
-});
-rl.on('SIGCONT', () => {
-  rl.resume();
-});
+/**
+ * Reads the commands from the terminal.
+ */
+function useTerminal() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  rl.setPrompt(prompt);
+
+  rl.on(`line`, (line) => onNewLine(line));
+  rl.on(`close`, () => {
+    if (!cmd) {
+      process.exit(0);
+    } else {
+      cmd.execute(`q`);
+    }
+  });
+  rl.on('SIGCONT', () => {
+    rl.resume();
+  });
+}
+
+/**
+ * Reads the commands from the clients of the control server instead of the
+ * terminal. Used when running as a daemon.
+ * @param {ControlServer} server - The control server.
+ */
+function useControlServer(server) {
+  controlServer = server;
+  controlServer.setPrompt(prompt);
+}
 
 /**
  * Sets the prompt string
- * @param {string} prompt - The prompt string.
+ * @param {string} newPrompt - The prompt string.
  */
-function setPrompt(prompt) {
-  rl.setPrompt(prompt);
+function setPrompt(newPrompt) {
+  prompt = newPrompt;
+  if (rl) rl.setPrompt(prompt);
+  if (controlServer) controlServer.setPrompt(prompt);
 }
 
 /**
@@ -81,6 +130,12 @@ function setCommandManager(commandManager) {
  * @param {string} question - Question to ask.
  */
 async function question(question) {
+  if (!rl && controlServer) {
+    return controlServer.question(question);
+  }
+  if (!rl) {
+    throw new Error(`Can not ask "${question}" without a terminal.`);
+  }
   let answer = await new Promise((resolve) => {
     rl.question(question, (answer) => {
       resolve(answer);
@@ -96,11 +151,11 @@ async function question(question) {
  * @param {string} type - Type of message.
  */
 function print(msg, type) {
-  readline.clearLine(process.stdout, 0);
-  readline.cursorTo(process.stdout, 0);
+  clearLine();
   if (type) msg = createMessage(type, msg);
   console.log(msg);
   createPrompt();
+  if (controlServer) controlServer.print(msg);
 }
 
 /**
@@ -109,8 +164,7 @@ function print(msg, type) {
  * @param {Error|string} err - The message.
  */
 function error(err) {
-  readline.clearLine(process.stdout, 0);
-  readline.cursorTo(process.stdout, 0);
+  clearLine();
 
   if (err && err.stack) {
     logger.error(err.stack);
@@ -118,6 +172,9 @@ function error(err) {
     logger.error(err);
   }
   createPrompt();
+  if (controlServer) {
+    controlServer.print(colors.red(err && err.stack ? err.stack : `${err}`));
+  }
 }
 
 /**
@@ -125,11 +182,27 @@ function error(err) {
  * @param {string} msg - The message.
  */
 function warn(msg) {
-  readline.clearLine(process.stdout, 0);
-  readline.cursorTo(process.stdout, 0);
+  clearLine();
 
   logger.warn(msg);
   createPrompt();
+  if (controlServer) controlServer.print(colors.yellow(msg));
+}
+
+/**
+ * Checks if the user who executed the current command can detach from the
+ * session and keep the rooms running.
+ * @returns {boolean}
+ */
+function canDetach() {
+  return !!controlServer && controlServer.canDetach();
+}
+
+/**
+ * Detaches the user who executed the current command from the session.
+ */
+function detach() {
+  if (controlServer) controlServer.detach();
 }
 
 /**
@@ -149,25 +222,38 @@ function createMessage(type, msg) {
   return fullMsg;
 }
 
+/**
+ * Clears the input prompt from the terminal before printing.
+ */
+function clearLine() {
+  if (!rl) return;
+  readline.clearLine(process.stdout, 0);
+  readline.cursorTo(process.stdout, 0);
+}
+
 /**
  * Inserts a new input prompt.
  */
 function createPrompt() {
-  rl.prompt(true);
+  if (rl) rl.prompt(true);
 }
 
 /**
- * Receives the lines from process.stdout and executes commands.
- * @param {string} input
+ * Executes the commands from the terminal or the control server.
+ * @param {string} line
+ * @returns {Promise.<boolean>} - Was the command executed successfully.
  */
 async function onNewLine(line) {
+  let success = true;
   try {
     if (cmd) {
       await cmd.execute(line);
     } else {
       print('Console is not yet ready.');
+      success = false;
     }
   } catch (err) {
+    success = false;
     switch (err.name) {
       case 'InvalidCommandError':
         print(`${line} (type "help" for commands)`, 'INVALID COMMAND');
@@ -185,13 +271,19 @@ async function onNewLine(line) {
     logger.debug(err.stack);
   }
   createPrompt();
+  return success;
 }
 
 module.exports = {
+  useTerminal,
+  useControlServer,
+  onNewLine,
   setCommandManager,
   setPrompt,
   print,
   error,
   warn,
   question,
+  canDetach,
+  detach,
 };
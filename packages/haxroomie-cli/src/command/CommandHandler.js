@@ -1,6 +1,24 @@
-const parse = require('yargs-parser');
 const { InvalidCommandError, InvalidCommandArgsError } = require('../errors');
 
+/**
+ * Splits the line into words. Words in quotes can have whitespace in them.
+ * The words starting with `-` are not parsed as options, because the auths
+ * of the players can start with it.
+ *
+ * @param {string} line - Line to split.
+ * @returns {Array.<string>} - The words.
+ * @private
+ */
+function tokenize(line) {
+  const tokens = [];
+  const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = regex.exec(line)) !== null) {
+    tokens.push(match.slice(1).find((token) => token !== undefined));
+  }
+  return tokens;
+}
+
 class CommandHandler {
   constructor({ cmdPrefix = 'onCommand_' } = {}) {
     this.cmdPrefix = cmdPrefix;
@@ -66,16 +84,7 @@ class CommandHandler {
    * @throws {InvalidCommandArgsError}
    */
   async parseLine(line) {
-    let tokens = parse(line, {
-      configuration: {
-        'boolean-negation': false,
-        'dot-notation': false,
-        'camel-case-expansion': false,
-        'short-option-groups': false,
-        'duplicate-arguments-array': false,
-        'flatten-duplicate-arrays': false,
-      },
-    })['_'];
+    let tokens = tokenize(line);
 
     let cmdName = tokens[0];
     let args = tokens.slice(1);
@@ -87,8 +96,11 @@ class CommandHandler {
     }
 
     // Send command the raw input if command accepts only 1 argument.
-    if (command.args && command.args.length === 1 && args.length !== 0) {
-      args = [line.slice(cmdName.length + 1)];
+    // Options like --since are not in the parsed arguments, so check the
+    // line itself.
+    const rawArgs = line.slice(cmdName.length + 1);
+    if (command.args && command.args.length === 1 && rawArgs.trim()) {
+      args = [rawArgs];
     }
 
     this.validateArguments(command, args);
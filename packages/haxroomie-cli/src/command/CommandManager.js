@@ -6,6 +6,14 @@ const CoreCommands = require('./handlers/CoreCommands');
 const BaseCommands = require('./handlers/BaseCommands');
 const KickBanCommands = require('./handlers/KickBanCommands');
 const PluginCommands = require('./handlers/PluginCommands');
+const RoleCommands = require('./handlers/RoleCommands');
+const StatsCommands = require('./handlers/StatsCommands');
+const RecordingCommands = require('./handlers/RecordingCommands');
+const StadiumCommands = require('./handlers/StadiumCommands');
+const GameCommands = require('./handlers/GameCommands');
+const PlayerCommands = require('./handlers/PlayerCommands');
+const MuteCommands = require('./handlers/MuteCommands');
+const ChatLogCommands = require('./handlers/ChatLogCommands');
 
 /**
  * Class to manage CommandHandler instances.
@@ -32,8 +40,15 @@ class CommandManager {
       new BaseCommands({ roomContext: this.roomContext }),
       new AdminCommands({ roomContext: this.roomContext }),
       new KickBanCommands({ roomContext: this.roomContext }),
+      new MuteCommands({ roomContext: this.roomContext }),
+      new PlayerCommands({ roomContext: this.roomContext }),
+      new ChatLogCommands({ roomContext: this.roomContext }),
+      new GameCommands({ roomContext: this.roomContext }),
       new PluginCommands({ roomContext: this.roomContext }),
-      //new RoleCommands({ roomContext: this.roomContext }),
+      new StatsCommands({ roomContext: this.roomContext }),
+      new RecordingCommands({ roomContext: this.roomContext }),
+      new StadiumCommands({ roomContext: this.roomContext }),
+      new RoleCommands({ roomContext: this.roomContext }),
     ];
     this.handlers = await this.validateHandlers(handlers);
   }
@@ -14,6 +14,10 @@ class RoomContext {
     closeRoom,
     setRoom,
     createRoom,
+    loadNodePlugins,
+    loadStadiums,
+    getStadiumLibrary,
+    loadRoles,
   } = {}) {
     if (!room) new TypeError('invalid arguments');
     if (!config) new TypeError('invalid arguments');
@@ -22,6 +26,10 @@ class RoomContext {
     if (!openRoom) new TypeError('invalid arguments');
     if (!closeRoom) new TypeError('invalid arguments');
     if (!createRoom) new TypeError('invalid arguments');
+    if (!loadNodePlugins) new TypeError('invalid arguments');
+    if (!loadStadiums) new TypeError('invalid arguments');
+    if (!getStadiumLibrary) new TypeError('invalid arguments');
+    if (!loadRoles) new TypeError('invalid arguments');
 
     this.room = room;
     this.config = config;
@@ -30,6 +38,10 @@ class RoomContext {
     this.openRoom = openRoom;
     this.closeRoom = closeRoom;
     this.createRoom = createRoom;
+    this.loadNodePlugins = loadNodePlugins;
+    this.loadStadiums = loadStadiums;
+    this.getStadiumLibrary = getStadiumLibrary;
+    this.loadRoles = loadRoles;
   }
 }
 
@@ -1,6 +1,6 @@
 const CommandHandler = require('../CommandHandler');
 const commandPrompt = require('../../command-prompt');
-const { doesRoomHavePlayer } = require('../utils');
+const { resolvePlayer } = require('../utils');
 
 class AdminCommands extends CommandHandler {
   constructor({ roomContext }) {
@@ -8,46 +8,43 @@ class AdminCommands extends CommandHandler {
     this.room = roomContext.room;
   }
 
+  /**
+   * Gives or removes admin of a player.
+   *
+   * @param {string} query - Id, name or auth of the player.
+   * @param {boolean} admin - Give or remove admin.
+   */
+  async setPlayerAdmin(query, admin) {
+    let player;
+    try {
+      player = await resolvePlayer(this.room, query);
+    } catch (err) {
+      commandPrompt.print(err.message, 'ERROR');
+      return;
+    }
+    await this.room.callRoom('setPlayerAdmin', player.id, admin);
+  }
+
   onCommand_admin() {
     return {
-      description: 'Gives admin to a player with given id.',
+      description: 'Gives admin to a player with given id, name or auth.',
       disabled: !this.room.running,
-      args: ['id'],
+      args: ['id|name|auth'],
       category: 'Room control',
-      run: async (id) => {
-        let intId = parseInt(id);
-        if (isNaN(intId)) {
-          commandPrompt.print('Player ID has to be a number!', 'ERROR');
-          return;
-        }
-        let hasPlayer = await doesRoomHavePlayer(this.room, intId);
-        if (!hasPlayer) {
-          commandPrompt.print(`no player with id: ${intId}`, `ERROR`);
-          return;
-        }
-        await this.room.callRoom('setPlayerAdmin', intId, true);
+      run: async (player) => {
+        await this.setPlayerAdmin(player, true);
       },
     };
   }
 
   onCommand_unadmin() {
     return {
-      description: 'Removes admin from a player with given id.',
+      description: 'Removes admin from a player with given id, name or auth.',
       disabled: !this.room.running,
-      args: ['id'],
+      args: ['id|name|auth'],
       category: 'Room control',
-      run: async (id) => {
-        let intId = parseInt(id);
-        if (isNaN(intId)) {
-          commandPrompt.print('Player ID has to be a number!', 'ERROR');
-          return;
-        }
-        let hasPlayer = await doesRoomHavePlayer(this.room, intId);
-        if (!hasPlayer) {
-          commandPrompt.print(`no player with id: ${intId}`, `ERROR`);
-          return;
-        }
-        await this.room.callRoom('setPlayerAdmin', intId, false);
+      run: async (player) => {
+        await this.setPlayerAdmin(player, false);
       },
     };
   }
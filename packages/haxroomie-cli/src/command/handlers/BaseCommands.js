@@ -13,6 +13,9 @@ class BaseCommands extends CommandHandler {
     this.openRoom = roomContext.openRoom;
     this.closeRoom = roomContext.closeRoom;
     this.createRoom = roomContext.createRoom;
+    this.loadNodePlugins = roomContext.loadNodePlugins;
+    this.loadStadiums = roomContext.loadStadiums;
+    this.loadRoles = roomContext.loadRoles;
     this.config = roomContext.config;
   }
 
@@ -53,6 +56,21 @@ class BaseCommands extends CommandHandler {
     };
   }
 
+  onCommand_browsers() {
+    return {
+      description: 'Prints the browsers and the rooms running in them.',
+      category: 'Basic commands',
+      run: async () => {
+        let browsers = this.haxroomie.getBrowsers().map((b) => {
+          let pid = b.pid ? ` PID: ${b.pid}` : '';
+          let rooms = b.roomIds.map((id) => colors.cyan(id)).join(', ');
+          return `Browser ${b.index}${pid} Rooms: ${rooms || '-'}`;
+        });
+        commandPrompt.print(browsers.join(`\n`));
+      },
+    };
+  }
+
   onCommand_setroom() {
     return {
       description: `Selects which room to control using its id (see ${colors.cyan(
@@ -156,6 +174,25 @@ class BaseCommands extends CommandHandler {
 
       let room = this.haxroomie.getRoom(roomId);
 
+      // The page of the room has to be replaced to change its isolation.
+      if (
+        modifiedProperties.includes('isolation') ||
+        modifiedProperties.includes('userDataDir') ||
+        modifiedProperties.includes('proxy')
+      ) {
+        commandPrompt.print(
+          `Recreating ${colors.cyan(roomId)} to change its isolation.`,
+          'RELOAD CONFIG'
+        );
+        const wasRunning = room.running;
+        await this.haxroomie.removeRoom(roomId);
+        await this.createRoom(roomId);
+        if (wasRunning || this.config.getRoomConfig(roomId).autoStart) {
+          await this.openRoom(roomId);
+        }
+        continue;
+      }
+
       // Update repositories.
       if (modifiedProperties.includes('repositories')) {
         commandPrompt.print(
@@ -172,10 +209,89 @@ class BaseCommands extends CommandHandler {
         }
       }
 
+      // Reload Node plugins.
+      if (modifiedProperties.includes('nodePlugins')) {
+        commandPrompt.print(
+          `Reloading Node plugins of ${colors.cyan(roomId)}.`,
+          'RELOAD CONFIG'
+        );
+        await this.loadNodePlugins(roomId);
+      }
+
+      // Update the watchdog.
+      if (modifiedProperties.includes('watchdog')) {
+        commandPrompt.print(
+          `Updating the watchdog of ${colors.cyan(roomId)}.`,
+          'RELOAD CONFIG'
+        );
+        try {
+          room.configureWatchdog(newConfig[roomId].watchdog);
+        } catch (err) {
+          commandPrompt.print(err.message);
+          logger.debug(err.stack);
+        }
+      }
+
+      // Reload the stadiums.
+      if (modifiedProperties.includes('stadiums')) {
+        commandPrompt.print(
+          `Reloading stadiums of ${colors.cyan(roomId)}.`,
+          'RELOAD CONFIG'
+        );
+        await this.loadStadiums(roomId);
+      }
+
+      // Add the roles.
+      if (modifiedProperties.includes('roles')) {
+        commandPrompt.print(
+          `Updating the roles of ${colors.cyan(roomId)}.`,
+          'RELOAD CONFIG'
+        );
+        await this.loadRoles(roomId);
+      }
+
+      // Update the recording options.
+      if (modifiedProperties.includes('recording')) {
+        commandPrompt.print(
+          `Updating the recording options of ${colors.cyan(roomId)}.`,
+          'RELOAD CONFIG'
+        );
+        try {
+          await room.configureRecording(newConfig[roomId].recording);
+        } catch (err) {
+          commandPrompt.print(err.message);
+          logger.debug(err.stack);
+        }
+      }
+
+      // Update the moderation rules.
+      if (modifiedProperties.includes('moderation')) {
+        commandPrompt.print(
+          `Updating the moderation rules of ${colors.cyan(roomId)}.`,
+          'RELOAD CONFIG'
+        );
+        try {
+          await room.configureModeration(newConfig[roomId].moderation);
+        } catch (err) {
+          commandPrompt.print(err.message);
+          logger.debug(err.stack);
+        }
+      }
+
       // Reload running rooms.
       if (room.running) {
+        const hotLoaded = [
+          'pluginConfig',
+          'repositories',
+          'nodePlugins',
+          'watchdog',
+          'recording',
+          'stadiums',
+          'roles',
+          'moderation',
+        ];
         const cannotHotLoad = modifiedProperties.some((p) => {
-          return p !== 'pluginConfig' && p !== 'repositories';
+          return !hotLoaded.includes(p);
         });
 
         // Restart rooms that cannot be hotloaded and bail out early.
@@ -185,6 +301,23 @@ class BaseCommands extends CommandHandler {
           continue;
         }
 
+        // The Node plugins, the watchdog, the recording options, the
+        // stadiums, the roles and the moderation rules were updated already.
+        if (
+          modifiedProperties.every((p) =>
+            [
+              'nodePlugins',
+              'watchdog',
+              'recording',
+              'stadiums',
+              'roles',
+              'moderation',
+            ].includes(p)
+          )
+        ) {
+          continue;
+        }
+
         // Update pluginConfig.
         commandPrompt.print(
           `Updating pluginConfig of ${colors.cyan(roomId)}.`,
@@ -282,7 +415,7 @@ class BaseCommands extends CommandHandler {
               playerString += `\n  roles: ${roles.join(',')}`;
             }
           } catch (e) {
-            // if we are here it probably means roles plugin wasnt enabled
+            // if we are here it probably means the player left
           }
 
           players.push(playerString);
@@ -0,0 +1,91 @@
+const parse = require('yargs-parser');
+const CommandHandler = require('../CommandHandler');
+const commandPrompt = require('../../command-prompt');
+const { parseDuration, chatMessageToString } = require('../utils');
+
+/**
+ * Parses a time given as a duration back from now (e.g. `2h`) or as a
+ * date (e.g. `2020-05-01` or `"2020-05-01 18:00"`).
+ *
+ * @returns {number} - Milliseconds since epoch.
+ * @throws {Error} - Invalid time.
+ * @private
+ */
+function parseTime(time) {
+  const duration = parseDuration(time);
+  if (duration) return Date.now() - duration;
+  const date = Date.parse(time);
+  if (isNaN(date)) throw new Error(`invalid time: ${time}`);
+  return date;
+}
+
+class ChatLogCommands extends CommandHandler {
+  constructor({ roomContext }) {
+    super();
+    this.room = roomContext.room;
+    this.chatLog = roomContext.haxroomie.chatLog;
+  }
+
+  /**
+   * Parses the options of the chatlog command.
+   *
+   * @param {string} [line] - The options.
+   * @returns {ChatQuery} - The query.
+   * @throws {Error} - Invalid options.
+   */
+  parseQuery(line) {
+    const options = parse(line || '', {
+      string: ['player', 'text', 'since', 'until'],
+      number: ['limit'],
+      boolean: ['all'],
+      configuration: {
+        'camel-case-expansion': false,
+        'short-option-groups': false,
+      },
+    });
+    const query = {
+      roomId: options.all ? undefined : this.room.id,
+      player: options.player || undefined,
+      // Words without an option are searched from the messages.
+      text: options.text || options._.join(' ') || undefined,
+      limit: options.limit !== undefined ? options.limit : 50,
+    };
+    if (isNaN(query.limit) || query.limit < 1) {
+      throw new Error(`limit should be a positive number`);
+    }
+    if (options.since) query.since = parseTime(options.since);
+    if (options.until) query.until = parseTime(options.until);
+    return query;
+  }
+
+  onCommand_chatlog() {
+    return {
+      description:
+        'Searches the chat log of the room: chatlog [text] ' +
+        '[--player <name|auth>] [--since <2h|date>] [--until <2h|date>] ' +
+        '[--limit <n>] [--all]. --all searches all the rooms. Prints the ' +
+        'latest messages without options.',
+      disabled: !this.chatLog,
+      args: ['options'],
+      argumentsOptional: true,
+      category: 'Room control',
+      run: async (line) => {
+        let query;
+        try {
+          query = this.parseQuery(line);
+        } catch (err) {
+          commandPrompt.print(err.message, 'ERROR');
+          return;
+        }
+        const messages = await this.chatLog.search(query);
+        if (messages.length === 0) {
+          commandPrompt.print('No messages.');
+          return;
+        }
+        commandPrompt.print(messages.map(chatMessageToString).join('\n'));
+      },
+    };
+  }
+}
+
+module.exports = ChatLogCommands;
@@ -47,6 +47,16 @@ class CoreCommands extends CommandHandler {
     };
   }
   async onCommand_min() {
+    if (commandPrompt.canDetach()) {
+      return {
+        description: 'Detach from haxroomie but keep rooms running.',
+        category: 'Haxroomie control',
+        run: async () => {
+          commandPrompt.detach();
+        },
+      };
+    }
+
     let disabled = true;
     try {
       await commandExists('tmux');
@@ -73,6 +83,20 @@ class CoreCommands extends CommandHandler {
     };
   }
 
+  onCommand_leave() {
+    return {
+      description:
+        'Exits the program but keeps the rooms running. ' +
+        'The rooms are recovered when haxroomie starts again.',
+      category: 'Haxroomie control',
+      disabled: !this.haxroomie.detachBrowser,
+      run: async () => {
+        await this.haxroomie.disconnectBrowser();
+        process.exit(0);
+      },
+    };
+  }
+
   onCommand_q() {
     return {
       description: 'Closes all rooms and exits the program.',
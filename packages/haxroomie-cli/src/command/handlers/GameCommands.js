@@ -0,0 +1,383 @@
+const CommandHandler = require('../CommandHandler');
+const commandPrompt = require('../../command-prompt');
+const { doesRoomHavePlayer } = require('../utils');
+
+const TEAMS = {
+  spec: 0,
+  s: 0,
+  spectators: 0,
+  0: 0,
+  red: 1,
+  r: 1,
+  1: 1,
+  blue: 2,
+  b: 2,
+  2: 2,
+};
+
+const SWITCHES = {
+  on: true,
+  true: true,
+  yes: true,
+  off: false,
+  false: false,
+  no: false,
+};
+
+/**
+ * Returns the id of the team (0 = spectators, 1 = red, 2 = blue) or
+ * `undefined` if the name is not a team.
+ * @private
+ */
+function parseTeam(team) {
+  return TEAMS[`${team}`.toLowerCase()];
+}
+
+/**
+ * Returns `true` for on, `false` for off or `undefined` if the value is
+ * neither.
+ * @private
+ */
+function parseSwitch(value) {
+  return SWITCHES[`${value}`.toLowerCase()];
+}
+
+/**
+ * Parses a color like `FF0000` or `#ff0000` into a number.
+ * @private
+ */
+function parseColor(color) {
+  const match = /^#?([0-9a-f]{1,6})$/i.exec(`${color}`);
+  return match ? parseInt(match[1], 16) : null;
+}
+
+/**
+ * Returns a shuffled copy of the array.
+ * @private
+ */
+function shuffle(array) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+class GameCommands extends CommandHandler {
+  constructor({ roomContext }) {
+    super();
+    this.room = roomContext.room;
+  }
+
+  /**
+   * Returns the players in the room without the host player.
+   */
+  async getPlayers() {
+    const players = await this.room.callRoom('getPlayerList');
+    return players.filter((p) => p && p.id !== 0);
+  }
+
+  /**
+   * Prints an error if a game is running.
+   *
+   * @returns {boolean} - Is a game running.
+   */
+  async isGameRunning() {
+    if (!(await this.room.callRoom('getScores'))) return false;
+    commandPrompt.print('Stop the game first!', 'ERROR');
+    return true;
+  }
+
+  /**
+   * Moves the players to the given teams.
+   *
+   * @param {Array.<{id: number, team: number}>} moves - Players and their
+   *    new teams.
+   */
+  async movePlayers(moves) {
+    for (let { id, team } of moves) {
+      await this.room.callRoom('setPlayerTeam', id, team);
+    }
+  }
+
+  onCommand_start() {
+    return {
+      description: 'Starts the game.',
+      disabled: !this.room.running,
+      category: 'Game control',
+      run: async () => {
+        await this.room.callRoom('startGame');
+      },
+    };
+  }
+
+  onCommand_stop() {
+    return {
+      description: 'Stops the game.',
+      disabled: !this.room.running,
+      category: 'Game control',
+      run: async () => {
+        await this.room.callRoom('stopGame');
+      },
+    };
+  }
+
+  onCommand_pause() {
+    return {
+      description: 'Pauses the game.',
+      disabled: !this.room.running,
+      category: 'Game control',
+      run: async () => {
+        await this.room.callRoom('pauseGame', true);
+      },
+    };
+  }
+
+  onCommand_unpause() {
+    return {
+      description: 'Unpauses the game.',
+      disabled: !this.room.running,
+      category: 'Game control',
+      run: async () => {
+        await this.room.callRoom('pauseGame', false);
+      },
+    };
+  }
+
+  onCommand_team() {
+    return {
+      description:
+        'Moves a player with given id to a team (red, blue or spec): ' +
+        'team <id> <team>',
+      disabled: !this.room.running,
+      args: ['id', 'team'],
+      category: 'Game control',
+      run: async (id, team) => {
+        let intId = parseInt(id);
+        if (isNaN(intId)) {
+          commandPrompt.print('Player ID has to be a number!', 'ERROR');
+          return;
+        }
+        let teamId = parseTeam(team);
+        if (teamId === undefined) {
+          commandPrompt.print('Team has to be red, blue or spec!', 'ERROR');
+          return;
+        }
+        let hasPlayer = await doesRoomHavePlayer(this.room, intId);
+        if (!hasPlayer) {
+          commandPrompt.print(`no player with id: ${intId}`, `ERROR`);
+          return;
+        }
+        await this.room.callRoom('setPlayerTeam', intId, teamId);
+      },
+    };
+  }
+
+  onCommand_scorelimit() {
+    return {
+      description:
+        'Sets the score limit of the game (0 for no limit). ' +
+        'The game can not be running.',
+      disabled: !this.room.running,
+      args: ['limit'],
+      category: 'Game control',
+      run: async (limit) => {
+        let intLimit = parseInt(limit);
+        if (isNaN(intLimit) || intLimit < 0) {
+          commandPrompt.print('Score limit has to be a number!', 'ERROR');
+          return;
+        }
+        if (await this.isGameRunning()) return;
+        await this.room.callRoom('setScoreLimit', intLimit);
+      },
+    };
+  }
+
+  onCommand_timelimit() {
+    return {
+      description:
+        'Sets the time limit of the game in minutes (0 for no limit). ' +
+        'The game can not be running.',
+      disabled: !this.room.running,
+      args: ['minutes'],
+      category: 'Game control',
+      run: async (minutes) => {
+        let intMinutes = parseInt(minutes);
+        if (isNaN(intMinutes) || intMinutes < 0) {
+          commandPrompt.print('Time limit has to be a number!', 'ERROR');
+          return;
+        }
+        if (await this.isGameRunning()) return;
+        await this.room.callRoom('setTimeLimit', intMinutes);
+      },
+    };
+  }
+
+  onCommand_teamslock() {
+    return {
+      description:
+        'Locks or unlocks the teams so that the players can not move ' +
+        'themselves: teamslock <on|off>',
+      disabled: !this.room.running,
+      args: ['on|off'],
+      category: 'Game control',
+      run: async (value) => {
+        let locked = parseSwitch(value.trim());
+        if (locked === undefined) {
+          commandPrompt.print('Give on or off!', 'ERROR');
+          return;
+        }
+        await this.room.callRoom('setTeamsLock', locked);
+      },
+    };
+  }
+
+  onCommand_teamcolors() {
+    return {
+      description:
+        'Sets the colors of a team. Angle is in degrees and the colors ' +
+        'are hex values (1-3 stripe colors): ' +
+        'teamcolors <red|blue> <angle> <textcolor> <color> [color] [color]',
+      disabled: !this.room.running,
+      args: ['team', 'angle', 'textcolor', 'colors'],
+      category: 'Game control',
+      run: async (team, angle, textColor, ...colors) => {
+        let teamId = parseTeam(team);
+        if (teamId !== 1 && teamId !== 2) {
+          commandPrompt.print('Team has to be red or blue!', 'ERROR');
+          return;
+        }
+        let intAngle = parseInt(angle);
+        if (isNaN(intAngle)) {
+          commandPrompt.print('Angle has to be a number!', 'ERROR');
+          return;
+        }
+        if (colors.length > 3) {
+          commandPrompt.print('Give at most 3 colors!', 'ERROR');
+          return;
+        }
+        let parsedColors = [textColor, ...colors].map(parseColor);
+        if (parsedColors.includes(null)) {
+          commandPrompt.print(
+            'Colors have to be hex values like FF0000!',
+            'ERROR'
+          );
+          return;
+        }
+        await this.room.callRoom(
+          'setTeamColors',
+          teamId,
+          intAngle,
+          parsedColors[0],
+          parsedColors.slice(1)
+        );
+      },
+    };
+  }
+
+  onCommand_password() {
+    return {
+      description:
+        'Sets the password of the room. Removes the password if none is ' +
+        'given.',
+      disabled: !this.room.running,
+      args: ['password'],
+      argumentsOptional: true,
+      category: 'Game control',
+      run: async (password) => {
+        password = password ? `${password}`.trim() : '';
+        await this.room.callRoom('setPassword', password || null);
+        commandPrompt.print(
+          password ? 'Password changed.' : 'Password removed.'
+        );
+      },
+    };
+  }
+
+  onCommand_recaptcha() {
+    return {
+      description:
+        'Sets whether the players need to solve a recaptcha to join: ' +
+        'recaptcha <on|off>',
+      disabled: !this.room.running,
+      args: ['on|off'],
+      category: 'Game control',
+      run: async (value) => {
+        let required = parseSwitch(value.trim());
+        if (required === undefined) {
+          commandPrompt.print('Give on or off!', 'ERROR');
+          return;
+        }
+        await this.room.callRoom('setRequireRecaptcha', required);
+      },
+    };
+  }
+
+  onCommand_swap() {
+    return {
+      description: 'Swaps the players of the red and blue teams.',
+      disabled: !this.room.running,
+      category: 'Game control',
+      run: async () => {
+        const players = await this.getPlayers();
+        await this.movePlayers(
+          players
+            .filter((p) => p.team !== 0)
+            .map((p) => ({ id: p.id, team: p.team === 1 ? 2 : 1 }))
+        );
+      },
+    };
+  }
+
+  onCommand_shuffle() {
+    return {
+      description:
+        'Divides the players of the red and blue teams randomly into ' +
+        'even teams.',
+      disabled: !this.room.running,
+      category: 'Game control',
+      run: async () => {
+        const players = await this.getPlayers();
+        const inTeams = shuffle(players.filter((p) => p.team !== 0));
+        await this.movePlayers(
+          inTeams.map((p, i) => ({ id: p.id, team: i % 2 === 0 ? 1 : 2 }))
+        );
+      },
+    };
+  }
+
+  onCommand_fillteams() {
+    return {
+      description:
+        'Moves the spectators to the smaller team in the order they ' +
+        'joined. Optionally give the max amount of players per team.',
+      disabled: !this.room.running,
+      args: ['max'],
+      argumentsOptional: true,
+      category: 'Game control',
+      run: async (max) => {
+        let intMax = max === undefined ? Infinity : parseInt(max);
+        if (isNaN(intMax) || intMax < 1) {
+          commandPrompt.print('Max has to be a positive number!', 'ERROR');
+          return;
+        }
+        const players = await this.getPlayers();
+        const counts = { 1: 0, 2: 0 };
+        for (let p of players) {
+          if (p.team !== 0) counts[p.team]++;
+        }
+        const moves = [];
+        for (let p of players.filter((p) => p.team === 0)) {
+          const team = counts[1] <= counts[2] ? 1 : 2;
+          if (counts[team] >= intMax) break;
+          counts[team]++;
+          moves.push({ id: p.id, team });
+        }
+        await this.movePlayers(moves);
+      },
+    };
+  }
+}
+
+module.exports = GameCommands;
@@ -1,104 +1,151 @@
+const os = require('os');
 const CommandHandler = require('../CommandHandler');
 const commandPrompt = require('../../command-prompt');
-const { doesRoomHavePlayer } = require('../utils');
+const {
+  resolvePlayer,
+  resolveKnownPlayer,
+  parseDuration,
+  banToString,
+} = require('../utils');
 
 class KickBanCommands extends CommandHandler {
   constructor({ roomContext }) {
     super();
     this.room = roomContext.room;
+    this.banList = roomContext.haxroomie.banList;
+    this.playerRegistry = roomContext.haxroomie.playerRegistry;
+  }
+
+  /**
+   * Prints the given bans.
+   *
+   * @param {Array.<Ban>} bans - Bans to print.
+   */
+  printBans(bans) {
+    if (bans.length === 0) {
+      commandPrompt.print('No banned players.');
+      return;
+    }
+    commandPrompt.print(bans.map(banToString).join('\n'));
   }
 
   onCommand_kick() {
     return {
-      description: 'Kicks a player with given id.',
+      description: 'Kicks a player with given id, name or auth.',
       disabled: !this.room.running,
-      args: ['id'],
+      args: ['id|name|auth'],
       category: 'Room control',
-      run: async (id) => {
-        let intId = parseInt(id);
-        if (isNaN(intId)) {
-          commandPrompt.print('Player ID has to be a number!', 'ERROR');
-          return;
-        }
-        let hasPlayer = await doesRoomHavePlayer(this.room, intId);
-        if (!hasPlayer) {
-          commandPrompt.print(`no player with id: ${intId}`, `ERROR`);
+      run: async (query) => {
+        let player;
+        try {
+          player = await resolvePlayer(this.room, query);
+        } catch (err) {
+          commandPrompt.print(err.message, 'ERROR');
           return;
         }
-        await this.room.callRoom('kickPlayer', intId, 'Bye!', false);
+        await this.room.callRoom('kickPlayer', player.id, 'Bye!', false);
       },
     };
   }
 
   onCommand_ban() {
     return {
-      description: 'Bans a player with given id.',
-      disabled: !this.room.running,
-      args: ['id'],
+      description:
+        'Bans a player with given id, name or auth from all the rooms. ' +
+        'Players who have left can be banned by name or auth. Give names ' +
+        'with spaces in quotes. Optionally give a duration (e.g. 30m, 12h, ' +
+        '7d) and a reason: ban <id|name|auth> [duration] [reason]',
+      disabled: !this.room.running || !this.banList,
+      args: ['id|name|auth', 'duration', 'reason'],
+      argumentsOptional: true,
       category: 'Room control',
-      run: async (id) => {
-        let intId = parseInt(id);
-        if (isNaN(intId)) {
-          commandPrompt.print('Player ID has to be a number!', 'ERROR');
+      run: async (query, ...rest) => {
+        if (query === undefined) {
+          commandPrompt.print(
+            'Give the id, name or auth of the player!',
+            'ERROR'
+          );
           return;
         }
-        let hasPlayer = await doesRoomHavePlayer(this.room, intId);
-        if (!hasPlayer) {
-          commandPrompt.print(`no player with id: ${intId}`, `ERROR`);
+        let player;
+        try {
+          player = await resolveKnownPlayer(
+            this.room,
+            this.playerRegistry,
+            query
+          );
+        } catch (err) {
+          commandPrompt.print(err.message, 'ERROR');
           return;
         }
-        await this.room.callRoom('kickPlayer', intId, 'Bye!', true);
+        let duration = rest.length > 0 ? parseDuration(rest[0]) : null;
+        if (duration) rest.shift();
+        let reason = rest.join(' ') || undefined;
+
+        let ban = await this.banList.add({
+          auth: player.auth,
+          conn: player.conn,
+          name: player.name,
+          reason,
+          issuer: os.userInfo().username,
+          duration: duration || undefined,
+        });
+        commandPrompt.print(banToString(ban), 'PLAYER BANNED');
       },
     };
   }
 
   onCommand_unban() {
     return {
-      description: 'Removes a ban of player with given id.',
-      disabled: !this.room.running,
-      args: ['id'],
+      description: 'Removes a ban with given ban id (see banlist).',
+      disabled: !this.banList,
+      args: ['banid'],
       category: 'Room control',
-      run: async (id) => {
-        let intId = parseInt(id);
+      run: async (banId) => {
+        let intId = parseInt(banId);
         if (isNaN(intId)) {
-          commandPrompt.print('Player ID has to be a number!', 'ERROR');
+          commandPrompt.print('Ban ID has to be a number!', 'ERROR');
+          return;
+        }
+        let ban = await this.banList.remove(intId);
+        if (!ban) {
+          commandPrompt.print(`no ban with id: ${intId}`, `ERROR`);
           return;
         }
-        await this.room.callRoom('clearBan', intId);
+        commandPrompt.print(banToString(ban), 'PLAYER UNBANNED');
       },
     };
   }
 
-  async onCommand_banlist() {
-    let isDisabled;
-    if (!this.room.running) {
-      isDisabled = true;
-    } else {
-      isDisabled = await this.room.plugins.hasPlugin('hr/kickban');
-      isDisabled = !isDisabled;
-    }
-
+  onCommand_banlist() {
     return {
-      description: 'Prints banned players.',
-      disabled: isDisabled,
+      description: 'Prints the bans shared by all the rooms.',
+      disabled: !this.banList,
       category: 'Room control',
       run: async () => {
-        let bannedPlayers = await this.room.eval(() => {
-          return HHM.manager.getPlugin('hr/kickban').bannedPlayers();
-        });
-        if (bannedPlayers.length === 0) {
-          commandPrompt.print('No banned players.');
-          return;
-        }
-        bannedPlayers = bannedPlayers.map((p) => `id:${p.id} - ${p.name}`);
-        commandPrompt.print(bannedPlayers.join('\n'));
+        this.printBans(this.banList.getBans());
+      },
+    };
+  }
+
+  onCommand_bansearch() {
+    return {
+      description:
+        'Searches the bans by player name, auth, conn, reason or issuer.',
+      disabled: !this.banList,
+      args: ['query'],
+      category: 'Room control',
+      run: async (query) => {
+        this.printBans(this.banList.search(query));
       },
     };
   }
 
   onCommand_clearbans() {
     return {
-      description: 'Clears all the bans.',
+      description:
+        'Clears the bans made with the HaxBall room (does not affect ' +
+        'the banlist).',
       disabled: !this.room.running,
       category: 'Room control',
       run: async () => {
@@ -0,0 +1,111 @@
+const os = require('os');
+const CommandHandler = require('../CommandHandler');
+const commandPrompt = require('../../command-prompt');
+const {
+  resolveKnownPlayer,
+  unquote,
+  parseDuration,
+  muteToString,
+} = require('../utils');
+
+class MuteCommands extends CommandHandler {
+  constructor({ roomContext }) {
+    super();
+    this.room = roomContext.room;
+    this.playerRegistry = roomContext.haxroomie.playerRegistry;
+  }
+
+  onCommand_mute() {
+    return {
+      description:
+        'Mutes a player with given id, name or auth. The player stays ' +
+        'muted after rejoining. Players who have left can be muted by ' +
+        'name or auth, also when the room is stopped. Optionally give a ' +
+        'duration (e.g. 30m, 12h, 7d) and a reason: ' +
+        'mute <id|name|auth> [duration] [reason]',
+      args: ['id|name|auth', 'duration', 'reason'],
+      argumentsOptional: true,
+      category: 'Room control',
+      run: async (query, ...rest) => {
+        if (query === undefined) {
+          commandPrompt.print(
+            'Give the id, name or auth of the player!',
+            'ERROR'
+          );
+          return;
+        }
+        let player;
+        try {
+          player = await resolveKnownPlayer(
+            this.room,
+            this.playerRegistry,
+            query
+          );
+        } catch (err) {
+          commandPrompt.print(err.message, 'ERROR');
+          return;
+        }
+        let duration = rest.length > 0 ? parseDuration(rest[0]) : null;
+        if (duration) rest.shift();
+        let reason = rest.join(' ') || undefined;
+
+        let mute = await this.room.mutePlayer(player.auth, {
+          name: player.name,
+          reason,
+          issuer: os.userInfo().username,
+          duration: duration || undefined,
+        });
+        commandPrompt.print(muteToString(mute), 'PLAYER MUTED');
+      },
+    };
+  }
+
+  onCommand_unmute() {
+    return {
+      description: 'Unmutes a player with given id, name or auth.',
+      args: ['id|name|auth'],
+      category: 'Room control',
+      run: async (query) => {
+        let auth;
+        try {
+          auth = (
+            await resolveKnownPlayer(this.room, this.playerRegistry, query)
+          ).auth;
+        } catch (err) {
+          // The auths of the mutes can be given even if the player is not
+          // known.
+          if (/^\d+$/.test(`${query}`) || !/^\S+$/.test(unquote(query))) {
+            commandPrompt.print(err.message, 'ERROR');
+            return;
+          }
+          auth = unquote(query);
+        }
+        let mute = await this.room.unmutePlayer(auth);
+        if (!mute) {
+          commandPrompt.print(`player is not muted: ${query}`, 'ERROR');
+          return;
+        }
+        commandPrompt.print(muteToString(mute), 'PLAYER UNMUTED');
+      },
+    };
+  }
+
+  onCommand_mutelist() {
+    return {
+      description:
+        'Prints the muted players. The players muted in the room have their ' +
+        'id shown.',
+      category: 'Room control',
+      run: async () => {
+        let mutes = await this.room.getMutes();
+        if (mutes.length === 0) {
+          commandPrompt.print('No muted players.');
+          return;
+        }
+        commandPrompt.print(mutes.map(muteToString).join('\n'));
+      },
+    };
+  }
+}
+
+module.exports = MuteCommands;
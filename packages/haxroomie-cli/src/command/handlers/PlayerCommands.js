@@ -0,0 +1,61 @@
+const CommandHandler = require('../CommandHandler');
+const commandPrompt = require('../../command-prompt');
+const colors = require('colors/safe');
+const { unquote, playerRecordToString } = require('../utils');
+
+class PlayerCommands extends CommandHandler {
+  constructor({ roomContext }) {
+    super();
+    this.room = roomContext.room;
+    this.playerRegistry = roomContext.haxroomie.playerRegistry;
+  }
+
+  /**
+   * Finds the players with the id of a player in the room or with an auth,
+   * name or IP address.
+   *
+   * @param {string} query - Id, auth, name or IP address.
+   * @returns {Promise.<Array.<PlayerRecord>>} - The players.
+   */
+  async findPlayers(query) {
+    if (/^\d+$/.test(query) && this.room.running) {
+      let player = this.playerRegistry.getByPlayerId(
+        this.room.id,
+        parseInt(query)
+      );
+      if (player) return [player];
+    }
+    return this.playerRegistry.find(query);
+  }
+
+  onCommand_whois() {
+    return {
+      description:
+        'Prints the names, IP addresses, playtime and possible alt ' +
+        'accounts of a player with given id, name, auth or IP address.',
+      disabled: !this.playerRegistry,
+      args: ['id|name|auth'],
+      category: 'Room control',
+      run: async (query) => {
+        query = unquote(query);
+        let players = await this.findPlayers(query);
+        if (players.length === 0) {
+          commandPrompt.print(`no player found with: ${query}`, 'ERROR');
+          return;
+        }
+        for (let player of players) {
+          let string = playerRecordToString(player);
+          let alts = this.playerRegistry.findAlts(player.auth);
+          if (alts.length > 0) {
+            let altNames = alts.map((a) => `${a.name} (auth: ${a.auth})`);
+            string += `\n  ${colors.yellow('possible alts')}: `;
+            string += altNames.join(', ');
+          }
+          commandPrompt.print(string, 'WHOIS');
+        }
+      },
+    };
+  }
+}
+
+module.exports = PlayerCommands;
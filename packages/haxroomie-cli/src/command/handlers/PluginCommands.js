@@ -102,6 +102,62 @@ class PluginCommands extends CommandHandler {
       },
     };
   }
+
+  onCommand_nodeplugins() {
+    return {
+      description: 'Prints the Node plugins of the room.',
+      category: 'Plugin control',
+      run: async () => {
+        let plugins = this.room.nodePlugins.getPlugins();
+        if (plugins.length === 0) {
+          commandPrompt.print('No Node plugins.');
+          return;
+        }
+        let pluginList = [];
+        for (let p of plugins) {
+          const isEnabled = p.isEnabled
+            ? `${colors.green(`enabled`)}`
+            : `${colors.yellow(`disabled`)}`;
+          pluginList.push(`${p.name} (${isEnabled})`);
+        }
+        commandPrompt.print(pluginList.join(`\n`));
+      },
+    };
+  }
+
+  onCommand_nodeenable() {
+    return {
+      description: 'Enables the Node plugin with given name.',
+      args: ['name'],
+      category: 'Plugin control',
+      run: async (name) => {
+        if (!this.room.nodePlugins.hasPlugin(name)) {
+          commandPrompt.print(`Invalid plugin name: ${name}`, `ERROR`);
+          return;
+        }
+        if (await this.room.nodePlugins.enablePlugin(name)) {
+          commandPrompt.print(name, 'PLUGIN ENABLED');
+        }
+      },
+    };
+  }
+
+  onCommand_nodedisable() {
+    return {
+      description: 'Disables the Node plugin with given name.',
+      args: ['name'],
+      category: 'Plugin control',
+      run: async (name) => {
+        if (!this.room.nodePlugins.hasPlugin(name)) {
+          commandPrompt.print(`Invalid plugin name: ${name}`, `ERROR`);
+          return;
+        }
+        if (await this.room.nodePlugins.disablePlugin(name)) {
+          commandPrompt.print(name, 'PLUGIN DISABLED');
+        }
+      },
+    };
+  }
 }
 
 module.exports = PluginCommands;
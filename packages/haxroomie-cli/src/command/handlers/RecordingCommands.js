@@ -0,0 +1,69 @@
+const CommandHandler = require('../CommandHandler');
+const commandPrompt = require('../../command-prompt');
+const { recordingToString } = require('../utils');
+
+class RecordingCommands extends CommandHandler {
+  constructor({ roomContext }) {
+    super();
+    this.room = roomContext.room;
+  }
+
+  onCommand_recordings() {
+    return {
+      description: 'Prints the newest saved recordings of the room.',
+      disabled: !this.room.recordings.enabled,
+      args: ['amount'],
+      argumentsOptional: true,
+      category: 'Recordings',
+      run: async (amount = '10') => {
+        let limit = parseInt(amount);
+        if (isNaN(limit) || limit < 1) {
+          commandPrompt.print('Amount has to be a positive number!', 'ERROR');
+          return;
+        }
+        let recordings = await this.room.recordings.list();
+        if (recordings.length === 0) {
+          commandPrompt.print('No recordings saved yet.');
+          return;
+        }
+        let rows = recordings.slice(0, limit).map(recordingToString);
+        rows.push(
+          `${recordings.length} recordings in ` +
+            `${this.room.recordings.options.directory}`
+        );
+        commandPrompt.print(rows.join('\n'), 'RECORDINGS');
+      },
+    };
+  }
+
+  onCommand_prunerecs() {
+    return {
+      description:
+        'Removes all but the given amount of the newest recordings. ' +
+        'Without the amount removes the recordings that do not fit ' +
+        'the retention policy of the room.',
+      disabled: !this.room.recordings.enabled,
+      args: ['amount'],
+      argumentsOptional: true,
+      category: 'Recordings',
+      run: async (amount) => {
+        let policy;
+        if (amount !== undefined) {
+          let maxCount = parseInt(amount);
+          if (isNaN(maxCount) || maxCount < 0) {
+            commandPrompt.print('Amount has to be a number!', 'ERROR');
+            return;
+          }
+          policy = { maxCount };
+        }
+        let removed = await this.room.recordings.prune(policy);
+        commandPrompt.print(
+          `Removed ${removed.length} recordings.`,
+          'RECORDINGS PRUNED'
+        );
+      },
+    };
+  }
+}
+
+module.exports = RecordingCommands;
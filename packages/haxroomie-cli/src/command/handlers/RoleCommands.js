@@ -2,29 +2,88 @@ const CommandHandler = require('../CommandHandler');
 const commandPrompt = require('../../command-prompt');
 const colors = require('colors/safe');
 
+/**
+ * Numbers are ids of players in the room and other strings are auths.
+ * @private
+ */
+function parsePlayerId(idOrAuth) {
+  return /^\d+$/.test(`${idOrAuth}`) ? parseInt(idOrAuth) : `${idOrAuth}`;
+}
+
 class RoleCommands extends CommandHandler {
   constructor({ roomContext }) {
     super();
     this.room = roomContext.room;
   }
 
-  async onCommand_role() {
-    let isDisabled;
-    if (!this.room.running) {
-      isDisabled = true;
-    } else {
-      isDisabled = await this.room.plugins.hasPlugin('sav/roles');
-      isDisabled = !isDisabled;
+  /**
+   * Adds or removes a role of a player and prints the result.
+   *
+   * @param {string} idOrAuth - Id of a player in the room or auth.
+   * @param {string} role - Name of the role.
+   * @param {boolean} state - `true` to add and `false` to remove the role.
+   */
+  async setPlayerRole(idOrAuth, role, state) {
+    const playerId = parsePlayerId(idOrAuth);
+    if (!(await this.room.roles.getRole(`${role}`))) {
+      commandPrompt.print(`no role named: ${role} (see roles)`, 'ERROR');
+      return;
+    }
+    const roles = await this.room.roles.setPlayerRole(
+      playerId,
+      `${role}`,
+      state,
+      true
+    );
+    if (!roles) {
+      commandPrompt.print(`no player with id: ${playerId}`, 'ERROR');
+      return;
     }
+    commandPrompt.print(
+      `${colors.cyan(playerId)} roles: ${roles.join(', ') || '-'}`,
+      state ? 'ROLE ADDED' : 'ROLE REMOVED'
+    );
+  }
+
+  onCommand_roles() {
+    return {
+      description: 'Prints the roles of the room.',
+      disabled: !this.room.running,
+      category: 'Roles',
+      run: async () => {
+        const roles = await this.room.roles.getRoles({ offlinePlayers: true });
+        if (roles.length === 0) {
+          commandPrompt.print('No roles. Add one with createrole.');
+          return;
+        }
+        const rows = roles.map((role) => {
+          const password = role.password
+            ? `password: ${role.password}`
+            : 'no password';
+          return (
+            `${colors.cyan(role.roleName)} (${password}) - ` +
+            `players: ${role.players.length}`
+          );
+        });
+        commandPrompt.print(rows.join('\n'), 'ROLES');
+      },
+    };
+  }
+
+  onCommand_role() {
     return {
       description: 'Prints information and players in given role.',
-      disabled: isDisabled,
+      disabled: !this.room.running,
       args: ['role'],
-      category: 'Room control',
+      category: 'Roles',
       run: async (role) => {
-        const roleInfo = await this.room.roles.getRole(role, {
+        const roleInfo = await this.room.roles.getRole(role.trim(), {
           offlinePlayers: true,
         });
+        if (!roleInfo) {
+          commandPrompt.print(`no role named: ${role} (see roles)`, 'ERROR');
+          return;
+        }
 
         if (roleInfo.players.length > 0) {
           commandPrompt.print(
@@ -32,8 +91,9 @@ class RoleCommands extends CommandHandler {
           );
           let players = [];
           for (let p of roleInfo.players) {
-            let playerString = `nickname: ${colors.cyan(p.name)}`;
-            playerString += `\n  id: ${p.id}`;
+            let playerString = `nickname: ${colors.cyan(p.name || '-')}`;
+            if (!p.persistent) playerString += ` ${colors.yellow('session')}`;
+            playerString += `\n  id: ${p.online ? p.id : 'offline'}`;
             playerString += `\n  auth: ${p.auth}`;
             players.push(playerString);
           }
@@ -42,7 +102,7 @@ class RoleCommands extends CommandHandler {
 
         commandPrompt.print(
           `Role: ${colors.cyan(roleInfo.roleName)} ` +
-            `Password: ${colors.cyan(roleInfo.password)} ` +
+            `Password: ${colors.cyan(roleInfo.password || '-')} ` +
             `Players: ${colors.cyan(roleInfo.players.length)}`,
           `ROLE INFO`
         );
@@ -50,41 +110,71 @@ class RoleCommands extends CommandHandler {
     };
   }
 
-  async onCommand_addrole() {
-    let isDisabled;
-    if (!this.room.running) {
-      isDisabled = true;
-    } else {
-      isDisabled = await this.room.plugins.hasPlugin('sav/roles');
-      isDisabled = !isDisabled;
-    }
+  onCommand_createrole() {
     return {
-      description: 'Adds given role to a player with given id.',
-      disabled: isDisabled,
-      args: ['id', 'role'],
-      category: 'Room control',
-      run: async (id, role) => {
-        await this.room.roles.setPlayerRole(id, role, true, true);
+      description:
+        'Creates a role or changes its password: createrole <role> ' +
+        '[password]. Players can get the role with ' +
+        '"!auth <role> <password>". Roles without a password can only be ' +
+        'given with addrole.',
+      disabled: !this.room.running,
+      args: ['role'],
+      category: 'Roles',
+      run: async (line) => {
+        const [, role, password] = /^(\S+)(?:\s+(.*))?$/.exec(line.trim());
+        try {
+          await this.room.roles.addRole(role, password || undefined);
+        } catch (err) {
+          commandPrompt.print(err.message, 'ERROR');
+          return;
+        }
+        commandPrompt.print(
+          `${colors.cyan(role)} (${password ? 'password' : 'no password'})`,
+          'ROLE ADDED'
+        );
       },
     };
   }
 
-  async onCommand_delrole() {
-    let isDisabled;
-    if (!this.room.running) {
-      isDisabled = true;
-    } else {
-      isDisabled = await this.room.plugins.hasPlugin('sav/roles');
-      isDisabled = !isDisabled;
-    }
+  onCommand_deleterole() {
+    return {
+      description: 'Deletes a role and removes it from all the players.',
+      disabled: !this.room.running,
+      args: ['role'],
+      category: 'Roles',
+      run: async (role) => {
+        role = role.trim();
+        if (!(await this.room.roles.removeRole(role))) {
+          commandPrompt.print(`no role named: ${role} (see roles)`, 'ERROR');
+          return;
+        }
+        commandPrompt.print(colors.cyan(role), 'ROLE REMOVED');
+      },
+    };
+  }
+
+  onCommand_addrole() {
+    return {
+      description:
+        'Adds given role to a player with given id or auth. The role is ' +
+        'saved for the auth, so the player does not have to be in the room.',
+      disabled: !this.room.running,
+      args: ['id|auth', 'role'],
+      category: 'Roles',
+      run: async (id, role) => {
+        await this.setPlayerRole(id, role, true);
+      },
+    };
+  }
 
+  onCommand_delrole() {
     return {
-      description: 'Removes given role from a player with given id.',
-      disabled: isDisabled,
+      description: 'Removes given role from a player with given id or auth.',
+      disabled: !this.room.running,
       args: ['id|auth', 'role'],
-      category: 'Room control',
+      category: 'Roles',
       run: async (id, role) => {
-        await this.room.roles.setPlayerRole(id, role, false, true);
+        await this.setPlayerRole(id, role, false);
       },
     };
   }
@@ -0,0 +1,86 @@
+const CommandHandler = require('../CommandHandler');
+const commandPrompt = require('../../command-prompt');
+const colors = require('colors/safe');
+const { StadiumLibrary } = require('haxroomie-core');
+
+class StadiumCommands extends CommandHandler {
+  constructor({ roomContext }) {
+    super();
+    this.room = roomContext.room;
+    this.getStadiumLibrary = roomContext.getStadiumLibrary;
+  }
+
+  onCommand_stadiums() {
+    return {
+      description:
+        'Prints the default stadiums and the stadiums in the stadiums ' +
+        'directory of the room.',
+      category: 'Stadiums',
+      run: async () => {
+        const active = this.room.stadium;
+        const stadiumToString = (name, fileName) => {
+          let string = name === active ? colors.green(`${name} *`) : name;
+          if (fileName) string += ` (${fileName})`;
+          return `  ${string}`;
+        };
+
+        let rows = ['Default:'];
+        for (let name of StadiumLibrary.DEFAULT_STADIUMS) {
+          rows.push(stadiumToString(name));
+        }
+        const library = this.getStadiumLibrary(this.room.id);
+        if (library) {
+          rows.push(`Custom (${library.directory}):`);
+          for (let { name, fileName } of library.getStadiums()) {
+            rows.push(stadiumToString(name, fileName));
+          }
+        }
+        commandPrompt.print(rows.join('\n'), 'STADIUMS');
+      },
+    };
+  }
+
+  onCommand_stadium() {
+    return {
+      description:
+        'Changes the stadium to one in the stadiums directory by its name ' +
+        'or file name. Use "stadium default <name>" for the default ' +
+        'stadiums (classic, big, hockey...).',
+      disabled: !this.room.running,
+      args: ['name'],
+      category: 'Stadiums',
+      run: async (name) => {
+        name = name.trim();
+        let stadium;
+        const defaultMatch = /^default\s+(.+)$/i.exec(name);
+        if (defaultMatch) {
+          stadium = StadiumLibrary.findDefaultStadium(defaultMatch[1]);
+          if (!stadium) {
+            commandPrompt.print(
+              `No default stadium named ${defaultMatch[1]}. See "stadiums".`,
+              'ERROR'
+            );
+            return;
+          }
+        } else {
+          const library = this.getStadiumLibrary(this.room.id);
+          stadium = library ? library.getStadium(name) : null;
+          if (!stadium) {
+            commandPrompt.print(
+              `No stadium named ${name}. See "stadiums".`,
+              'ERROR'
+            );
+            return;
+          }
+        }
+        try {
+          await this.room.setStadium(stadium);
+        } catch (err) {
+          commandPrompt.print(err.message, 'ERROR');
+        }
+      },
+    };
+  }
+}
+
+module.exports = StadiumCommands;
@@ -0,0 +1,78 @@
+const CommandHandler = require('../CommandHandler');
+const commandPrompt = require('../../command-prompt');
+const colors = require('colors/safe');
+const { playerStatsToString } = require('../utils');
+
+class StatsCommands extends CommandHandler {
+  constructor({ roomContext }) {
+    super();
+    this.room = roomContext.room;
+    this.matchHistory = roomContext.haxroomie.matchHistory;
+  }
+
+  /**
+   * Returns the auth of the player with the given id if the id is a player
+   * in the current room. Otherwise the argument is the auth.
+   */
+  async resolveAuth(authOrId) {
+    if (!/^\d+$/.test(authOrId) || !this.room.running) return authOrId;
+    let player = await this.room.getPlayerIdentity(parseInt(authOrId));
+    return player && player.auth ? player.auth : authOrId;
+  }
+
+  onCommand_stats() {
+    return {
+      description:
+        'Prints the statistics of a player with given auth ' +
+        '(or id of a player in the room).',
+      disabled: !this.matchHistory,
+      args: ['auth'],
+      category: 'Statistics',
+      run: async (authOrId) => {
+        let auth = await this.resolveAuth(authOrId);
+        let stats = this.matchHistory.getPlayerStats(auth);
+        if (!stats) {
+          commandPrompt.print(`No matches for auth: ${auth}`, 'ERROR');
+          return;
+        }
+        commandPrompt.print(playerStatsToString(stats), 'PLAYER STATS');
+      },
+    };
+  }
+
+  onCommand_top() {
+    return {
+      description:
+        'Prints the players with the most goals, assists, wins, matches, ' +
+        'losses, draws or ownGoals: top <stat> [amount]',
+      disabled: !this.matchHistory,
+      args: ['stat', 'amount'],
+      argumentsOptional: true,
+      category: 'Statistics',
+      run: async (stat = 'goals', amount = '10') => {
+        let limit = parseInt(amount);
+        if (isNaN(limit) || limit < 1) {
+          commandPrompt.print('Amount has to be a positive number!', 'ERROR');
+          return;
+        }
+        let leaderboard;
+        try {
+          leaderboard = this.matchHistory.getLeaderboard(stat, { limit });
+        } catch (err) {
+          commandPrompt.print(err.message, 'ERROR');
+          return;
+        }
+        if (leaderboard.length === 0) {
+          commandPrompt.print(`Nobody has any ${stat} yet.`);
+          return;
+        }
+        let rows = leaderboard.map((s, i) => {
+          return `${i + 1}. ${colors.cyan(s.name)} (${s.auth}) ${s[stat]}`;
+        });
+        commandPrompt.print(rows.join('\n'), 'LEADERBOARD');
+      },
+    };
+  }
+}
+
+module.exports = StatsCommands;
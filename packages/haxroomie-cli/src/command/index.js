@@ -6,6 +6,13 @@ const BaseCommands = require('./handlers/CoreCommands');
 const KickBanCommands = require('./handlers/KickBanCommands');
 const PluginCommands = require('./handlers/PluginCommands');
 const RoleCommands = require('./handlers/RoleCommands');
+const StatsCommands = require('./handlers/StatsCommands');
+const RecordingCommands = require('./handlers/RecordingCommands');
+const StadiumCommands = require('./handlers/StadiumCommands');
+const GameCommands = require('./handlers/GameCommands');
+const PlayerCommands = require('./handlers/PlayerCommands');
+const MuteCommands = require('./handlers/MuteCommands');
+const ChatLogCommands = require('./handlers/ChatLogCommands');
 
 module.exports = {
   CommandManager,
@@ -16,4 +23,11 @@ module.exports = {
   KickBanCommands,
   PluginCommands,
   RoleCommands,
+  StatsCommands,
+  RecordingCommands,
+  StadiumCommands,
+  GameCommands,
+  PlayerCommands,
+  MuteCommands,
+  ChatLogCommands,
 };
@@ -17,6 +17,97 @@ async function doesRoomHavePlayer(room, id) {
   return false;
 }
 
+/**
+ * Removes the quotes around the string.
+ *
+ * @param {string} string - String that may be in quotes.
+ * @returns {string} - The string without the quotes.
+ * @private
+ */
+function unquote(string) {
+  return `${string}`.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Finds a player in the room by id, auth or name. Numbers are ids. Other
+ * strings are compared to the auths and then to the names of the players.
+ * Surrounding quotes are removed, so names with spaces can be given in
+ * quotes.
+ *
+ * @param {RoomController} room - Room to search from.
+ * @param {string|number} query - Id, auth or name of the player.
+ * @returns {Promise.<object>} - The player with `id`, `name`, `auth` and
+ *    `conn`.
+ * @throws {Error} - There is no such player or many players have the name.
+ * @private
+ */
+async function resolvePlayer(room, query) {
+  query = unquote(query);
+  if (/^\d+$/.test(query)) {
+    const id = parseInt(query);
+    const player = id === 0 ? null : await room.getPlayerIdentity(id);
+    if (!player) throw new Error(`no player with id: ${id}`);
+    return player;
+  }
+
+  const players = [];
+  for (let p of await room.callRoom('getPlayerList')) {
+    if (!p || p.id === 0) continue;
+    const identity = await room.getPlayerIdentity(p.id);
+    if (identity) players.push(identity);
+  }
+  let matches = players.filter((p) => p.auth === query);
+  if (matches.length === 0) matches = players.filter((p) => p.name === query);
+  if (matches.length === 0) {
+    const lowerCase = query.toLowerCase();
+    matches = players.filter((p) => p.name.toLowerCase() === lowerCase);
+  }
+  if (matches.length === 0) {
+    throw new Error(`no player with name or auth: ${query}`);
+  }
+  if (matches.length > 1) {
+    const ids = matches.map((p) => p.id).join(', ');
+    throw new Error(`many players named ${query} (ids: ${ids}), use the id`);
+  }
+  return matches[0];
+}
+
+/**
+ * Finds a player in the room like [resolvePlayer]{@link resolvePlayer}.
+ * Players that are not in the room are searched by name or auth from the
+ * player registry.
+ *
+ * @param {RoomController} room - Room to search from.
+ * @param {PlayerRegistry} [playerRegistry] - Players who have left.
+ * @param {string|number} query - Id, name or auth of the player.
+ * @returns {Promise.<object>} - The player with `name`, `auth` and `conn`.
+ *    Players in the room also have the `id`.
+ * @throws {Error} - There is no such player or the query matches many
+ *    players.
+ * @private
+ */
+async function resolveKnownPlayer(room, playerRegistry, query) {
+  try {
+    return await resolvePlayer(room, query);
+  } catch (err) {
+    const isId = /^\d+$/.test(`${query}`);
+    if (isId || !playerRegistry) throw err;
+    const unquoted = unquote(query);
+    const players = playerRegistry.find(unquoted);
+    if (players.length === 0) throw err;
+    if (players.length > 1) {
+      const auths = players.map((p) => p.auth).join(', ');
+      throw new Error(`many players named ${unquoted} (auths: ${auths})`);
+    }
+    const [player] = players;
+    return {
+      name: player.name,
+      auth: player.auth,
+      conn: player.conns[player.conns.length - 1],
+    };
+  }
+}
+
 /**
  * Transforms PluginData object into a printable string.
  *
@@ -42,7 +133,179 @@ function pluginDataToString(pluginData) {
   return string;
 }
 
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parses a duration like `30m`, `12h` or `7d` into milliseconds.
+ *
+ * @param {string} duration - Number followed by one of the units `s`, `m`,
+ *    `h`, `d` or `w`.
+ * @returns {number|null} - The duration in milliseconds or `null` if the
+ *    string is not a valid duration.
+ * @private
+ */
+function parseDuration(duration) {
+  const match = /^(\d+)([smhdw])$/.exec(`${duration}`);
+  if (!match || parseInt(match[1]) === 0) return null;
+  return parseInt(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Transforms a ban into a printable string.
+ *
+ * @param {Ban} ban - The ban.
+ * @private
+ */
+function banToString(ban) {
+  const identity = [];
+  if (ban.auth) identity.push(`auth: ${ban.auth}`);
+  if (ban.conn) identity.push(`conn: ${ban.conn}`);
+  const expires = ban.expiresAt
+    ? `until ${new Date(ban.expiresAt).toLocaleString()}`
+    : colors.red('permanent');
+
+  let string =
+    `${colors.cyan(`#${ban.id}`)} ${ban.name || '<unknown>'} ` +
+    `(${identity.join(', ')}) - ${expires}`;
+  if (ban.reason) string += `\n  reason: ${ban.reason}`;
+  if (ban.issuer) string += `\n  issuer: ${ban.issuer}`;
+  return string;
+}
+
+/**
+ * Transforms a mute into a printable string.
+ *
+ * @param {Mute} mute - The mute. `playerId` is the id of the player if the
+ *    player is in the room.
+ * @private
+ */
+function muteToString(mute) {
+  const identity = [`auth: ${mute.auth}`];
+  if (mute.playerId) identity.push(`id: ${mute.playerId}`);
+  const expires = mute.expiresAt
+    ? `until ${new Date(mute.expiresAt).toLocaleString()}`
+    : colors.red('permanent');
+
+  let string =
+    `${colors.cyan(mute.name || '<unknown>')} (${identity.join(', ')}) - ` +
+    `${expires}`;
+  if (mute.reason) string += `\n  reason: ${mute.reason}`;
+  if (mute.issuer) string += `\n  issuer: ${mute.issuer}`;
+  return string;
+}
+
+/**
+ * Returns a string representation of the statistics of a player.
+ *
+ * @param {PlayerStats} stats - Statistics of the player.
+ * @returns {string} - The statistics.
+ */
+function playerStatsToString(stats) {
+  return [
+    `${colors.cyan(stats.name)} (auth: ${stats.auth})`,
+    `  matches: ${stats.matches} (wins: ${colors.green(stats.wins)}, ` +
+      `draws: ${stats.draws}, losses: ${colors.red(stats.losses)})`,
+    `  goals: ${stats.goals}`,
+    `  assists: ${stats.assists}`,
+    `  own goals: ${stats.ownGoals}`,
+  ].join('\n');
+}
+
+/**
+ * Formats a duration in milliseconds like `2h 5m`.
+ *
+ * @param {number} duration - Duration in milliseconds.
+ * @returns {string} - The duration.
+ * @private
+ */
+function formatDuration(duration) {
+  const minutes = Math.floor(duration / DURATION_UNITS.m);
+  if (minutes < 1) return `${Math.floor(duration / DURATION_UNITS.s)}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 1) return `${minutes}m`;
+  return `${hours}h ${minutes % 60}m`;
+}
+
+/**
+ * Returns a string representation of a player in the player registry.
+ *
+ * @param {PlayerRecord} player - The player.
+ * @returns {string} - The player.
+ */
+function playerRecordToString(player) {
+  const online = player.online.map((o) => `${o.roomId} (id: ${o.id})`);
+  return [
+    `${colors.cyan(player.name)} (auth: ${player.auth})`,
+    `  names: ${player.names.join(', ')}`,
+    `  ips: ${player.ips.join(', ') || '-'}`,
+    `  first seen: ${new Date(player.firstSeen).toLocaleString()}`,
+    `  last seen: ${
+      online.length > 0
+        ? colors.green('online')
+        : new Date(player.lastSeen).toLocaleString()
+    }`,
+    `  playtime: ${formatDuration(player.playtime)}`,
+    `  sessions: ${player.sessions}`,
+    `  rooms: ${player.rooms.join(', ')}`,
+    `  online in: ${online.join(', ') || '-'}`,
+  ].join('\n');
+}
+
+/**
+ * Returns a string representation of a logged chat message.
+ *
+ * @param {ChatMessage} message - The message.
+ * @returns {string} - The message.
+ */
+function chatMessageToString(message) {
+  const time = new Date(message.time).toLocaleString();
+  return (
+    `[${time}] ${colors.gray(message.roomId)} ` +
+    `${colors.cyan(message.name)} (auth: ${message.auth || '-'}): ` +
+    `${message.message}`
+  );
+}
+
+/**
+ * Returns a string representation of a saved recording.
+ *
+ * @param {Recording} recording - The recording.
+ * @returns {string} - The recording.
+ */
+function recordingToString(recording) {
+  const info = recording.info || {};
+  const size = `${Math.ceil(recording.size / 1024)} KB`;
+  let string = `${colors.cyan(recording.fileName)} (${size})`;
+  if (info.score) {
+    string +=
+      ` - ${colors.red(`red ${info.score.red}`)} - ` +
+      `${colors.blue(`${info.score.blue} blue`)}`;
+  }
+  if (info.teams) {
+    const names = (players) => players.map((p) => p.name).join(', ') || '-';
+    string += `\n  red: ${names(info.teams.red)}`;
+    string += `\n  blue: ${names(info.teams.blue)}`;
+  }
+  return string;
+}
+
 module.exports = {
   doesRoomHavePlayer,
+  resolvePlayer,
+  resolveKnownPlayer,
+  unquote,
   pluginDataToString,
+  parseDuration,
+  banToString,
+  muteToString,
+  playerStatsToString,
+  playerRecordToString,
+  recordingToString,
+  chatMessageToString,
 };
@@ -0,0 +1,166 @@
+const net = require('net');
+const readline = require('readline');
+const { send, receive } = require('./protocol');
+
+/**
+ * Client for controlling a haxroomie daemon through its control socket.
+ */
+class ControlClient {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.socketPath - Path of the daemons Unix socket.
+   */
+  constructor(opt) {
+    opt = opt || {};
+    if (!opt.socketPath) throw new TypeError('invalid arguments');
+    this.socketPath = opt.socketPath;
+    this.socket = null;
+  }
+
+  /**
+   * Connects to the daemon.
+   * @private
+   */
+  async connect() {
+    this.socket = await new Promise((resolve, reject) => {
+      const socket = net.connect(this.socketPath);
+      socket.once('connect', () => resolve(socket));
+      socket.once('error', (err) => {
+        if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+          reject(
+            new Error(
+              `Could not connect to ${this.socketPath}. ` +
+                `Is haxroomie running with --daemon?`
+            )
+          );
+          return;
+        }
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Attaches to the daemon and passes the commands typed in the terminal to
+   * it until the user detaches with CTRL+D or CTRL+C or the daemon exits.
+   * @returns {Promise.<number>} - Exit code for the process.
+   */
+  async attach() {
+    await this.connect();
+    const socket = this.socket;
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    const clear = () => {
+      readline.clearLine(process.stdout, 0);
+      readline.cursorTo(process.stdout, 0);
+    };
+
+    receive(socket, (message) => {
+      switch (message.type) {
+        case 'print':
+          clear();
+          console.log(message.message);
+          rl.prompt(true);
+          break;
+        case 'prompt':
+          rl.setPrompt(message.prompt);
+          rl.prompt(true);
+          break;
+        case 'question':
+          clear();
+          rl.question(message.question, (answer) => {
+            send(socket, { type: 'answer', id: message.id, answer });
+          });
+          break;
+        case 'detach':
+          rl.close();
+          break;
+      }
+    });
+
+    rl.on('line', (line) => send(socket, { type: 'line', line }));
+    rl.on('SIGINT', () => rl.close());
+
+    send(socket, { type: 'attach' });
+
+    return new Promise((resolve) => {
+      let detached = false;
+      rl.on('close', () => {
+        detached = true;
+        clear();
+        console.log('Detached from haxroomie. The rooms keep running.');
+        socket.end();
+        resolve(0);
+      });
+      socket.on('close', () => {
+        if (detached) return;
+        clear();
+        console.log('Haxroomie daemon closed the connection.');
+        rl.close();
+      });
+    });
+  }
+
+  /**
+   * Executes one command in the daemon and prints its output.
+   *
+   * If the command asks a question, it is asked in the terminal. When there
+   * is no terminal, the question is left to the attached clients.
+   *
+   * @param {string} line - The command and its arguments.
+   * @returns {Promise.<number>} - Exit code for the process.
+   */
+  async exec(line) {
+    await this.connect();
+    const socket = this.socket;
+
+    return new Promise((resolve) => {
+      let exitCode = 1;
+
+      receive(socket, (message) => {
+        switch (message.type) {
+          case 'print':
+            console.log(message.message);
+            break;
+          case 'question':
+            this.answerQuestion(message);
+            break;
+          case 'done':
+            exitCode = message.success ? 0 : 1;
+            socket.end();
+            break;
+        }
+      });
+
+      socket.on('close', () => resolve(exitCode));
+      send(socket, { type: 'line', line });
+    });
+  }
+
+  /**
+   * @private
+   */
+  answerQuestion({ id, question }) {
+    if (!process.stdin.isTTY) {
+      console.error(
+        `The command needs input: "${question}". ` +
+          `Answer it in an attached session (haxroomie attach).`
+      );
+      this.socket.destroy();
+      return;
+    }
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    rl.question(question, (answer) => {
+      rl.close();
+      send(this.socket, { type: 'answer', id, answer });
+    });
+  }
+}
+
+module.exports = ControlClient;
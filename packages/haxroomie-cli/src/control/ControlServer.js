@@ -0,0 +1,264 @@
+const net = require('net');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { logger } = require('haxroomie-core');
+const { send, receive } = require('./protocol');
+
+/**
+ * Unix socket server that lets `haxroomie attach` and `haxroomie exec`
+ * clients control haxroomie when it runs as a daemon.
+ *
+ * All the clients share the same session (like the clients of a tmux
+ * session do). The output of the session is sent to every attached client.
+ * Output of a command is also sent to the client that executed it even if it
+ * is not attached.
+ */
+class ControlServer {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.socketPath - Path of the Unix socket.
+   * @param {function} opt.onLine - Function that executes the given line.
+   *    Should return a Promise that resolves to `true` if the command
+   *    succeeded.
+   */
+  constructor(opt) {
+    opt = opt || {};
+    if (!opt.socketPath) throw new TypeError('invalid arguments');
+    if (!opt.onLine) throw new TypeError('invalid arguments');
+
+    this.socketPath = opt.socketPath;
+    this.onLine = opt.onLine;
+    this.server = null;
+    this.clients = new Set();
+    this.prompt = '> ';
+    this.questions = new Map();
+    this.nextQuestionId = 1;
+    // Client that sent the command that is being executed.
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Starts listening to the socket.
+   *
+   * Removes the socket file if it was left behind by a daemon that is not
+   * running anymore.
+   */
+  async start() {
+    if (this.server) return;
+    await this.removeStaleSocket();
+
+    const server = net.createServer((socket) => this.onConnection(socket));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.socketPath, resolve);
+    });
+    fs.chmodSync(this.socketPath, 0o600);
+    this.server = server;
+  }
+
+  /**
+   * Disconnects the clients and stops listening to the socket.
+   */
+  async stop() {
+    if (!this.server) return;
+    for (let client of this.clients) {
+      client.socket.destroy();
+    }
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Removes the socket file synchronously. Can be called from the
+   * `exit` event of the process.
+   */
+  removeSocket() {
+    try {
+      fs.unlinkSync(this.socketPath);
+    } catch (err) {
+      // Socket was already removed.
+    }
+  }
+
+  /**
+   * @private
+   */
+  async removeStaleSocket() {
+    if (!fs.existsSync(this.socketPath)) return;
+    const inUse = await new Promise((resolve) => {
+      const socket = net.connect(this.socketPath);
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve(true);
+      });
+      socket.once('error', () => resolve(false));
+    });
+    if (inUse) {
+      throw new Error(`Haxroomie is already running in ${this.socketPath}`);
+    }
+    this.removeSocket();
+  }
+
+  /**
+   * Is the command that is being executed sent by an attached client.
+   * @returns {boolean}
+   */
+  canDetach() {
+    const client = this.context.getStore();
+    return !!client && client.attached;
+  }
+
+  /**
+   * Tells the client that executed the current command to detach.
+   */
+  detach() {
+    const client = this.context.getStore();
+    if (client) send(client.socket, { type: 'detach' });
+  }
+
+  /**
+   * Sends the message to the attached clients and to the client that
+   * executed the current command.
+   * @param {string} message - The message.
+   */
+  print(message) {
+    for (let client of this.getRecipients()) {
+      send(client.socket, { type: 'print', message });
+    }
+  }
+
+  /**
+   * Sets the prompt of the attached clients.
+   * @param {string} prompt - The prompt string.
+   */
+  setPrompt(prompt) {
+    this.prompt = prompt;
+    for (let client of this.clients) {
+      if (client.attached) send(client.socket, { type: 'prompt', prompt });
+    }
+  }
+
+  /**
+   * Asks a question from the client that executed the current command. If
+   * the question was not asked during a command, the first attached client
+   * to answer it gets to decide.
+   *
+   * Waits until a client gets attached if there are none.
+   *
+   * @param {string} question - Question to ask.
+   * @returns {Promise.<string>} - The answer.
+   */
+  question(question) {
+    return new Promise((resolve) => {
+      const id = this.nextQuestionId++;
+      const q = { id, question, client: this.context.getStore(), resolve };
+      this.questions.set(id, q);
+      this.deliverQuestion(q);
+    });
+  }
+
+  /**
+   * @private
+   */
+  getRecipients() {
+    const recipients = new Set();
+    for (let client of this.clients) {
+      if (client.attached) recipients.add(client);
+    }
+    const client = this.context.getStore();
+    if (client && this.clients.has(client)) recipients.add(client);
+    return recipients;
+  }
+
+  /**
+   * @private
+   */
+  deliverQuestion(q) {
+    const message = { type: 'question', id: q.id, question: q.question };
+    if (q.client) {
+      send(q.client.socket, message);
+      return;
+    }
+    for (let client of this.clients) {
+      if (client.attached) send(client.socket, message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  onAnswer(client, { id, answer }) {
+    const q = this.questions.get(id);
+    if (!q) return;
+    this.questions.delete(id);
+    q.resolve(typeof answer === 'string' ? answer : '');
+    this.setPrompt(this.prompt);
+  }
+
+  /**
+   * @private
+   */
+  onConnection(socket) {
+    const client = { socket, attached: false };
+    this.clients.add(client);
+    logger.debug('ControlServer: client connected');
+
+    socket.on('error', (err) => logger.debug(`ControlServer: ${err.message}`));
+    socket.on('close', () => this.onClose(client));
+    receive(socket, (message) => this.onMessage(client, message));
+  }
+
+  /**
+   * @private
+   */
+  onClose(client) {
+    this.clients.delete(client);
+    logger.debug('ControlServer: client disconnected');
+
+    // Let the attached clients answer the questions that were asked from
+    // the client that left.
+    for (let q of this.questions.values()) {
+      if (q.client === client) {
+        q.client = null;
+        this.deliverQuestion(q);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  onMessage(client, message) {
+    switch (message.type) {
+      case 'attach':
+        client.attached = true;
+        send(client.socket, { type: 'prompt', prompt: this.prompt });
+        for (let q of this.questions.values()) {
+          if (!q.client) this.deliverQuestion(q);
+        }
+        break;
+      case 'line':
+        this.executeLine(client, String(message.line));
+        break;
+      case 'answer':
+        this.onAnswer(client, message);
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async executeLine(client, line) {
+    let success = false;
+    try {
+      success = await this.context.run(client, () => this.onLine(line));
+    } catch (err) {
+      logger.error(err.stack);
+    }
+    send(client.socket, { type: 'done', success: success !== false });
+  }
+}
+
+module.exports = ControlServer;
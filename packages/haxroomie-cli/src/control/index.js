@@ -0,0 +1,7 @@
+const ControlServer = require('./ControlServer');
+const ControlClient = require('./ControlClient');
+
+module.exports = {
+  ControlServer,
+  ControlClient,
+};
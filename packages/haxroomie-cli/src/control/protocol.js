@@ -0,0 +1,59 @@
+/**
+ * Helpers for the protocol that the daemon and the attached clients use to
+ * communicate over the control socket.
+ *
+ * Messages are JSON objects separated by newlines. Each message has a `type`
+ * property.
+ *
+ * Client to daemon:
+ * - `attach` - start receiving the output of the session
+ * - `line` (`line`) - execute a command
+ * - `answer` (`id`, `answer`) - answer to a question
+ *
+ * Daemon to client:
+ * - `print` (`message`) - output of the session
+ * - `prompt` (`prompt`) - the prompt changed
+ * - `question` (`id`, `question`) - the session needs input from the user
+ * - `done` (`success`) - command sent by this client finished
+ * - `detach` - client should disconnect
+ */
+const readline = require('readline');
+
+/**
+ * Sends a message to the socket.
+ * @param {net.Socket} socket - Socket to send the message to.
+ * @param {object} message - The message.
+ */
+function send(socket, message) {
+  if (socket.destroyed || !socket.writable) return;
+  socket.write(JSON.stringify(message) + '\n');
+}
+
+/**
+ * Calls `onMessage` for each message received from the socket.
+ * Lines that are not valid JSON are ignored.
+ * @param {net.Socket} socket - Socket to read the messages from.
+ * @param {function} onMessage - Function that receives the messages.
+ */
+function receive(socket, onMessage) {
+  const lines = readline.createInterface({
+    input: socket,
+    crlfDelay: Infinity,
+  });
+  // Errors of the socket are handled by the socket listeners.
+  lines.on('error', () => {});
+  lines.on('line', (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      return;
+    }
+    if (message && typeof message.type === 'string') onMessage(message);
+  });
+}
+
+module.exports = {
+  send,
+  receive,
+};
@@ -0,0 +1,204 @@
+require('./setup');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const { createHaxroomie } = require('haxroomie-core');
+const commandPrompt = require('../src/command-prompt');
+const GameCommands = require('../src/command/handlers/GameCommands');
+
+describe('GameCommands', function () {
+  let haxroomie, room, gameCommands, print;
+
+  function addPlayer(name) {
+    return room.eval(
+      (name) => window.haxballStandIn.addPlayer({ name }).id,
+      name
+    );
+  }
+
+  async function getTeams() {
+    const players = await room.callRoom('getPlayerList');
+    const teams = {};
+    for (let p of players) {
+      if (p && p.id !== 0) teams[p.name] = p.team;
+    }
+    return teams;
+  }
+
+  /**
+   * Executes the command and returns the printed errors.
+   */
+  async function execute(line) {
+    print.resetHistory();
+    await gameCommands.execute(line);
+    return print
+      .getCalls()
+      .filter((call) => call.args[1] === 'ERROR')
+      .map((call) => call.args[0]);
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    // The commands are run against the offline stand-in of HaxBall.
+    haxroomie = await createHaxroomie({
+      offline: true,
+      downloadDirectory: path.join(os.tmpdir(), 'haxroomie-test-downloads'),
+      executablePath: process.env.HR_EXECUTABLE_PATH,
+      noSandbox: !!process.env.HR_NO_SANDBOX,
+    });
+    room = await haxroomie.addRoom('game');
+    await room.openRoom({
+      token: 'offline-token',
+      roomName: 'game',
+      disableDefaultPlugins: true,
+    });
+    gameCommands = new GameCommands({ roomContext: { room } });
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  beforeEach(function () {
+    print = sinon.stub(commandPrompt, 'print');
+  });
+
+  afterEach(async function () {
+    print.restore();
+    await room.callRoom('stopGame');
+  });
+
+  describe('team', function () {
+    it('should move the player to the team', async function () {
+      const id = await addPlayer('mover');
+      expect(await execute(`team ${id} red`)).to.be.empty;
+      expect((await getTeams()).mover).to.equal(1);
+      expect(await execute(`team ${id} B`)).to.be.empty;
+      expect((await getTeams()).mover).to.equal(2);
+      expect(await execute(`team ${id} spec`)).to.be.empty;
+      expect((await getTeams()).mover).to.equal(0);
+    });
+
+    it('should validate the id and the team', async function () {
+      const id = await addPlayer('stayer');
+      expect(await execute(`team abc red`)).to.deep.equal([
+        'Player ID has to be a number!',
+      ]);
+      expect(await execute(`team ${id} green`)).to.deep.equal([
+        'Team has to be red, blue or spec!',
+      ]);
+      expect(await execute(`team 999 red`)).to.deep.equal([
+        'no player with id: 999',
+      ]);
+      expect((await getTeams()).stayer).to.equal(0);
+    });
+  });
+
+  describe('scorelimit and timelimit', function () {
+    it('should set the limits', async function () {
+      const callRoom = sinon.spy(room, 'callRoom');
+      try {
+        expect(await execute('scorelimit 5')).to.be.empty;
+        expect(await execute('timelimit 0')).to.be.empty;
+        expect(callRoom.calledWith('setScoreLimit', 5)).to.be.true;
+        expect(callRoom.calledWith('setTimeLimit', 0)).to.be.true;
+      } finally {
+        callRoom.restore();
+      }
+    });
+
+    it('should not accept invalid limits', async function () {
+      expect(await execute('scorelimit many')).to.deep.equal([
+        'Score limit has to be a number!',
+      ]);
+      expect(await execute('scorelimit -1')).to.deep.equal([
+        'Score limit has to be a number!',
+      ]);
+      expect(await execute('timelimit soon')).to.deep.equal([
+        'Time limit has to be a number!',
+      ]);
+    });
+
+    it('should not change the limits during a game', async function () {
+      await room.callRoom('startGame');
+      expect(await execute('scorelimit 3')).to.deep.equal([
+        'Stop the game first!',
+      ]);
+      expect(await execute('timelimit 3')).to.deep.equal([
+        'Stop the game first!',
+      ]);
+    });
+  });
+
+  describe('teamslock and recaptcha', function () {
+    it('should accept only on and off', async function () {
+      expect(await execute('teamslock on')).to.be.empty;
+      expect(await execute('recaptcha OFF')).to.be.empty;
+      expect(await execute('teamslock maybe')).to.deep.equal([
+        'Give on or off!',
+      ]);
+      expect(await execute('recaptcha 2')).to.deep.equal(['Give on or off!']);
+    });
+  });
+
+  describe('teamcolors', function () {
+    it('should validate the team, the angle and the colors', async function () {
+      expect(await execute('teamcolors red 60 FFFFFF #ff0000')).to.be.empty;
+      expect(await execute('teamcolors spec 60 FFFFFF FF0000')).to.deep.equal([
+        'Team has to be red or blue!',
+      ]);
+      expect(await execute('teamcolors blue up FFFFFF FF0000')).to.deep.equal([
+        'Angle has to be a number!',
+      ]);
+      expect(await execute('teamcolors blue 0 FFFFFF red')).to.deep.equal([
+        'Colors have to be hex values like FF0000!',
+      ]);
+      expect(await execute('teamcolors blue 0 FFFFFF 1 2 3 4')).to.deep.equal([
+        'Give at most 3 colors!',
+      ]);
+    });
+  });
+
+  describe('swap, shuffle and fillteams', function () {
+    beforeEach(async function () {
+      const players = await room.callRoom('getPlayerList');
+      for (let p of players) {
+        if (p && p.id !== 0) await room.callRoom('kickPlayer', p.id, '', false);
+      }
+    });
+
+    it('should fill and swap the teams', async function () {
+      for (let name of ['p1', 'p2', 'p3', 'p4', 'p5']) await addPlayer(name);
+      expect(await execute('fillteams 0')).to.deep.equal([
+        'Max has to be a positive number!',
+      ]);
+      expect(await execute('fillteams 2')).to.be.empty;
+      expect(await getTeams()).to.deep.equal({
+        p1: 1,
+        p2: 2,
+        p3: 1,
+        p4: 2,
+        p5: 0,
+      });
+      expect(await execute('swap')).to.be.empty;
+      expect(await getTeams()).to.deep.equal({
+        p1: 2,
+        p2: 1,
+        p3: 2,
+        p4: 1,
+        p5: 0,
+      });
+    });
+
+    it('should shuffle the players into even teams', async function () {
+      for (let name of ['p1', 'p2', 'p3', 'p4']) await addPlayer(name);
+      await execute('fillteams');
+      expect(await execute('shuffle')).to.be.empty;
+      const teams = Object.values(await getTeams());
+      expect(teams.filter((t) => t === 1)).to.have.lengthOf(2);
+      expect(teams.filter((t) => t === 2)).to.have.lengthOf(2);
+    });
+  });
+});
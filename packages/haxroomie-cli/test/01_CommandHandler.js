@@ -0,0 +1,46 @@
+require('./setup');
+const expect = require('chai').expect;
+
+const {
+  InvalidCommandError,
+  InvalidCommandArgsError,
+} = require('../src/errors');
+const RoleCommands = require('../src/command/handlers/RoleCommands');
+
+describe('CommandHandler', function () {
+  let roleCommands;
+
+  before(function () {
+    roleCommands = new RoleCommands({
+      roomContext: { room: { running: true } },
+    });
+  });
+
+  describe('#parseLine', function () {
+    it('should not parse the auths starting with a dash as options', async function () {
+      const { args } = await roleCommands.parseLine(
+        'addrole -AbC_def123 admin'
+      );
+      expect(args).to.deep.equal(['-AbC_def123', 'admin']);
+    });
+
+    it('should keep the words in quotes together', async function () {
+      const { args } = await roleCommands.parseLine(`addrole "a b" 'c d'`);
+      expect(args).to.deep.equal(['a b', 'c d']);
+    });
+
+    it('should keep the numbers as strings', async function () {
+      const { args } = await roleCommands.parseLine('delrole 5 admin');
+      expect(args).to.deep.equal(['5', 'admin']);
+    });
+
+    it('should reject invalid commands and missing arguments', async function () {
+      await expect(roleCommands.parseLine('nosuchcommand')).to.be.rejectedWith(
+        InvalidCommandError
+      );
+      await expect(roleCommands.parseLine('addrole -AbC')).to.be.rejectedWith(
+        InvalidCommandArgsError
+      );
+    });
+  });
+});
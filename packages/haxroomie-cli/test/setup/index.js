@@ -0,0 +1,4 @@
+process.env.NODE_ENV = 'test';
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
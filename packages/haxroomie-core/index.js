@@ -2,6 +2,26 @@
 
 require('dotenv').config();
 const Haxroomie = require('./src/Haxroomie');
+const { NodePlugin } = require('./src/room');
+const RoomSupervisor = require('./src/RoomSupervisor');
+const BanList = require('./src/BanList');
+const MuteList = require('./src/MuteList');
+const RoleList = require('./src/RoleList');
+const MatchHistory = require('./src/MatchHistory');
+const PlayerRegistry = require('./src/PlayerRegistry');
+const ChatLog = require('./src/ChatLog');
+const StadiumLibrary = require('./src/StadiumLibrary');
+const {
+  TokenProvider,
+  FileTokenProvider,
+  EnvTokenProvider,
+  CommandTokenProvider,
+  TokenProviderChain,
+  createTokenProvider,
+} = require('./src/token');
+const ApiServer = require('./src/api/ApiServer');
+const MetricsCollector = require('./src/metrics/MetricsCollector');
+const MetricsServer = require('./src/metrics/MetricsServer');
 const logger = require('./src/logger');
 
 /**
@@ -23,5 +43,23 @@ async function createHaxroomie(options) {
 module.exports = {
   Haxroomie,
   createHaxroomie,
+  NodePlugin,
+  RoomSupervisor,
+  BanList,
+  MuteList,
+  RoleList,
+  MatchHistory,
+  PlayerRegistry,
+  ChatLog,
+  StadiumLibrary,
+  TokenProvider,
+  FileTokenProvider,
+  EnvTokenProvider,
+  CommandTokenProvider,
+  TokenProviderChain,
+  createTokenProvider,
+  ApiServer,
+  MetricsCollector,
+  MetricsServer,
   logger,
 };
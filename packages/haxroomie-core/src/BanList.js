@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { writeFileAtomic } = require('./utils');
+
+/**
+ * Emitted when a ban is added.
+ * @event BanList#ban-added
+ * @param {Ban} ban - The added ban.
+ */
+
+/**
+ * Emitted when a ban is removed.
+ * @event BanList#ban-removed
+ * @param {Ban} ban - The removed ban.
+ */
+
+/**
+ * Object describing a ban.
+ *
+ * @typedef {Object} Ban
+ * @property {number} id - Id of the ban.
+ * @property {string} [auth] - Banned player auth.
+ * @property {string} [conn] - Banned player connection (hex encoded IP
+ *    address).
+ * @property {string} [name] - Name of the player when the ban was added.
+ * @property {string} [reason] - Reason for the ban.
+ * @property {string} [issuer] - Who added the ban.
+ * @property {number} createdAt - When the ban was added (milliseconds since
+ *    epoch).
+ * @property {number|null} expiresAt - When the ban expires (milliseconds
+ *    since epoch) or `null` if the ban is permanent.
+ */
+
+/**
+ * List of bans saved in a JSON file.
+ *
+ * The bans match players by auth or connection, so the same list can be
+ * shared between rooms. Pass the list to the
+ * [Haxroomie constructor]{@link Haxroomie} to enforce the bans in every room.
+ *
+ * Expired bans are ignored and removed from the file the next time it is
+ * saved.
+ */
+class BanList extends EventEmitter {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.path - Path to the JSON file where the bans are
+   *    saved. Created when the first ban is added.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.path) throw new TypeError('invalid arguments');
+    this.path = path.resolve(process.cwd(), opt.path);
+    this.bans = new Map();
+    this.nextId = 1;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads the bans from the file. Missing file means there are no bans.
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`Could not load the bans from ${this.path}: ${err}`);
+    }
+    this.bans = new Map();
+    for (let ban of data.bans || []) {
+      this.bans.set(ban.id, ban);
+    }
+    this.nextId = data.nextId || 1;
+  }
+
+  /**
+   * Adds a ban. At least one of `auth` or `conn` is required.
+   *
+   * @param {object} opt - Ban properties.
+   * @param {string} [opt.auth] - Auth of the player.
+   * @param {string} [opt.conn] - Connection of the player.
+   * @param {string} [opt.name] - Name of the player.
+   * @param {string} [opt.reason] - Reason for the ban.
+   * @param {string} [opt.issuer] - Who added the ban.
+   * @param {number} [opt.duration] - Duration of the ban in milliseconds.
+   *    The ban is permanent if not given.
+   * @returns {Ban} - The added ban.
+   *
+   * @emits BanList#ban-added
+   */
+  async add({ auth, conn, name, reason, issuer, duration } = {}) {
+    if (!auth && !conn) {
+      throw new TypeError('auth or conn is required for a ban');
+    }
+    if (duration !== undefined && !(duration > 0)) {
+      throw new TypeError('duration has to be a positive number');
+    }
+    const now = Date.now();
+    const ban = {
+      id: this.nextId++,
+      auth,
+      conn,
+      name,
+      reason,
+      issuer,
+      createdAt: now,
+      expiresAt: duration ? now + duration : null,
+    };
+    this.bans.set(ban.id, ban);
+    await this.save();
+    this.emit('ban-added', { ...ban });
+    return { ...ban };
+  }
+
+  /**
+   * Removes a ban.
+   *
+   * @param {number} id - Id of the ban.
+   * @returns {Ban|null} - The removed ban or `null` if there was no active
+   *    ban with the id.
+   *
+   * @emits BanList#ban-removed
+   */
+  async remove(id) {
+    const ban = this.get(id);
+    if (!ban) return null;
+    this.bans.delete(ban.id);
+    await this.save();
+    this.emit('ban-removed', ban);
+    return ban;
+  }
+
+  /**
+   * Returns the active ban with the given id.
+   *
+   * @param {number} id - Id of the ban.
+   * @returns {Ban|null} - The ban or `null` if there is no active ban with
+   *    the id.
+   */
+  get(id) {
+    const ban = this.bans.get(id);
+    if (!ban || !this.isActive(ban)) return null;
+    return { ...ban };
+  }
+
+  /**
+   * Returns the active bans ordered by their ids.
+   *
+   * @returns {Array.<Ban>} - The bans.
+   */
+  getBans() {
+    const now = Date.now();
+    return [...this.bans.values()]
+      .filter((ban) => this.isActive(ban, now))
+      .map((ban) => ({ ...ban }));
+  }
+
+  /**
+   * Finds the active ban that matches the auth or connection of a player.
+   *
+   * @param {object} player - The player.
+   * @param {string} [player.auth] - Auth of the player.
+   * @param {string} [player.conn] - Connection of the player.
+   * @returns {Ban|null} - The matching ban or `null` if the player is not
+   *    banned.
+   */
+  findBan({ auth, conn } = {}) {
+    for (let ban of this.getBans()) {
+      if (auth && ban.auth === auth) return ban;
+      if (conn && ban.conn === conn) return ban;
+    }
+    return null;
+  }
+
+  /**
+   * Searches the active bans. A ban matches if its name, auth, conn, reason
+   * or issuer contains the query (case insensitive).
+   *
+   * @param {string} query - Text to search for.
+   * @returns {Array.<Ban>} - The matching bans.
+   */
+  search(query) {
+    query = `${query}`.toLowerCase();
+    return this.getBans().filter((ban) => {
+      return ['name', 'auth', 'conn', 'reason', 'issuer'].some((prop) => {
+        return ban[prop] && `${ban[prop]}`.toLowerCase().includes(query);
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  isActive(ban, now = Date.now()) {
+    return !ban.expiresAt || ban.expiresAt > now;
+  }
+
+  /**
+   * Writes the active bans to the file.
+   * @private
+   */
+  save() {
+    const data = JSON.stringify(
+      { nextId: this.nextId, bans: this.getBans() },
+      null,
+      2
+    );
+    this.saving = writeFileAtomic(this.path, data, this.saving);
+    return this.saving;
+  }
+}
+
+module.exports = BanList;
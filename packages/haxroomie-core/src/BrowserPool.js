@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+/**
+ * Emitted when a browser that was launched by the pool disconnects
+ * without being closed by the pool (e.g. it crashed or got killed).
+ * @event BrowserPool#browser-disconnected
+ * @param {object} data - Data.
+ * @param {number} data.index - Index of the browser.
+ * @param {Array.<string|number>} data.roomIds - Ids of the rooms that were
+ *    running in the browser.
+ */
+
+/**
+ * Spreads the rooms across multiple browsers.
+ *
+ * Each browser gets at most `roomsPerBrowser` rooms. New browsers are
+ * launched when the existing ones are full and closed when their last room
+ * is released. The main browser of [Haxroomie]{@link Haxroomie} can be
+ * added to the pool with [addBrowser]{@link BrowserPool#addBrowser}, so
+ * it gets filled first, but the pool never closes it.
+ *
+ * A crash of a browser takes down only the rooms running in it.
+ */
+class BrowserPool extends EventEmitter {
+  /**
+   * @param {object} opt - Options.
+   * @param {function} opt.launch - Async function that launches a new
+   *    browser and returns the Puppeteer.Browser object. Gets the index of
+   *    the browser as an argument. Indexes start from 1 and are reused after
+   *    the browser closes.
+   * @param {number} [opt.roomsPerBrowser=Infinity] - Max number of rooms
+   *    in one browser.
+   */
+  constructor({ launch, roomsPerBrowser = Infinity } = {}) {
+    super();
+    if (typeof launch !== 'function') {
+      throw new TypeError('Missing required argument: launch');
+    }
+    if (!(roomsPerBrowser >= 1)) {
+      throw new TypeError('roomsPerBrowser has to be a positive number');
+    }
+    this.launch = launch;
+    this.roomsPerBrowser = roomsPerBrowser;
+    /** Browsers by index. Index 0 is the browser added with addBrowser. */
+    this.entries = new Map();
+    // Resolves when the browser that is being launched is ready.
+    this.launching = Promise.resolve();
+  }
+
+  /**
+   * Adds a browser that was launched elsewhere to the pool as the first
+   * browser. The pool does not close it.
+   *
+   * @param {object} browser - Puppeteer.Browser object.
+   */
+  addBrowser(browser) {
+    this.entries.set(0, { browser, roomIds: new Set(), owned: false });
+  }
+
+  /**
+   * Removes the browser that was added with
+   * [addBrowser]{@link BrowserPool#addBrowser} from the pool, e.g. when
+   * it disconnected. The pool does not close it.
+   *
+   * @param {object} browser - Puppeteer.Browser object.
+   */
+  removeBrowser(browser) {
+    const entry = this.entries.get(0);
+    if (entry && entry.browser === browser) this.entries.delete(0);
+  }
+
+  /**
+   * Marks the room as running in the given browser of the pool, e.g. when
+   * the room was recovered from the browser.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @param {object} browser - Puppeteer.Browser object in the pool.
+   */
+  reserve(roomId, browser) {
+    for (let entry of this.entries.values()) {
+      if (entry.browser === browser) entry.roomIds.add(roomId);
+    }
+  }
+
+  /**
+   * Returns the browsers of the pool and the ids of the rooms running in
+   * them.
+   *
+   * @returns {Array.<object>} - Objects with the `index`, `browser` and
+   *    `roomIds` properties.
+   */
+  getBrowsers() {
+    return [...this.entries].map(([index, { browser, roomIds }]) => ({
+      index,
+      browser,
+      roomIds: [...roomIds],
+    }));
+  }
+
+  /**
+   * Returns the browser the room was assigned to.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @returns {?object} - Puppeteer.Browser object or `null`.
+   */
+  getBrowser(roomId) {
+    for (let { browser, roomIds } of this.entries.values()) {
+      if (roomIds.has(roomId)) return browser;
+    }
+    return null;
+  }
+
+  /**
+   * Assigns the room to a browser that has room for it. Launches a new
+   * browser if all of them are full.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @returns {Promise.<object>} - Puppeteer.Browser object.
+   */
+  async acquire(roomId) {
+    // Launch one browser at a time, so the rooms added at the same time
+    // fill the new browser instead of each launching their own.
+    const acquiring = this.launching.then(() => this.assign(roomId));
+    this.launching = acquiring.catch(() => {});
+    return acquiring;
+  }
+
+  /**
+   * @private
+   */
+  async assign(roomId) {
+    const existing = this.getBrowser(roomId);
+    if (existing) return existing;
+
+    for (let entry of this.entries.values()) {
+      if (entry.roomIds.size < this.roomsPerBrowser) {
+        entry.roomIds.add(roomId);
+        return entry.browser;
+      }
+    }
+
+    let index = 1;
+    while (this.entries.has(index)) index++;
+    const browser = await this.launch(index);
+    const entry = { browser, roomIds: new Set([roomId]), owned: true };
+    this.entries.set(index, entry);
+    browser.once('disconnected', () => {
+      if (this.entries.get(index) !== entry) return;
+      this.entries.delete(index);
+      logger.error(`Browser ${index} of the browser pool disconnected!`);
+      this.emit('browser-disconnected', {
+        index,
+        roomIds: [...entry.roomIds],
+      });
+    });
+    logger.debug(`BrowserPool: launched browser ${index}`);
+    return browser;
+  }
+
+  /**
+   * Releases the room from its browser. Closes the browser if it was
+   * launched by the pool and has no rooms left.
+   *
+   * @param {string|number} roomId - Id of the room.
+   */
+  async release(roomId) {
+    for (let [index, entry] of this.entries) {
+      if (!entry.roomIds.delete(roomId)) continue;
+      if (entry.owned && entry.roomIds.size === 0) {
+        this.entries.delete(index);
+        await this.closeBrowser(entry.browser);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Closes the browsers launched by the pool and empties the pool.
+   */
+  async close() {
+    const entries = [...this.entries.values()];
+    this.entries.clear();
+    for (let entry of entries) {
+      if (entry.owned) await this.closeBrowser(entry.browser);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async closeBrowser(browser) {
+    try {
+      await browser.close();
+    } catch (err) {
+      logger.debug(`BrowserPool: ${err}`);
+    }
+  }
+}
+
+module.exports = BrowserPool;
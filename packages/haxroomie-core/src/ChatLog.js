@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+/**
+ * Emitted when a message has been added to the log.
+ * @event ChatLog#message
+ * @param {ChatMessage} message - The message.
+ */
+
+/**
+ * Chat message of a player.
+ *
+ * @typedef {Object} ChatMessage
+ * @property {number} time - When the message was sent (milliseconds since
+ *    epoch).
+ * @property {string|number} roomId - Id of the room.
+ * @property {number} id - Id of the player in the room.
+ * @property {string} name - Name of the player.
+ * @property {?string} auth - Auth of the player.
+ * @property {?string} conn - Connection of the player.
+ * @property {string} message - The message.
+ */
+
+/**
+ * Filters for searching the chat.
+ *
+ * @typedef {Object} ChatQuery
+ * @property {string|number} [roomId] - Only the messages of the room.
+ *    Searches all the rooms if not given.
+ * @property {string} [player] - Auth or connection of the player or a part
+ *    of the name (case insensitive).
+ * @property {string} [text] - Part of the message (case insensitive).
+ * @property {number} [since] - Only the messages sent at or after the time
+ *    (milliseconds since epoch).
+ * @property {number} [until] - Only the messages sent before the time
+ *    (milliseconds since epoch).
+ * @property {number} [limit=100] - Max number of messages. The newest ones
+ *    are returned.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const LOG_EXTENSION = '.jsonl';
+
+/**
+ * Chat of the rooms saved as JSONL files.
+ *
+ * Each room has its own directory named after the room id and a new file
+ * is started every day (in UTC): `<room id>/<YYYY-MM-DD>.jsonl`. The files
+ * older than `maxAge` are removed when a new file is started. Pass the log
+ * to the [Haxroomie constructor]{@link Haxroomie} to log the chat of every
+ * room.
+ */
+class ChatLog extends EventEmitter {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.directory - Directory for the chat logs.
+   * @param {number} [opt.maxAge] - Max age of the log files to keep in
+   *    milliseconds. The files are kept forever if not given.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.directory) throw new TypeError('invalid arguments');
+    if (
+      opt.maxAge !== undefined &&
+      (typeof opt.maxAge !== 'number' || opt.maxAge <= 0)
+    ) {
+      throw new TypeError('maxAge should be a positive number');
+    }
+    this.directory = path.resolve(process.cwd(), opt.directory);
+    this.maxAge = opt.maxAge;
+    this.writing = Promise.resolve();
+    /** Current file of each room. */
+    this.files = new Map();
+  }
+
+  /**
+   * Adds a message to the log of the room.
+   *
+   * @param {ChatMessage} message - The message. `time` defaults to now.
+   * @returns {Promise.<ChatMessage>} - The message that was added.
+   *
+   * @emits ChatLog#message
+   */
+  async add({ time, roomId, id, name, auth, conn, message }) {
+    if (typeof message !== 'string') {
+      throw new TypeError('message should be a string');
+    }
+    const entry = {
+      time: time || Date.now(),
+      roomId,
+      id,
+      name,
+      auth: auth || null,
+      conn: conn || null,
+      message,
+    };
+    const write = () => this.write(entry);
+    this.writing = this.writing.then(write, write);
+    await this.writing;
+    this.emit('message', entry);
+    return entry;
+  }
+
+  /**
+   * Searches the chat. The newest files are read first until there are
+   * enough messages.
+   *
+   * @param {ChatQuery} [query] - Filters.
+   * @returns {Promise.<Array.<ChatMessage>>} - The messages from the oldest
+   *    to the newest.
+   */
+  async search(query) {
+    const { roomId, player, text, since, until, limit = 100 } = query || {};
+    await this.writing.catch(() => {});
+
+    const roomIds =
+      roomId === undefined || roomId === null
+        ? await this.getRoomDirectories()
+        : [encodeURIComponent(roomId)];
+    let files = [];
+    for (let room of roomIds) {
+      for (let fileName of await this.getLogFiles(room)) {
+        const day = Date.parse(path.basename(fileName, LOG_EXTENSION));
+        if (since !== undefined && day + DAY <= since) continue;
+        if (until !== undefined && day >= until) continue;
+        files.push({
+          day,
+          filePath: path.join(this.directory, room, fileName),
+        });
+      }
+    }
+    files.sort((a, b) => b.day - a.day);
+
+    const lowerPlayer = player ? `${player}`.toLowerCase() : null;
+    const lowerText = text ? `${text}`.toLowerCase() : null;
+    const matches = (entry) => {
+      if (since !== undefined && entry.time < since) return false;
+      if (until !== undefined && entry.time >= until) return false;
+      if (
+        lowerPlayer &&
+        entry.auth !== player &&
+        entry.conn !== player &&
+        !`${entry.name}`.toLowerCase().includes(lowerPlayer)
+      ) {
+        return false;
+      }
+      if (lowerText && !entry.message.toLowerCase().includes(lowerText)) {
+        return false;
+      }
+      return true;
+    };
+
+    let messages = [];
+    for (let i = 0; i < files.length; i++) {
+      messages.push(
+        ...(await this.readFile(files[i].filePath)).filter(matches)
+      );
+      // The files of the same day in other rooms can have newer messages.
+      const nextDay = i + 1 < files.length ? files[i + 1].day : null;
+      if (messages.length >= limit && nextDay !== files[i].day) break;
+    }
+    messages.sort((a, b) => a.time - b.time);
+    return messages.slice(Math.max(messages.length - limit, 0));
+  }
+
+  /**
+   * Returns the latest messages of a room.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @param {number} [limit=50] - Max number of messages.
+   * @returns {Promise.<Array.<ChatMessage>>} - The messages from the oldest
+   *    to the newest.
+   */
+  getRecent(roomId, limit = 50) {
+    return this.search({ roomId, limit });
+  }
+
+  /**
+   * Removes the log files older than `maxAge`.
+   *
+   * @returns {Promise.<number>} - Number of removed files.
+   */
+  async prune() {
+    if (!this.maxAge) return 0;
+    const oldest = Date.now() - this.maxAge;
+    let removed = 0;
+    for (let room of await this.getRoomDirectories()) {
+      for (let fileName of await this.getLogFiles(room)) {
+        const day = Date.parse(path.basename(fileName, LOG_EXTENSION));
+        if (day + DAY > oldest) continue;
+        await fs.promises.unlink(path.join(this.directory, room, fileName));
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Appends the message to the file of the day. Starting a new file
+   * removes the old ones.
+   * @private
+   */
+  async write(entry) {
+    const room = encodeURIComponent(entry.roomId);
+    const fileName = `${new Date(entry.time)
+      .toISOString()
+      .slice(0, 10)}${LOG_EXTENSION}`;
+    const filePath = path.join(this.directory, room, fileName);
+    if (this.files.get(room) !== filePath) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      this.files.set(room, filePath);
+      try {
+        await this.prune();
+      } catch (err) {
+        logger.error(`Could not remove the old chat logs: ${err}`);
+      }
+    }
+    await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * @private
+   */
+  async getRoomDirectories() {
+    try {
+      const entries = await fs.promises.readdir(this.directory, {
+        withFileTypes: true,
+      });
+      return entries.filter((e) => e.isDirectory()).map((e) => e.name);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getLogFiles(room) {
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(path.join(this.directory, room));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return fileNames.filter((fileName) => {
+      return /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(fileName);
+    });
+  }
+
+  /**
+   * @private
+   */
+  async readFile(filePath) {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const messages = [];
+    for (let line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        messages.push(JSON.parse(line));
+      } catch (err) {
+        logger.warn(`Skipping invalid line in ${filePath}`);
+      }
+    }
+    return messages;
+  }
+}
+
+module.exports = ChatLog;
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+/**
+ * Emitted when a match is added.
+ * @event MatchHistory#match-added
+ * @param {Match} match - The added match.
+ */
+
+/**
+ * Player in a [Match]{@link Match}.
+ *
+ * @typedef {Object} MatchPlayer
+ * @property {?string} auth - Auth of the player.
+ * @property {string} name - Name of the player.
+ */
+
+/**
+ * Goal in a [Match]{@link Match}.
+ *
+ * @typedef {Object} MatchGoal
+ * @property {number} team - Team that got the goal (1 = red, 2 = blue).
+ * @property {number} time - Milliseconds from the start of the match.
+ * @property {?MatchPlayer} scorer - Player who touched the ball last or
+ *    `null` if nobody touched it.
+ * @property {?MatchPlayer} assist - Player of the scoring team who touched
+ *    the ball before the scorer.
+ * @property {boolean} ownGoal - Did the scorer kick the ball into the own
+ *    goal.
+ */
+
+/**
+ * Record of a match.
+ *
+ * @typedef {Object} Match
+ * @property {string} id - Id of the match.
+ * @property {string|number} roomId - Id of the room where the match was
+ *    played.
+ * @property {number} startedAt - When the match started (milliseconds since
+ *    epoch).
+ * @property {number} endedAt - When the match ended (milliseconds since
+ *    epoch).
+ * @property {number} duration - Length of the match in milliseconds.
+ * @property {boolean} completed - Did the match end with a victory instead
+ *    of being stopped.
+ * @property {?number} winner - Team that won (1 = red, 2 = blue) or `null`
+ *    for a draw.
+ * @property {object} score - Goals of the teams.
+ * @property {number} score.red - Goals of the red team.
+ * @property {number} score.blue - Goals of the blue team.
+ * @property {object} teams - Players of the teams. Players who joined the
+ *    team during the match are included.
+ * @property {Array.<MatchPlayer>} teams.red - Players of the red team.
+ * @property {Array.<MatchPlayer>} teams.blue - Players of the blue team.
+ * @property {Array.<MatchGoal>} goals - Goals in the order they were
+ *    scored.
+ */
+
+/**
+ * Statistics of a player.
+ *
+ * @typedef {Object} PlayerStats
+ * @property {string} auth - Auth of the player.
+ * @property {string} name - Name the player had in the latest match.
+ * @property {number} matches - Matches played.
+ * @property {number} wins - Matches won.
+ * @property {number} losses - Matches lost.
+ * @property {number} draws - Matches that ended in a draw.
+ * @property {number} goals - Goals scored.
+ * @property {number} assists - Goals assisted.
+ * @property {number} ownGoals - Goals scored into the own goal.
+ */
+
+/**
+ * Statistics that the leaderboards can be sorted by.
+ * @private
+ */
+const LEADERBOARD_STATS = [
+  'goals',
+  'assists',
+  'wins',
+  'matches',
+  'losses',
+  'draws',
+  'ownGoals',
+];
+
+/**
+ * History of matches saved in a JSONL file (one match per line).
+ *
+ * The players are identified by their auth, so the statistics of a player
+ * are combined from all the rooms that share the history. Pass the history
+ * to the [Haxroomie constructor]{@link Haxroomie} to record the matches of
+ * every room.
+ */
+class MatchHistory extends EventEmitter {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.path - Path to the JSONL file where the matches are
+   *    saved. Created when the first match is added.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.path) throw new TypeError('invalid arguments');
+    this.path = path.resolve(process.cwd(), opt.path);
+    this.matches = [];
+    this.stats = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads the matches from the file. Missing file means there are no
+   * matches. Lines that can not be parsed (e.g. a line that was left half
+   * written) are skipped.
+   */
+  async load() {
+    let data;
+    try {
+      data = await fs.promises.readFile(this.path, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`Could not load the matches from ${this.path}: ${err}`);
+    }
+    this.matches = [];
+    this.stats = new Map();
+    data.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      let match;
+      try {
+        match = JSON.parse(line);
+      } catch (err) {
+        logger.warn(`Skipping invalid line ${i + 1} in ${this.path}`);
+        return;
+      }
+      this.matches.push(match);
+      this.addStats(match);
+    });
+  }
+
+  /**
+   * Adds a match and appends it to the file.
+   *
+   * @param {Match} match - The match.
+   * @returns {Match} - The added match.
+   *
+   * @emits MatchHistory#match-added
+   */
+  async add(match) {
+    if (!match || !match.id || !match.teams) {
+      throw new TypeError('invalid match');
+    }
+    match = JSON.parse(JSON.stringify(match));
+    this.matches.push(match);
+    this.addStats(match);
+    await this.append(match);
+    this.emit('match-added', match);
+    return match;
+  }
+
+  /**
+   * Returns the matches ordered from the newest to the oldest.
+   *
+   * @param {object} [opt] - Options.
+   * @param {string} [opt.auth] - Return only the matches of the player with
+   *    this auth.
+   * @param {string|number} [opt.roomId] - Return only the matches of the
+   *    room.
+   * @param {number} [opt.limit=Infinity] - Max number of matches to return.
+   * @returns {Array.<Match>} - The matches.
+   */
+  getMatches({ auth, roomId, limit = Infinity } = {}) {
+    const result = [];
+    for (let i = this.matches.length - 1; i >= 0; i--) {
+      if (result.length >= limit) break;
+      const match = this.matches[i];
+      if (roomId !== undefined && match.roomId !== roomId) continue;
+      if (auth && !getPlayers(match).some((p) => p.auth === auth)) continue;
+      result.push(match);
+    }
+    return result;
+  }
+
+  /**
+   * Returns the statistics of a player.
+   *
+   * @param {string} auth - Auth of the player.
+   * @returns {PlayerStats|null} - The statistics or `null` if the player
+   *    has not played any matches.
+   */
+  getPlayerStats(auth) {
+    const stats = this.stats.get(auth);
+    return stats ? { ...stats } : null;
+  }
+
+  /**
+   * Returns the players with the most of the given statistic.
+   *
+   * @param {string} [stat='goals'] - One of `goals`, `assists`, `wins`,
+   *    `matches`, `losses`, `draws` or `ownGoals`.
+   * @param {object} [opt] - Options.
+   * @param {number} [opt.limit=10] - Max number of players to return.
+   * @returns {Array.<PlayerStats>} - The statistics of the players ordered
+   *    by the statistic.
+   */
+  getLeaderboard(stat = 'goals', { limit = 10 } = {}) {
+    if (!LEADERBOARD_STATS.includes(stat)) {
+      throw new TypeError(
+        `stat has to be one of: ${LEADERBOARD_STATS.join(', ')}`
+      );
+    }
+    return [...this.stats.values()]
+      .filter((s) => s[stat] > 0)
+      .sort((a, b) => b[stat] - a[stat] || a.matches - b.matches)
+      .slice(0, limit)
+      .map((s) => ({ ...s }));
+  }
+
+  /**
+   * Adds the match to the statistics of its players.
+   * @private
+   */
+  addStats(match) {
+    for (let team of [1, 2]) {
+      const players = team === 1 ? match.teams.red : match.teams.blue;
+      for (let player of players) {
+        const stats = this.getOrCreateStats(player);
+        if (!stats) continue;
+        stats.matches++;
+        if (match.winner === null) stats.draws++;
+        else if (match.winner === team) stats.wins++;
+        else stats.losses++;
+      }
+    }
+    for (let goal of match.goals) {
+      const scorer = this.getOrCreateStats(goal.scorer);
+      if (scorer && goal.ownGoal) scorer.ownGoals++;
+      else if (scorer) scorer.goals++;
+      const assist = this.getOrCreateStats(goal.assist);
+      if (assist) assist.assists++;
+    }
+  }
+
+  /**
+   * @private
+   */
+  getOrCreateStats(player) {
+    if (!player || !player.auth) return null;
+    let stats = this.stats.get(player.auth);
+    if (!stats) {
+      stats = {
+        auth: player.auth,
+        name: player.name,
+        matches: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        goals: 0,
+        assists: 0,
+        ownGoals: 0,
+      };
+      this.stats.set(player.auth, stats);
+    }
+    stats.name = player.name;
+    return stats;
+  }
+
+  /**
+   * Appends the match to the file. Writes happen one at a time, so the
+   * lines do not get mixed.
+   * @private
+   */
+  append(match) {
+    const line = `${JSON.stringify(match)}\n`;
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.appendFile(this.path, line);
+    };
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+}
+
+function getPlayers(match) {
+  return [...match.teams.red, ...match.teams.blue];
+}
+
+module.exports = MatchHistory;
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { writeFileAtomic } = require('./utils');
+
+/**
+ * Emitted when a player is muted or the mute of a player is replaced.
+ * @event MuteList#mute-added
+ * @param {Mute} mute - The added mute.
+ */
+
+/**
+ * Emitted when a mute is removed.
+ * @event MuteList#mute-removed
+ * @param {Mute} mute - The removed mute.
+ */
+
+/**
+ * Object describing a mute.
+ *
+ * @typedef {Object} Mute
+ * @property {string} auth - Auth of the muted player.
+ * @property {string} [name] - Name of the player when the player was muted.
+ * @property {string} [reason] - Reason for the mute.
+ * @property {string} [issuer] - Who muted the player.
+ * @property {number} createdAt - When the player was muted (milliseconds
+ *    since epoch).
+ * @property {number|null} expiresAt - When the mute expires (milliseconds
+ *    since epoch) or `null` if the mute is permanent.
+ */
+
+/**
+ * List of muted players saved in a JSON file.
+ *
+ * The players are muted by auth, so they stay muted when they rejoin and the
+ * same list can be shared between rooms. Pass the list to the
+ * [Haxroomie constructor]{@link Haxroomie} to mute the players in every
+ * room.
+ *
+ * Expired mutes are ignored and removed from the file the next time it is
+ * saved.
+ */
+class MuteList extends EventEmitter {
+  /**
+   * @param {object} [opt] - Options.
+   * @param {string} [opt.path] - Path to the JSON file where the mutes are
+   *    saved. Created when the first player is muted. The mutes are only
+   *    kept in memory if not given.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    this.path = opt.path ? path.resolve(process.cwd(), opt.path) : null;
+    /** Mutes by auth. */
+    this.mutes = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads the mutes from the file. Missing file means there are no mutes.
+   */
+  async load() {
+    if (!this.path) return;
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`Could not load the mutes from ${this.path}: ${err}`);
+    }
+    this.mutes = new Map();
+    for (let mute of data.mutes || []) {
+      this.mutes.set(mute.auth, mute);
+    }
+  }
+
+  /**
+   * Mutes a player. Replaces the previous mute of the player.
+   *
+   * @param {object} opt - Mute properties.
+   * @param {string} opt.auth - Auth of the player.
+   * @param {string} [opt.name] - Name of the player.
+   * @param {string} [opt.reason] - Reason for the mute.
+   * @param {string} [opt.issuer] - Who muted the player.
+   * @param {number} [opt.duration] - Duration of the mute in milliseconds.
+   *    The mute is permanent if not given.
+   * @returns {Mute} - The added mute.
+   *
+   * @emits MuteList#mute-added
+   */
+  async add({ auth, name, reason, issuer, duration } = {}) {
+    if (!auth || typeof auth !== 'string') {
+      throw new TypeError('auth is required for a mute');
+    }
+    if (duration !== undefined && !(duration > 0)) {
+      throw new TypeError('duration has to be a positive number');
+    }
+    const now = Date.now();
+    const mute = {
+      auth,
+      name,
+      reason,
+      issuer,
+      createdAt: now,
+      expiresAt: duration ? now + duration : null,
+    };
+    // Keep the newest mute last.
+    this.mutes.delete(auth);
+    this.mutes.set(auth, mute);
+    await this.save();
+    this.emit('mute-added', { ...mute });
+    return { ...mute };
+  }
+
+  /**
+   * Unmutes a player.
+   *
+   * @param {string} auth - Auth of the player.
+   * @returns {Mute|null} - The removed mute or `null` if the player was not
+   *    muted.
+   *
+   * @emits MuteList#mute-removed
+   */
+  async remove(auth) {
+    const mute = this.get(auth);
+    if (!mute) return null;
+    this.mutes.delete(auth);
+    await this.save();
+    this.emit('mute-removed', mute);
+    return mute;
+  }
+
+  /**
+   * Returns the active mute of a player.
+   *
+   * @param {string} auth - Auth of the player.
+   * @returns {Mute|null} - The mute or `null` if the player is not muted.
+   */
+  get(auth) {
+    const mute = this.mutes.get(auth);
+    if (!mute || !this.isActive(mute)) return null;
+    return { ...mute };
+  }
+
+  /**
+   * Returns the active mutes from the oldest to the newest.
+   *
+   * @returns {Array.<Mute>} - The mutes.
+   */
+  getMutes() {
+    const now = Date.now();
+    return [...this.mutes.values()]
+      .filter((mute) => this.isActive(mute, now))
+      .map((mute) => ({ ...mute }));
+  }
+
+  /**
+   * @private
+   */
+  isActive(mute, now = Date.now()) {
+    return !mute.expiresAt || mute.expiresAt > now;
+  }
+
+  /**
+   * Writes the active mutes to the file.
+   * @private
+   */
+  save() {
+    if (!this.path) return Promise.resolve();
+    const data = JSON.stringify({ mutes: this.getMutes() }, null, 2);
+    this.saving = writeFileAtomic(this.path, data, this.saving);
+    return this.saving;
+  }
+}
+
+module.exports = MuteList;
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { writeFileAtomic } = require('./utils');
+
+/**
+ * Emitted when a player joins a room.
+ * @event PlayerRegistry#player-seen
+ * @param {PlayerRecord} player - Record of the player.
+ */
+
+/**
+ * Everything known about a player.
+ *
+ * @typedef {Object} PlayerRecord
+ * @property {string} auth - Auth of the player.
+ * @property {string} name - Name the player used last.
+ * @property {Array.<string>} names - Names the player has used from the
+ *    oldest to the newest.
+ * @property {Array.<string>} conns - Connections the player has joined
+ *    from.
+ * @property {Array.<string>} ips - IP addresses decoded from the
+ *    connections.
+ * @property {Array.<string|number>} rooms - Ids of the rooms the player has
+ *    visited.
+ * @property {number} firstSeen - When the player joined the first time
+ *    (milliseconds since epoch).
+ * @property {number} lastSeen - When the player was last seen in a room
+ *    (milliseconds since epoch).
+ * @property {number} sessions - How many times the player has joined.
+ * @property {number} playtime - Total time spent in the rooms in
+ *    milliseconds. Includes the ongoing sessions.
+ * @property {Array.<{roomId: string|number, id: number}>} online - Rooms the
+ *    player is in and the player ids in them.
+ */
+
+/**
+ * Registry of the players that have joined the rooms saved in a JSON file.
+ *
+ * The players are identified by their auth, so the names, connections and
+ * playtime of a player are combined from all the rooms that share the
+ * registry. Pass the registry to the [Haxroomie constructor]{@link Haxroomie}
+ * to record the players of every room.
+ */
+class PlayerRegistry extends EventEmitter {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.path - Path to the JSON file where the players are
+   *    saved. Created when the first player joins.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.path) throw new TypeError('invalid arguments');
+    this.path = path.resolve(process.cwd(), opt.path);
+    this.players = new Map();
+    /** Ongoing sessions by `<room id>/<player id>`. */
+    this.sessions = new Map();
+    this.saving = Promise.resolve();
+    this.saveQueued = false;
+  }
+
+  /**
+   * Decodes the connection of a player to an IP address. HaxBall gives the
+   * connection as the hex encoded characters of the address.
+   *
+   * @param {string} conn - Connection of the player.
+   * @returns {string|null} - The IP address or `null` if the connection
+   *    can not be decoded.
+   */
+  static decodeConn(conn) {
+    if (typeof conn !== 'string' || !/^([0-9a-f]{2})+$/i.test(conn)) {
+      return null;
+    }
+    const ip = Buffer.from(conn, 'hex').toString('latin1');
+    return /^[0-9a-f.:]+$/i.test(ip) ? ip : null;
+  }
+
+  /**
+   * Loads the players from the file. Missing file means there are no
+   * players.
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`Could not load the players from ${this.path}: ${err}`);
+    }
+    this.players = new Map();
+    for (let player of data.players || []) {
+      this.players.set(player.auth, player);
+    }
+  }
+
+  /**
+   * Records a player joining a room. Players without an auth are ignored.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @param {object} player - The player from the `onPlayerJoin` event.
+   * @param {number} player.id - Id of the player.
+   * @param {string} player.name - Name of the player.
+   * @param {string} player.auth - Auth of the player.
+   * @param {string} [player.conn] - Connection of the player.
+   * @returns {PlayerRecord|null} - Record of the player or `null` if the
+   *    player has no auth.
+   *
+   * @emits PlayerRegistry#player-seen
+   */
+  onPlayerJoin(roomId, { id, name, auth, conn } = {}) {
+    if (!auth) return null;
+    const now = Date.now();
+    this.endSession(roomId, id, now);
+
+    let player = this.players.get(auth);
+    if (!player) {
+      player = {
+        auth,
+        name,
+        names: [],
+        conns: [],
+        ips: [],
+        rooms: [],
+        firstSeen: now,
+        lastSeen: now,
+        sessions: 0,
+        playtime: 0,
+      };
+      this.players.set(auth, player);
+    }
+    player.name = name;
+    player.lastSeen = now;
+    player.sessions++;
+    // The newest names and connections are last.
+    moveToEnd(player.names, name);
+    if (conn) {
+      moveToEnd(player.conns, conn);
+      const ip = PlayerRegistry.decodeConn(conn);
+      if (ip) moveToEnd(player.ips, ip);
+    }
+    if (!player.rooms.includes(roomId)) player.rooms.push(roomId);
+
+    this.sessions.set(sessionKey(roomId, id), { roomId, id, auth, since: now });
+    this.saveInBackground();
+    const record = this.get(auth);
+    this.emit('player-seen', record);
+    return record;
+  }
+
+  /**
+   * Records a player leaving a room.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @param {object} player - The player from the `onPlayerLeave` event.
+   * @param {number} player.id - Id of the player.
+   */
+  onPlayerLeave(roomId, { id } = {}) {
+    if (this.endSession(roomId, id, Date.now())) this.saveInBackground();
+  }
+
+  /**
+   * Ends the sessions of all the players in a room, e.g. when the room
+   * closes.
+   *
+   * @param {string|number} roomId - Id of the room.
+   */
+  endSessions(roomId) {
+    const now = Date.now();
+    let ended = false;
+    for (let session of [...this.sessions.values()]) {
+      if (session.roomId !== roomId) continue;
+      ended = this.endSession(roomId, session.id, now) || ended;
+    }
+    if (ended) this.saveInBackground();
+  }
+
+  /**
+   * Returns the player with the given auth.
+   *
+   * @param {string} auth - Auth of the player.
+   * @returns {PlayerRecord|null} - The player or `null` if the player has
+   *    not joined any room.
+   */
+  get(auth) {
+    const player = this.players.get(auth);
+    if (!player) return null;
+    const now = Date.now();
+    const record = JSON.parse(JSON.stringify(player));
+    record.online = [];
+    for (let session of this.sessions.values()) {
+      if (session.auth !== auth) continue;
+      record.playtime += now - session.since;
+      record.online.push({ roomId: session.roomId, id: session.id });
+    }
+    return record;
+  }
+
+  /**
+   * Returns the player that is in the room with the given id.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @param {number} id - Id of the player.
+   * @returns {PlayerRecord|null} - The player or `null` if there is no
+   *    such player in the room.
+   */
+  getByPlayerId(roomId, id) {
+    const session = this.sessions.get(sessionKey(roomId, id));
+    return session ? this.get(session.auth) : null;
+  }
+
+  /**
+   * Finds the players by auth, name or IP address. A player with the exact
+   * auth is returned alone. Otherwise the players who have used the name
+   * (case insensitive) or the IP address are returned.
+   *
+   * @param {string} query - Auth, name or IP address.
+   * @returns {Array.<PlayerRecord>} - The players ordered from the most
+   *    recently seen.
+   */
+  find(query) {
+    query = `${query}`;
+    if (this.players.has(query)) return [this.get(query)];
+    const lowerCase = query.toLowerCase();
+    return [...this.players.values()]
+      .filter((player) => {
+        return (
+          player.names.some((name) => name.toLowerCase() === lowerCase) ||
+          player.ips.includes(query)
+        );
+      })
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .map((player) => this.get(player.auth));
+  }
+
+  /**
+   * Finds the possible alt accounts of a player: other players who have
+   * joined from the same IP address or connection.
+   *
+   * @param {string} auth - Auth of the player.
+   * @returns {Array.<PlayerRecord>} - The other players ordered from the
+   *    most recently seen.
+   */
+  findAlts(auth) {
+    const player = this.players.get(auth);
+    if (!player) return [];
+    const conns = new Set(player.conns);
+    const ips = new Set(player.ips);
+    return [...this.players.values()]
+      .filter((other) => {
+        if (other.auth === auth) return false;
+        return (
+          other.conns.some((conn) => conns.has(conn)) ||
+          other.ips.some((ip) => ips.has(ip))
+        );
+      })
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .map((other) => this.get(other.auth));
+  }
+
+  /**
+   * Adds the length of the session to the playtime of the player.
+   *
+   * @returns {boolean} - Was there a session to end.
+   * @private
+   */
+  endSession(roomId, id, now) {
+    const key = sessionKey(roomId, id);
+    const session = this.sessions.get(key);
+    if (!session) return false;
+    this.sessions.delete(key);
+    const player = this.players.get(session.auth);
+    if (player) {
+      player.playtime += now - session.since;
+      player.lastSeen = now;
+    }
+    return true;
+  }
+
+  /**
+   * Saves the players without waiting for the write. Failed writes are
+   * logged.
+   * @private
+   */
+  saveInBackground() {
+    this.save().catch((err) => {
+      logger.error(`Could not save the players to ${this.path}: ${err}`);
+    });
+  }
+
+  /**
+   * Writes the players to the file. Changes made while the file is being
+   * written are saved with one more write.
+   *
+   * @returns {Promise} - Resolves when the players have been written.
+   */
+  save() {
+    if (this.saveQueued) return this.saving;
+    this.saveQueued = true;
+    const data = () => {
+      this.saveQueued = false;
+      return JSON.stringify({ players: [...this.players.values()] });
+    };
+    this.saving = writeFileAtomic(this.path, data, this.saving);
+    return this.saving;
+  }
+}
+
+function sessionKey(roomId, id) {
+  return `${roomId}/${id}`;
+}
+
+/**
+ * Moves the value to the end of the array or adds it if it is missing.
+ * @private
+ */
+function moveToEnd(array, value) {
+  const i = array.indexOf(value);
+  if (i !== -1) array.splice(i, 1);
+  array.push(value);
+}
+
+module.exports = PlayerRegistry;
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { writeFileAtomic } = require('./utils');
+
+/**
+ * Emitted when the roles or the players in them change.
+ * @event RoleList#roles-changed
+ */
+
+/**
+ * Object describing a role.
+ *
+ * @typedef {Object} Role
+ * @property {string} name - Name of the role.
+ * @property {string|null} password - Password the players can use to get
+ *    the role with `!auth <role> <password>` or `null` if the role can only
+ *    be given to the players.
+ * @property {Array.<{auth: string, name: string}>} players - Players that
+ *    have the role. The name is the name of the player when the role was
+ *    given.
+ */
+
+/**
+ * Roles of a room and the players that have them saved in a JSON file.
+ *
+ * The players are identified by their auth, so the roles can be given to
+ * players that are not in the room. Pass the list to the
+ * [RoomController constructor]{@link RoomController} to give the roles to
+ * the players in the room. A player with the `admin` role gets admin rights
+ * in the room.
+ */
+class RoleList extends EventEmitter {
+  /**
+   * @param {object} [opt] - Options.
+   * @param {string} [opt.path] - Path to the JSON file where the roles are
+   *    saved. Created when the first role is added. The roles are only kept
+   *    in memory if not given.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    this.path = opt.path ? path.resolve(process.cwd(), opt.path) : null;
+    /** Passwords of the roles by role name. */
+    this.roles = new Map();
+    /** Players by auth. */
+    this.players = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads the roles from the file. Missing file means there are no roles.
+   */
+  async load() {
+    if (!this.path) return;
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`Could not load the roles from ${this.path}: ${err}`);
+    }
+    this.roles = new Map();
+    this.players = new Map();
+    for (let role of data.roles || []) {
+      this.roles.set(role.name, role.password || null);
+    }
+    for (let player of data.players || []) {
+      const roles = (player.roles || []).filter((r) => this.roles.has(r));
+      if (roles.length === 0) continue;
+      this.players.set(player.auth, { ...player, roles });
+    }
+    this.emit('roles-changed');
+  }
+
+  /**
+   * Adds a role or changes the password of an existing role.
+   *
+   * @param {string} name - Name of the role. Can not contain whitespace.
+   * @param {string} [password] - Password for the role. Without a password
+   *    the role can only be given to the players.
+   * @returns {Role} - The role.
+   *
+   * @emits RoleList#roles-changed
+   */
+  async addRole(name, password) {
+    validateRoleName(name);
+    if (password !== undefined && password !== null) {
+      if (typeof password !== 'string') {
+        throw new TypeError('password has to be a string');
+      }
+    }
+    this.roles.set(name, password || null);
+    await this.save();
+    this.emit('roles-changed');
+    return this.getRole(name);
+  }
+
+  /**
+   * Removes a role from the list and from all the players.
+   *
+   * @param {string} name - Name of the role.
+   * @returns {Role|null} - The removed role or `null` if there was no role
+   *    with the name.
+   *
+   * @emits RoleList#roles-changed
+   */
+  async removeRole(name) {
+    const role = this.getRole(name);
+    if (!role) return null;
+    this.roles.delete(name);
+    for (let player of role.players) {
+      this.removeFromPlayer(player.auth, name);
+    }
+    await this.save();
+    this.emit('roles-changed');
+    return role;
+  }
+
+  /**
+   * Returns the role with the given name.
+   *
+   * @param {string} name - Name of the role.
+   * @returns {Role|null} - The role or `null` if there is no role with the
+   *    name.
+   */
+  getRole(name) {
+    if (!this.roles.has(name)) return null;
+    const players = [...this.players.values()]
+      .filter((p) => p.roles.includes(name))
+      .map((p) => ({ auth: p.auth, name: p.name }));
+    return { name, password: this.roles.get(name), players };
+  }
+
+  /**
+   * Returns the roles ordered by the time they were added.
+   *
+   * @returns {Array.<Role>} - The roles.
+   */
+  getRoles() {
+    return [...this.roles.keys()].map((name) => this.getRole(name));
+  }
+
+  /**
+   * Returns the roles of a player.
+   *
+   * @param {string} auth - Auth of the player.
+   * @returns {Array.<string>} - Names of the roles.
+   */
+  getPlayerRoles(auth) {
+    const player = this.players.get(auth);
+    return player ? [...player.roles] : [];
+  }
+
+  /**
+   * Gives a role to a player or removes it. The player does not have to be
+   * in the room.
+   *
+   * @param {string} auth - Auth of the player.
+   * @param {string} role - Name of the role.
+   * @param {boolean} [state=true] - `true` to give the role and `false` to
+   *    remove it.
+   * @param {string} [name] - Name of the player.
+   * @returns {Array.<string>} - The roles of the player.
+   * @throws {TypeError} - There is no such role.
+   *
+   * @emits RoleList#roles-changed
+   */
+  async setPlayerRole(auth, role, state = true, name) {
+    if (!auth || typeof auth !== 'string') {
+      throw new TypeError('auth has to be a string');
+    }
+    if (!this.roles.has(role)) {
+      throw new TypeError(`There is no role named ${role}`);
+    }
+    if (state) {
+      const player = this.players.get(auth) || { auth, roles: [] };
+      if (name) player.name = name;
+      if (!player.roles.includes(role)) player.roles.push(role);
+      this.players.set(auth, player);
+    } else {
+      this.removeFromPlayer(auth, role);
+    }
+    await this.save();
+    this.emit('roles-changed');
+    return this.getPlayerRoles(auth);
+  }
+
+  /**
+   * @private
+   */
+  removeFromPlayer(auth, role) {
+    const player = this.players.get(auth);
+    if (!player) return;
+    player.roles = player.roles.filter((r) => r !== role);
+    if (player.roles.length === 0) this.players.delete(auth);
+  }
+
+  /**
+   * Writes the roles to the file.
+   * @private
+   */
+  save() {
+    if (!this.path) return this.saving;
+    const data = JSON.stringify(
+      {
+        roles: [...this.roles].map(([name, password]) => ({ name, password })),
+        players: [...this.players.values()],
+      },
+      null,
+      2
+    );
+    this.saving = writeFileAtomic(this.path, data, this.saving);
+    return this.saving;
+  }
+}
+
+/**
+ * @private
+ */
+function validateRoleName(name) {
+  if (typeof name !== 'string' || !name || /\s/.test(name)) {
+    throw new TypeError('role name has to be a string without whitespace');
+  }
+}
+
+module.exports = RoleList;
@@ -0,0 +1,495 @@
+const EventEmitter = require('events');
+const colors = require('colors');
+const logger = require('./logger');
+const { TokenRequiredError } = require('./errors');
+
+/**
+ * Restart policy of a room.
+ *
+ * @typedef {Object} RestartPolicy
+ * @property {number} [maxRetries=5] - How many times to try restarting the
+ *    room before giving up.
+ * @property {number} [initialDelay=1000] - Milliseconds to wait before the
+ *    first restart attempt.
+ * @property {number} [maxDelay=60000] - Max milliseconds to wait between the
+ *    restart attempts.
+ * @property {number} [factor=2] - The delay gets multiplied by this after
+ *    each failed attempt.
+ * @property {number} [cooldown=600000] - If the room has been running this
+ *    many milliseconds since it was last restarted, the attempts are counted
+ *    from zero again.
+ */
+
+/**
+ * Emitted when a restart of a room has been scheduled.
+ * @event RoomSupervisor#restart-scheduled
+ * @param {string|number} roomId - Id of the room.
+ * @param {object} info - Information about the restart.
+ * @param {number} info.attempt - Number of the attempt.
+ * @param {number} info.delay - Milliseconds until the attempt.
+ * @param {string} info.reason - Why the room is restarted. One of
+ *    `page-crash`, `page-closed`, `browser-disconnected`,
+ *    `roomlink-missing`, `token-changed` or `room-unresponsive`.
+ */
+
+/**
+ * Emitted when a room was restarted.
+ * @event RoomSupervisor#room-restarted
+ * @param {string|number} roomId - Id of the room.
+ * @param {object} info - Information about the restart.
+ * @param {number} info.attempt - Number of the attempt.
+ * @param {RoomController} info.room - The new RoomController.
+ * @param {object} [info.roomInfo] - Information about the reopened room.
+ *    Undefined if the room was not running.
+ */
+
+/**
+ * Emitted when an attempt to restart a room failed.
+ * @event RoomSupervisor#restart-failed
+ * @param {string|number} roomId - Id of the room.
+ * @param {object} info - Information about the restart.
+ * @param {number} info.attempt - Number of the attempt.
+ * @param {Error} info.error - The error that made the attempt fail.
+ */
+
+/**
+ * Emitted when a room was not restarted because it ran out of attempts.
+ * @event RoomSupervisor#restart-gave-up
+ * @param {string|number} roomId - Id of the room.
+ * @param {object} info - Information about the restarts.
+ * @param {number} info.attempts - Number of failed attempts.
+ * @param {string} info.reason - Why the room was restarted.
+ */
+
+/**
+ * Restarts the rooms of a [Haxroomie]{@link Haxroomie} instance when their
+ * browser tab crashes or closes, the browser exits or the room link
+ * disappears from the HaxBall headless page.
+ *
+ * The crashed RoomController is replaced with a new one using
+ * [Haxroomie#recreateRoom]{@link Haxroomie#recreateRoom}. If the room was
+ * running, it is opened again with the config it was last opened with.
+ *
+ * Closing a room with [RoomController#closeRoom]{@link RoomController#closeRoom}
+ * or removing it with [Haxroomie#removeRoom]{@link Haxroomie#removeRoom}
+ * does not trigger a restart.
+ *
+ * The rooms are reopened with the tokens from the
+ * [TokenProvider]{@link TokenProvider} if one is given. Tokens that HaxBall
+ * rejects are passed to its `invalidateToken` method. If the provider has no
+ * token, the room is restarted when the provider emits `token-changed`.
+ *
+ * e.g.
+ * ```js
+ * const supervisor = new RoomSupervisor({ haxroomie });
+ * supervisor.on('room-restarted', (roomId) => console.log(`${roomId} is back`));
+ * supervisor.start();
+ * supervisor.supervise('room1', { maxRetries: 10 });
+ * ```
+ */
+class RoomSupervisor extends EventEmitter {
+  /**
+   * @param {object} opt - Options.
+   * @param {Haxroomie} opt.haxroomie - Haxroomie instance whose rooms to
+   *    supervise.
+   * @param {RestartPolicy} [opt.policy] - Default restart policy for the
+   *    rooms.
+   * @param {TokenProvider} [opt.tokenProvider] - Supplies the tokens for
+   *    reopening the rooms. If not given, the rooms are reopened with the
+   *    token they were last opened with.
+   * @param {number} [opt.checkInterval=30000] - How often to check that the
+   *    room links are still in the pages (milliseconds).
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.haxroomie) throw new TypeError('invalid arguments');
+
+    this.haxroomie = opt.haxroomie;
+    this.policy = {
+      maxRetries: 5,
+      initialDelay: 1000,
+      maxDelay: 60000,
+      factor: 2,
+      cooldown: 600000,
+      ...opt.policy,
+    };
+    this.tokenProvider = opt.tokenProvider;
+    this.checkInterval = opt.checkInterval || 30000;
+
+    this.rooms = new Map();
+    this.checkTimer = null;
+    this.browserLaunch = null;
+    this.started = false;
+
+    this.onRoomAdded = this.onRoomAdded.bind(this);
+    this.onRoomRemoved = this.onRoomRemoved.bind(this);
+    this.onBrowserDisconnected = this.onBrowserDisconnected.bind(this);
+  }
+
+  /**
+   * Starts watching the supervised rooms.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.haxroomie.on('room-added', this.onRoomAdded);
+    this.haxroomie.on('room-removed', this.onRoomRemoved);
+    this.haxroomie.on('browser-disconnected', this.onBrowserDisconnected);
+    for (let state of this.rooms.values()) {
+      this.watchRoom(state);
+      this.watchTokenProvider(state);
+    }
+    this.checkTimer = setInterval(
+      () => this.checkRoomLinks(),
+      this.checkInterval
+    );
+  }
+
+  /**
+   * Stops watching the rooms and cancels the scheduled restarts.
+   */
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    this.haxroomie.off('room-added', this.onRoomAdded);
+    this.haxroomie.off('room-removed', this.onRoomRemoved);
+    this.haxroomie.off('browser-disconnected', this.onBrowserDisconnected);
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+    for (let state of this.rooms.values()) {
+      clearTimeout(state.timer);
+      state.timer = null;
+      this.unwatchRoom(state);
+      this.unwatchTokenProvider(state);
+    }
+  }
+
+  /**
+   * Starts supervising the room with the given id. The room does not have to
+   * exist yet.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @param {object} [options] - Restart policy for the room. Overrides the
+   *    default policy given in the constructor.
+   * @param {object} [options.config] - Config to reopen the room with if it
+   *    is already running (e.g. it was recovered with
+   *    [Haxroomie#recoverRooms]{@link Haxroomie#recoverRooms}). Otherwise
+   *    the config the room gets opened with is used.
+   * @param {TokenProvider} [options.tokenProvider] - Token provider for the
+   *    room. Overrides the one given in the constructor.
+   */
+  supervise(roomId, { config, tokenProvider, ...policy } = {}) {
+    this.unsupervise(roomId);
+    const state = {
+      roomId,
+      policy: { ...this.policy, ...policy },
+      tokenProvider: tokenProvider || this.tokenProvider,
+      onTokenChanged: null,
+      // The room is waiting for a new token from the token provider.
+      needsToken: false,
+      room: null,
+      listeners: null,
+      // Config that the room was last opened with. `null` if it should not
+      // be running.
+      config: null,
+      attempt: 0,
+      lastRestart: 0,
+      timer: null,
+      restarting: false,
+    };
+    this.rooms.set(roomId, state);
+
+    const room = this.haxroomie.rooms.get(roomId);
+    if (room && room.running && config) state.config = { ...config };
+    if (this.started) {
+      this.watchRoom(state);
+      this.watchTokenProvider(state);
+    }
+  }
+
+  /**
+   * Stops supervising the room with the given id.
+   * @param {string|number} roomId - Id of the room.
+   */
+  unsupervise(roomId) {
+    const state = this.rooms.get(roomId);
+    if (!state) return;
+    clearTimeout(state.timer);
+    this.unwatchRoom(state);
+    this.unwatchTokenProvider(state);
+    this.rooms.delete(roomId);
+  }
+
+  /**
+   * @param {string|number} roomId - Id of the room.
+   * @returns {boolean} - Is the room supervised.
+   */
+  isSupervised(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  /**
+   * Adds listeners to the RoomController of the supervised room.
+   * @private
+   */
+  watchRoom(state) {
+    const room = this.haxroomie.rooms.get(state.roomId);
+    if (!room || state.room === room) return;
+    this.unwatchRoom(state);
+
+    let pendingConfig = null;
+    state.room = room;
+    state.listeners = {
+      'open-room-start': (err, config) => {
+        if (!err) pendingConfig = config;
+      },
+      'open-room-stop': (err) => {
+        if (!err) state.config = { ...pendingConfig };
+        pendingConfig = null;
+      },
+      'close-room-start': () => {
+        // RoomController closes the room itself if opening it fails.
+        if (!state.restarting) state.config = null;
+      },
+      'page-crash': () => this.onFailure(state, 'page-crash'),
+      'page-closed': () => this.onFailure(state, 'page-closed'),
+      'room-unresponsive': () => {
+        const watchdogOptions = state.room && state.room.watchdogOptions;
+        if (watchdogOptions && watchdogOptions.recycle) {
+          this.onFailure(state, 'room-unresponsive');
+        }
+      },
+    };
+    for (let [event, listener] of Object.entries(state.listeners)) {
+      room.on(event, listener);
+    }
+  }
+
+  /**
+   * @private
+   */
+  unwatchRoom(state) {
+    if (!state.room) return;
+    for (let [event, listener] of Object.entries(state.listeners)) {
+      state.room.off(event, listener);
+    }
+    state.room = null;
+    state.listeners = null;
+  }
+
+  /**
+   * Listens for new tokens if the room is waiting for one.
+   * @private
+   */
+  watchTokenProvider(state) {
+    const provider = state.tokenProvider;
+    if (!provider || typeof provider.on !== 'function') return;
+    if (state.onTokenChanged) return;
+    state.onTokenChanged = () => {
+      if (!state.needsToken || !state.config) return;
+      if (state.timer || state.restarting) return;
+      state.attempt = 0;
+      this.scheduleRestart(state, 'token-changed');
+    };
+    provider.on('token-changed', state.onTokenChanged);
+  }
+
+  /**
+   * @private
+   */
+  unwatchTokenProvider(state) {
+    if (!state.onTokenChanged) return;
+    state.tokenProvider.off('token-changed', state.onTokenChanged);
+    state.onTokenChanged = null;
+  }
+
+  /**
+   * @private
+   */
+  onRoomAdded(room) {
+    const state = this.rooms.get(room.id);
+    if (state) this.watchRoom(state);
+  }
+
+  /**
+   * @private
+   */
+  onRoomRemoved(room) {
+    const state = this.rooms.get(room.id);
+    if (!state || state.room !== room) return;
+    this.unwatchRoom(state);
+    if (state.restarting) return;
+    // The room was removed on purpose, so there is nothing to restart.
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.config = null;
+  }
+
+  /**
+   * @private
+   */
+  onBrowserDisconnected() {
+    for (let state of this.rooms.values()) {
+      // The rooms in the other browsers of the pool keep running.
+      if (state.room && !state.room.usable) {
+        this.onFailure(state, 'browser-disconnected');
+      }
+    }
+  }
+
+  /**
+   * Restarts the rooms whose link has disappeared.
+   * @private
+   */
+  async checkRoomLinks() {
+    for (let state of this.rooms.values()) {
+      const room = state.room;
+      if (!room || !state.config || state.restarting || state.timer) continue;
+      if (!room.running || room.openRoomLock) continue;
+      if (!(await room.hasRoomLink()) && state.room === room) {
+        this.onFailure(state, 'roomlink-missing');
+      }
+    }
+  }
+
+  /**
+   * Called when a supervised room stops working.
+   * @private
+   */
+  onFailure(state, reason) {
+    if (!this.started || state.restarting || state.timer) return;
+    // The room was removed on purpose.
+    if (this.haxroomie.rooms.get(state.roomId) !== state.room) return;
+    logger.debug(
+      `[${colors.cyan(state.roomId)}] RoomSupervisor: ` +
+        `room stopped working (${reason})`
+    );
+    if (Date.now() - state.lastRestart >= state.policy.cooldown) {
+      state.attempt = 0;
+    }
+    this.scheduleRestart(state, reason);
+  }
+
+  /**
+   * @emits RoomSupervisor#restart-scheduled
+   * @emits RoomSupervisor#restart-gave-up
+   * @private
+   */
+  scheduleRestart(state, reason) {
+    const { maxRetries, initialDelay, maxDelay, factor } = state.policy;
+    if (state.attempt >= maxRetries) {
+      this.emit('restart-gave-up', state.roomId, {
+        attempts: state.attempt,
+        reason,
+      });
+      // Keep the config if the room can still be opened with a new token.
+      if (!state.needsToken) state.config = null;
+      return;
+    }
+    const delay = Math.min(
+      initialDelay * Math.pow(factor, state.attempt),
+      maxDelay
+    );
+    state.attempt++;
+    this.emit('restart-scheduled', state.roomId, {
+      attempt: state.attempt,
+      delay,
+      reason,
+    });
+    state.timer = setTimeout(() => this.restart(state, reason), delay);
+  }
+
+  /**
+   * Replaces the RoomController and reopens the room if it was running.
+   *
+   * @emits RoomSupervisor#room-restarted
+   * @emits RoomSupervisor#restart-failed
+   * @private
+   */
+  async restart(state, reason) {
+    state.timer = null;
+    if (this.rooms.get(state.roomId) !== state) return;
+    const attempt = state.attempt;
+    state.restarting = true;
+    try {
+      await this.ensureBrowser();
+      if (!this.haxroomie.hasRoom(state.roomId)) {
+        // The room was removed while waiting.
+        state.config = null;
+        return;
+      }
+      const room = await this.haxroomie.recreateRoom(state.roomId);
+      this.watchRoom(state);
+
+      let roomInfo;
+      if (state.config) {
+        const config = { ...state.config };
+        config.token = await this.getToken(state);
+        try {
+          roomInfo = await room.openRoom(config);
+        } catch (err) {
+          if (err.name === 'InvalidTokenError') {
+            this.invalidateToken(state, config.token);
+          }
+          throw err;
+        }
+      }
+      state.needsToken = false;
+      state.lastRestart = Date.now();
+      this.emit('room-restarted', state.roomId, { attempt, room, roomInfo });
+    } catch (err) {
+      logger.debug(`[${colors.cyan(state.roomId)}] ${err.stack}`);
+      if (
+        err.name === 'InvalidTokenError' ||
+        err.name === 'TokenRequiredError'
+      ) {
+        state.needsToken = true;
+      }
+      this.emit('restart-failed', state.roomId, { attempt, error: err });
+      if (this.started) this.scheduleRestart(state, reason);
+    } finally {
+      state.restarting = false;
+    }
+  }
+
+  /**
+   * Launches a new browser if the connection to the old one was lost.
+   * The rooms that are restarted at the same time share the launch.
+   * @private
+   */
+  async ensureBrowser() {
+    if (this.haxroomie.browser) return;
+    if (!this.browserLaunch) {
+      this.browserLaunch = this.haxroomie
+        .launchBrowser()
+        .finally(() => (this.browserLaunch = null));
+    }
+    await this.browserLaunch;
+  }
+
+  /**
+   * Gets the token for reopening the room.
+   *
+   * @throws {TokenRequiredError} - The token provider has no token.
+   * @private
+   */
+  async getToken(state) {
+    if (!state.tokenProvider) return state.config.token;
+    const token = await state.tokenProvider.getToken(state.roomId);
+    if (!token) throw new TokenRequiredError();
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  invalidateToken(state, token) {
+    const provider = state.tokenProvider;
+    if (provider && typeof provider.invalidateToken === 'function') {
+      provider.invalidateToken(state.roomId, token);
+    }
+  }
+}
+
+module.exports = RoomSupervisor;
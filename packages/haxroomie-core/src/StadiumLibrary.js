@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { InvalidStadiumError } = require('./errors');
+
+/**
+ * Stadium loaded from a `.hbs` file.
+ *
+ * @typedef {Object} Stadium
+ * @property {string} name - Name of the stadium.
+ * @property {string} fileName - Name of the file.
+ * @property {string} path - Absolute path to the file.
+ * @property {string} contents - The stadium as strict JSON that can be
+ *    passed to `room.setCustomStadium()`.
+ */
+
+/**
+ * Names of the stadiums built in HaxBall.
+ * @private
+ */
+const DEFAULT_STADIUMS = [
+  'Classic',
+  'Easy',
+  'Small',
+  'Big',
+  'Rounded',
+  'Hockey',
+  'Big Hockey',
+  'Big Easy',
+  'Big Rounded',
+  'Huge',
+];
+
+/**
+ * Properties of a stadium that have to be arrays if they exist.
+ * @private
+ */
+const ARRAY_PROPERTIES = [
+  'vertexes',
+  'segments',
+  'goals',
+  'discs',
+  'planes',
+  'joints',
+  'redSpawnPoints',
+  'blueSpawnPoints',
+];
+
+/**
+ * Stadiums loaded from the `.hbs` files in a directory.
+ *
+ * The files are parsed as leniently as HaxBall does it (comments, trailing
+ * commas, unquoted keys and single quoted strings are allowed) and
+ * validated, so they can be sent to the room as strict JSON.
+ */
+class StadiumLibrary {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.directory - Directory of the `.hbs` files.
+   */
+  constructor(opt) {
+    opt = opt || {};
+    if (!opt.directory) throw new TypeError('invalid arguments');
+    this.directory = path.resolve(process.cwd(), opt.directory);
+    this.stadiums = new Map();
+    /**
+     * Files that could not be loaded in the last
+     * [load]{@link StadiumLibrary#load}.
+     * @type {Array.<{fileName: string, error: Error}>}
+     */
+    this.errors = [];
+  }
+
+  /**
+   * Names of the stadiums built in HaxBall.
+   * @type {Array.<string>}
+   */
+  static get DEFAULT_STADIUMS() {
+    return [...DEFAULT_STADIUMS];
+  }
+
+  /**
+   * Returns the name of the default stadium that matches the given name
+   * ignoring the case and spaces, e.g. `bighockey` matches `Big Hockey`.
+   *
+   * @param {string} name - Name of the stadium.
+   * @returns {?string} - Name of the default stadium or `null` if there is
+   *    no such default stadium.
+   */
+  static findDefaultStadium(name) {
+    const normalize = (n) => `${n}`.replace(/\s+/g, '').toLowerCase();
+    return (
+      DEFAULT_STADIUMS.find((s) => normalize(s) === normalize(name)) || null
+    );
+  }
+
+  /**
+   * Parses and validates a stadium.
+   *
+   * @param {string} text - Contents of a `.hbs` file.
+   * @returns {object} - The stadium.
+   * @throws {InvalidStadiumError} - The stadium can not be parsed or is
+   *    invalid.
+   */
+  static parse(text) {
+    let stadium;
+    try {
+      stadium = JSON.parse(toStrictJson(`${text}`));
+    } catch (err) {
+      throw new InvalidStadiumError(
+        `Could not parse the stadium: ${err.message}`
+      );
+    }
+    validateStadium(stadium);
+    return stadium;
+  }
+
+  /**
+   * Loads the `.hbs` files from the directory. Files that can not be
+   * loaded are skipped and listed in
+   * [errors]{@link StadiumLibrary#errors}.
+   */
+  async load() {
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      throw new Error(
+        `Could not load the stadiums from ${this.directory}: ${err}`
+      );
+    }
+    this.stadiums = new Map();
+    this.errors = [];
+    for (let fileName of fileNames.sort()) {
+      if (path.extname(fileName).toLowerCase() !== '.hbs') continue;
+      const filePath = path.join(this.directory, fileName);
+      let stadium;
+      try {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        stadium = StadiumLibrary.parse(text);
+      } catch (err) {
+        logger.warn(`Skipping stadium ${filePath}: ${err.message}`);
+        this.errors.push({ fileName, error: err });
+        continue;
+      }
+      this.stadiums.set(fileName, {
+        name: stadium.name,
+        fileName,
+        path: filePath,
+        contents: JSON.stringify(stadium),
+      });
+    }
+  }
+
+  /**
+   * Returns the loaded stadiums ordered by the file name.
+   *
+   * @returns {Array.<Stadium>} - The stadiums.
+   */
+  getStadiums() {
+    return [...this.stadiums.values()].map((s) => ({ ...s }));
+  }
+
+  /**
+   * Finds a stadium by its name or the name of its file (with or without
+   * the `.hbs` extension) ignoring the case.
+   *
+   * @param {string} name - Name of the stadium or the file.
+   * @returns {?Stadium} - The stadium or `null` if it was not found.
+   */
+  getStadium(name) {
+    const lowerCase = `${name}`.toLowerCase();
+    const matches = (s) =>
+      s.name.toLowerCase() === lowerCase ||
+      s.fileName.toLowerCase() === lowerCase ||
+      path.basename(s.fileName, path.extname(s.fileName)).toLowerCase() ===
+        lowerCase;
+    const stadium = [...this.stadiums.values()].find(matches);
+    return stadium ? { ...stadium } : null;
+  }
+}
+
+/**
+ * Converts the lenient JSON of the stadium files to strict JSON.
+ * @private
+ */
+function toStrictJson(text) {
+  let result = '';
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+    if (char === '"' || char === "'") {
+      const end = findStringEnd(text, i);
+      const value = text.slice(i + 1, end);
+      result += `"${char === '"' ? value : toDoubleQuoted(value)}"`;
+      i = end + 1;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (char === '}' || char === ']') {
+      // Drop the trailing comma.
+      result = result.replace(/,(\s*)$/, '$1') + char;
+      i++;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      let end = i;
+      while (end < text.length && /[\w$]/.test(text[end])) end++;
+      const word = text.slice(i, end);
+      const isKey = /^\s*:/.test(text.slice(end));
+      result += isKey ? `"${word}"` : word;
+      i = end;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Returns the index of the quote that ends the string starting at `start`.
+ * @private
+ */
+function findStringEnd(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === quote) return i;
+  }
+  throw new SyntaxError('Unterminated string');
+}
+
+/**
+ * Escapes the contents of a single quoted string for a double quoted one.
+ * @private
+ */
+function toDoubleQuoted(value) {
+  let result = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && value[i + 1] === "'") {
+      result += "'";
+      i++;
+    } else if (value[i] === '\\') {
+      result += value.slice(i, i + 2);
+      i++;
+    } else if (value[i] === '"') {
+      result += '\\"';
+    } else {
+      result += value[i];
+    }
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function validateStadium(stadium) {
+  if (!stadium || typeof stadium !== 'object' || Array.isArray(stadium)) {
+    throw new InvalidStadiumError('The stadium has to be an object!');
+  }
+  if (typeof stadium.name !== 'string' || !stadium.name.trim()) {
+    throw new InvalidStadiumError('The stadium is missing a name!');
+  }
+  for (let property of ['width', 'height']) {
+    if (typeof stadium[property] !== 'number' || stadium[property] <= 0) {
+      throw new InvalidStadiumError(
+        `The ${property} of the stadium has to be a positive number!`
+      );
+    }
+  }
+  for (let property of ARRAY_PROPERTIES) {
+    if (stadium[property] !== undefined && !Array.isArray(stadium[property])) {
+      throw new InvalidStadiumError(
+        `The ${property} of the stadium has to be an array!`
+      );
+    }
+  }
+  const vertexCount = (stadium.vertexes || []).length;
+  (stadium.segments || []).forEach((segment, i) => {
+    segment = segment || {};
+    for (let v of [segment.v0, segment.v1]) {
+      if (!Number.isInteger(v) || v < 0 || v >= vertexCount) {
+        throw new InvalidStadiumError(
+          `Segment ${i} of the stadium refers to a missing vertex!`
+        );
+      }
+    }
+  });
+}
+
+module.exports = StadiumLibrary;
@@ -0,0 +1,443 @@
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('../logger');
+const {
+  routes,
+  HttpError,
+  getStatusCode,
+  serializeRoom,
+  serializeError,
+} = require('./routes');
+
+/** Base for parsing the request URLs that contain only the path. */
+const BASE_URL = 'http://localhost';
+
+/** Max size of a request body in bytes. */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * RoomController events that are streamed to the WebSocket clients.
+ */
+const ROOM_EVENTS = [
+  'room-event',
+  'open-room-start',
+  'open-room-stop',
+  'close-room-start',
+  'close-room-stop',
+  'page-closed',
+  'page-crash',
+  'page-error',
+  'error-logged',
+  'warning-logged',
+  'info-logged',
+  'plugin-loaded',
+  'plugin-removed',
+  'plugin-enabled',
+  'plugin-disabled',
+  'plugin-load-error',
+  'plugin-config-changed',
+  'hhm-error',
+];
+
+/**
+ * Message that the [ApiServer]{@link ApiServer} sends to the WebSocket
+ * clients when a [Haxroomie]{@link Haxroomie} or
+ * [RoomController]{@link RoomController} event happens.
+ *
+ * @typedef {Object} ApiEventMessage
+ * @property {string} event - Name of the event (e.g. `room-event`).
+ * @property {string|number} roomId - Id of the room that emitted the event.
+ * @property {Array.<any>} args - Arguments of the event. Errors are
+ *    serialized to objects with `name` and `message` properties and
+ *    RoomControllers to objects describing the state of the room.
+ */
+
+/**
+ * HTTP and WebSocket server for controlling the rooms of a
+ * [Haxroomie]{@link Haxroomie} instance remotely.
+ *
+ * The REST endpoints expose
+ * [Haxroomie#getRooms]{@link Haxroomie#getRooms},
+ * [RoomController#openRoom]{@link RoomController#openRoom},
+ * [RoomController#closeRoom]{@link RoomController#closeRoom},
+ * [RoomController#callRoom]{@link RoomController#callRoom} and the
+ * `plugins`, `repositories` and `roles` controllers of the rooms. The
+ * events of the rooms are streamed as
+ * [ApiEventMessages]{@link ApiEventMessage} to the WebSocket clients
+ * connected to the `/events` path.
+ *
+ * Every request must contain one of the API keys in the
+ * `Authorization: Bearer <key>` or `X-API-Key` header. WebSocket clients
+ * that can not set headers can use the `apiKey` query parameter instead.
+ *
+ * e.g.
+ * ```js
+ * const { createHaxroomie, ApiServer } = require('haxroomie-core');
+ * const haxroomie = await createHaxroomie({ downloadDirectory });
+ * const api = new ApiServer({ haxroomie, port: 3067, apiKeys: [key] });
+ * await api.start();
+ * ```
+ */
+class ApiServer {
+  /**
+   * @param {object} options - Options.
+   * @param {Haxroomie} options.haxroomie - Haxroomie instance to control.
+   * @param {Array.<string>} options.apiKeys - Keys that are allowed to
+   *    access the API.
+   * @param {number} [options.port=3067] - Port to listen to. Use `0` for a
+   *    random free port.
+   * @param {string} [options.host='127.0.0.1'] - Host to listen to.
+   * @param {string} [options.allowOrigin] - Value for the
+   *    `Access-Control-Allow-Origin` header. Set this if the API is used
+   *    from a web page in another origin.
+   */
+  constructor({
+    haxroomie,
+    apiKeys,
+    port = 3067,
+    host = '127.0.0.1',
+    allowOrigin,
+  } = {}) {
+    if (!haxroomie) {
+      throw new TypeError('Missing required argument: haxroomie');
+    }
+    if (!Array.isArray(apiKeys) || apiKeys.filter((k) => k).length === 0) {
+      throw new TypeError('Missing required argument: apiKeys');
+    }
+    this.haxroomie = haxroomie;
+    this.apiKeyHashes = apiKeys.filter((k) => k).map((k) => hash(k));
+    this.port = port;
+    this.host = host;
+    this.allowOrigin = allowOrigin;
+
+    this.server = null;
+    this.wss = null;
+    this.roomListeners = new Map();
+
+    this.onRoomAdded = this.onRoomAdded.bind(this);
+    this.onRoomRemoved = this.onRoomRemoved.bind(this);
+  }
+
+  /**
+   * Base URL of the server or `null` if it is not running.
+   * @type string
+   */
+  get url() {
+    if (!this.server) return null;
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return `http://${host}:${this.server.address().port}`;
+  }
+
+  /**
+   * Starts the server.
+   */
+  async start() {
+    if (this.server) return;
+
+    const server = http.createServer((req, res) => this.onRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (req, socket, head) =>
+      this.onUpgrade(req, socket, head)
+    );
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, resolve);
+    });
+    this.server = server;
+
+    for (let room of this.haxroomie.getRooms()) {
+      this.addRoomListeners(room);
+    }
+    this.haxroomie.on('room-added', this.onRoomAdded);
+    this.haxroomie.on('room-removed', this.onRoomRemoved);
+
+    logger.debug(`ApiServer listening on ${this.url}`);
+  }
+
+  /**
+   * Stops the server and disconnects the WebSocket clients.
+   */
+  async stop() {
+    if (!this.server) return;
+
+    this.haxroomie.removeListener('room-added', this.onRoomAdded);
+    this.haxroomie.removeListener('room-removed', this.onRoomRemoved);
+    for (let room of Array.from(this.roomListeners.keys())) {
+      this.removeRoomListeners(room);
+    }
+
+    for (let client of this.wss.clients) {
+      client.terminate();
+    }
+    this.wss.close();
+    this.wss = null;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Checks that the request contains a valid API key.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {URLSearchParams} [searchParams] - Query parameters that may
+   *    contain the `apiKey` parameter.
+   * @returns {boolean} - Is the request authorized.
+   * @private
+   */
+  isAuthorized(req, searchParams) {
+    let key = req.headers['x-api-key'];
+    const authorization = req.headers['authorization'];
+    if (!key && authorization && authorization.startsWith('Bearer ')) {
+      key = authorization.slice('Bearer '.length);
+    }
+    if (!key && searchParams) key = searchParams.get('apiKey');
+    if (!key) return false;
+
+    const keyHash = hash(key);
+    return this.apiKeyHashes.some((h) => crypto.timingSafeEqual(h, keyHash));
+  }
+
+  /**
+   * Returns the room with id from the URL or throws if there is no such room.
+   * @param {string} id - Id of the room from the URL.
+   * @private
+   */
+  findRoom(id) {
+    const rooms = this.haxroomie.rooms;
+    if (rooms.has(id)) return rooms.get(id);
+    if (/^\d+$/.test(id) && rooms.has(parseInt(id))) {
+      return rooms.get(parseInt(id));
+    }
+    throw new HttpError(404, `No such room: ${id}`);
+  }
+
+  /**
+   * @private
+   */
+  async onRequest(req, res) {
+    if (this.allowOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', this.allowOrigin);
+      res.setHeader(
+        'Access-Control-Allow-Headers',
+        'Authorization, X-API-Key, Content-Type'
+      );
+      res.setHeader(
+        'Access-Control-Allow-Methods',
+        'GET, POST, PUT, DELETE, OPTIONS'
+      );
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+    }
+
+    try {
+      if (!this.isAuthorized(req)) {
+        throw new HttpError(401, 'Invalid or missing API key.');
+      }
+
+      const { pathname, searchParams } = new URL(req.url, BASE_URL);
+      let route = null;
+      let params = null;
+      let pathMatched = false;
+      for (let r of routes) {
+        const p = r.match(pathname);
+        if (!p) continue;
+        pathMatched = true;
+        if (r.method === req.method) {
+          route = r;
+          params = p;
+          break;
+        }
+      }
+      if (!pathMatched) {
+        throw new HttpError(404, `Not found: ${pathname}`);
+      }
+      if (!route) {
+        throw new HttpError(405, `Method not allowed: ${req.method}`);
+      }
+
+      const context = {
+        haxroomie: this.haxroomie,
+        params,
+        query: Object.fromEntries(searchParams),
+        body: await readBody(req),
+      };
+      if (params.roomId !== undefined) {
+        context.room = this.findRoom(params.roomId);
+      }
+
+      const result = await route.handler(context);
+      sendJSON(res, 200, result === undefined ? null : result);
+    } catch (err) {
+      const statusCode = getStatusCode(err);
+      if (statusCode === 500) logger.error(err.stack);
+      else logger.debug(`ApiServer: ${err.message}`);
+      sendJSON(res, statusCode, { error: serializeError(err) });
+    }
+  }
+
+  /**
+   * Handles the WebSocket handshakes.
+   * @private
+   */
+  onUpgrade(req, socket, head) {
+    let url;
+    try {
+      url = new URL(req.url, BASE_URL);
+    } catch (err) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const { pathname, searchParams } = url;
+
+    if (pathname !== '/events') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    if (!this.isAuthorized(req, searchParams)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      logger.debug('ApiServer: WebSocket client connected');
+      ws.on('error', (err) => logger.debug(`ApiServer: ${err.message}`));
+    });
+  }
+
+  /**
+   * Sends the event to all connected WebSocket clients.
+   * @param {ApiEventMessage} message - The message to send.
+   * @private
+   */
+  broadcast(message) {
+    if (!this.wss || this.wss.clients.size === 0) return;
+
+    let data;
+    try {
+      data = JSON.stringify(message);
+    } catch (err) {
+      logger.debug(`ApiServer: could not serialize ${message.event}: ${err}`);
+      return;
+    }
+    for (let client of this.wss.clients) {
+      if (client.readyState === WebSocket.OPEN) client.send(data);
+    }
+  }
+
+  /**
+   * @private
+   */
+  onRoomAdded(room) {
+    this.addRoomListeners(room);
+    this.broadcast({
+      event: 'room-added',
+      roomId: room.id,
+      args: [serializeRoom(room)],
+    });
+  }
+
+  /**
+   * @private
+   */
+  onRoomRemoved(room) {
+    this.removeRoomListeners(room);
+    this.broadcast({
+      event: 'room-removed',
+      roomId: room.id,
+      args: [serializeRoom(room)],
+    });
+  }
+
+  /**
+   * Starts forwarding the events of the room to the WebSocket clients.
+   * @private
+   */
+  addRoomListeners(room) {
+    if (this.roomListeners.has(room)) return;
+    const listeners = {};
+    for (let event of ROOM_EVENTS) {
+      listeners[event] = (...args) => {
+        this.broadcast({
+          event,
+          roomId: room.id,
+          args: args.map(serializeEventArg),
+        });
+      };
+      room.on(event, listeners[event]);
+    }
+    this.roomListeners.set(room, listeners);
+  }
+
+  /**
+   * @private
+   */
+  removeRoomListeners(room) {
+    const listeners = this.roomListeners.get(room);
+    if (!listeners) return;
+    for (let [event, listener] of Object.entries(listeners)) {
+      room.removeListener(event, listener);
+    }
+    this.roomListeners.delete(room);
+  }
+}
+
+function hash(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+function serializeEventArg(arg) {
+  if (arg instanceof Error) return serializeError(arg);
+  if (arg && arg[Symbol.toStringTag] === 'RoomController') {
+    return serializeRoom(arg);
+  }
+  return arg;
+}
+
+function sendJSON(res, statusCode, body) {
+  const data = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(data),
+  });
+  res.end(data);
+}
+
+/**
+ * Reads and parses the JSON body of the request.
+ * @returns {Promise.<any>} - Parsed body or `undefined` if it was empty.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body is too large.'));
+        return;
+      }
+      const data = Buffer.concat(chunks).toString('utf-8');
+      if (!data) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(data));
+      } catch (err) {
+        reject(new HttpError(400, `Invalid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,335 @@
+/**
+ * Error that is sent to the client with the given HTTP status code.
+ * @private
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * HTTP status codes for the errors thrown by haxroomie.
+ * Errors that are not listed here get the status code 500.
+ */
+const ERROR_STATUS_CODES = {
+  TypeError: 400,
+  SyntaxError: 400,
+  InvalidTokenError: 400,
+  RoomNotRunningError: 409,
+  RoomIsRunningError: 409,
+  RoomLockedError: 409,
+  HHMNotLoadedError: 409,
+  UnusableError: 410,
+  ConnectionError: 502,
+  TimeoutError: 504,
+};
+
+/**
+ * Returns the HTTP status code for the given error.
+ * @param {Error} err - The error.
+ * @returns {number} - HTTP status code.
+ */
+function getStatusCode(err) {
+  if (err instanceof HttpError) return err.statusCode;
+  return ERROR_STATUS_CODES[err.name] || 500;
+}
+
+/**
+ * Returns a JSON serializable representation of a RoomController.
+ * @param {RoomController} room - The room.
+ * @returns {object} - Information about the room.
+ */
+function serializeRoom(room) {
+  return {
+    id: room.id,
+    usable: room.usable,
+    running: room.running,
+    hhmLoaded: room.hhmLoaded,
+    openRoomLock: room.openRoomLock,
+    roomInfo: room.roomInfo,
+  };
+}
+
+/**
+ * Returns a JSON serializable representation of an Error.
+ * @param {Error} err - The error.
+ * @returns {object} - Name and message of the error.
+ */
+function serializeError(err) {
+  return { name: err.name, message: err.message };
+}
+
+/**
+ * Parses a player id from the URL. Numeric ids are player ids and
+ * other strings are auths.
+ */
+function parsePlayerId(playerId) {
+  return /^\d+$/.test(playerId) ? parseInt(playerId) : playerId;
+}
+
+/**
+ * Parses a time from the URL. Numbers are milliseconds since epoch and
+ * other strings are dates.
+ * @throws {TypeError} - Invalid time.
+ */
+function parseTime(time) {
+  if (time === undefined) return undefined;
+  const parsed = /^\d+$/.test(time) ? parseInt(time) : Date.parse(time);
+  if (isNaN(parsed)) throw new TypeError(`Invalid time: ${time}`);
+  return parsed;
+}
+
+/**
+ * Creates a route that matches the given method and path.
+ *
+ * Path segments starting with `:` are parameters. The parameters are
+ * URL decoded, so they can contain encoded slashes (e.g. the plugin name
+ * `sav%2Froles`).
+ *
+ * @param {string} method - HTTP method.
+ * @param {string} path - Path of the route.
+ * @param {function} handler - Function that receives the request context
+ *    and returns the response body.
+ */
+function route(method, path, handler) {
+  const paramNames = [];
+  const pattern = path
+    .split('/')
+    .map((segment) => {
+      if (!segment.startsWith(':')) return segment;
+      paramNames.push(segment.slice(1));
+      return '([^/]+)';
+    })
+    .join('/');
+  const regexp = new RegExp(`^${pattern}/?$`);
+
+  return {
+    method,
+    path,
+    handler,
+    /**
+     * @returns {?object} - The parameters or `null` if the path does not
+     *    match.
+     */
+    match(pathname) {
+      const result = regexp.exec(pathname);
+      if (!result) return null;
+      const params = {};
+      paramNames.forEach((name, i) => {
+        try {
+          params[name] = decodeURIComponent(result[i + 1]);
+        } catch (err) {
+          throw new HttpError(400, `Invalid ${name}: ${result[i + 1]}`);
+        }
+      });
+      return params;
+    },
+  };
+}
+
+/**
+ * Routes of the REST API. Handlers receive an object with the
+ * properties `haxroomie`, `room` (if the path has the `roomId` parameter),
+ * `params`, `query` and `body`.
+ */
+const routes = [
+  route('GET', '/rooms', ({ haxroomie }) => {
+    return haxroomie.getRooms().map(serializeRoom);
+  }),
+
+  route('GET', '/rooms/:roomId', ({ room }) => serializeRoom(room)),
+
+  route('POST', '/rooms/:roomId/open', ({ room, body }) => {
+    if (!body || typeof body !== 'object') {
+      throw new TypeError('Missing required argument: config');
+    }
+    return room.openRoom(body);
+  }),
+
+  route('POST', '/rooms/:roomId/close', async ({ room }) => {
+    await room.closeRoom();
+    return serializeRoom(room);
+  }),
+
+  route('POST', '/rooms/:roomId/call', async ({ room, body }) => {
+    const { fn, args = [] } = body || {};
+    if (!Array.isArray(args)) throw new TypeError('args should be an array');
+    const result = await room.callRoom(fn, ...args);
+    return { result };
+  }),
+
+  route('GET', '/rooms/:roomId/plugins', ({ room }) => {
+    return room.plugins.getPlugins();
+  }),
+
+  route('POST', '/rooms/:roomId/plugins', ({ room, body }) => {
+    const { plugin, pluginConfig } = body || {};
+    return room.plugins.addPlugin(plugin, pluginConfig);
+  }),
+
+  route('GET', '/rooms/:roomId/plugins/:name', async ({ room, params }) => {
+    const plugin = await room.plugins.getPlugin(params.name);
+    if (!plugin) throw new HttpError(404, `No such plugin: ${params.name}`);
+    return plugin;
+  }),
+
+  route('DELETE', '/rooms/:roomId/plugins/:name', ({ room, params, query }) => {
+    return room.plugins.removePlugin(params.name, query.safe !== 'false');
+  }),
+
+  route('POST', '/rooms/:roomId/plugins/:name/enable', ({ room, params }) => {
+    return room.plugins.enablePlugin(params.name);
+  }),
+
+  route(
+    'POST',
+    '/rooms/:roomId/plugins/:name/disable',
+    ({ room, params, body }) => {
+      const { recursive = false } = body || {};
+      return room.plugins.disablePlugin(params.name, recursive);
+    }
+  ),
+
+  route(
+    'POST',
+    '/rooms/:roomId/plugins/:name/reload',
+    ({ room, params, body }) => {
+      const { safe = true } = body || {};
+      return room.plugins.reloadPlugin(params.name, safe);
+    }
+  ),
+
+  route(
+    'GET',
+    '/rooms/:roomId/plugins/:name/dependents',
+    ({ room, params, query }) => {
+      return room.plugins.getPluginsThatDependOn(
+        params.name,
+        query.recursive !== 'false',
+        query.includeDisabled === 'true'
+      );
+    }
+  ),
+
+  route('GET', '/rooms/:roomId/plugins/:name/config', ({ room, params }) => {
+    return room.plugins.getPluginConfig(params.name);
+  }),
+
+  route(
+    'PUT',
+    '/rooms/:roomId/plugins/:name/config',
+    async ({ room, params, body }) => {
+      await room.plugins.setPluginConfig(body, params.name);
+      return room.plugins.getPluginConfig(params.name);
+    }
+  ),
+
+  route('GET', '/rooms/:roomId/repositories', ({ room }) => {
+    return room.repositories.getRepositories();
+  }),
+
+  route('POST', '/rooms/:roomId/repositories', ({ room, body }) => {
+    const { repository, append } = body || {};
+    return room.repositories.addRepository(repository, append);
+  }),
+
+  route('PUT', '/rooms/:roomId/repositories', async ({ room, body }) => {
+    if (!Array.isArray(body)) {
+      throw new TypeError('repositories should be an array');
+    }
+    await room.repositories.setRepositories(body);
+    return room.repositories.getRepositories();
+  }),
+
+  route('POST', '/rooms/:roomId/repositories/info', ({ room, body }) => {
+    if (!body) throw new TypeError('Missing required argument: repository');
+    return room.repositories.getRepositoryInformation(body);
+  }),
+
+  route('GET', '/rooms/:roomId/roles', ({ room, query }) => {
+    return room.roles.getRoles({
+      offlinePlayers: query.offlinePlayers === 'true',
+    });
+  }),
+
+  route(
+    'GET',
+    '/rooms/:roomId/roles/:role',
+    async ({ room, params, query }) => {
+      const role = await room.roles.getRole(params.role, {
+        offlinePlayers: query.offlinePlayers === 'true',
+      });
+      if (!role) throw new HttpError(404, `No such role: ${params.role}`);
+      return role;
+    }
+  ),
+
+  route('PUT', '/rooms/:roomId/roles/:role', ({ room, params, body }) => {
+    const { password } = body || {};
+    return room.roles.addRole(params.role, password);
+  }),
+
+  route('DELETE', '/rooms/:roomId/roles/:role', async ({ room, params }) => {
+    const removed = await room.roles.removeRole(params.role);
+    if (!removed) throw new HttpError(404, `No such role: ${params.role}`);
+    return null;
+  }),
+
+  route('GET', '/rooms/:roomId/chat', ({ room, query }) => {
+    if (!room.chatLog) throw new HttpError(404, 'The chat log is disabled');
+    const limit = query.limit !== undefined ? parseInt(query.limit) : 100;
+    if (isNaN(limit) || limit < 1) {
+      throw new TypeError(`Invalid limit: ${query.limit}`);
+    }
+    return room.getChat({
+      player: query.player,
+      text: query.text,
+      since: parseTime(query.since),
+      until: parseTime(query.until),
+      limit,
+    });
+  }),
+
+  route('GET', '/rooms/:roomId/players/:playerId/roles', ({ room, params }) => {
+    return room.roles.getPlayerRoles(parsePlayerId(params.playerId));
+  }),
+
+  route(
+    'PUT',
+    '/rooms/:roomId/players/:playerId/roles/:role',
+    ({ room, params, body }) => {
+      const { persistent = false } = body || {};
+      return room.roles.setPlayerRole(
+        parsePlayerId(params.playerId),
+        params.role,
+        true,
+        persistent
+      );
+    }
+  ),
+
+  route(
+    'DELETE',
+    '/rooms/:roomId/players/:playerId/roles/:role',
+    ({ room, params, query }) => {
+      return room.roles.setPlayerRole(
+        parsePlayerId(params.playerId),
+        params.role,
+        false,
+        query.persistent === 'true'
+      );
+    }
+  ),
+];
+
+module.exports = {
+  routes,
+  HttpError,
+  getStatusCode,
+  serializeRoom,
+  serializeError,
+};
@@ -1,7 +1,9 @@
 /* global haxroomie */
 /**
  * This is a Haxball Headless Manager plugin for Haxroomie that handles sending
- * the room events from browser to Haxroomie.
+ * the room events from browser to Haxroomie, enforcing the bans, mutes and
+ * roles that Haxroomie syncs to the room, filtering the chat and recording
+ * the games.
  *
  * Haxroomie exposes functions window.haxroomieOnRoomEvent
  * and window.haxroomieOnHHMEvent that can be used to send event data to
@@ -12,7 +14,7 @@ let room = HBInit();
 room.pluginSpec = {
   name: `hr/core`,
   author: `salamini`,
-  version: `1.1.0`,
+  version: `1.9.0`,
   config: {},
   dependencies: [],
   order: {},
@@ -48,7 +50,8 @@ Object.assign(
       HHM.events.PLUGIN_ENABLED,
       HHM.events.PLUGIN_LOADED,
       HHM.events.PLUGIN_REMOVED,
-    ];
+      HHM.events.PLUGIN_CONFIG_CHANGED,
+    ].filter((eventType) => eventType);
 
     var ignoredPlugins = new Set([
       '_user/postInit',
@@ -57,11 +60,78 @@ Object.assign(
       'hhm/persistence',
     ]);
 
+    /**
+     * Handlers that are always attached, whether the event is sent to the
+     * main context or not.
+     */
+    var internalRoomEventHandlers = {
+      onPlayerJoin: onPlayerJoin,
+      onPlayerLeave: onPlayerLeave,
+      onPlayerChat: onPlayerChat,
+      onGameStart: onGameStart,
+      onGameStop: onGameStop,
+      onStadiumChange: onStadiumChange,
+    };
+
+    /** Bans synced from the main context. */
+    var bans = [];
+    /** Auth and conn of the players are only available when they join. */
+    var players = new Map();
+    /** Passwords of the roles by role name, synced from the main context. */
+    var roles = {};
+    /** Roles saved for the players by auth, synced from the main context. */
+    var savedRoles = {};
+    /** Roles given to the players by id until they leave the room. */
+    var sessionRoles = new Map();
+    /** Current roles of the players by id. */
+    var playerRoles = new Map();
+    /** Record every game and send the recordings to the main context. */
+    var autoRecording = false;
+    var recordingStartedAt = null;
+    var stadiumName = 'Classic';
+    /** Mutes synced from the main context by auth. */
+    var mutes = new Map();
+    /** Filters of the chat synced from the main context. */
+    var chatFilters = [];
+    var filterIgnoresAdmins = true;
+
+    /**
+     * Handlers whose events are sent to the main context and their
+     * `throttle` and `sample` options.
+     */
+    var subscriptions = new Map();
+    /**
+     * Subscriptions of the RoomController without the events it needs
+     * itself. Kept for rebuilding the RoomController with `reattach`.
+     */
+    var userSubscriptions = {};
+    /** Counters and send times for sampling and throttling the events. */
+    var subscriptionStates = new Map();
+    var attachedHandlers = new Set();
+
     registerEventHandlers();
+    trackPluginLoadErrors();
 
     return {
       registerEventHandlers,
+      subscribe,
+      unsubscribe,
+      setSubscriptions,
+      getSubscriptions,
+      getUserSubscriptions,
       ignoredPlugins,
+      setBans,
+      getPlayerIdentity,
+      setRoles,
+      getRoles,
+      getPlayerRoles,
+      setPlayerRole,
+      getPlayersWithRoles,
+      setAutoRecording,
+      getStadiumName,
+      setMutes,
+      getMutedPlayers,
+      setChatFilters,
     };
 
     /**
@@ -70,19 +140,18 @@ Object.assign(
      *
      * @param {Array.<string>} roomEventHandlers - handler names to attach
      *    listeners for
+     * @param {object} [options] - Options for the handlers. See
+     *    [subscribe]{@link subscribe}.
      */
 
-    function registerEventHandlers(roomEventHandlers) {
+    function registerEventHandlers(roomEventHandlers, options) {
       roomEventHandlers = roomEventHandlers || defaultRoomEventHandlers;
 
-      // send roomObject events to the main context
+      for (let handlerName of Object.keys(internalRoomEventHandlers)) {
+        attachRoomEventHandler(handlerName);
+      }
       for (let handlerName of roomEventHandlers) {
-        room[handlerName] = function (...args) {
-          haxroomie.send({
-            type: 'ROOM_EVENT',
-            payload: { handlerName, args },
-          });
-        };
+        subscribe(handlerName, options);
       }
 
       // send HHM events to the main context
@@ -99,5 +168,533 @@ Object.assign(
         };
       }
     }
+
+    /**
+     * HHM does not trigger an event when loading a plugin fails, so wrap the
+     * `addPlugin` function of the manager and send the failures to the
+     * main context.
+     */
+    function trackPluginLoadErrors() {
+      const manager = HHM.manager;
+      if (manager.addPlugin.haxroomieWrapped) return;
+
+      const addPlugin = manager.addPlugin;
+
+      manager.addPlugin = async function (pluginInfo = {}, ...args) {
+        const pluginName = pluginInfo.pluginName;
+        let id;
+        try {
+          id = await addPlugin.call(this, pluginInfo, ...args);
+        } catch (err) {
+          sendPluginLoadError(pluginName, err ? err.message || `${err}` : '');
+          throw err;
+        }
+        if (id < 0) {
+          sendPluginLoadError(pluginName, `Could not load the plugin.`);
+        }
+        return id;
+      };
+      manager.addPlugin.haxroomieWrapped = true;
+    }
+
+    /**
+     * Starts sending the events of the given roomObject event handler to
+     * the main context.
+     *
+     * @param {string} handlerName - Name of the handler, e.g. `onGameTick`.
+     * @param {object} [options] - Options.
+     * @param {number} [options.throttle] - Send at most one event in this
+     *    many milliseconds.
+     * @param {number} [options.sample] - Send only every nth event.
+     */
+    function subscribe(handlerName, options) {
+      options = options || {};
+      subscriptions.set(handlerName, {
+        throttle: options.throttle,
+        sample: options.sample,
+      });
+      subscriptionStates.set(handlerName, { count: 0, sentAt: 0 });
+      attachRoomEventHandler(handlerName);
+    }
+
+    /**
+     * Stops sending the events of the given roomObject event handler to the
+     * main context.
+     *
+     * @param {string} handlerName - Name of the handler.
+     */
+    function unsubscribe(handlerName) {
+      subscriptions.delete(handlerName);
+      subscriptionStates.delete(handlerName);
+    }
+
+    /**
+     * Replaces all the subscriptions.
+     *
+     * @param {object} newSubscriptions - Handler names as keys and options
+     *    as values.
+     * @param {object} [newUserSubscriptions] - The subscriptions made by the
+     *    user of the RoomController. Defaults to `newSubscriptions`.
+     */
+    function setSubscriptions(newSubscriptions, newUserSubscriptions) {
+      for (let handlerName of [...subscriptions.keys()]) {
+        unsubscribe(handlerName);
+      }
+      for (let handlerName of Object.keys(newSubscriptions)) {
+        subscribe(handlerName, newSubscriptions[handlerName]);
+      }
+      userSubscriptions = { ...(newUserSubscriptions || newSubscriptions) };
+    }
+
+    /**
+     * @returns {object} - The subscribed handler names as keys and their
+     *    options as values.
+     */
+    function getSubscriptions() {
+      const result = {};
+      for (let [handlerName, options] of subscriptions) {
+        result[handlerName] = { ...options };
+      }
+      return result;
+    }
+
+    /**
+     * @returns {object} - The handler names subscribed by the user of the
+     *    RoomController as keys and their options as values.
+     */
+    function getUserSubscriptions() {
+      const result = {};
+      for (let handlerName of Object.keys(userSubscriptions)) {
+        result[handlerName] = { ...userSubscriptions[handlerName] };
+      }
+      return result;
+    }
+
+    /**
+     * Attaches a handler to the roomObject. The handler sends the event to
+     * the main context if it is subscribed. Handlers are never detached,
+     * because HHM does not support removing them.
+     */
+    function attachRoomEventHandler(handlerName) {
+      if (attachedHandlers.has(handlerName)) return;
+      attachedHandlers.add(handlerName);
+      const internalHandler = internalRoomEventHandlers[handlerName];
+
+      room[handlerName] = function (...args) {
+        // Messages with passwords and messages of the muted players are not
+        // sent to the main context.
+        if (
+          handlerName === 'onPlayerChat' &&
+          (isAuthMessage(args[1]) || isMuted(args[0].id))
+        ) {
+          return internalHandler(...args);
+        }
+        if (shouldSendEvent(handlerName)) {
+          // onGameTick has no arguments, so send the positions instead.
+          const eventArgs =
+            handlerName === 'onGameTick' ? [getPositions()] : args;
+          haxroomie.send({
+            type: 'ROOM_EVENT',
+            payload: { handlerName, args: eventArgs },
+          });
+        }
+        if (internalHandler) return internalHandler(...args);
+      };
+    }
+
+    function shouldSendEvent(handlerName) {
+      const options = subscriptions.get(handlerName);
+      if (!options) return false;
+      const state = subscriptionStates.get(handlerName);
+
+      state.count++;
+      if (options.sample > 1 && state.count % options.sample !== 0) {
+        return false;
+      }
+      if (options.throttle > 0) {
+        const now = Date.now();
+        if (now - state.sentAt < options.throttle) return false;
+        state.sentAt = now;
+      }
+      return true;
+    }
+
+    function getPositions() {
+      return {
+        ballPosition: room.getBallPosition(),
+        players: room
+          .getPlayerList()
+          .filter((p) => p.position)
+          .map((p) => ({ id: p.id, team: p.team, position: p.position })),
+      };
+    }
+
+    function onPlayerJoin(player) {
+      players.set(player.id, {
+        id: player.id,
+        name: player.name,
+        auth: player.auth,
+        conn: player.conn,
+      });
+      if (enforceBan(player)) return;
+      updatePlayerRoles(player.id);
+      const mute = findMute(player.id);
+      if (mute) sendMuteNotice(player.id, mute);
+    }
+
+    function onPlayerLeave(player) {
+      players.delete(player.id);
+      sessionRoles.delete(player.id);
+      playerRoles.delete(player.id);
+    }
+
+    function onPlayerChat(player, message) {
+      if (isAuthMessage(message)) {
+        authenticate(player, message);
+        return false;
+      }
+      const mute = findMute(player.id);
+      if (mute) {
+        sendMuteNotice(player.id, mute);
+        return false;
+      }
+      if (player.admin && filterIgnoresAdmins) return;
+      for (let filter of chatFilters) {
+        if (matchesFilter(filter, `${message}`)) return false;
+      }
+    }
+
+    /**
+     * Replaces the mutes of the room. The messages of the muted players are
+     * blocked. Tells the players in the room when they get muted or
+     * unmuted.
+     *
+     * @param {Array.<Mute>} newMutes - The mutes.
+     */
+    function setMutes(newMutes) {
+      const previous = new Map(
+        [...players.keys()].map((id) => [id, findMute(id)])
+      );
+      mutes = new Map((newMutes || []).map((mute) => [mute.auth, mute]));
+      for (let [playerId, previousMute] of previous) {
+        const mute = findMute(playerId);
+        if (!mute && previousMute) {
+          room.sendAnnouncement('You are no longer muted.', playerId, 0x60ff60);
+        } else if (
+          mute &&
+          (!previousMute ||
+            previousMute.expiresAt !== mute.expiresAt ||
+            previousMute.reason !== mute.reason)
+        ) {
+          sendMuteNotice(playerId, mute);
+        }
+      }
+    }
+
+    /**
+     * @returns {Array.<object>} - Id, name and auth of the muted players in
+     *    the room.
+     */
+    function getMutedPlayers() {
+      return [...players.values()].filter((player) => findMute(player.id));
+    }
+
+    /**
+     * @returns {Mute|null} - The active mute of the player.
+     */
+    function findMute(playerId) {
+      const player = players.get(playerId);
+      const mute = player && player.auth ? mutes.get(player.auth) : null;
+      if (!mute || (mute.expiresAt && mute.expiresAt <= Date.now())) {
+        return null;
+      }
+      return mute;
+    }
+
+    function isMuted(playerId) {
+      return !!findMute(playerId);
+    }
+
+    /**
+     * Tells the player privately how long the mute lasts and why.
+     */
+    function sendMuteNotice(playerId, mute) {
+      let notice = 'You are muted';
+      if (mute.expiresAt) {
+        const minutes = Math.max(
+          Math.ceil((mute.expiresAt - Date.now()) / 60000),
+          1
+        );
+        notice += ` for ${minutes} minute${minutes === 1 ? '' : 's'}`;
+      }
+      notice += mute.reason ? `: ${mute.reason}` : '.';
+      room.sendAnnouncement(notice, playerId, 0xff6060);
+    }
+
+    /**
+     * Replaces the filters of the chat. Messages that match a filter are
+     * blocked. The regular expressions are compiled here once instead of
+     * for every message.
+     *
+     * @param {Array.<object>} filters - Filters with the `source` and
+     *    `flags` of a regular expression and the allowed link domains in
+     *    `allow`.
+     * @param {boolean} [ignoreAdmins=true] - Do not filter the messages of
+     *    the admins.
+     */
+    function setChatFilters(filters, ignoreAdmins) {
+      chatFilters = (filters || []).map(({ source, flags, allow }) => ({
+        regex: new RegExp(source, flags.includes('g') ? flags : `${flags}g`),
+        allow: allow || [],
+      }));
+      filterIgnoresAdmins = ignoreAdmins !== false;
+    }
+
+    /**
+     * Does the message match the filter. Links are matched only if their
+     * domain is not allowed.
+     */
+    function matchesFilter({ regex, allow }, message) {
+      for (let match of message.matchAll(regex)) {
+        const host = match[0]
+          .replace(/^[a-z]+:\/\//i, '')
+          .split(/[/:?#]/)[0]
+          .toLowerCase();
+        const allowed = allow.some((d) => host === d || host.endsWith(`.${d}`));
+        if (!allowed) return true;
+      }
+      return false;
+    }
+
+    /**
+     * Replaces the bans of the room and kicks the players in the room that
+     * are banned.
+     *
+     * @param {Array.<Ban>} newBans - The bans.
+     * @returns {Array.<object>} - The kicked players.
+     */
+    function setBans(newBans) {
+      bans = newBans || [];
+      return [...players.values()].filter(enforceBan);
+    }
+
+    /**
+     * Returns the id, name, auth and conn of a player in the room.
+     *
+     * @param {number} playerId - Id of the player.
+     * @returns {object|null} - The player or `null` if the player is not in
+     *    the room.
+     */
+    function getPlayerIdentity(playerId) {
+      return players.get(playerId) || null;
+    }
+
+    function findBan(player) {
+      const now = Date.now();
+      for (let ban of bans) {
+        if (ban.expiresAt && ban.expiresAt <= now) continue;
+        if (ban.auth && ban.auth === player.auth) return ban;
+        if (ban.conn && ban.conn === player.conn) return ban;
+      }
+      return null;
+    }
+
+    /**
+     * Kicks the player if the player is banned.
+     *
+     * @returns {boolean} - Was the player kicked.
+     */
+    function enforceBan(player) {
+      const ban = findBan(player);
+      if (!ban) return false;
+      room.kickPlayer(player.id, ban.reason || 'You are banned.', false);
+      return true;
+    }
+
+    /**
+     * Replaces the roles and updates the roles of the players in the room.
+     *
+     * @param {object} roleData - The roles.
+     * @param {object} roleData.roles - Passwords of the roles by role name.
+     * @param {object} roleData.players - Roles of the players by auth.
+     */
+    function setRoles(roleData) {
+      roles = roleData.roles || {};
+      savedRoles = roleData.players || {};
+      for (let playerId of players.keys()) updatePlayerRoles(playerId);
+    }
+
+    /**
+     * @returns {object} - The roles in the same format as for `setRoles`.
+     */
+    function getRoles() {
+      return { roles, players: savedRoles };
+    }
+
+    /**
+     * @param {number} playerId - Id of the player.
+     * @returns {Array.<string>|null} - Roles of the player or `null` if the
+     *    player is not in the room.
+     */
+    function getPlayerRoles(playerId) {
+      if (!players.has(playerId)) return null;
+      return [...(playerRoles.get(playerId) || [])];
+    }
+
+    /**
+     * Gives a role to a player in the room or removes it until the player
+     * leaves. Removing also removes the role given with `!auth`.
+     *
+     * @param {number} playerId - Id of the player.
+     * @param {string} role - Name of the role.
+     * @param {boolean} state - `true` to give the role and `false` to remove
+     *    it.
+     * @returns {Array.<string>|null} - Roles of the player or `null` if the
+     *    player is not in the room.
+     */
+    function setPlayerRole(playerId, role, state) {
+      if (!Object.prototype.hasOwnProperty.call(roles, role)) {
+        throw new Error(`There is no role named ${role}`);
+      }
+      if (!players.has(playerId)) return null;
+      const session = sessionRoles.get(playerId) || new Set();
+      if (state) session.add(role);
+      else session.delete(role);
+      sessionRoles.set(playerId, session);
+      updatePlayerRoles(playerId);
+      return getPlayerRoles(playerId);
+    }
+
+    /**
+     * @returns {Array.<object>} - Id, name, auth and roles of the players in
+     *    the room.
+     */
+    function getPlayersWithRoles() {
+      return [...players.values()].map((player) => ({
+        ...player,
+        roles: getPlayerRoles(player.id),
+      }));
+    }
+
+    /**
+     * Combines the saved and the session roles of the player. Players get
+     * admin when they get the `admin` role and lose it with the role.
+     */
+    function updatePlayerRoles(playerId) {
+      const player = players.get(playerId);
+      if (!player) return;
+      const previous = playerRoles.get(playerId) || new Set();
+      const current = new Set(
+        [
+          ...(savedRoles[player.auth] || []),
+          ...(sessionRoles.get(playerId) || []),
+        ].filter((role) => Object.prototype.hasOwnProperty.call(roles, role))
+      );
+      playerRoles.set(playerId, current);
+
+      if (current.has('admin') && !previous.has('admin')) {
+        room.setPlayerAdmin(playerId, true);
+      } else if (!current.has('admin') && previous.has('admin')) {
+        room.setPlayerAdmin(playerId, false);
+      }
+    }
+
+    /**
+     * Is the message `!auth <role> [password]` for a role of the room.
+     * Messages for other roles are left for other plugins (e.g. sav/roles).
+     */
+    function isAuthMessage(message) {
+      const match = /^!auth\s+(\S+)/.exec(`${message}`);
+      return !!match && Object.prototype.hasOwnProperty.call(roles, match[1]);
+    }
+
+    /**
+     * Gives the role to the player for the session if the message
+     * `!auth <role> <password>` has the password of the role.
+     */
+    function authenticate(player, message) {
+      const match = /^!auth\s+(\S+)\s+(.+)$/.exec(`${message}`.trim());
+      const password = match ? roles[match[1]] : null;
+      if (!password || password !== match[2]) {
+        room.sendAnnouncement('Wrong password.', player.id, 0xff6060);
+        return;
+      }
+      const role = match[1];
+      setPlayerRole(player.id, role, true);
+      room.sendAnnouncement(`You have the role ${role}.`, player.id, 0x60ff60);
+    }
+
+    /**
+     * Enables or disables recording every game. Disabling discards the
+     * recording of the game in progress.
+     *
+     * @param {boolean} enabled - Record the games.
+     */
+    function setAutoRecording(enabled) {
+      autoRecording = !!enabled;
+      if (!autoRecording && recordingStartedAt !== null) {
+        recordingStartedAt = null;
+        room.stopRecording();
+      }
+    }
+
+    function onGameStart() {
+      if (!autoRecording) return;
+      // Discard the recording of a game that did not stop properly.
+      if (recordingStartedAt !== null) room.stopRecording();
+      room.startRecording();
+      recordingStartedAt = Date.now();
+    }
+
+    function onGameStop() {
+      if (recordingStartedAt === null) return;
+      const startedAt = recordingStartedAt;
+      recordingStartedAt = null;
+      const rec = room.stopRecording();
+      if (!rec) return;
+      haxroomie.send({
+        type: 'RECORDING',
+        payload: {
+          rec: toBase64(rec),
+          stadium: stadiumName,
+          startedAt,
+          endedAt: Date.now(),
+        },
+      });
+    }
+
+    function onStadiumChange(newStadiumName) {
+      stadiumName = newStadiumName;
+    }
+
+    /**
+     * @returns {string} - Name of the current stadium.
+     */
+    function getStadiumName() {
+      return stadiumName;
+    }
+
+    /**
+     * Encodes the bytes to a base64 string, so they can be sent to the main
+     * context.
+     */
+    function toBase64(bytes) {
+      let binary = '';
+      const chunkSize = 0x8000;
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(
+          null,
+          bytes.subarray(i, i + chunkSize)
+        );
+      }
+      return btoa(binary);
+    }
+
+    function sendPluginLoadError(pluginName, error) {
+      haxroomie.send({
+        type: 'HHM_EVENT',
+        payload: { eventType: 'pluginLoadError', pluginName, error },
+      });
+    }
   })()
 );
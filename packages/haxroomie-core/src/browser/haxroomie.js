@@ -16,6 +16,7 @@ Object.assign(
       send,
       download,
       downloadRec,
+      ping,
     };
 
     /**
@@ -120,7 +121,8 @@ Object.assign(
      * - LOG
      *   - payload: { msg: String }
      * - HHM_EVENT
-     *   - payload: { eventType: String }
+     *   - payload: { eventType: String, pluginData?: PluginData,
+     *     pluginName?: String, error?: String }
      * - ROOM_EVENT
      *   - payload: { handlerName: String, args: Array }
      *   - See BrowserAction type in RoomController for definition of the
@@ -151,6 +153,17 @@ Object.assign(
       c.remove();
     }
 
+    /**
+     * Answers the heartbeat of the watchdog in the main context. The answer
+     * never arrives if the page is stuck (e.g. in an endless loop of a
+     * plugin).
+     *
+     * @returns {number} - Current time in the browser.
+     */
+    function ping() {
+      return Date.now();
+    }
+
     /**
      * Downloads HaxBall rec file.
      *
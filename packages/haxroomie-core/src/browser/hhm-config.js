@@ -89,4 +89,15 @@ HHM.config.postInit = (HBInit) => {
   };
 };
 
-HHM.manager.start();
+// Let Haxroomie know if HHM fails to start so it does not have to wait
+// for the timeout.
+Promise.resolve()
+  .then(() => HHM.manager.start())
+  .catch((err) => {
+    const error = err ? err.message || `${err}` : 'HHM failed to start!';
+    window.haxroomie.hhmStartError = error;
+    window.haxroomie.send({
+      type: 'HHM_EVENT',
+      payload: { eventType: 'hhmError', error },
+    });
+  });
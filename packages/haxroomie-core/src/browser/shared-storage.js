@@ -44,8 +44,9 @@ function enableSharedStorage(id) {
     };
 
     function lsSetItem(key, value) {
-      if ((key !== 0 && !key) || !value)
-        throw new TypeError(`invalid arguments`);
+      if (key !== 0 && !key) throw new TypeError(`invalid arguments`);
+      // localStorage stores everything as strings, including empty values
+      value = `${value}`;
       if (key === `loglevel`) {
         return _localStorage.setItem(key, value);
       }
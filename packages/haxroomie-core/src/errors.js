@@ -107,6 +107,32 @@ class RoomLockedError extends Error {
   }
 }
 
+/**
+ * Error for when the token provider could not supply a valid token for
+ * opening a room.
+ */
+class TokenRequiredError extends Error {
+  constructor(message) {
+    message = message || 'No valid token for opening the room!';
+    super(message);
+    this.name = this.constructor.name;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error for when a stadium file can not be parsed or is not a valid HaxBall
+ * stadium.
+ */
+class InvalidStadiumError extends Error {
+  constructor(message) {
+    message = message || 'The stadium is not valid!';
+    super(message);
+    this.name = this.constructor.name;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
 module.exports = {
   ConnectionError,
   TimeoutError,
@@ -116,4 +142,6 @@ module.exports = {
   RoomIsRunningError,
   RoomLockedError,
   HHMNotLoadedError,
+  TokenRequiredError,
+  InvalidStadiumError,
 };
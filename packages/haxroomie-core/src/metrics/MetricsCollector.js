@@ -0,0 +1,413 @@
+const logger = require('../logger');
+
+/**
+ * Upper bounds of the buckets of the `openRoom` duration histogram in
+ * seconds.
+ * @private
+ */
+const OPEN_DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+/**
+ * RoomController events that are counted as plugin errors and the value
+ * of the `source` label for them.
+ * @private
+ */
+const PLUGIN_ERROR_EVENTS = {
+  'plugin-load-error': 'plugin-load',
+  'node-plugin-error': 'node-plugin',
+  'hhm-error': 'hhm',
+};
+
+/**
+ * Collects metrics about the rooms of a [Haxroomie]{@link Haxroomie}
+ * instance and formats them in the
+ * [Prometheus text format](https://prometheus.io/docs/instrumenting/exposition_formats/).
+ *
+ * The counters are updated from the events of the
+ * [RoomControllers]{@link RoomController}. The players, joins, leaves, goals
+ * and chat messages are counted from the `internal-room-event` event, so
+ * they do not depend on the subscriptions of the room. The JS heap of the
+ * pages is read from the Chrome DevTools Protocol when the metrics are
+ * collected.
+ *
+ * The metrics are kept by room id, so they survive a RoomController being
+ * replaced with [Haxroomie#recreateRoom]{@link Haxroomie#recreateRoom}.
+ * Only the rooms that currently exist are included in the output.
+ */
+class MetricsCollector {
+  /**
+   * @param {object} options - Options.
+   * @param {Haxroomie} options.haxroomie - Haxroomie instance whose rooms
+   *    to collect metrics from.
+   * @param {number} [options.pageMetricsTimeout=1000] - How long to wait
+   *    for the CDP metrics of a page in milliseconds. A frozen page is left
+   *    out instead of delaying the whole response.
+   */
+  constructor({ haxroomie, pageMetricsTimeout = 1000 } = {}) {
+    if (!haxroomie) {
+      throw new TypeError('Missing required argument: haxroomie');
+    }
+    this.haxroomie = haxroomie;
+    this.pageMetricsTimeout = pageMetricsTimeout;
+
+    this.started = false;
+    /** Metrics by room id. */
+    this.rooms = new Map();
+    this.roomListeners = new Map();
+
+    this.onRoomAdded = this.onRoomAdded.bind(this);
+    this.onRoomRemoved = this.onRoomRemoved.bind(this);
+  }
+
+  /**
+   * Starts listening to the events of the rooms.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    for (let room of this.haxroomie.getRooms()) {
+      this.addRoomListeners(room);
+    }
+    this.haxroomie.on('room-added', this.onRoomAdded);
+    this.haxroomie.on('room-removed', this.onRoomRemoved);
+  }
+
+  /**
+   * Stops listening to the events of the rooms. The collected metrics are
+   * kept.
+   */
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    this.haxroomie.removeListener('room-added', this.onRoomAdded);
+    this.haxroomie.removeListener('room-removed', this.onRoomRemoved);
+    for (let room of Array.from(this.roomListeners.keys())) {
+      this.removeRoomListeners(room);
+    }
+  }
+
+  /**
+   * Returns the metrics of the existing rooms in the Prometheus text
+   * format.
+   *
+   * @returns {Promise.<string>} - The metrics.
+   */
+  async collect() {
+    const rooms = this.haxroomie.getRooms();
+    const heaps = await Promise.all(rooms.map((r) => this.getPageMetrics(r)));
+
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (let [labels, value, suffix = ''] of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+      }
+    };
+    const perRoom = (getValue) => {
+      return rooms.map((room, i) => [
+        { room: room.id },
+        getValue(this.getRoomMetrics(room.id), room, heaps[i]),
+      ]);
+    };
+
+    metric(
+      'haxroomie_room_running',
+      'gauge',
+      'Is the room running (1) or not (0).',
+      perRoom((m, room) => (room.usable && room.running ? 1 : 0))
+    );
+    metric(
+      'haxroomie_room_players',
+      'gauge',
+      'Players in the room.',
+      perRoom((m, room) => {
+        return room.usable && room.running ? m.players.size : 0;
+      })
+    );
+    metric(
+      'haxroomie_room_player_joins_total',
+      'counter',
+      'Players that joined the room.',
+      perRoom((m) => m.joins)
+    );
+    metric(
+      'haxroomie_room_player_leaves_total',
+      'counter',
+      'Players that left the room.',
+      perRoom((m) => m.leaves)
+    );
+    metric(
+      'haxroomie_room_goals_total',
+      'counter',
+      'Goals scored in the room.',
+      perRoom((m) => m.goals)
+    );
+    metric(
+      'haxroomie_room_chat_messages_total',
+      'counter',
+      'Chat messages sent by the players.',
+      perRoom((m) => m.chatMessages)
+    );
+    metric(
+      'haxroomie_room_js_heap_used_bytes',
+      'gauge',
+      'Used JavaScript heap of the page of the room.',
+      perRoom((m, room, heap) => heap && heap.JSHeapUsedSize).filter(
+        ([, value]) => value != null
+      )
+    );
+    metric(
+      'haxroomie_room_js_heap_total_bytes',
+      'gauge',
+      'Total JavaScript heap of the page of the room.',
+      perRoom((m, room, heap) => heap && heap.JSHeapTotalSize).filter(
+        ([, value]) => value != null
+      )
+    );
+
+    const durationSamples = [];
+    for (let room of rooms) {
+      const { openDuration } = this.getRoomMetrics(room.id);
+      OPEN_DURATION_BUCKETS.forEach((le, i) => {
+        durationSamples.push([
+          { room: room.id, le },
+          openDuration.buckets[i],
+          '_bucket',
+        ]);
+      });
+      durationSamples.push([
+        { room: room.id, le: '+Inf' },
+        openDuration.count,
+        '_bucket',
+      ]);
+      durationSamples.push([{ room: room.id }, openDuration.sum, '_sum']);
+      durationSamples.push([{ room: room.id }, openDuration.count, '_count']);
+    }
+    metric(
+      'haxroomie_room_open_duration_seconds',
+      'histogram',
+      'Time it took to open the room successfully.',
+      durationSamples
+    );
+    metric(
+      'haxroomie_room_open_failures_total',
+      'counter',
+      'Failed attempts to open the room.',
+      perRoom((m) => m.openFailures)
+    );
+
+    const pluginErrorSamples = [];
+    for (let room of rooms) {
+      const { pluginErrors } = this.getRoomMetrics(room.id);
+      for (let source of Object.values(PLUGIN_ERROR_EVENTS)) {
+        pluginErrorSamples.push([
+          { room: room.id, source },
+          pluginErrors[source],
+        ]);
+      }
+    }
+    metric(
+      'haxroomie_room_plugin_errors_total',
+      'counter',
+      'Errors of the HHM plugins, Node plugins and HHM itself.',
+      pluginErrorSamples
+    );
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Returns the metrics of the room with the given id. Creates them if
+   * they do not exist.
+   *
+   * @param {string|number} roomId - Id of the room.
+   * @returns {object} - The metrics of the room.
+   * @private
+   */
+  getRoomMetrics(roomId) {
+    let metrics = this.rooms.get(roomId);
+    if (metrics) return metrics;
+    const pluginErrors = {};
+    for (let source of Object.values(PLUGIN_ERROR_EVENTS)) {
+      pluginErrors[source] = 0;
+    }
+    metrics = {
+      players: new Set(),
+      joins: 0,
+      leaves: 0,
+      goals: 0,
+      chatMessages: 0,
+      openStartedAt: null,
+      openDuration: {
+        buckets: OPEN_DURATION_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0,
+      },
+      openFailures: 0,
+      pluginErrors,
+    };
+    this.rooms.set(roomId, metrics);
+    return metrics;
+  }
+
+  /**
+   * Reads the CDP metrics of the page of the room.
+   *
+   * @returns {Promise.<?object>} - The metrics or `null` if they could not
+   *    be read in time.
+   * @private
+   */
+  async getPageMetrics(room) {
+    if (!room.usable) return null;
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), this.pageMetricsTimeout);
+    });
+    try {
+      return await Promise.race([room.page.metrics(), timeout]);
+    } catch (err) {
+      logger.debug(`[${room.id}] MetricsCollector: ${err.message}`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @private
+   */
+  onRoomAdded(room) {
+    this.addRoomListeners(room);
+  }
+
+  /**
+   * @private
+   */
+  onRoomRemoved(room) {
+    this.removeRoomListeners(room);
+  }
+
+  /**
+   * @private
+   */
+  addRoomListeners(room) {
+    if (this.roomListeners.has(room)) return;
+    const metrics = this.getRoomMetrics(room.id);
+    const listeners = {
+      'internal-room-event': ({ handlerName, args }) => {
+        this.onRoomEvent(metrics, handlerName, args);
+      },
+      'open-room-start': (err) => {
+        if (err) {
+          metrics.openFailures++;
+          return;
+        }
+        metrics.openStartedAt = Date.now();
+        metrics.players.clear();
+      },
+      'open-room-stop': (err) => {
+        const startedAt = metrics.openStartedAt;
+        metrics.openStartedAt = null;
+        if (err) {
+          metrics.openFailures++;
+          return;
+        }
+        if (startedAt !== null) {
+          observe(metrics.openDuration, (Date.now() - startedAt) / 1000);
+        }
+      },
+      'close-room-stop': () => metrics.players.clear(),
+    };
+    for (let [event, source] of Object.entries(PLUGIN_ERROR_EVENTS)) {
+      listeners[event] = () => metrics.pluginErrors[source]++;
+    }
+    for (let [event, listener] of Object.entries(listeners)) {
+      room.on(event, listener);
+    }
+    this.roomListeners.set(room, listeners);
+
+    // Rooms that were recovered or opened before the collector started
+    // already have players.
+    metrics.players.clear();
+    if (room.usable && room.running) this.loadPlayers(room, metrics);
+  }
+
+  /**
+   * @private
+   */
+  removeRoomListeners(room) {
+    const listeners = this.roomListeners.get(room);
+    if (!listeners) return;
+    for (let [event, listener] of Object.entries(listeners)) {
+      room.removeListener(event, listener);
+    }
+    this.roomListeners.delete(room);
+  }
+
+  /**
+   * @private
+   */
+  async loadPlayers(room, metrics) {
+    try {
+      const playerList = await room.callRoom('getPlayerList');
+      for (let player of playerList) {
+        // The host player is not a real player.
+        if (player && player.id !== 0) metrics.players.add(player.id);
+      }
+    } catch (err) {
+      logger.debug(`[${room.id}] MetricsCollector: ${err.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  onRoomEvent(metrics, handlerName, args) {
+    switch (handlerName) {
+      case 'onPlayerJoin':
+        metrics.joins++;
+        if (args[0]) metrics.players.add(args[0].id);
+        break;
+      case 'onPlayerLeave':
+        metrics.leaves++;
+        if (args[0]) metrics.players.delete(args[0].id);
+        break;
+      case 'onTeamGoal':
+        metrics.goals++;
+        break;
+      case 'onPlayerChat':
+        metrics.chatMessages++;
+        break;
+    }
+  }
+}
+
+/**
+ * Adds the value to the histogram.
+ * @private
+ */
+function observe(histogram, value) {
+  OPEN_DURATION_BUCKETS.forEach((le, i) => {
+    if (value <= le) histogram.buckets[i]++;
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+/**
+ * Formats the labels of a sample, e.g. `{room="room1"}`.
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n');
+    return `${name}="${escaped}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+module.exports = MetricsCollector;
@@ -0,0 +1,114 @@
+const http = require('http');
+const logger = require('../logger');
+const MetricsCollector = require('./MetricsCollector');
+
+/**
+ * HTTP server that exposes the metrics of the rooms of a
+ * [Haxroomie]{@link Haxroomie} instance for Prometheus in the `/metrics`
+ * path. See [MetricsCollector]{@link MetricsCollector} for the metrics.
+ *
+ * The metrics do not require authentication, so by default the server only
+ * listens to `127.0.0.1`.
+ *
+ * e.g.
+ * ```js
+ * const { createHaxroomie, MetricsServer } = require('haxroomie-core');
+ * const haxroomie = await createHaxroomie();
+ * const metrics = new MetricsServer({ haxroomie, port: 9067 });
+ * await metrics.start();
+ * ```
+ */
+class MetricsServer {
+  /**
+   * @param {object} options - Options.
+   * @param {Haxroomie} options.haxroomie - Haxroomie instance whose rooms
+   *    to collect metrics from.
+   * @param {number} [options.port=9067] - Port to listen to. Use `0` for a
+   *    random free port.
+   * @param {string} [options.host='127.0.0.1'] - Host to listen to.
+   * @param {number} [options.pageMetricsTimeout=1000] - How long to wait
+   *    for the CDP metrics of a page in milliseconds.
+   */
+  constructor({
+    haxroomie,
+    port = 9067,
+    host = '127.0.0.1',
+    pageMetricsTimeout,
+  } = {}) {
+    if (!haxroomie) {
+      throw new TypeError('Missing required argument: haxroomie');
+    }
+    this.collector = new MetricsCollector({ haxroomie, pageMetricsTimeout });
+    this.port = port;
+    this.host = host;
+    this.server = null;
+  }
+
+  /**
+   * Base URL of the server or `null` if it is not running.
+   * @type string
+   */
+  get url() {
+    if (!this.server) return null;
+    return `http://${this.host}:${this.server.address().port}`;
+  }
+
+  /**
+   * Starts collecting the metrics and the server.
+   */
+  async start() {
+    if (this.server) return;
+
+    const server = http.createServer((req, res) => this.onRequest(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, resolve);
+    });
+    this.server = server;
+    this.collector.start();
+
+    logger.debug(`MetricsServer listening on ${this.url}`);
+  }
+
+  /**
+   * Stops the server and collecting the metrics.
+   */
+  async stop() {
+    if (!this.server) return;
+    this.collector.stop();
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * @private
+   */
+  async onRequest(req, res) {
+    const { pathname } = new URL(req.url, this.url);
+    if (pathname !== '/metrics') {
+      sendText(res, 404, `Not found: ${pathname}\n`);
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendText(res, 405, `Method not allowed: ${req.method}\n`);
+      return;
+    }
+    try {
+      sendText(res, 200, await this.collector.collect());
+    } catch (err) {
+      logger.error(err.stack);
+      sendText(res, 500, `${err.message}\n`);
+    }
+  }
+}
+
+function sendText(res, statusCode, text) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+  });
+  res.end(text);
+}
+
+module.exports = MetricsServer;
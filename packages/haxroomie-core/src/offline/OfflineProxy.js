@@ -0,0 +1,145 @@
+const http = require('http');
+const net = require('net');
+const logger = require('../logger');
+
+/**
+ * Local HTTP proxy that can be used as a stand-in for the proxies given
+ * with the `proxy` option of [Haxroomie#addRoom]{@link Haxroomie#addRoom}.
+ *
+ * Forwards plain HTTP requests and tunnels the `CONNECT` requests (HTTPS
+ * and WebSockets over TLS). Records the requested URLs, so the tests can
+ * check which rooms egress through the proxy.
+ */
+class OfflineProxy {
+  /**
+   * @param {object} [options] - Options.
+   * @param {number} [options.port=0] - Port to listen to. By default a
+   *    random free port is used.
+   * @param {string} [options.host='127.0.0.1'] - Host to listen to.
+   * @param {string} [options.username] - Require the clients to
+   *    authenticate with this username.
+   * @param {string} [options.password] - Password for the `username`.
+   */
+  constructor({ port = 0, host = '127.0.0.1', username, password } = {}) {
+    this.port = port;
+    this.host = host;
+    this.username = username;
+    this.password = password;
+    this.server = null;
+    this.sockets = new Set();
+    /** URLs (or `host:port` of CONNECT requests) that went through. */
+    this.requests = [];
+  }
+
+  /**
+   * URL of the proxy or `null` if it is not running.
+   * @type string
+   */
+  get url() {
+    if (!this.server) return null;
+    return `http://${this.host}:${this.server.address().port}`;
+  }
+
+  /**
+   * Starts the proxy.
+   */
+  async start() {
+    if (this.server) return;
+    const server = http.createServer((req, res) => this.onRequest(req, res));
+    server.on('connect', (req, socket, head) => {
+      this.onConnect(req, socket, head);
+    });
+    server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.once('close', () => this.sockets.delete(socket));
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, resolve);
+    });
+    this.server = server;
+    logger.debug(`OfflineProxy listening on ${this.url}`);
+  }
+
+  /**
+   * Stops the proxy and closes the open connections.
+   */
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    for (let socket of this.sockets) socket.destroy();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Checks the credentials of the request if the proxy requires them.
+   * @private
+   */
+  isAuthorized(req) {
+    if (!this.username) return true;
+    const header = req.headers['proxy-authorization'] || '';
+    const [type, encoded] = header.split(' ');
+    if (type !== 'Basic' || !encoded) return false;
+    const credentials = Buffer.from(encoded, 'base64').toString();
+    return credentials === `${this.username}:${this.password || ''}`;
+  }
+
+  /**
+   * @private
+   */
+  onRequest(req, res) {
+    if (!this.isAuthorized(req)) {
+      res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="haxroomie"' });
+      res.end();
+      return;
+    }
+    this.requests.push(req.url);
+
+    const headers = { ...req.headers };
+    delete headers['proxy-authorization'];
+    const proxyReq = http.request(
+      req.url,
+      { method: req.method, headers },
+      (proxyRes) => {
+        res.writeHead(proxyRes.statusCode, proxyRes.headers);
+        proxyRes.pipe(res);
+      }
+    );
+    proxyReq.on('error', (err) => {
+      logger.debug(`OfflineProxy: ${err}`);
+      res.writeHead(502);
+      res.end();
+    });
+    req.pipe(proxyReq);
+  }
+
+  /**
+   * @private
+   */
+  onConnect(req, socket, head) {
+    if (!this.isAuthorized(req)) {
+      socket.end(
+        'HTTP/1.1 407 Proxy Authentication Required\r\n' +
+          'Proxy-Authenticate: Basic realm="haxroomie"\r\n\r\n'
+      );
+      return;
+    }
+    this.requests.push(req.url);
+
+    const [host, port] = req.url.split(':');
+    const target = net.connect(port || 443, host, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      target.write(head);
+      target.pipe(socket);
+      socket.pipe(target);
+    });
+    target.on('error', (err) => {
+      logger.debug(`OfflineProxy: ${err}`);
+      socket.destroy();
+    });
+    socket.on('error', () => target.destroy());
+  }
+}
+
+module.exports = OfflineProxy;
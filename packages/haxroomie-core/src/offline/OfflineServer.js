@@ -0,0 +1,133 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const logger = require('../logger');
+
+const PUBLIC_DIRECTORY = path.join(__dirname, 'public');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+};
+
+/**
+ * Local HTTP server that serves the offline stand-ins for the HaxBall
+ * headless host page and Haxball Headless Manager.
+ *
+ * Used by [Haxroomie]{@link Haxroomie} when it is constructed with the
+ * `offline` option. Makes it possible to run rooms without network access
+ * or a valid token, e.g. for testing and development.
+ */
+class OfflineServer {
+  /**
+   * @param {object} [options] - Options.
+   * @param {number} [options.port=0] - Port to listen to. By default a
+   *    random free port is used.
+   * @param {string} [options.host='127.0.0.1'] - Host to listen to.
+   */
+  constructor({ port = 0, host = '127.0.0.1' } = {}) {
+    this.port = port;
+    this.host = host;
+    this.server = null;
+  }
+
+  /**
+   * Base URL of the server or `null` if it is not running.
+   * @type string
+   */
+  get url() {
+    if (!this.server) return null;
+    return `http://${this.host}:${this.server.address().port}`;
+  }
+
+  /**
+   * URL of the HaxBall headless host stand-in page.
+   * @type string
+   */
+  get headlessUrl() {
+    return `${this.url}/headless`;
+  }
+
+  /**
+   * URL from where the HHM releases (`hhm-[version].js`) are served.
+   * Every version serves the bundled HHM stand-in.
+   * @type string
+   */
+  get hhmUrl() {
+    return `${this.url}/releases`;
+  }
+
+  /**
+   * Starts the server.
+   */
+  async start() {
+    if (this.server) return;
+    const server = http.createServer((req, res) => this.onRequest(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, resolve);
+    });
+    this.server = server;
+    logger.debug(`OfflineServer listening on ${this.url}`);
+  }
+
+  /**
+   * Stops the server.
+   */
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Maps the requested path to a file in the public directory.
+   * @param {string} pathname - Requested path.
+   * @returns {string|null} - Name of the file or `null` if there is none.
+   * @private
+   */
+  resolveFile(pathname) {
+    if (pathname === '/headless' || pathname === '/headless/') {
+      return 'headless.html';
+    }
+    if (/^\/releases\/hhm-[^/]+\.js$/.test(pathname)) {
+      return 'hhm.js';
+    }
+    const fileName = pathname.replace(/^\/(headless\/)?/, '');
+    if (['frame.html', 'headless.js'].includes(fileName)) {
+      return fileName;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  onRequest(req, res) {
+    const { pathname } = new URL(req.url, this.url);
+    const fileName = this.resolveFile(pathname);
+
+    if (!fileName) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    fs.readFile(path.join(PUBLIC_DIRECTORY, fileName), (err, content) => {
+      if (err) {
+        logger.debug(`OfflineServer: ${err}`);
+        res.writeHead(500);
+        res.end();
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(fileName)],
+        'Access-Control-Allow-Origin': '*',
+      });
+      res.end(content);
+    });
+  }
+}
+
+module.exports = OfflineServer;
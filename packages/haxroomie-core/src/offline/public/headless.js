@@ -0,0 +1,487 @@
+/**
+ * Offline stand-in for the HaxBall headless host page.
+ *
+ * Provides a fake `HBInit` function that returns an object implementing the
+ * [roomObject](https://github.com/haxball/haxball-issues/wiki/Headless-Host#roomobject)
+ * API without connecting to the HaxBall servers. The room link is written
+ * into the `#roomlink` element of the iframe like in the real page and
+ * tokens starting with `invalid` make the `#recaptcha` element appear.
+ *
+ * Tests can simulate players with the `window.haxballStandIn` object.
+ */
+(function () {
+  const DEFAULT_STADIUMS = [
+    'Classic',
+    'Easy',
+    'Small',
+    'Big',
+    'Rounded',
+    'Hockey',
+    'Big Hockey',
+    'Big Easy',
+    'Big Rounded',
+    'Huge',
+  ];
+
+  const TEAM_SPECTATORS = 0;
+  const TEAM_RED = 1;
+  const TEAM_BLUE = 2;
+
+  let room = null;
+
+  window.HBInit = function HBInit(roomConfig) {
+    if (room) return room;
+    room = createRoom(roomConfig || {});
+    return room;
+  };
+
+  window.haxballStandIn = {
+    get room() {
+      return room;
+    },
+    addPlayer,
+    removePlayer,
+    chat,
+    kickBall,
+    scoreGoal,
+    getAnnouncements,
+    getChat,
+    getBans,
+  };
+
+  /**
+   * Runs `fn` when the iframe containing the `#roomlink` and `#recaptcha`
+   * elements has loaded.
+   */
+  function withFrameDocument(fn) {
+    const iframe = document.querySelector('iframe');
+    const doc = iframe ? iframe.contentDocument : null;
+    if (!doc || !doc.getElementById('roomlink')) {
+      setTimeout(() => withFrameDocument(fn), 50);
+      return;
+    }
+    fn(doc);
+  }
+
+  function createRoom(roomConfig) {
+    const state = {
+      config: roomConfig,
+      players: new Map(),
+      nextPlayerId: 1,
+      bans: new Map(),
+      password: roomConfig.password || null,
+      requireRecaptcha: false,
+      scoreLimit: 3,
+      timeLimit: 3,
+      teamsLock: false,
+      teamColors: {},
+      stadium: 'Classic',
+      customStadium: null,
+      scores: null,
+      paused: false,
+      tickInterval: null,
+      recording: null,
+      kickRateLimit: { min: 2, rate: 0, burst: 0 },
+      announcements: [],
+      chat: [],
+      ball: { x: 0, y: 0, xspeed: 0, yspeed: 0, radius: 10 },
+    };
+
+    if (!roomConfig.noPlayer) {
+      state.players.set(0, {
+        id: 0,
+        name: roomConfig.playerName || 'host',
+        team: TEAM_SPECTATORS,
+        admin: true,
+        position: null,
+        auth: null,
+        conn: null,
+      });
+    }
+
+    const roomObject = {
+      _state: state,
+      CollisionFlags: {
+        ball: 1,
+        red: 2,
+        blue: 4,
+        redKO: 8,
+        blueKO: 16,
+        wall: 32,
+        all: 63,
+        kick: 64,
+        score: 128,
+        c0: 268435456,
+        c1: 536870912,
+        c2: 1073741824,
+        c3: -2147483648,
+      },
+      sendChat,
+      sendAnnouncement,
+      setPlayerAdmin,
+      setPlayerTeam,
+      kickPlayer,
+      clearBan,
+      clearBans,
+      setScoreLimit,
+      setTimeLimit,
+      setCustomStadium,
+      setDefaultStadium,
+      setTeamsLock,
+      setTeamColors,
+      startGame,
+      stopGame,
+      pauseGame,
+      getPlayer,
+      getPlayerList,
+      getScores,
+      getBallPosition,
+      startRecording,
+      stopRecording,
+      setPassword,
+      setRequireRecaptcha,
+      reorderPlayers,
+      setKickRateLimit,
+      setPlayerAvatar,
+      setDiscProperties,
+      getDiscProperties,
+      setPlayerDiscProperties,
+      getPlayerDiscProperties,
+      getDiscCount,
+    };
+
+    setTimeout(() => withFrameDocument(open), 100);
+
+    return roomObject;
+
+    function open(doc) {
+      const token = roomConfig.token || '';
+      if (!token || token.startsWith('invalid')) {
+        doc.getElementById('recaptcha').innerHTML =
+          'Token is invalid or has expired!';
+        return;
+      }
+      const roomId = Math.random().toString(36).slice(2, 13);
+      const link = `https://www.haxball.com/play?c=${roomId}`;
+      doc.getElementById(
+        'roomlink'
+      ).innerHTML = `<p>Room link: <a href="${link}" target="_blank">${link}</a></p>`;
+      trigger('onRoomLink', link);
+    }
+
+    function trigger(handlerName, ...args) {
+      if (typeof roomObject[handlerName] === 'function') {
+        return roomObject[handlerName](...args);
+      }
+    }
+
+    function getPlayer(id) {
+      const player = state.players.get(id);
+      if (!player) return null;
+      return { ...player, auth: null, conn: null };
+    }
+
+    function getPlayerList() {
+      return Array.from(state.players.keys()).map((id) => getPlayer(id));
+    }
+
+    function sendChat(message, targetId) {
+      state.chat.push({ message, targetId: targetId, byPlayer: 0 });
+    }
+
+    function sendAnnouncement(msg, targetId, color, style, sound) {
+      state.announcements.push({ msg, targetId, color, style, sound });
+    }
+
+    function setPlayerAdmin(playerId, admin) {
+      const player = state.players.get(playerId);
+      if (!player || player.admin === admin) return;
+      player.admin = admin;
+      trigger('onPlayerAdminChange', getPlayer(playerId), null);
+    }
+
+    function setPlayerTeam(playerId, team) {
+      const player = state.players.get(playerId);
+      if (!player || player.team === team) return;
+      player.team = team;
+      trigger('onPlayerTeamChange', getPlayer(playerId), null);
+    }
+
+    function kickPlayer(playerId, reason, ban) {
+      const player = state.players.get(playerId);
+      if (!player) return;
+      if (ban) state.bans.set(playerId, { ...player });
+      state.players.delete(playerId);
+      trigger('onPlayerLeave', { ...player, auth: null, conn: null });
+      trigger(
+        'onPlayerKicked',
+        { ...player, auth: null, conn: null },
+        reason,
+        ban,
+        null
+      );
+    }
+
+    function clearBan(playerId) {
+      state.bans.delete(playerId);
+    }
+
+    function clearBans() {
+      state.bans.clear();
+    }
+
+    function setScoreLimit(limit) {
+      if (state.scores) throw new Error('Game is running');
+      state.scoreLimit = limit;
+    }
+
+    function setTimeLimit(limitInMinutes) {
+      if (state.scores) throw new Error('Game is running');
+      state.timeLimit = limitInMinutes;
+    }
+
+    function setCustomStadium(stadiumFileContents) {
+      if (state.scores) throw new Error('Game is running');
+      const stadium = JSON.parse(stadiumFileContents);
+      state.stadium = stadium.name;
+      state.customStadium = stadium;
+      trigger('onStadiumChange', stadium.name, null);
+    }
+
+    function setDefaultStadium(stadiumName) {
+      if (state.scores) throw new Error('Game is running');
+      if (!DEFAULT_STADIUMS.includes(stadiumName)) return;
+      state.stadium = stadiumName;
+      state.customStadium = null;
+      trigger('onStadiumChange', stadiumName, null);
+    }
+
+    function setTeamsLock(locked) {
+      state.teamsLock = locked;
+    }
+
+    function setTeamColors(team, angle, textColor, colors) {
+      state.teamColors[team] = { angle, textColor, colors };
+    }
+
+    function startGame() {
+      if (state.scores) return;
+      state.scores = {
+        red: 0,
+        blue: 0,
+        time: 0,
+        scoreLimit: state.scoreLimit,
+        timeLimit: state.timeLimit * 60,
+      };
+      state.paused = false;
+      state.ball = { x: 0, y: 0, xspeed: 0, yspeed: 0, radius: 10 };
+      state.tickInterval = setInterval(tick, 1000 / 60);
+      trigger('onGameStart', null);
+    }
+
+    function stopGame() {
+      if (!state.scores) return;
+      clearInterval(state.tickInterval);
+      state.tickInterval = null;
+      state.scores = null;
+      state.paused = false;
+      trigger('onGameStop', null);
+    }
+
+    function pauseGame(pauseState) {
+      if (!state.scores || state.paused === pauseState) return;
+      state.paused = pauseState;
+      trigger(pauseState ? 'onGamePause' : 'onGameUnpause', null);
+    }
+
+    function tick() {
+      if (state.paused || !state.scores) return;
+      state.scores.time += 1 / 60;
+      trigger('onGameTick');
+    }
+
+    function getScores() {
+      return state.scores ? { ...state.scores } : null;
+    }
+
+    function getBallPosition() {
+      if (!state.scores) return null;
+      return { x: state.ball.x, y: state.ball.y };
+    }
+
+    function startRecording() {
+      state.recording = [];
+    }
+
+    function stopRecording() {
+      if (!state.recording) return null;
+      state.recording = null;
+      return new Uint8Array([72, 66, 82, 50]);
+    }
+
+    function setPassword(pass) {
+      state.password = pass;
+    }
+
+    function setRequireRecaptcha(required) {
+      state.requireRecaptcha = required;
+    }
+
+    function reorderPlayers(playerIdList, moveToTop) {
+      const ids = Array.from(state.players.keys());
+      const moved = playerIdList.filter((id) => state.players.has(id));
+      const rest = ids.filter((id) => !moved.includes(id));
+      const order = moveToTop ? [...moved, ...rest] : [...rest, ...moved];
+      const players = new Map();
+      for (let id of order) players.set(id, state.players.get(id));
+      state.players = players;
+    }
+
+    function setKickRateLimit(min, rate, burst) {
+      state.kickRateLimit = { min, rate, burst };
+      trigger('onKickRateLimitSet', min, rate, burst, null);
+    }
+
+    function setPlayerAvatar(playerId, avatar) {
+      const player = state.players.get(playerId);
+      if (player) player.avatar = avatar;
+    }
+
+    function setDiscProperties(discIndex, properties) {
+      if (discIndex === 0) Object.assign(state.ball, properties);
+    }
+
+    function getDiscProperties(discIndex) {
+      if (!state.scores || discIndex !== 0) return null;
+      return { ...state.ball };
+    }
+
+    function setPlayerDiscProperties(playerId, properties) {
+      const player = state.players.get(playerId);
+      if (player && player.position) Object.assign(player.position, properties);
+    }
+
+    function getPlayerDiscProperties(playerId) {
+      const player = state.players.get(playerId);
+      if (!state.scores || !player || !player.position) return null;
+      return { ...player.position };
+    }
+
+    function getDiscCount() {
+      return state.scores ? 1 : 0;
+    }
+  }
+
+  /**
+   * Simulates a player joining the room.
+   *
+   * @param {object} [player] - Player properties.
+   * @param {string} [player.name] - Name of the player.
+   * @param {string} [player.auth] - Auth of the player.
+   * @param {string} [player.conn] - Connection of the player (hex encoded
+   *    IP address).
+   * @returns {object} - The player or `null` if the player is banned.
+   */
+  function addPlayer({ name, auth, conn } = {}) {
+    const state = room._state;
+    const id = state.nextPlayerId++;
+    const player = {
+      id,
+      name: name || `player${id}`,
+      team: TEAM_SPECTATORS,
+      admin: false,
+      position: null,
+      auth: auth || `auth${id}`,
+      conn: conn || `conn${id}`,
+    };
+    for (let banned of state.bans.values()) {
+      if (banned.conn === player.conn) return null;
+    }
+    state.players.set(id, player);
+    if (typeof room.onPlayerJoin === 'function') room.onPlayerJoin(player);
+    return { ...player };
+  }
+
+  /**
+   * Simulates a player leaving the room.
+   * @param {number} id - Id of the player.
+   */
+  function removePlayer(id) {
+    const state = room._state;
+    const player = state.players.get(id);
+    if (!player) return;
+    state.players.delete(id);
+    if (typeof room.onPlayerLeave === 'function') {
+      room.onPlayerLeave({ ...player, auth: null, conn: null });
+    }
+  }
+
+  /**
+   * Simulates a player sending a chat message.
+   *
+   * @param {number} id - Id of the player.
+   * @param {string} message - The message.
+   * @returns {boolean} - `false` if the message was blocked by the
+   *    `onPlayerChat` handler.
+   */
+  function chat(id, message) {
+    const player = room.getPlayer(id);
+    if (!player) return false;
+    let result;
+    if (typeof room.onPlayerChat === 'function') {
+      result = room.onPlayerChat(player, message);
+    }
+    const sent = result !== false;
+    if (sent) room._state.chat.push({ message, byPlayer: id });
+    return sent;
+  }
+
+  /**
+   * Simulates a player kicking the ball.
+   * @param {number} id - Id of the player.
+   */
+  function kickBall(id) {
+    const player = room.getPlayer(id);
+    if (!player || !room._state.scores) return;
+    if (typeof room.onPlayerBallKick === 'function') {
+      room.onPlayerBallKick(player);
+    }
+  }
+
+  /**
+   * Simulates a goal and the team victory if score limit gets reached.
+   * @param {number} team - The scoring team (1 = red, 2 = blue).
+   */
+  function scoreGoal(team) {
+    const scores = room._state.scores;
+    if (!scores) return;
+    if (team === TEAM_RED) scores.red++;
+    if (team === TEAM_BLUE) scores.blue++;
+    if (typeof room.onTeamGoal === 'function') room.onTeamGoal(team);
+    if (typeof room.onPositionsReset === 'function') room.onPositionsReset();
+    if (
+      scores.scoreLimit > 0 &&
+      Math.max(scores.red, scores.blue) >= scores.scoreLimit
+    ) {
+      if (typeof room.onTeamVictory === 'function') {
+        room.onTeamVictory({ ...scores });
+      }
+      room.stopGame();
+    }
+  }
+
+  /** @returns {Array.<object>} - Announcements sent to the room. */
+  function getAnnouncements() {
+    return room._state.announcements.slice();
+  }
+
+  /** @returns {Array.<object>} - Chat messages sent in the room. */
+  function getChat() {
+    return room._state.chat.slice();
+  }
+
+  /** @returns {Array.<object>} - Players banned from the room. */
+  function getBans() {
+    return Array.from(room._state.bans.values());
+  }
+})();
@@ -0,0 +1,461 @@
+/**
+ * Offline stand-in for
+ * [Haxball Headless Manager (HHM)](https://github.com/saviola777/haxball-headless-manager).
+ *
+ * Implements the subset of the HHM API that Haxroomie uses: loading plugins
+ * from code and repositories, enabling, disabling, removing and reloading
+ * them, plugin configs, dependencies and the `onHhm_` events. Each plugin
+ * gets its own room object from `HBInit()` and the handlers of all enabled
+ * plugins are called when a room event happens.
+ *
+ * Plugins from `github` and `url` repositories are fetched like HHM does, so
+ * offline only plugins from `local` repositories or code can be loaded.
+ */
+(function () {
+  const HHM = (window.HHM =
+    typeof window.HHM === 'undefined' ? {} : window.HHM);
+  HHM.config = HHM.config || {};
+  HHM.version = 'offline';
+
+  HHM.events = {
+    PLUGIN_CONFIG_CHANGED: 'pluginConfigChanged',
+    PLUGIN_DISABLED: 'pluginDisabled',
+    PLUGIN_ENABLED: 'pluginEnabled',
+    PLUGIN_LOADED: 'pluginLoaded',
+    PLUGIN_REMOVED: 'pluginRemoved',
+  };
+
+  HHM.log = {
+    debug: (...args) => console.debug('[DEBUG HHM]: ', ...args),
+    info: (...args) => console.log('[INFO HHM]: ', ...args),
+    warn: (...args) => console.warn('[WARN HHM]: ', ...args),
+    error: (...args) => console.error('[ERROR HHM]: ', ...args),
+  };
+
+  const ROOM_EVENT_HANDLERS = [
+    'onPlayerJoin',
+    'onPlayerLeave',
+    'onTeamVictory',
+    'onPlayerChat',
+    'onPlayerBallKick',
+    'onTeamGoal',
+    'onGameStart',
+    'onGameStop',
+    'onPlayerAdminChange',
+    'onPlayerTeamChange',
+    'onPlayerKicked',
+    'onGameTick',
+    'onGamePause',
+    'onGameUnpause',
+    'onPositionsReset',
+    'onPlayerActivity',
+    'onStadiumChange',
+    'onRoomLink',
+    'onKickRateLimitSet',
+  ];
+
+  const originalHBInit = window.HBInit;
+
+  let nativeRoom = null;
+  let started = false;
+  let queuedEvents = [];
+  let nextPluginId = 0;
+  const plugins = new Map();
+
+  const pluginLoader = {
+    repositories: [],
+    addRepository(repository, append) {
+      if (this.hasRepository(repository)) return false;
+      if (append) this.repositories.push(repository);
+      else this.repositories.unshift(repository);
+      return true;
+    },
+    hasRepository(repository) {
+      const key = JSON.stringify(repository);
+      return this.repositories.some((r) => JSON.stringify(r) === key);
+    },
+  };
+
+  const repositoryFactory = {
+    async createRepository(definition) {
+      const repository = { ...definition };
+      if (repository.type === 'github') {
+        repository.path = repository.path || 'src';
+        repository.version = repository.version || 'master';
+        repository.suffix = repository.suffix || '.js';
+      }
+      repository.repositoryInformation = {
+        name: repository.repository || repository.url || 'local',
+        plugins: repository.plugins ? Object.keys(repository.plugins) : [],
+      };
+      return repository;
+    },
+  };
+
+  HHM.manager = {
+    room: null,
+    start,
+    addPlugin,
+    getPlugin,
+    getPluginId,
+    getPluginName,
+    hasPlugin,
+    getLoadedPluginIds,
+    enablePlugin,
+    disablePlugin,
+    removePlugin,
+    reloadPlugin,
+    setPluginConfig,
+    getDependentPlugins,
+    getPluginLoader: () => pluginLoader,
+    getPluginRepositoryFactory: () => repositoryFactory,
+  };
+
+  /**
+   * Creates the room and loads the plugins defined in `HHM.config`.
+   */
+  async function start() {
+    if (!HHM.config.room) {
+      HHM.log.warn('No room config was provided');
+      return;
+    }
+
+    nativeRoom = originalHBInit(HHM.config.room);
+    HHM.manager.room = nativeRoom;
+    for (let handlerName of ROOM_EVENT_HANDLERS) {
+      nativeRoom[handlerName] = (...args) => dispatch(handlerName, args);
+    }
+    window.HBInit = () => createPluginRoom(createPlugin());
+
+    for (let repository of HHM.config.repositories || []) {
+      pluginLoader.addRepository(
+        await repositoryFactory.createRepository(repository),
+        true
+      );
+    }
+
+    for (let [pluginName, config] of Object.entries(HHM.config.plugins || {})) {
+      const id = await addPlugin({ pluginName });
+      if (id >= 0 && config) setPluginConfig(id, config);
+    }
+
+    if (typeof HHM.config.postInit === 'function') {
+      const plugin = createPlugin();
+      plugin.pluginSpec = { name: '_user/postInit' };
+      plugin._pluginSpecOriginal = { name: '_user/postInit' };
+      HHM.config.postInit(() => createPluginRoom(plugin));
+      registerPlugin(plugin);
+    }
+
+    started = true;
+    for (let [handlerName, args] of queuedEvents) {
+      dispatch(handlerName, args);
+    }
+    queuedEvents = [];
+  }
+
+  /**
+   * Calls the handlers of enabled plugins. Returns `false` if any of the
+   * handlers returned `false`.
+   */
+  function dispatch(handlerName, args) {
+    if (!started) {
+      queuedEvents.push([handlerName, args]);
+      return;
+    }
+    let result;
+    for (let plugin of plugins.values()) {
+      if (!plugin._enabled) continue;
+      const handler = plugin.handlers[handlerName];
+      if (typeof handler !== 'function') continue;
+      try {
+        if (handler(...args) === false) result = false;
+      } catch (err) {
+        HHM.log.error(`Error in ${plugin.pluginSpec.name}#${handlerName}`, err);
+      }
+    }
+    return result;
+  }
+
+  function triggerHhmEvent(eventType, args) {
+    for (let plugin of Array.from(plugins.values())) {
+      if (!plugin._enabled) continue;
+      const handler = plugin.handlers[`onHhm_${eventType}`];
+      if (typeof handler !== 'function') continue;
+      try {
+        handler(args);
+      } catch (err) {
+        HHM.log.error(
+          `Error in ${plugin.pluginSpec.name}#onHhm_${eventType}`,
+          err
+        );
+      }
+    }
+  }
+
+  function createPlugin() {
+    const plugin = {
+      _id: nextPluginId++,
+      _enabled: true,
+      _source: null,
+      pluginSpec: undefined,
+      _pluginSpecOriginal: undefined,
+      handlers: {},
+      isEnabled: () => plugin._enabled,
+      getConfig: () => (plugin.pluginSpec && plugin.pluginSpec.config) || {},
+      setConfig: (config) => setPluginConfig(plugin._id, config),
+    };
+    return plugin;
+  }
+
+  /**
+   * Creates the room object that a plugin receives from `HBInit()`.
+   * Assigned handlers are stored in the plugin and the rest of the
+   * properties are read from the real room object.
+   */
+  function createPluginRoom(plugin) {
+    return new Proxy(plugin, {
+      get(target, property) {
+        if (property in target) return target[property];
+        if (typeof property === 'string' && property.startsWith('on')) {
+          return target.handlers[property];
+        }
+        if (property in target.handlers) return target.handlers[property];
+        const value = nativeRoom[property];
+        return typeof value === 'function' ? value.bind(nativeRoom) : value;
+      },
+      set(target, property, value) {
+        if (property === 'pluginSpec') {
+          target.pluginSpec = value;
+        } else {
+          target.handlers[property] = value;
+        }
+        return true;
+      },
+    });
+  }
+
+  function registerPlugin(plugin) {
+    plugins.set(plugin._id, plugin);
+    if (typeof plugin.handlers.onLoad === 'function') plugin.handlers.onLoad();
+    triggerHhmEvent(HHM.events.PLUGIN_LOADED, { plugin });
+  }
+
+  async function fetchPluginCode(pluginName) {
+    for (let repository of pluginLoader.repositories) {
+      if (repository.type === 'local') {
+        if (repository.plugins && repository.plugins[pluginName]) {
+          return repository.plugins[pluginName];
+        }
+        continue;
+      }
+      let url;
+      if (repository.type === 'github') {
+        url =
+          `https://raw.githubusercontent.com/${repository.repository}/` +
+          `${repository.version}/${repository.path}/${pluginName}` +
+          `${repository.suffix}`;
+      } else if (repository.type === 'url') {
+        url = `${repository.url}/${pluginName}.js`;
+      } else {
+        continue;
+      }
+      try {
+        const response = await fetch(url);
+        if (response.ok) return await response.text();
+      } catch (err) {
+        // try the next repository
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Loads a plugin from the given code or from the repositories.
+   *
+   * @returns {Promise.<number>} - Id of the plugin or -1 if it could not be
+   *    loaded.
+   */
+  async function addPlugin({ pluginName, pluginCode } = {}) {
+    if (pluginName !== undefined && hasPlugin(pluginName)) {
+      return getPluginId(pluginName);
+    }
+
+    const code =
+      pluginCode !== undefined ? pluginCode : await fetchPluginCode(pluginName);
+    if (code === null || code === undefined) {
+      HHM.log.error(`Could not load plugin ${pluginName}`);
+      return -1;
+    }
+
+    const plugin = createPlugin();
+    plugin._source = { pluginName, pluginCode: code };
+    const pluginRoom = createPluginRoom(plugin);
+
+    try {
+      if (typeof code === 'function') {
+        code(() => pluginRoom);
+      } else {
+        new Function('HBInit', code)(() => pluginRoom);
+      }
+    } catch (err) {
+      HHM.log.error(`Error while loading plugin ${pluginName}`, err);
+      return -1;
+    }
+
+    plugin.pluginSpec = plugin.pluginSpec || {};
+    if (!plugin.pluginSpec.name) plugin.pluginSpec.name = pluginName;
+    if (!plugin.pluginSpec.name) plugin.pluginSpec.name = `plugin${plugin._id}`;
+    plugin._pluginSpecOriginal = JSON.parse(JSON.stringify(plugin.pluginSpec));
+
+    if (hasPlugin(plugin.pluginSpec.name)) {
+      return getPluginId(plugin.pluginSpec.name);
+    }
+
+    for (let dependency of plugin.pluginSpec.dependencies || []) {
+      if ((await addPlugin({ pluginName: dependency })) < 0) {
+        HHM.log.error(
+          `Could not load dependency ${dependency} of ${plugin.pluginSpec.name}`
+        );
+        return -1;
+      }
+    }
+
+    registerPlugin(plugin);
+    return plugin._id;
+  }
+
+  function resolvePlugin(pluginIdOrName) {
+    if (typeof pluginIdOrName === 'number') {
+      return plugins.get(pluginIdOrName) || null;
+    }
+    for (let plugin of plugins.values()) {
+      if (plugin.pluginSpec.name === pluginIdOrName) return plugin;
+    }
+    return null;
+  }
+
+  function getPlugin(pluginIdOrName) {
+    const plugin = resolvePlugin(pluginIdOrName);
+    return plugin ? createPluginRoom(plugin) : null;
+  }
+
+  function getPluginId(pluginName) {
+    const plugin = resolvePlugin(pluginName);
+    return plugin ? plugin._id : -1;
+  }
+
+  function getPluginName(pluginId) {
+    const plugin = resolvePlugin(pluginId);
+    return plugin ? plugin.pluginSpec.name : undefined;
+  }
+
+  function hasPlugin(pluginName) {
+    return resolvePlugin(pluginName) !== null;
+  }
+
+  function getLoadedPluginIds() {
+    return Array.from(plugins.keys());
+  }
+
+  function getDependentPlugins(
+    pluginIdOrName,
+    recursive = true,
+    includeDisabled = false
+  ) {
+    const plugin = resolvePlugin(pluginIdOrName);
+    if (!plugin) return [];
+    const dependents = new Set();
+    const search = (name) => {
+      for (let p of plugins.values()) {
+        if (dependents.has(p._id)) continue;
+        if (!includeDisabled && !p._enabled) continue;
+        if ((p.pluginSpec.dependencies || []).includes(name)) {
+          dependents.add(p._id);
+          if (recursive) search(p.pluginSpec.name);
+        }
+      }
+    };
+    search(plugin.pluginSpec.name);
+    return Array.from(dependents);
+  }
+
+  function enablePlugin(pluginIdOrName) {
+    const plugin = resolvePlugin(pluginIdOrName);
+    if (!plugin) return false;
+    if (plugin._enabled) return true;
+    for (let dependency of plugin.pluginSpec.dependencies || []) {
+      if (!enablePlugin(dependency)) return false;
+    }
+    plugin._enabled = true;
+    if (typeof plugin.handlers.onEnable === 'function') {
+      plugin.handlers.onEnable();
+    }
+    triggerHhmEvent(HHM.events.PLUGIN_ENABLED, { plugin });
+    return true;
+  }
+
+  function disablePlugin(pluginIdOrName, recursive = false) {
+    const plugin = resolvePlugin(pluginIdOrName);
+    if (!plugin || !plugin._enabled) return [];
+    const dependents = getDependentPlugins(plugin._id, true, false);
+    if (dependents.length > 0 && !recursive) return [];
+
+    const disabled = [];
+    for (let id of dependents.reverse()) {
+      disabled.push(...disablePlugin(id, true));
+    }
+    plugin._enabled = false;
+    if (typeof plugin.handlers.onDisable === 'function') {
+      plugin.handlers.onDisable();
+    }
+    triggerHhmEvent(HHM.events.PLUGIN_DISABLED, { plugin });
+    disabled.push(plugin._id);
+    return disabled;
+  }
+
+  function removePlugin(pluginId, safe = true) {
+    const plugin = resolvePlugin(pluginId);
+    if (!plugin) return false;
+    const dependents = getDependentPlugins(plugin._id, true, true);
+    if (safe && dependents.length > 0) return false;
+    disablePlugin(plugin._id, true);
+    plugin._enabled = true;
+    triggerHhmEvent(HHM.events.PLUGIN_REMOVED, { plugin });
+    plugin._enabled = false;
+    plugins.delete(plugin._id);
+    if (typeof plugin.handlers.onUnload === 'function') {
+      plugin.handlers.onUnload();
+    }
+    return true;
+  }
+
+  async function reloadPlugin(pluginName, safe = true) {
+    const plugin = resolvePlugin(pluginName);
+    if (!plugin) throw new Error(`Plugin ${pluginName} is not loaded`);
+    const config = plugin.getConfig();
+    const source = plugin._source;
+    if (!removePlugin(plugin._id, safe)) {
+      throw new Error(`Could not unload plugin ${pluginName}`);
+    }
+    const code =
+      source.pluginName !== undefined
+        ? (await fetchPluginCode(source.pluginName)) || source.pluginCode
+        : source.pluginCode;
+    const id = await addPlugin({ pluginName, pluginCode: code });
+    if (id < 0) return false;
+    setPluginConfig(id, config);
+    return true;
+  }
+
+  function setPluginConfig(pluginId, config) {
+    const plugin = resolvePlugin(pluginId);
+    if (!plugin) return;
+    const oldConfig = plugin.getConfig();
+    plugin.pluginSpec.config = config;
+    if (typeof plugin.handlers.onConfigSet === 'function') {
+      plugin.handlers.onConfigSet(oldConfig);
+    }
+    triggerHhmEvent(HHM.events.PLUGIN_CONFIG_CHANGED, { plugin, oldConfig });
+  }
+})();
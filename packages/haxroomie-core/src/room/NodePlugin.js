@@ -0,0 +1,75 @@
+/**
+ * Base class for plugins that run in Node instead of the browser.
+ *
+ * Extend this class and define methods named like the
+ * [HaxBall roomObject event handlers](https://github.com/haxball/haxball-issues/wiki/Headless-Host#roomobject)
+ * (e.g. `onPlayerJoin` or `onTeamGoal`) to react to the events of the room.
+ * The handlers get the same arguments as in the browser. See
+ * {@link RoomEventArgs} for the supported events.
+ *
+ * The plugin can also implement the lifecycle hooks:
+ * - `onLoad()` - the plugin was added to the room
+ * - `onUnload()` - the plugin was removed or the room was removed
+ * - `onEnable()` / `onDisable()` - the plugin was enabled or disabled
+ * - `onRoomOpen(roomInfo)` - the room opened, or the plugin was added to a
+ *   running room
+ * - `onRoomClose()` - the room closed
+ * - `onDownloadComplete(download)` - a file downloaded by the room was
+ *   saved, see {@link Download}
+ *
+ * All the handlers and hooks can be async. Errors thrown in them are
+ * emitted as the
+ * [node-plugin-error]{@link RoomController#event:node-plugin-error} event
+ * of the room.
+ *
+ * Each room gets its own instance of the plugin, so the plugin can keep
+ * state in `this`.
+ *
+ * e.g.
+ * ```js
+ * const { NodePlugin } = require('haxroomie-core');
+ *
+ * class Greeter extends NodePlugin {
+ *   async onPlayerJoin(player) {
+ *     await this.callRoom('sendAnnouncement', this.config.message, player.id);
+ *   }
+ * }
+ *
+ * room.nodePlugins.addPlugin({
+ *   name: 'greeter',
+ *   plugin: Greeter,
+ *   config: { message: 'Welcome!' },
+ * });
+ * ```
+ */
+class NodePlugin {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.name - Name of the plugin.
+   * @param {RoomController} opt.room - The room the plugin is added to.
+   * @param {object} [opt.config] - Config of the plugin.
+   */
+  constructor(opt) {
+    opt = opt || {};
+    if (!opt.name) throw new TypeError('invalid arguments');
+    if (!opt.room) throw new TypeError('invalid arguments');
+
+    this.name = opt.name;
+    this.room = opt.room;
+    this.config = opt.config || {};
+  }
+
+  /**
+   * Calls a function of the HaxBall roomObject.
+   * Shortcut for [RoomController#callRoom]{@link RoomController#callRoom}.
+   *
+   * @param {string} fn - Name of the haxball roomObject function.
+   * @param {any} ...args - Arguments for the function.
+   * @returns {Promise.<any>} - Return value of the called function.
+   */
+  callRoom(fn, ...args) {
+    return this.room.callRoom(fn, ...args);
+  }
+}
+
+module.exports = NodePlugin;
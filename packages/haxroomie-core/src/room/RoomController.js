@@ -10,15 +10,73 @@ const EventEmitter = require('events');
 const RoomOpener = require('./components/RoomOpener');
 const RepositoryController = require('./components/RepositoryController');
 const PluginController = require('./components/PluginController');
+const NodePluginController = require('./components/NodePluginController');
 const RoleController = require('./components/RoleController');
 const RoomErrorHandler = require('./components/RoomErrorHandler');
 const RoomConsoleHandler = require('./components/RoomConsoleHandler');
+const RoomWatchdog = require('./components/RoomWatchdog');
+const MatchTracker = require('./components/MatchTracker');
+const ChatLogger = require('./components/ChatLogger');
+const RecordingController = require('./components/RecordingController');
+const ModerationController = require('./components/ModerationController');
+const RoomDownloadHandler = require('./components/RoomDownloadHandler');
+const StadiumLibrary = require('../StadiumLibrary');
+const MuteList = require('../MuteList');
 const { stringify } = require('../utils');
 
+/**
+ * Room events that are sent from the browser unless unsubscribed with
+ * [RoomController#unsubscribe]{@link RoomController#unsubscribe}.
+ * @private
+ */
+const DEFAULT_ROOM_EVENTS = [
+  'onPlayerJoin',
+  'onPlayerLeave',
+  'onTeamVictory',
+  'onPlayerChat',
+  'onTeamGoal',
+  'onGameStart',
+  'onGameStop',
+  'onPlayerAdminChange',
+  'onPlayerTeamChange',
+  'onPlayerKicked',
+  'onGamePause',
+  'onGameUnpause',
+  'onPositionsReset',
+  'onStadiumChange',
+];
+
+/**
+ * Room events the components of RoomController need. They are sent from the
+ * browser even if unsubscribed, but emitted only when subscribed.
+ * @private
+ */
+const INTERNAL_ROOM_EVENTS = [
+  'onPlayerJoin',
+  'onPlayerLeave',
+  'onPlayerChat',
+  'onTeamGoal',
+  'onGameStart',
+  'onGameStop',
+  'onStadiumChange',
+];
+
+/**
+ * Room events the match history and the recordings need in addition to the
+ * internal events.
+ * @private
+ */
+const MATCH_ROOM_EVENTS = [
+  'onPlayerTeamChange',
+  'onPlayerBallKick',
+  'onPositionsReset',
+  'onTeamVictory',
+];
+
 /**
  * Event argument object that gets sent from the browser when a room event happens.
  *
- * The `handlerName` can be one of the following:
+ * By default the `handlerName` can be one of the following:
  * `onPlayerJoin`
  * `onPlayerLeave`
  * `onTeamVictory`
@@ -35,9 +93,15 @@ const { stringify } = require('../utils');
  * or
  * `onStadiumChange`
  *
+ * The rest of the handlers (e.g. `onPlayerBallKick`, `onGameTick` or
+ * `onRoomLink`) can be subscribed with
+ * [RoomController#subscribe]{@link RoomController#subscribe}.
+ *
  * See the
  * [roomObject documentation](https://github.com/haxball/haxball-issues/wiki/Headless-Host#roomobject)
- * to find out what kind of arguments to expect.
+ * to find out what kind of arguments to expect. The only exception is
+ * `onGameTick` that gets the positions of the ball and the players as the
+ * argument: `{ ballPosition, players: [{ id, team, position }] }`.
  *
  * @typedef {Object} RoomEventArgs
  * @property {string} handlerName - Name of the haxball room event handler
@@ -86,6 +150,49 @@ const { stringify } = require('../utils');
  * @param {Error} error - The error that was thrown.
  */
 
+/**
+ * Emitted when the page of a running room does not answer to the ping of
+ * the watchdog before the deadline, e.g. because a plugin is stuck in a
+ * loop. Requires the `watchdog` option.
+ * @event RoomController#room-unresponsive
+ * @param {object} data - Data.
+ * @param {number} data.elapsed - Milliseconds waited for the answer.
+ * @param {?number} data.lastPingAt - When the page last answered (ms since
+ *    epoch).
+ * @param {?object} data.metrics - Last sampled performance metrics if the
+ *    `metrics` option of the watchdog is enabled.
+ */
+
+/**
+ * Emitted when an unresponsive page answers again.
+ * @event RoomController#room-responsive
+ * @param {object} data - Data.
+ * @param {number} data.elapsed - Milliseconds it took to answer.
+ */
+
+/**
+ * Emitted when a match of the room was added to the
+ * [MatchHistory]{@link MatchHistory}. Requires the `matchHistory` option.
+ * @event RoomController#match-recorded
+ * @param {Match} match - The recorded match.
+ */
+
+/**
+ * Emitted when the recording of a game was saved. Requires the `recording`
+ * option.
+ * @event RoomController#recording-saved
+ * @param {Recording} recording - The saved recording.
+ */
+
+/**
+ * Emitted when a file downloaded by the page (e.g. with
+ * `haxroomie.downloadRec()`) has been saved to the download directory of
+ * the room. Requires a download directory set with
+ * [setDownloadDirectory]{@link RoomController#setDownloadDirectory}.
+ * @event RoomController#download-complete
+ * @param {Download} download - The downloaded file.
+ */
+
 /**
  * Emitted when some script throws an error in the browsers tab.
  * @event RoomController#page-error
@@ -156,6 +263,16 @@ const { stringify } = require('../utils');
  * @param {RoomEventArgs} roomEventArgs - Event arguments.
  */
 
+/**
+ * Emitted for every HaxBall roomObject event sent from the browser, also
+ * for the events the RoomController needs itself when they are not
+ * subscribed. Lets the components outside of the RoomController (e.g. the
+ * [MetricsCollector]{@link MetricsCollector}) track the room regardless of
+ * the subscriptions.
+ * @event RoomController#internal-room-event
+ * @param {RoomEventArgs} roomEventArgs - Event arguments.
+ */
+
 /**
  * Emitted when a plugin is loaded.
  * @event RoomController#plugin-loaded
@@ -180,6 +297,46 @@ const { stringify } = require('../utils');
  * @param {PluginData} pluginData - Information about the plugin.
  */
 
+/**
+ * Emitted when a plugin fails to load.
+ * @event RoomController#plugin-load-error
+ * @param {object} info - Information about the failure.
+ * @param {string} [info.pluginName] - Name of the plugin that failed to
+ *    load. Can be undefined if the plugin was loaded from code without a name.
+ * @param {string} info.error - Reason for the failure.
+ */
+
+/**
+ * Emitted when the config of a plugin changes.
+ * @event RoomController#plugin-config-changed
+ * @param {PluginData} pluginData - Information about the plugin. The new
+ *    config is in `pluginData.pluginSpec.config`.
+ */
+
+/**
+ * Emitted when a handler or a hook of a [Node plugin]{@link NodePlugin}
+ * throws an error.
+ * @event RoomController#node-plugin-error
+ * @param {object} info - Information about the error.
+ * @param {string} info.name - Name of the plugin.
+ * @param {string} info.handlerName - Name of the handler or hook that
+ *    threw.
+ * @param {Error} info.error - The error that was thrown.
+ */
+
+/**
+ * Emitted when a player breaks a rule of the
+ * [automated moderation]{@link ModerationOptions} and an action was taken.
+ * @event RoomController#moderation-action
+ * @param {ModerationEvent} event - The player, the rule and the action.
+ */
+
+/**
+ * Emitted when Haxball Headless Manager fails to start.
+ * @event RoomController#hhm-error
+ * @param {string} error - The error message.
+ */
+
 /**
  * RoomController provides an interface to communicate with
  * [HaxBall roomObject]{@link https://github.com/haxball/haxball-issues/wiki/Headless-Host#roomconfigobject}
@@ -206,6 +363,43 @@ class RoomController extends EventEmitter {
    * @param {string} [options.hhmVersion] - Version of Haxball Headless
    *    Manager to use.
    * @param {File} [hhm] - Haxball Headless Manager source.
+   * @param {string} [options.url] - URL of the HaxBall headless host page.
+   *    Defaults to the official one.
+   * @param {string} [options.hhmUrl] - URL of the directory from where the
+   *    Haxball Headless Manager releases are loaded.
+   * @param {BanList} [options.banList] - Bans to enforce in the room. The
+   *    bans are synced to the room when it opens.
+   * @param {MuteList} [options.muteList] - Muted players. The mutes are
+   *    synced to the room when it opens. The mutes are only kept in memory
+   *    if not given.
+   * @param {RoleList} [options.roleList] - Roles of the room. The roles are
+   *    synced to the room when it opens and whenever they change. The roles
+   *    are only kept in memory if not given, and a recovered room keeps the
+   *    roles it has.
+   * @param {MatchHistory} [options.matchHistory] - Where to record the
+   *    matches played in the room. The `onPlayerBallKick` events are sent
+   *    from the browser to find out the scorers.
+   * @param {PlayerRegistry} [options.playerRegistry] - Where to record the
+   *    players that join the room.
+   * @param {ChatLog} [options.chatLog] - Where to log the chat of the room.
+   * @param {RecordingOptions|boolean} [options.recording] - Record every
+   *    game played in the room. The `onPlayerBallKick` events are sent
+   *    from the browser to find out the scorers. Disabled if not given.
+   * @param {string} [options.recordingDirectory] - Directory for the
+   *    recordings if the `recording` option does not have one.
+   * @param {string} [options.isolation='shared'] - How the page is isolated
+   *    from the other rooms. See {@link Haxroomie}. With the `shared`
+   *    isolation the localStorage and IndexedDB of the page get prefixed
+   *    with the room id.
+   * @param {boolean} [options.separateBrowser] - The page runs in another
+   *    browser than the main browser of Haxroomie, so the
+   *    [page-closed]{@link RoomController#event:page-closed} event is
+   *    emitted if the browser disconnects. Defaults to `true` with the
+   *    `process` isolation.
+   * @param {WatchdogOptions} [options.watchdog] - Options for pinging the
+   *    page of the running room. The watchdog is disabled if not given.
+   * @param {ModerationOptions} [options.moderation] - Rules for moderating
+   *    the chat and the players automatically. Disabled if not given.
    */
   constructor(options) {
     super();
@@ -219,17 +413,34 @@ class RoomController extends EventEmitter {
     this._hhmVersion = options.hhmVersion;
     this._defaultRepoVersion = options.defaultRepoVersion;
     this._hhm = options.hhm;
+    this.banList = options.banList || null;
+    this.muteList = options.muteList || new MuteList();
+    this.matchHistory = options.matchHistory || null;
+    this.playerRegistry = options.playerRegistry || null;
+    this.chatLog = options.chatLog || null;
+    this.isolation = options.isolation || 'shared';
+    this.separateBrowser =
+      options.separateBrowser !== undefined
+        ? options.separateBrowser
+        : this.isolation === 'process';
 
     this._usable = true;
     this._hhmLoaded = false;
     this._roomInfo = null;
+    this._stadium = null;
     this._openRoomLock = false;
+    this._subscriptions = new Map(
+      DEFAULT_ROOM_EVENTS.map((handlerName) => [handlerName, {}])
+    );
 
     this.roomOpener = new RoomOpener({
       id: this.id,
       page: this.page,
       onBrowserAction: (data) => this.onBrowserAction(data),
       timeout: this.timeout,
+      url: options.url,
+      hhmUrl: options.hhmUrl,
+      isolation: this.isolation,
     });
 
     this._repositories = new RepositoryController({
@@ -237,9 +448,28 @@ class RoomController extends EventEmitter {
       defaultRepoVersion: this._defaultRepoVersion,
     });
     this._plugins = new PluginController({ page: this.page });
+    this._nodePlugins = new NodePluginController({
+      room: this,
+      emit: this.emit.bind(this),
+    });
     this._roles = new RoleController({
       page: this.page,
-      plugins: this._plugins,
+      roleList: options.roleList,
+    });
+    if (!options.muteList) {
+      // A shared list is synced by Haxroomie.
+      const syncMutes = () => {
+        this.syncMutes().catch((err) => {
+          logger.error(`[${this.id}] Could not sync the mutes: ${err}`);
+        });
+      };
+      this.muteList.on('mute-added', syncMutes);
+      this.muteList.on('mute-removed', syncMutes);
+    }
+    this._roles.roleList.on('roles-changed', () => {
+      this.syncRoles().catch((err) => {
+        logger.error(`[${this.id}] Could not sync the roles: ${err}`);
+      });
     });
     this._errorHandler = new RoomErrorHandler({
       page: this.page,
@@ -252,11 +482,55 @@ class RoomController extends EventEmitter {
       emit: this.emit.bind(this),
       roomId: this.id,
     });
+    this._matchTracker = new MatchTracker({
+      emit: this.emit.bind(this),
+      roomId: this.id,
+      matchHistory: this.matchHistory,
+    });
+    this._chatLogger = this.chatLog
+      ? new ChatLogger({ roomId: this.id, chatLog: this.chatLog })
+      : null;
+    this._downloads = new RoomDownloadHandler({
+      page: this.page,
+      emit: this.emit.bind(this),
+      roomId: this.id,
+    });
+    this._recordings = new RecordingController({
+      emit: this.emit.bind(this),
+      roomId: this.id,
+      defaultDirectory: options.recordingDirectory,
+      options: options.recording,
+    });
+    this._moderation = new ModerationController({
+      room: this,
+      emit: this.emit.bind(this),
+      banList: this.banList,
+      options: options.moderation,
+    });
+    this._watchdogEnabled = !!options.watchdog;
+    this._watchdog = new RoomWatchdog({
+      page: this.page,
+      emit: this.emit.bind(this),
+      roomId: this.id,
+      options: options.watchdog || undefined,
+    });
 
     this.page.on('close', () => {
+      this._watchdog.stop();
+      this.endPlayerSessions();
       this.emit(`page-closed`, this);
       this._usable = false;
     });
+    this.page.on('error', () => this._watchdog.stop());
+    this.page.browser().once('disconnected', () => {
+      this._watchdog.stop();
+      // Nobody else reports the loss of a separate browser, so report the
+      // page as closed.
+      if (this.separateBrowser && this._usable) {
+        this.emit(`page-closed`, this);
+      }
+      this._usable = false;
+    });
   }
 
   get [Symbol.toStringTag]() {
@@ -339,11 +613,23 @@ class RoomController extends EventEmitter {
     return this._repositories;
   }
 
+  /**
+   * Object that can be used to control the [Node plugins]{@link NodePlugin}
+   * of the room.
+   *
+   * Unlike [plugins]{@link RoomController#plugins}, the Node plugins can be
+   * added before the room is opened and they are kept when the room closes.
+   *
+   * @type NodePluginController
+   */
+  get nodePlugins() {
+    return this._nodePlugins;
+  }
+
   /**
    * Object that can be used to control and get information about roles.
    *
-   * **Requires the room to be running and sav/roles plugin to be loaded
-   * and enabled!**
+   * **Requires the room to be running!**
    *
    * @type RoleController
    */
@@ -387,18 +673,72 @@ class RoomController extends EventEmitter {
    * main context.
    *
    * @param {BrowserAction} action - Event arguments.
+   * @emits RoomController#internal-room-event
    * @emits RoomController#room-event
-   * @emits RoomController#
    * @private
    */
   async onBrowserAction(action) {
     switch (action.type) {
       case 'HHM_EVENT':
-        this.handleHhmEvent;
+        this.handleHhmEvent(action);
         break;
       case 'ROOM_EVENT':
-        this.emit('room-event', action.payload);
+        if (action.payload.handlerName === 'onStadiumChange') {
+          this._stadium = action.payload.args[0];
+        }
+        this._matchTracker.onRoomEvent(action.payload);
+        this.updatePlayerRegistry(action.payload);
+        if (this._chatLogger) this._chatLogger.onRoomEvent(action.payload);
+        this._moderation.onRoomEvent(action.payload);
+        this.emit('internal-room-event', action.payload);
+        if (this._subscriptions.has(action.payload.handlerName)) {
+          this.emit('room-event', action.payload);
+        }
         break;
+      case 'RECORDING':
+        this.saveRecording(action.payload);
+        break;
+    }
+  }
+
+  /**
+   * Records the players joining and leaving the room in the PlayerRegistry.
+   * @private
+   */
+  updatePlayerRegistry({ handlerName, args }) {
+    if (!this.playerRegistry) return;
+    if (handlerName === 'onPlayerJoin') {
+      this.playerRegistry.onPlayerJoin(this.id, args[0]);
+    } else if (handlerName === 'onPlayerLeave') {
+      this.playerRegistry.onPlayerLeave(this.id, args[0]);
+    }
+  }
+
+  /**
+   * Ends the sessions of the players in the PlayerRegistry when the room
+   * closes.
+   * @private
+   */
+  endPlayerSessions() {
+    if (this.playerRegistry) this.playerRegistry.endSessions(this.id);
+  }
+
+  /**
+   * Saves the recording of a game sent from the browser context. The game
+   * has already stopped, so the MatchTracker has the players and goals.
+   * @private
+   */
+  async saveRecording({ rec, stadium, startedAt, endedAt }) {
+    try {
+      await this._recordings.save({
+        rec: Buffer.from(rec, 'base64'),
+        stadium,
+        startedAt,
+        endedAt,
+        match: this._matchTracker.lastMatch,
+      });
+    } catch (err) {
+      logger.error(`[${this.id}] Could not save the recording: ${err}`);
     }
   }
 
@@ -409,6 +749,9 @@ class RoomController extends EventEmitter {
    * @emits RoomController#plugin-removed
    * @emits RoomController#plugin-enabled
    * @emits RoomController#plugin-disabled
+   * @emits RoomController#plugin-load-error
+   * @emits RoomController#plugin-config-changed
+   * @emits RoomController#hhm-error
    * @param {BrowserAction} action - Data sent from browser.
    * @private
    */
@@ -426,6 +769,18 @@ class RoomController extends EventEmitter {
       case `pluginDisabled`:
         this.emit('plugin-disabled', action.payload.pluginData);
         break;
+      case `pluginConfigChanged`:
+        this.emit('plugin-config-changed', action.payload.pluginData);
+        break;
+      case `pluginLoadError`:
+        this.emit('plugin-load-error', {
+          pluginName: action.payload.pluginName,
+          error: action.payload.error,
+        });
+        break;
+      case `hhmError`:
+        this.emit('hhm-error', action.payload.error);
+        break;
     }
   }
 
@@ -461,6 +816,104 @@ class RoomController extends EventEmitter {
     this._hhmLoaded = true;
   }
 
+  /**
+   * Rebuilds the state of this RoomController from a page that was set up
+   * by another RoomController, e.g. before the Node process restarted.
+   *
+   * Restores the [roomInfo]{@link RoomController#roomInfo} from
+   * `HHM.config.room` and reconnects the events of the room to this
+   * instance. Used by [Haxroomie#recoverRooms]{@link Haxroomie#recoverRooms}.
+   *
+   * @throws {UnusableError} - The instance is not usable because the browser
+   *    page crashed or closed.
+   */
+  async reattach() {
+    if (!this.usable) throw new UnusableError('Instance unusable!');
+    const { hhmLoaded, roomInfo } = await this.roomOpener.reattach();
+    this._hhmLoaded = hhmLoaded;
+    this._roomInfo = roomInfo;
+    if (this.running) {
+      const subscriptions = await this.page.evaluate(() => {
+        return window.haxroomie.getUserSubscriptions();
+      });
+      this._subscriptions = new Map(Object.entries(subscriptions));
+    }
+    await this.syncBans();
+    await this.syncMutes();
+    if (this.running) await this._roles.reattach();
+    await this.syncMatchTracker();
+    await this.syncPlayerRegistry();
+    await this.syncChatLogger();
+    await this.syncRecording();
+    await this.syncModeration();
+    await this.syncStadium();
+    this.updateWatchdog();
+  }
+
+  /**
+   * Gives the players that are already in the recovered room to the
+   * MatchTracker.
+   * @private
+   */
+  async syncMatchTracker() {
+    if (!this.matchHistory && !this._recordings.enabled) return;
+    if (!this.running) return;
+    const playerList = await this.callRoom('getPlayerList');
+    const players = [];
+    for (let player of playerList) {
+      if (!player || player.id === 0) continue;
+      const identity = await this.getPlayerIdentity(player.id);
+      players.push({ ...player, auth: identity ? identity.auth : null });
+    }
+    this._matchTracker.setPlayers(players);
+  }
+
+  /**
+   * Records the players that are already in the recovered room in the
+   * PlayerRegistry. Their sessions start from the recovery.
+   * @private
+   */
+  async syncPlayerRegistry() {
+    if (!this.playerRegistry || !this.running) return;
+    const playerList = await this.callRoom('getPlayerList');
+    for (let player of playerList) {
+      if (!player || player.id === 0) continue;
+      const identity = await this.getPlayerIdentity(player.id);
+      if (identity) this.playerRegistry.onPlayerJoin(this.id, identity);
+    }
+  }
+
+  /**
+   * Gives the players that are already in the recovered room to the
+   * ChatLogger.
+   * @private
+   */
+  async syncChatLogger() {
+    if (!this._chatLogger || !this.running) return;
+    const playerList = await this.callRoom('getPlayerList');
+    const players = [];
+    for (let player of playerList) {
+      if (!player || player.id === 0) continue;
+      const identity = await this.getPlayerIdentity(player.id);
+      players.push(identity || player);
+    }
+    this._chatLogger.setPlayers(players);
+  }
+
+  /**
+   * Searches the chat of the room from the [ChatLog]{@link ChatLog}.
+   *
+   * @param {ChatQuery} [query] - Filters. The `roomId` is the id of this
+   *    room.
+   * @returns {Promise.<Array.<ChatMessage>>} - The messages from the oldest
+   *    to the newest.
+   * @throws {Error} - The room has no chat log.
+   */
+  async getChat(query) {
+    if (!this.chatLog) throw new Error('The room has no chat log.');
+    return this.chatLog.search({ ...query, roomId: this.id });
+  }
+
   /**
    * Opens a HaxBall room in a browser tab.
    *
@@ -552,12 +1005,23 @@ class RoomController extends EventEmitter {
 
     this.emit(`open-room-start`, null, config);
     this._openRoomLock = true;
+    this._matchTracker.reset();
+    if (this._chatLogger) this._chatLogger.reset();
+    this._moderation.reset();
+    this.endPlayerSessions();
     config.defaultRepoVersion =
       config.defaultRepoVersion || this._defaultRepoVersion;
 
     try {
       if (!this.hhmLoaded) await this.init();
       this._roomInfo = await this.roomOpener.open(config);
+      await this.syncSubscriptions();
+      await this.syncBans();
+      await this.syncMutes();
+      await this.syncRoles();
+      await this.syncRecording();
+      await this.syncModeration();
+      await this.syncStadium();
     } catch (err) {
       this._openRoomLock = false;
       if (process.env.NODE_ENV !== 'development') await this.closeRoom();
@@ -565,6 +1029,7 @@ class RoomController extends EventEmitter {
       throw err;
     }
     this._openRoomLock = false;
+    this.updateWatchdog();
     this.emit(`open-room-stop`, null, this.roomInfo);
     return this._roomInfo;
   }
@@ -587,6 +1052,8 @@ class RoomController extends EventEmitter {
     }
 
     this.emit(`close-room-start`);
+    this._watchdog.stop();
+    this.endPlayerSessions();
 
     try {
       await this.roomOpener.close();
@@ -602,6 +1069,487 @@ class RoomController extends EventEmitter {
     this.emit(`close-room-stop`);
   }
 
+  /**
+   * Checks that the room link is still shown in the HaxBall headless page.
+   * The link disappears if the room loses its connection to HaxBall.
+   *
+   * @returns {Promise.<boolean>} - `true` if the room is running and the
+   *    link is in the page.
+   */
+  async hasRoomLink() {
+    if (!this.usable || !this.running) return false;
+    return this.roomOpener.hasRoomLink();
+  }
+
+  /**
+   * Health of the page as seen by the watchdog or `null` if the watchdog
+   * is disabled.
+   * @type {?RoomHealth}
+   */
+  get health() {
+    if (!this._watchdogEnabled) return null;
+    return { ...this._watchdog.health };
+  }
+
+  /**
+   * Options of the watchdog or `null` if it is disabled.
+   * @type {?WatchdogOptions}
+   */
+  get watchdogOptions() {
+    if (!this._watchdogEnabled) return null;
+    return { ...this._watchdog.options };
+  }
+
+  /**
+   * Enables, disables or changes the options of the watchdog that pings
+   * the page of the running room.
+   *
+   * @param {WatchdogOptions|boolean} options - Options for the watchdog,
+   *    `true` for the default options or `false` to disable the watchdog.
+   * @throws {TypeError} - Invalid options.
+   */
+  configureWatchdog(options) {
+    if (!options) {
+      this._watchdogEnabled = false;
+    } else {
+      this._watchdog.configure(options === true ? undefined : options);
+      this._watchdogEnabled = true;
+    }
+    this.updateWatchdog();
+  }
+
+  /**
+   * Name of the current stadium of the running room or `null` if the room
+   * is not running. Tracked from the `onStadiumChange` events, which are
+   * sent from the browser even if the room is unsubscribed from them.
+   * @type {?string}
+   */
+  get stadium() {
+    return this.running ? this._stadium : null;
+  }
+
+  /**
+   * Changes the stadium of the running room.
+   *
+   * @param {string|Stadium} stadium - Name of a stadium built in HaxBall
+   *    (ignoring the case and spaces, e.g. `bighockey`) or a stadium from a
+   *    [StadiumLibrary]{@link StadiumLibrary}.
+   * @throws {TypeError} - No default stadium with the given name.
+   * @throws {InvalidStadiumError} - The custom stadium is invalid.
+   * @throws {RoomNotRunningError} - The room is not running.
+   */
+  async setStadium(stadium) {
+    if (typeof stadium === 'string') {
+      const name = StadiumLibrary.findDefaultStadium(stadium);
+      if (!name) throw new TypeError(`No default stadium named ${stadium}`);
+      await this.callRoom('setDefaultStadium', name);
+      return;
+    }
+    if (!stadium || typeof stadium.contents !== 'string') {
+      throw new TypeError('invalid arguments');
+    }
+    // Validate again in case the stadium did not come from the library.
+    const contents = JSON.stringify(StadiumLibrary.parse(stadium.contents));
+    await this.callRoom('setCustomStadium', contents);
+  }
+
+  /**
+   * Reads the name of the current stadium from the page.
+   * @private
+   */
+  async syncStadium() {
+    if (!this.usable || !this.running) return;
+    this._stadium = await this.page.evaluate(() => {
+      return window.haxroomie.getStadiumName();
+    });
+  }
+
+  /**
+   * Directory where the files downloaded by the room are saved or `null`
+   * if it has not been set.
+   * @type {?string}
+   */
+  get downloadDirectory() {
+    return this._downloads.directory;
+  }
+
+  /**
+   * Sets the directory where the files downloaded by the room are saved.
+   * [Haxroomie]{@link Haxroomie} sets it when the room is added.
+   *
+   * @param {string} directory - Download directory of the room.
+   * @param {string} [tempDirectory] - Directory for the unfinished
+   *    downloads. Has to be the same for all the rooms in the browser
+   *    context. Defaults to `.downloading` next to `directory`.
+   */
+  async setDownloadDirectory(directory, tempDirectory) {
+    await this._downloads.setDirectory(directory, tempDirectory);
+  }
+
+  /**
+   * Recordings of the games played in the room. Use
+   * [configureRecording]{@link RoomController#configureRecording} to
+   * enable recording.
+   * @type {RecordingController}
+   */
+  get recordings() {
+    return this._recordings;
+  }
+
+  /**
+   * Enables, disables or changes the options of recording every game
+   * played in the room.
+   *
+   * @param {RecordingOptions|boolean} options - Options for the recordings,
+   *    `true` for the default options or `false` to disable recording.
+   * @throws {TypeError} - Invalid options.
+   */
+  async configureRecording(options) {
+    this._recordings.configure(options);
+    if (!this.usable || !this.running) return;
+    await this.syncSubscriptions();
+    await this.syncMatchTracker();
+    await this.syncRecording();
+  }
+
+  /**
+   * Tells the page whether to record the games.
+   * @private
+   */
+  async syncRecording() {
+    if (!this.usable || !this.running) return;
+    await this.page.evaluate((enabled) => {
+      window.haxroomie.setAutoRecording(enabled);
+    }, this._recordings.enabled);
+  }
+
+  /**
+   * Automated moderation of the room. Use
+   * [configureModeration]{@link RoomController#configureModeration} to
+   * change the rules.
+   * @type {ModerationController}
+   */
+  get moderation() {
+    return this._moderation;
+  }
+
+  /**
+   * Replaces the rules of the automated moderation. The players keep the
+   * strikes of the rules with the same names.
+   *
+   * @param {ModerationOptions|null} options - The rules or `null` to
+   *    disable the moderation.
+   * @throws {TypeError} - Invalid options.
+   */
+  async configureModeration(options) {
+    this._moderation.configure(options);
+    await this.syncModeration();
+  }
+
+  /**
+   * Sends the chat filters of the moderation and the players in the room
+   * to the ModerationController.
+   * @private
+   */
+  async syncModeration() {
+    if (!this.usable || !this.running) return;
+    await this._moderation.sync();
+    const playerList = await this.callRoom('getPlayerList');
+    const players = [];
+    for (let player of playerList) {
+      if (!player || player.id === 0) continue;
+      const identity = await this.getPlayerIdentity(player.id);
+      players.push(identity || player);
+    }
+    this._moderation.setPlayers(players);
+  }
+
+  /**
+   * Starts the watchdog if it is enabled and the room is running. Stops it
+   * otherwise.
+   * @private
+   */
+  updateWatchdog() {
+    if (this._watchdogEnabled && this.usable && this.running) {
+      this._watchdog.start();
+    } else {
+      this._watchdog.stop();
+    }
+  }
+
+  /**
+   * The room event handlers whose events are emitted as
+   * [room-event]{@link RoomController#event:room-event} and their options.
+   * The keys are handler names.
+   * @type object
+   */
+  get subscriptions() {
+    const subscriptions = {};
+    for (let [handlerName, options] of this._subscriptions) {
+      subscriptions[handlerName] = { ...options };
+    }
+    return subscriptions;
+  }
+
+  /**
+   * Starts emitting the events of the given HaxBall roomObject event
+   * handler as [room-event]{@link RoomController#event:room-event}.
+   * Subscribing again replaces the options.
+   *
+   * The subscriptions are kept when the room is closed and opened again.
+   *
+   * Use `throttle` or `sample` with the high-frequency events like
+   * `onGameTick` and `onPlayerActivity`, so the browser does not get flooded.
+   * If neither is given for `onGameTick`, then every 60th tick is emitted
+   * (about once per second).
+   *
+   * e.g.
+   * ```js
+   * await room.subscribe('onPlayerBallKick');
+   * await room.subscribe('onGameTick', { sample: 6 }); // 10 times per second
+   * await room.subscribe('onPlayerActivity', { throttle: 1000 });
+   * ```
+   *
+   * @param {string} handlerName - Name of the handler, e.g. `onGameTick`.
+   * @param {object} [options] - Options.
+   * @param {number} [options.throttle] - Emit at most one event in this many
+   *    milliseconds.
+   * @param {number} [options.sample] - Emit only every nth event.
+   *
+   * @throws {TypeError} - Something is wrong with the arguments, e.g.
+   *    `throttle` or `sample` is given for an event the RoomController
+   *    needs every time.
+   * @throws {UnusableError} - The instance is not usable because the browser
+   *    page crashed or closed.
+   */
+  async subscribe(handlerName, options = {}) {
+    if (typeof handlerName !== 'string' || !handlerName.startsWith('on')) {
+      throw new TypeError(`Invalid handler name: ${handlerName}`);
+    }
+    const { throttle, sample } = options;
+    if (throttle !== undefined && !(throttle >= 0)) {
+      throw new TypeError('throttle has to be a non-negative number');
+    }
+    if (sample !== undefined && !(Number.isInteger(sample) && sample > 0)) {
+      throw new TypeError('sample has to be a positive integer');
+    }
+    if (
+      (throttle || sample) &&
+      this.getInternalRoomEvents().includes(handlerName)
+    ) {
+      throw new TypeError(`${handlerName} can not be throttled or sampled`);
+    }
+    if (!this.usable) throw new UnusableError('Instance unusable!');
+
+    let subscription = { throttle, sample };
+    if (handlerName === 'onGameTick' && !throttle && !sample) {
+      subscription.sample = 60;
+    }
+    this._subscriptions.set(handlerName, subscription);
+    await this.syncSubscriptions();
+  }
+
+  /**
+   * Stops emitting the events of the given HaxBall roomObject event handler.
+   *
+   * The events the RoomController needs itself (e.g. `onPlayerJoin` and
+   * `onPlayerChat`) are still sent from the browser, but they are not
+   * emitted.
+   *
+   * @param {string} handlerName - Name of the handler.
+   *
+   * @throws {UnusableError} - The instance is not usable because the browser
+   *    page crashed or closed.
+   */
+  async unsubscribe(handlerName) {
+    if (!this.usable) throw new UnusableError('Instance unusable!');
+    this._subscriptions.delete(handlerName);
+    await this.syncSubscriptions();
+  }
+
+  /**
+   * Sends the subscriptions to the room if it is running.
+   * @private
+   */
+  async syncSubscriptions() {
+    if (!this.running) return;
+    const userSubscriptions = this.subscriptions;
+    const subscriptions = { ...userSubscriptions };
+    for (let handlerName of this.getInternalRoomEvents()) {
+      subscriptions[handlerName] = {};
+    }
+    await this.page.evaluate(
+      (subscriptions, userSubscriptions) => {
+        window.haxroomie.setSubscriptions(subscriptions, userSubscriptions);
+      },
+      subscriptions,
+      userSubscriptions
+    );
+  }
+
+  /**
+   * Returns the names of the room event handlers whose events are needed
+   * by the components of the RoomController.
+   * @private
+   */
+  getInternalRoomEvents() {
+    if (!this.matchHistory && !this._recordings.enabled) {
+      return INTERNAL_ROOM_EVENTS;
+    }
+    return [...INTERNAL_ROOM_EVENTS, ...MATCH_ROOM_EVENTS];
+  }
+
+  /**
+   * Sends the bans of the ban list given in the constructor to the room.
+   * Players in the room that are banned get kicked.
+   *
+   * Called automatically when the room opens. Does nothing if the room is
+   * not running or it has no ban list.
+   *
+   * @returns {Promise.<Array.<object>>} - The kicked players.
+   */
+  async syncBans() {
+    if (!this.banList || !this.usable || !this.running) return [];
+    return this.page.evaluate((bans) => {
+      return window.haxroomie.setBans(bans);
+    }, this.banList.getBans());
+  }
+
+  /**
+   * Sends the mutes of the [MuteList]{@link MuteList} to the room.
+   *
+   * Called automatically when the room opens and when the mutes change.
+   * Does nothing if the room is not running.
+   */
+  async syncMutes() {
+    if (!this.usable || !this.running) return;
+    await this.page.evaluate((mutes) => {
+      window.haxroomie.setMutes(mutes);
+    }, this.muteList.getMutes());
+  }
+
+  /**
+   * Mutes a player by auth, so the player stays muted after rejoining. The
+   * messages of the muted player are blocked and the player is told about
+   * the mute privately.
+   *
+   * @param {number|string} player - Id of a player in the room or auth of
+   *    a player.
+   * @param {object} [options] - Options.
+   * @param {number} [options.duration] - Duration of the mute in
+   *    milliseconds. The mute is permanent if not given.
+   * @param {string} [options.reason] - Reason for the mute.
+   * @param {string} [options.issuer] - Who muted the player.
+   * @param {string} [options.name] - Name of the player muted by auth.
+   * @returns {Promise.<Mute|null>} - The mute or `null` if there is no
+   *    player with the id in the room.
+   *
+   * @throws {TypeError} - Invalid arguments.
+   * @throws {RoomNotRunningError} - The room is not running and the player
+   *    was given by id.
+   */
+  async mutePlayer(player, { duration, reason, issuer, name } = {}) {
+    let auth = player;
+    if (typeof player === 'number') {
+      const identity = await this.getPlayerIdentity(player);
+      if (!identity) return null;
+      if (!identity.auth) throw new Error('The player has no auth.');
+      auth = identity.auth;
+      name = identity.name;
+    } else if (typeof player !== 'string') {
+      throw new TypeError('player should be an id or an auth');
+    }
+    const mute = await this.muteList.add({
+      auth,
+      name,
+      reason,
+      issuer,
+      duration,
+    });
+    await this.syncMutes();
+    return mute;
+  }
+
+  /**
+   * Unmutes a player.
+   *
+   * @param {number|string} player - Id of a player in the room or auth of
+   *    a player.
+   * @returns {Promise.<Mute|null>} - The removed mute or `null` if the
+   *    player was not muted.
+   *
+   * @throws {TypeError} - Invalid arguments.
+   * @throws {RoomNotRunningError} - The room is not running and the player
+   *    was given by id.
+   */
+  async unmutePlayer(player) {
+    let auth = player;
+    if (typeof player === 'number') {
+      const identity = await this.getPlayerIdentity(player);
+      if (!identity || !identity.auth) return null;
+      auth = identity.auth;
+    } else if (typeof player !== 'string') {
+      throw new TypeError('player should be an id or an auth');
+    }
+    const mute = await this.muteList.remove(auth);
+    await this.syncMutes();
+    return mute;
+  }
+
+  /**
+   * Returns the mutes of the [MuteList]{@link MuteList}. The mutes of the
+   * players in the room have the id of the player in `playerId`.
+   *
+   * @returns {Promise.<Array.<Mute>>} - The mutes from the oldest to the
+   *    newest.
+   */
+  async getMutes() {
+    let online = [];
+    if (this.usable && this.running) {
+      online = await this.page.evaluate(() => {
+        return window.haxroomie.getMutedPlayers();
+      });
+    }
+    return this.muteList.getMutes().map((mute) => {
+      const player = online.find((p) => p.auth === mute.auth);
+      return { ...mute, playerId: player ? player.id : null };
+    });
+  }
+
+  /**
+   * Sends the roles of the room to the room. Players get the roles saved
+   * for their auth.
+   *
+   * Called automatically when the room opens and when the roles change.
+   * Does nothing if the room is not running.
+   */
+  async syncRoles() {
+    if (!this.usable || !this.running) return;
+    await this._roles.syncRoles();
+  }
+
+  /**
+   * Returns the id, name, auth and connection of a player in the room.
+   *
+   * The HaxBall roomObject only tells the auth and connection of a player
+   * when the player joins, so Haxroomie keeps track of them.
+   *
+   * @param {number} playerId - Id of the player.
+   * @returns {Promise.<object|null>} - The player or `null` if the player
+   *    is not in the room.
+   *
+   * @throws {UnusableError} - The instance is not usable because the browser
+   *    page crashed or closed.
+   * @throws {RoomNotRunningError} - The room is not running.
+   */
+  async getPlayerIdentity(playerId) {
+    if (!this.usable) throw new UnusableError('Instance unusable!');
+    if (!this.running) throw new RoomNotRunningError('Room is not running.');
+    return this.page.evaluate((playerId) => {
+      return window.haxroomie.getPlayerIdentity(playerId);
+    }, playerId);
+  }
+
   /**
    * Calls a function of the
    * [HaxBall roomObject](https://github.com/haxball/haxball-issues/wiki/Headless-Host#roomobject)
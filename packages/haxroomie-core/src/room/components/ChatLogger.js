@@ -0,0 +1,89 @@
+const logger = require('../../logger');
+
+/**
+ * Adds the chat messages of a room to a [ChatLog]{@link ChatLog}.
+ *
+ * The HaxBall roomObject only tells the auth and connection of a player
+ * when the player joins, so the players are tracked from the room events.
+ */
+class ChatLogger {
+  /**
+   * @param {object} opt - Options.
+   * @param {string|number} opt.roomId - Id of the room.
+   * @param {ChatLog} opt.chatLog - Where to add the messages.
+   */
+  constructor({ roomId, chatLog }) {
+    this.roomId = roomId;
+    this.chatLog = chatLog;
+    this.reset();
+  }
+
+  /**
+   * Forgets the players, e.g. when the room is opened.
+   */
+  reset() {
+    /** Players in the room by id. */
+    this.players = new Map();
+  }
+
+  /**
+   * Sets the players that are in the room, e.g. when the room was
+   * recovered.
+   *
+   * @param {Array.<object>} players - Players with the `id`, `name`, `auth`
+   *    and `conn` properties.
+   */
+  setPlayers(players) {
+    this.reset();
+    for (let player of players) this.addPlayer(player);
+  }
+
+  /**
+   * Handles a [room-event]{@link RoomController#event:room-event}.
+   *
+   * @param {object} event - The event.
+   * @param {string} event.handlerName - Name of the event.
+   * @param {Array} event.args - Arguments of the event.
+   */
+  onRoomEvent({ handlerName, args }) {
+    switch (handlerName) {
+      case 'onPlayerJoin':
+        this.addPlayer(args[0]);
+        break;
+      case 'onPlayerLeave':
+        this.players.delete(args[0].id);
+        break;
+      case 'onPlayerChat':
+        this.addMessage(args[0], args[1]);
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  addPlayer({ id, name, auth, conn }) {
+    this.players.set(id, { name, auth: auth || null, conn: conn || null });
+  }
+
+  /**
+   * @private
+   */
+  addMessage(player, message) {
+    const known = this.players.get(player.id) || {};
+    this.chatLog
+      .add({
+        roomId: this.roomId,
+        id: player.id,
+        name: player.name,
+        auth: known.auth,
+        conn: known.conn,
+        message,
+      })
+      .catch((err) => {
+        logger.error(`[${this.roomId}] Could not log the chat: ${err}`);
+      });
+  }
+}
+
+module.exports = ChatLogger;
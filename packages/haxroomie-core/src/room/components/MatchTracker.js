@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const logger = require('../../logger');
+
+const TEAM_RED = 1;
+const TEAM_BLUE = 2;
+
+/**
+ * Builds [Match]{@link Match} records from the room events and adds them to
+ * a [MatchHistory]{@link MatchHistory}. The record of the latest match is
+ * also kept for the [recordings]{@link RecordingController} of the room.
+ *
+ * The scorer of a goal is the player who kicked the ball last, so the
+ * `onPlayerBallKick` events are required. Only the matches that start
+ * while the room is tracked are recorded.
+ */
+class MatchTracker {
+  /**
+   * @param {object} opt - Options.
+   * @param {function} opt.emit - RoomControllers emit function.
+   * @param {string|number} opt.roomId - Id of the room.
+   * @param {MatchHistory} [opt.matchHistory] - Where to add the matches.
+   */
+  constructor({ emit, roomId, matchHistory }) {
+    this.emit = emit;
+    this.roomId = roomId;
+    this.matchHistory = matchHistory || null;
+    /**
+     * Record of the latest match that ended.
+     * @type {?Match}
+     */
+    this.lastMatch = null;
+    this.reset();
+  }
+
+  /**
+   * Forgets the players and the match in progress, e.g. when the room is
+   * opened.
+   */
+  reset() {
+    /** Players in the room by id. */
+    this.players = new Map();
+    this.match = null;
+    this.touches = [];
+  }
+
+  /**
+   * Sets the players that are in the room, e.g. when the room was
+   * recovered.
+   *
+   * @param {Array.<object>} players - Players with the `id`, `name`, `team`
+   *    and `auth` properties.
+   */
+  setPlayers(players) {
+    this.players = new Map();
+    for (let player of players) this.addPlayer(player);
+  }
+
+  /**
+   * Handles a [room-event]{@link RoomController#event:room-event}.
+   *
+   * @param {RoomEventArgs} roomEventArgs - Event arguments.
+   */
+  onRoomEvent({ handlerName, args }) {
+    switch (handlerName) {
+      case 'onPlayerJoin':
+        this.addPlayer(args[0]);
+        break;
+      case 'onPlayerLeave':
+        this.players.delete(args[0].id);
+        break;
+      case 'onPlayerTeamChange':
+        this.onPlayerTeamChange(args[0]);
+        break;
+      case 'onGameStart':
+        this.onGameStart();
+        break;
+      case 'onPlayerBallKick':
+        this.onPlayerBallKick(args[0]);
+        break;
+      case 'onTeamGoal':
+        this.onTeamGoal(args[0]);
+        break;
+      case 'onPositionsReset':
+        this.touches = [];
+        break;
+      case 'onTeamVictory':
+        if (this.match) this.match.victory = args[0];
+        break;
+      case 'onGameStop':
+        this.onGameStop();
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  addPlayer({ id, name, team, auth }) {
+    this.players.set(id, { name, team: team || 0, auth: auth || null });
+  }
+
+  /**
+   * Returns the MatchPlayer object of the player with the given id.
+   * @private
+   */
+  getMatchPlayer(id) {
+    const player = this.players.get(id);
+    if (!player) return null;
+    return { auth: player.auth, name: player.name };
+  }
+
+  /**
+   * @private
+   */
+  addToLineup(id, team) {
+    if (!this.match || (team !== TEAM_RED && team !== TEAM_BLUE)) return;
+    const player = this.getMatchPlayer(id);
+    if (player) this.match.lineup.set(id, { ...player, team });
+  }
+
+  /**
+   * @private
+   */
+  onPlayerTeamChange({ id, team }) {
+    const player = this.players.get(id);
+    if (player) player.team = team;
+    this.addToLineup(id, team);
+  }
+
+  /**
+   * @private
+   */
+  onGameStart() {
+    this.lastMatch = null;
+    this.match = {
+      startedAt: Date.now(),
+      lineup: new Map(),
+      goals: [],
+      score: { red: 0, blue: 0 },
+      victory: null,
+    };
+    this.touches = [];
+    for (let [id, { team }] of this.players) this.addToLineup(id, team);
+  }
+
+  /**
+   * Remembers the last two players who touched the ball.
+   * @private
+   */
+  onPlayerBallKick({ id, team }) {
+    if (this.touches.length > 0 && this.touches[0].id === id) return;
+    this.touches = [{ id, team }, ...this.touches.slice(0, 1)];
+  }
+
+  /**
+   * @private
+   */
+  onTeamGoal(team) {
+    if (!this.match) return;
+    const [last, previous] = this.touches;
+    const ownGoal = !!last && last.team !== team;
+    const assisted = !ownGoal && previous && previous.team === team;
+    this.match.goals.push({
+      team,
+      time: Date.now() - this.match.startedAt,
+      scorer: last ? this.getMatchPlayer(last.id) : null,
+      assist: assisted ? this.getMatchPlayer(previous.id) : null,
+      ownGoal,
+    });
+    if (team === TEAM_RED) this.match.score.red++;
+    else this.match.score.blue++;
+    this.touches = [];
+  }
+
+  /**
+   * Adds the match in progress to the history if anyone played in it.
+   *
+   * @emits RoomController#match-recorded
+   * @private
+   */
+  onGameStop() {
+    const match = this.match;
+    this.match = null;
+    this.touches = [];
+    if (!match) return;
+
+    const endedAt = Date.now();
+    const score = match.victory
+      ? { red: match.victory.red, blue: match.victory.blue }
+      : match.score;
+    const lineup = [...match.lineup.values()];
+    const teamPlayers = (team) => {
+      return lineup
+        .filter((p) => p.team === team)
+        .map(({ auth, name }) => ({ auth, name }));
+    };
+
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      roomId: this.roomId,
+      startedAt: match.startedAt,
+      endedAt,
+      duration: endedAt - match.startedAt,
+      completed: !!match.victory,
+      winner:
+        score.red > score.blue
+          ? TEAM_RED
+          : score.blue > score.red
+          ? TEAM_BLUE
+          : null,
+      score,
+      teams: { red: teamPlayers(TEAM_RED), blue: teamPlayers(TEAM_BLUE) },
+      goals: match.goals,
+    };
+    this.lastMatch = record;
+    if (!this.matchHistory || lineup.length === 0) return;
+
+    this.matchHistory
+      .add(record)
+      .then((added) => this.emit('match-recorded', added))
+      .catch((err) => {
+        logger.error(`[${this.roomId}] Could not save the match: ${err}`);
+      });
+  }
+}
+
+module.exports = MatchTracker;
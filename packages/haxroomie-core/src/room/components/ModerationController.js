@@ -0,0 +1,596 @@
+const logger = require('../../logger');
+
+/**
+ * Action taken against a player who breaks a moderation rule.
+ *
+ * The action can also be given as a string with only the `type`.
+ *
+ * @typedef {Object} ModerationAction
+ * @property {string} type - `warn`, `mute`, `kick` or `ban`.
+ * @property {number} [duration] - How long the player is muted or banned in
+ *    milliseconds. Defaults to 5 minutes for `mute` and 1 hour for `ban`.
+ * @property {string} [message] - Message sent to the player with `warn`
+ *    and the reason of `kick` and `ban`. Defaults to the reason of the
+ *    rule.
+ */
+
+/**
+ * Rule of the automated moderation.
+ *
+ * The rules of the `words`, `regex` and `links` types check the chat
+ * messages and the messages that break them are blocked. The rules of the
+ * `flood` and `repeat` types check how the players chat and the `name`
+ * rules check the names of the joining players.
+ *
+ * @typedef {Object} ModerationRule
+ * @property {string} type - `words`, `regex`, `links`, `flood`, `repeat`
+ *    or `name`.
+ * @property {string} [name] - Name of the rule. Defaults to the type.
+ * @property {string} [reason] - Reason told to the player.
+ * @property {Array.<string|ModerationAction>} [actions] - Actions for the
+ *    first, second, third etc. time the player breaks the rule. The last
+ *    action is repeated after that. Defaults to
+ *    `['warn', 'mute', 'kick', 'ban']` and to `['kick']` for the `name`
+ *    rules.
+ * @property {Array.<string>} [words] - Blocked words of the `words` rule.
+ *    Case insensitive.
+ * @property {string|RegExp} [pattern] - Pattern of the `regex` and `name`
+ *    rules. Patterns that match an empty string (e.g. `a*`) are not
+ *    accepted.
+ * @property {string} [flags='i'] - Flags of a string `pattern`.
+ * @property {Array.<string>} [allow] - Domains that the `links` rule
+ *    allows, e.g. `['haxball.com']`.
+ * @property {number} [messages=5] - Max number of messages in `interval`
+ *    for the `flood` rule.
+ * @property {number} [count=3] - How many times in a row the same message
+ *    breaks the `repeat` rule.
+ * @property {number} [interval] - Time window of the `flood` (defaults to
+ *    5 seconds) and `repeat` (defaults to 30 seconds) rules in
+ *    milliseconds.
+ */
+
+/**
+ * Options for the automated moderation of a room.
+ *
+ * @typedef {Object} ModerationOptions
+ * @property {Array.<ModerationRule>} rules - The rules.
+ * @property {number} [strikeExpiry=600000] - The rules a player has broken
+ *    are forgotten after this many milliseconds without breaking them
+ *    again, so the actions start from the first one.
+ * @property {boolean} [ignoreAdmins=true] - Do not check the admins.
+ * @property {boolean} [blockMessages=true] - Block the messages that break
+ *    the `words`, `regex` and `links` rules.
+ */
+
+/**
+ * Player that broke a rule and what was done.
+ *
+ * @typedef {Object} ModerationEvent
+ * @property {string} rule - Name of the rule.
+ * @property {string} action - Type of the action that was taken.
+ * @property {string} reason - Reason told to the player.
+ * @property {number} strikes - How many times the player has broken the
+ *    rule.
+ * @property {object} player - The player with `id`, `name`, `auth` and
+ *    `conn`.
+ * @property {string} [message] - The chat message that broke the rule.
+ */
+
+const ACTION_TYPES = ['warn', 'mute', 'kick', 'ban'];
+const DEFAULT_ACTIONS = ['warn', 'mute', 'kick', 'ban'];
+const DEFAULT_MUTE_DURATION = 5 * 60 * 1000;
+const DEFAULT_BAN_DURATION = 60 * 60 * 1000;
+const WARNING_COLOR = 0xffcc00;
+
+const LINK_PATTERN =
+  '(?:https?:\\/\\/|www\\.)\\S+|\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.' +
+  '(?:com|net|org|io|gg|me|ly|co|tv|xyz|ru|de|uk|eu|info|link|app)\\b\\S*';
+
+/**
+ * Runs the moderation rules of a room against the chat messages and the
+ * joining players and takes the actions.
+ *
+ * The events come to Node after the room has handled them, so the chat
+ * messages are blocked in the room by the core plugin with the filters
+ * sent from here. The players are muted with
+ * [RoomController#mutePlayer]{@link RoomController#mutePlayer}. Players
+ * without an auth are kicked instead.
+ */
+class ModerationController {
+  /**
+   * @param {object} opt - Options.
+   * @param {RoomController} opt.room - The room.
+   * @param {function} opt.emit - RoomControllers emit function.
+   * @param {BanList} [opt.banList] - Bans of the `ban` action. The players
+   *    are banned with the room if not given.
+   * @param {ModerationOptions} [opt.options] - The rules. Moderation is
+   *    disabled if not given.
+   */
+  constructor({ room, emit, banList, options }) {
+    this.room = room;
+    this.emit = emit;
+    this.banList = banList || null;
+    this.options = null;
+    this.rules = [];
+    /** Strikes by `<rule name>/<auth or id>`. */
+    this.strikes = new Map();
+    this.configure(options);
+    this.reset();
+  }
+
+  /**
+   * Is the moderation enabled.
+   * @type {boolean}
+   */
+  get enabled() {
+    return !!this.options;
+  }
+
+  /**
+   * Replaces the rules. The strikes of the players are kept.
+   *
+   * @param {ModerationOptions|null} [options] - The rules or a falsy value
+   *    to disable the moderation.
+   * @throws {TypeError} - Invalid options.
+   */
+  configure(options) {
+    if (!options) {
+      this.options = null;
+      this.rules = [];
+      return;
+    }
+    if (typeof options !== 'object' || !Array.isArray(options.rules)) {
+      throw new TypeError('moderation.rules has to be an array');
+    }
+    const strikeExpiry =
+      options.strikeExpiry !== undefined ? options.strikeExpiry : 600000;
+    if (typeof strikeExpiry !== 'number' || !(strikeExpiry > 0)) {
+      throw new TypeError(
+        'moderation.strikeExpiry has to be a positive number'
+      );
+    }
+    const rules = options.rules.map(createRule);
+    const names = new Set();
+    for (let rule of rules) {
+      if (names.has(rule.name)) {
+        throw new TypeError(`Duplicate moderation rule: ${rule.name}`);
+      }
+      names.add(rule.name);
+    }
+    this.options = {
+      strikeExpiry,
+      ignoreAdmins: options.ignoreAdmins !== false,
+      blockMessages: options.blockMessages !== false,
+    };
+    this.rules = rules;
+  }
+
+  /**
+   * Forgets the players in the room, e.g. when the room is opened.
+   */
+  reset() {
+    /** Players in the room by id. */
+    this.players = new Map();
+    /** Times of the latest messages of the players by id. */
+    this.messageTimes = new Map();
+    /** Latest message and how many times it was repeated by player id. */
+    this.repeats = new Map();
+  }
+
+  /**
+   * Sets the players that are in the room, e.g. when the room was
+   * recovered.
+   *
+   * @param {Array.<object>} players - Players with the `id`, `name`, `auth`
+   *    and `conn` properties.
+   */
+  setPlayers(players) {
+    this.reset();
+    for (let { id, name, auth, conn } of players) {
+      this.players.set(id, { id, name, auth, conn });
+    }
+  }
+
+  /**
+   * Returns the rules with their options.
+   *
+   * @returns {Array.<ModerationRule>} - The rules.
+   */
+  getRules() {
+    return this.rules.map((rule) => ({ ...rule.spec }));
+  }
+
+  /**
+   * Sends the filters of the chat to the room.
+   */
+  async sync() {
+    const filters =
+      this.enabled && this.options.blockMessages
+        ? this.rules.filter((r) => r.filter).map((r) => r.filter)
+        : [];
+    const ignoreAdmins = this.enabled && this.options.ignoreAdmins;
+    await this.room.page.evaluate(
+      (filters, ignoreAdmins) => {
+        window.haxroomie.setChatFilters(filters, ignoreAdmins);
+      },
+      filters,
+      ignoreAdmins
+    );
+  }
+
+  /**
+   * Handles a [room-event]{@link RoomController#event:room-event}. Gets
+   * the events even if they are not subscribed.
+   */
+  onRoomEvent(event) {
+    this.handleRoomEvent(event).catch((err) => {
+      logger.error(`[${this.room.id}] Moderation failed: ${err}`);
+    });
+  }
+
+  /**
+   * @private
+   */
+  async handleRoomEvent({ handlerName, args }) {
+    switch (handlerName) {
+      case 'onPlayerJoin': {
+        const { id, name, auth, conn } = args[0];
+        this.players.set(id, { id, name, auth, conn });
+        if (!this.enabled) return;
+        const rule = this.rules.find((r) => r.checkName && r.checkName(name));
+        if (rule) await this.punish(rule, args[0]);
+        break;
+      }
+      case 'onPlayerLeave':
+        this.players.delete(args[0].id);
+        this.messageTimes.delete(args[0].id);
+        this.repeats.delete(args[0].id);
+        break;
+      case 'onPlayerChat': {
+        const [player, message] = args;
+        if (!this.enabled || (player.admin && this.options.ignoreAdmins)) {
+          return;
+        }
+        const rule = this.findBrokenChatRule(player, message);
+        if (rule) await this.punish(rule, player, message);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Updates the flood and repeat counters of the player and returns the
+   * first chat rule the message breaks.
+   * @private
+   */
+  findBrokenChatRule(player, message) {
+    const now = Date.now();
+    const times = (this.messageTimes.get(player.id) || []).concat(now);
+    this.messageTimes.set(player.id, times);
+
+    const normalized = message.trim().toLowerCase();
+    let repeat = this.repeats.get(player.id);
+    if (!repeat || repeat.message !== normalized) {
+      repeat = { message: normalized, times: [] };
+      this.repeats.set(player.id, repeat);
+    }
+    repeat.times.push(now);
+
+    let maxInterval = 0;
+    let broken = null;
+    for (let rule of this.rules) {
+      if (rule.spec.type === 'flood' || rule.spec.type === 'repeat') {
+        maxInterval = Math.max(maxInterval, rule.spec.interval);
+      }
+      if (broken) continue;
+      if (rule.checkMessage && rule.checkMessage(message)) broken = rule;
+      if (rule.spec.type === 'flood') {
+        const recent = times.filter((t) => now - t < rule.spec.interval);
+        if (recent.length > rule.spec.messages) broken = rule;
+      }
+      if (rule.spec.type === 'repeat') {
+        const recent = repeat.times.filter((t) => now - t < rule.spec.interval);
+        if (recent.length >= rule.spec.count) broken = rule;
+      }
+    }
+    // The counters start again after the player is punished.
+    if (broken && broken.spec.type === 'flood') {
+      this.messageTimes.delete(player.id);
+    } else {
+      this.messageTimes.set(
+        player.id,
+        times.filter((t) => now - t < maxInterval)
+      );
+    }
+    if (broken && broken.spec.type === 'repeat') {
+      this.repeats.delete(player.id);
+    }
+    return broken;
+  }
+
+  /**
+   * Adds a strike to the player and takes the action for it.
+   * @private
+   *
+   * @emits RoomController#moderation-action
+   */
+  async punish(rule, player, message) {
+    const identity = {
+      ...player,
+      ...this.players.get(player.id),
+      name: player.name,
+    };
+    const key = `${rule.name}/${identity.auth || `id:${identity.id}`}`;
+    const now = Date.now();
+    let strike = this.strikes.get(key);
+    if (!strike || now - strike.at > this.options.strikeExpiry) {
+      strike = { count: 0 };
+    }
+    strike.count++;
+    strike.at = now;
+    this.strikes.set(key, strike);
+    this.removeExpiredStrikes(now);
+
+    const actions = rule.actions;
+    const action = actions[Math.min(strike.count, actions.length) - 1];
+    const reason = action.message || rule.reason;
+    const actionType = await this.takeAction(action, identity, reason);
+
+    const event = {
+      rule: rule.name,
+      action: actionType,
+      reason,
+      strikes: strike.count,
+      player: {
+        id: identity.id,
+        name: identity.name,
+        auth: identity.auth || null,
+        conn: identity.conn || null,
+      },
+    };
+    if (message !== undefined) event.message = message;
+    this.emit('moderation-action', event);
+  }
+
+  /**
+   * Takes the action against the player.
+   *
+   * The mutes are saved by auth, so a player without an auth gets kicked
+   * instead of muted.
+   *
+   * @returns {string} - Type of the action that was taken.
+   * @private
+   */
+  async takeAction(action, player, reason) {
+    if (action.type === 'mute' && !player.auth) {
+      await this.room.callRoom('kickPlayer', player.id, reason, false);
+      return 'kick';
+    }
+    switch (action.type) {
+      case 'warn':
+        await this.room.callRoom(
+          'sendAnnouncement',
+          `Warning: ${reason}`,
+          player.id,
+          WARNING_COLOR,
+          'bold',
+          2
+        );
+        break;
+      case 'mute':
+        // The room tells the player about the mute.
+        await this.room.mutePlayer(player.auth, {
+          name: player.name,
+          reason,
+          issuer: 'moderation',
+          duration: action.duration || DEFAULT_MUTE_DURATION,
+        });
+        break;
+      case 'kick':
+        await this.room.callRoom('kickPlayer', player.id, reason, false);
+        break;
+      case 'ban':
+        if (!this.banList || !player.auth) {
+          await this.room.callRoom('kickPlayer', player.id, reason, true);
+          break;
+        }
+        await this.banList.add({
+          auth: player.auth,
+          conn: player.conn,
+          name: player.name,
+          reason,
+          issuer: 'moderation',
+          duration: action.duration || DEFAULT_BAN_DURATION,
+        });
+        await this.room.syncBans();
+        break;
+    }
+    return action.type;
+  }
+
+  /**
+   * @private
+   */
+  removeExpiredStrikes(now) {
+    for (let [key, strike] of this.strikes) {
+      if (now - strike.at > this.options.strikeExpiry) this.strikes.delete(key);
+    }
+  }
+}
+
+/**
+ * Validates the options of a rule and compiles it.
+ * @private
+ */
+function createRule(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new TypeError('moderation rule has to be an object');
+  }
+  const name = spec.name || spec.type;
+  const rule = {
+    name,
+    reason: spec.reason || `Breaking the rule: ${name}`,
+    spec: { ...spec, name },
+    filter: null,
+    checkMessage: null,
+    checkName: null,
+  };
+  switch (spec.type) {
+    case 'words': {
+      if (!Array.isArray(spec.words) || spec.words.length === 0) {
+        throw new TypeError(`${name}: words has to be a non-empty array`);
+      }
+      const words = spec.words.map((w) => escapeRegExp(`${w}`)).join('|');
+      setFilter(rule, {
+        source: `(?:^|[^\\p{L}\\p{N}])(?:${words})(?=$|[^\\p{L}\\p{N}])`,
+        flags: 'iu',
+        allow: [],
+      });
+      break;
+    }
+    case 'regex': {
+      const regex = createRegExp(spec, name);
+      setFilter(rule, { source: regex.source, flags: regex.flags, allow: [] });
+      break;
+    }
+    case 'links': {
+      if (spec.allow !== undefined && !Array.isArray(spec.allow)) {
+        throw new TypeError(`${name}: allow has to be an array`);
+      }
+      setFilter(rule, {
+        source: LINK_PATTERN,
+        flags: 'i',
+        allow: (spec.allow || []).map((d) => `${d}`.toLowerCase()),
+      });
+      break;
+    }
+    case 'flood':
+      rule.spec.messages = positiveNumber(spec, 'messages', 5);
+      rule.spec.interval = positiveNumber(spec, 'interval', 5000);
+      break;
+    case 'repeat':
+      rule.spec.count = positiveNumber(spec, 'count', 3);
+      rule.spec.interval = positiveNumber(spec, 'interval', 30000);
+      break;
+    case 'name': {
+      const regex = createRegExp(spec, name);
+      rule.checkName = (playerName) => regex.test(playerName);
+      break;
+    }
+    default:
+      throw new TypeError(`Unknown moderation rule type: ${spec.type}`);
+  }
+  const defaultActions = spec.type === 'name' ? ['kick'] : DEFAULT_ACTIONS;
+  rule.actions = createActions(spec.actions || defaultActions, name);
+  rule.spec.actions = rule.actions;
+  return rule;
+}
+
+/**
+ * Sets the filter of the chat the rule sends to the room and compiles it
+ * for checking the messages.
+ * @private
+ */
+function setFilter(rule, filter) {
+  const { source, flags, allow } = filter;
+  const regex = new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+  rule.filter = filter;
+  rule.checkMessage = (message) => matchesFilter(regex, allow, message);
+}
+
+/**
+ * @private
+ */
+function createActions(actions, ruleName) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    throw new TypeError(`${ruleName}: actions has to be a non-empty array`);
+  }
+  return actions.map((action) => {
+    if (typeof action === 'string') action = { type: action };
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      throw new TypeError(
+        `${ruleName}: actions have to be one of ${ACTION_TYPES.join(', ')}`
+      );
+    }
+    if (
+      action.duration !== undefined &&
+      (typeof action.duration !== 'number' || !(action.duration > 0))
+    ) {
+      throw new TypeError(`${ruleName}: duration has to be a positive number`);
+    }
+    return { ...action };
+  });
+}
+
+/**
+ * @private
+ */
+function createRegExp({ pattern, flags }, ruleName) {
+  let regex;
+  if (pattern instanceof RegExp) {
+    regex = new RegExp(pattern.source, pattern.flags);
+  } else if (typeof pattern !== 'string' || !pattern) {
+    throw new TypeError(`${ruleName}: pattern has to be a string or RegExp`);
+  } else {
+    try {
+      regex = new RegExp(pattern, flags !== undefined ? flags : 'i');
+    } catch (err) {
+      throw new TypeError(`${ruleName}: ${err.message}`);
+    }
+  }
+  if (matchesEmptyString(regex)) {
+    throw new TypeError(`${ruleName}: pattern can not match an empty string`);
+  }
+  return regex;
+}
+
+/**
+ * Can the regular expression match an empty string, e.g. `a*` or `\b`.
+ * Such a pattern would match (almost) every message and name.
+ * @private
+ */
+function matchesEmptyString(regex) {
+  const nonGlobal = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+  return ['', ' ', 'a', '0'].some((sample) => {
+    const match = nonGlobal.exec(sample);
+    return match !== null && match[0] === '';
+  });
+}
+
+/**
+ * @private
+ */
+function positiveNumber(spec, property, defaultValue) {
+  const value = spec[property] !== undefined ? spec[property] : defaultValue;
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new TypeError(
+      `${spec.name || spec.type}: ${property} has to be a positive number`
+    );
+  }
+  return value;
+}
+
+/**
+ * Does the message match the global regular expression of a filter. Links
+ * are matched only if their domain is not allowed. The core plugin can not
+ * require this module, so it checks the filters it gets from `sync` the
+ * same way.
+ * @private
+ */
+function matchesFilter(regex, allow, message) {
+  for (let match of message.matchAll(regex)) {
+    const host = match[0]
+      .replace(/^[a-z]+:\/\//i, '')
+      .split(/[/:?#]/)[0]
+      .toLowerCase();
+    const allowed = allow.some((d) => host === d || host.endsWith(`.${d}`));
+    if (!allowed) return true;
+  }
+  return false;
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = ModerationController;
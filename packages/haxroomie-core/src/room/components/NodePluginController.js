@@ -0,0 +1,193 @@
+const logger = require('../../logger');
+
+/**
+ * Object containing information about a Node plugin.
+ *
+ * @typedef {Object} NodePluginData
+ * @property {string} name - Name of the plugin.
+ * @property {boolean} isEnabled - Indicates whether the plugin is enabled or
+ *    disabled.
+ * @property {object} config - Config of the plugin.
+ */
+
+/**
+ * Class for controlling the [Node plugins]{@link NodePlugin} of a room.
+ *
+ * Passes the room events and the lifecycle events of the room to the
+ * enabled plugins.
+ */
+class NodePluginController {
+  constructor(opt) {
+    this.room = opt.room;
+    this.emit = opt.emit;
+    this.plugins = new Map();
+
+    this.room.on('room-event', ({ handlerName, args }) => {
+      this.callEnabledPlugins(handlerName, ...args);
+    });
+    this.room.on('open-room-stop', (err, roomInfo) => {
+      if (!err) this.callEnabledPlugins('onRoomOpen', roomInfo);
+    });
+    this.room.on('close-room-stop', (err) => {
+      if (!err) this.callEnabledPlugins('onRoomClose');
+    });
+    this.room.on('download-complete', (download) => {
+      this.callEnabledPlugins('onDownloadComplete', download);
+    });
+  }
+
+  /**
+   * Returns the added plugins.
+   *
+   * @returns {Array.<NodePluginData>} - Array of plugins.
+   */
+  getPlugins() {
+    return [...this.plugins.keys()].map((name) => this.getPlugin(name));
+  }
+
+  /**
+   * Returns NodePluginData of the given plugin name.
+   *
+   * @param {string} name - Name of the plugin.
+   * @returns {?NodePluginData} - Data of the plugin or `null` if plugin
+   *    was not found.
+   */
+  getPlugin(name) {
+    const entry = this.plugins.get(name);
+    if (!entry) return null;
+    return {
+      name,
+      isEnabled: entry.isEnabled,
+      config: entry.plugin.config,
+    };
+  }
+
+  /**
+   * Checks if the room has the given plugin.
+   *
+   * @param {string} name - Name of the plugin.
+   * @returns {boolean} - `true` if the plugin has been added.
+   */
+  hasPlugin(name) {
+    return this.plugins.has(name);
+  }
+
+  /**
+   * Adds a plugin to the room and calls its `onLoad` hook. If the plugin is
+   * enabled and the room is running, `onRoomOpen` is called too.
+   *
+   * @param {object} opt - Options.
+   * @param {string} opt.name - Name of the plugin. Has to be unique within
+   *    the room.
+   * @param {function} opt.plugin - Class of the plugin. Should extend
+   *    {@link NodePlugin}.
+   * @param {object} [opt.config] - Config of the plugin.
+   * @param {boolean} [opt.enabled=true] - Should the plugin be enabled.
+   * @returns {Promise.<NodePluginData>} - Data of the added plugin.
+   *
+   * @throws {TypeError} - Something is wrong with the arguments.
+   * @throws {Error} - The `onLoad` hook of the plugin threw an error.
+   */
+  async addPlugin({ name, plugin: Plugin, config, enabled = true } = {}) {
+    if (!name) throw new TypeError('Missing required argument: name');
+    if (typeof Plugin !== 'function') {
+      throw new TypeError('The plugin has to be a class');
+    }
+    if (this.plugins.has(name)) {
+      throw new Error(`Plugin with the name ${name} already exists`);
+    }
+
+    const plugin = new Plugin({ name, room: this.room, config });
+    if (typeof plugin.onLoad === 'function') await plugin.onLoad();
+    this.plugins.set(name, { plugin, isEnabled: enabled });
+
+    if (enabled && this.room.running) {
+      await this.callPlugin(name, 'onRoomOpen', this.room.roomInfo);
+    }
+    return this.getPlugin(name);
+  }
+
+  /**
+   * Removes a plugin from the room and calls its `onUnload` hook.
+   *
+   * @param {string} name - Name of the plugin.
+   * @returns {Promise.<boolean>} - `true` if the plugin was removed.
+   */
+  async removePlugin(name) {
+    if (!this.plugins.has(name)) return false;
+    await this.callPlugin(name, 'onUnload');
+    this.plugins.delete(name);
+    return true;
+  }
+
+  /**
+   * Removes all the plugins from the room.
+   */
+  async removePlugins() {
+    for (let name of [...this.plugins.keys()]) {
+      await this.removePlugin(name);
+    }
+  }
+
+  /**
+   * Enables a plugin and calls its `onEnable` hook.
+   *
+   * @param {string} name - Name of the plugin.
+   * @returns {Promise.<boolean>} - `true` if the plugin was enabled, `false`
+   *    if it was not found or was already enabled.
+   */
+  async enablePlugin(name) {
+    const entry = this.plugins.get(name);
+    if (!entry || entry.isEnabled) return false;
+    entry.isEnabled = true;
+    await this.callPlugin(name, 'onEnable');
+    return true;
+  }
+
+  /**
+   * Disables a plugin and calls its `onDisable` hook. Disabled plugins do
+   * not receive the events of the room.
+   *
+   * @param {string} name - Name of the plugin.
+   * @returns {Promise.<boolean>} - `true` if the plugin was disabled,
+   *    `false` if it was not found or was already disabled.
+   */
+  async disablePlugin(name) {
+    const entry = this.plugins.get(name);
+    if (!entry || !entry.isEnabled) return false;
+    entry.isEnabled = false;
+    await this.callPlugin(name, 'onDisable');
+    return true;
+  }
+
+  /**
+   * Calls the handler of all the enabled plugins.
+   * @private
+   */
+  callEnabledPlugins(handlerName, ...args) {
+    for (let [name, { isEnabled }] of this.plugins) {
+      if (isEnabled) this.callPlugin(name, handlerName, ...args);
+    }
+  }
+
+  /**
+   * Calls the handler of the plugin if it has one. Errors are emitted
+   * instead of thrown.
+   * @private
+   */
+  async callPlugin(name, handlerName, ...args) {
+    const { plugin } = this.plugins.get(name);
+    if (typeof plugin[handlerName] !== 'function') return;
+    try {
+      await plugin[handlerName](...args);
+    } catch (error) {
+      logger.error(
+        `[${this.room.id}] Node plugin ${name} failed in ${handlerName}: ` +
+          `${error.stack}`
+      );
+      this.emit('node-plugin-error', { name, handlerName, error });
+    }
+  }
+}
+
+module.exports = NodePluginController;
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+
+/**
+ * Options for recording the games of a room automatically.
+ *
+ * @typedef {Object} RecordingOptions
+ * @property {string} [directory] - Directory where the recordings are saved.
+ *    Defaults to `recordings/<room id>` in the download directory of
+ *    Haxroomie.
+ * @property {number} [maxCount] - Max number of recordings to keep.
+ * @property {number} [maxAge] - Max age of the recordings to keep in
+ *    milliseconds.
+ * @property {number} [maxSize] - Max total size of the recordings to keep
+ *    in bytes.
+ */
+
+/**
+ * Saved recording of a game.
+ *
+ * @typedef {Object} Recording
+ * @property {string} fileName - Name of the `.hbr2` file.
+ * @property {string} path - Absolute path to the `.hbr2` file.
+ * @property {number} size - Size of the file in bytes.
+ * @property {number} savedAt - When the file was saved (milliseconds since
+ *    epoch).
+ * @property {?object} info - Contents of the JSON file saved next to the
+ *    recording (stadium, score, players and goals) or `null` if it is
+ *    missing.
+ */
+
+const REC_EXTENSION = '.hbr2';
+const INFO_EXTENSION = '.json';
+
+/**
+ * Saves the recordings of the games in a room and removes the old ones
+ * according to the retention policy.
+ *
+ * Each recording is saved as `<date>_<time>_<red>-<blue>_<stadium>.hbr2`
+ * (in UTC) with a JSON file of the same name next to it.
+ */
+class RecordingController {
+  /**
+   * @param {object} opt - Options.
+   * @param {function} opt.emit - RoomControllers emit function.
+   * @param {string|number} opt.roomId - Id of the room.
+   * @param {string} [opt.defaultDirectory] - Directory for the recordings
+   *    if the options do not have one.
+   * @param {RecordingOptions|boolean} [opt.options] - Options for the
+   *    recordings. Recording is disabled if not given.
+   */
+  constructor({ emit, roomId, defaultDirectory, options }) {
+    this.emit = emit;
+    this.roomId = roomId;
+    this.defaultDirectory = defaultDirectory;
+    this.options = null;
+    this.saving = Promise.resolve();
+    this.configure(options);
+  }
+
+  /**
+   * Is recording enabled.
+   * @type {boolean}
+   */
+  get enabled() {
+    return !!this.options;
+  }
+
+  /**
+   * Changes the options. The new retention policy applies the next time a
+   * recording is saved.
+   *
+   * @param {RecordingOptions|boolean} [options] - Options, `true` for the
+   *    default options or a falsy value to disable recording.
+   * @throws {TypeError} - Invalid options.
+   */
+  configure(options) {
+    if (!options) {
+      this.options = null;
+      return;
+    }
+    if (options === true) options = {};
+    if (typeof options !== 'object') {
+      throw new TypeError('recording has to be an object or a boolean');
+    }
+    const directory = options.directory || this.defaultDirectory;
+    if (typeof directory !== 'string') {
+      throw new TypeError('recording.directory has to be a string');
+    }
+    const policy = validatePolicy(options);
+    this.options = { ...policy, directory: path.resolve(directory) };
+  }
+
+  /**
+   * Saves the recording of a game and removes the old recordings.
+   *
+   * @param {object} game - The game.
+   * @param {Buffer} game.rec - Contents of the recording.
+   * @param {string} game.stadium - Name of the stadium.
+   * @param {number} game.startedAt - When the game started (milliseconds
+   *    since epoch).
+   * @param {number} game.endedAt - When the game ended (milliseconds since
+   *    epoch).
+   * @param {?Match} [game.match] - The players and goals of the game.
+   * @returns {Promise.<?Recording>} - The saved recording or `null` if
+   *    recording is disabled.
+   *
+   * @emits RoomController#recording-saved
+   */
+  save(game) {
+    const save = async () => {
+      if (!this.options) return null;
+      const recording = await this.write(game);
+      await this.removeOld(this.options);
+      this.emit('recording-saved', recording);
+      return recording;
+    };
+    const saved = this.saving.then(save, save);
+    this.saving = saved.catch(() => {});
+    return saved;
+  }
+
+  /**
+   * Returns the saved recordings ordered from the newest to the oldest.
+   *
+   * @returns {Promise.<Array.<Recording>>} - The recordings.
+   */
+  async list() {
+    if (!this.options) return [];
+    const { directory } = this.options;
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(directory);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const recordings = [];
+    for (let fileName of fileNames) {
+      if (path.extname(fileName) !== REC_EXTENSION) continue;
+      const recPath = path.join(directory, fileName);
+      let stat;
+      try {
+        stat = await fs.promises.stat(recPath);
+      } catch (err) {
+        continue;
+      }
+      recordings.push({
+        fileName,
+        path: recPath,
+        size: stat.size,
+        savedAt: stat.mtimeMs,
+        info: await readInfo(recPath),
+      });
+    }
+    // Files saved in the same millisecond are ordered by the end of the game.
+    const endedAt = (r) => (r.info && r.info.endedAt) || r.savedAt;
+    return recordings.sort(
+      (a, b) => b.savedAt - a.savedAt || endedAt(b) - endedAt(a)
+    );
+  }
+
+  /**
+   * Removes the recordings that do not fit the retention policy.
+   *
+   * @param {object} [policy] - Retention policy to use instead of the
+   *    configured one. Takes the `maxCount`, `maxAge` and `maxSize` options
+   *    of {@link RecordingOptions}.
+   * @returns {Promise.<Array.<Recording>>} - The removed recordings.
+   * @throws {TypeError} - Invalid policy.
+   */
+  async prune(policy) {
+    policy = policy ? validatePolicy(policy) : this.options;
+    if (!this.options || !policy) return [];
+    let removed;
+    const prune = async () => {
+      removed = await this.removeOld(policy);
+    };
+    this.saving = this.saving.then(prune, prune);
+    await this.saving;
+    return removed;
+  }
+
+  /**
+   * Writes the recording and its info file.
+   * @private
+   */
+  async write({ rec, stadium, startedAt, endedAt, match }) {
+    const { directory } = this.options;
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const score = match ? match.score : null;
+    const baseName = [
+      formatDate(new Date(endedAt)),
+      score ? `${score.red}-${score.blue}` : null,
+      sanitize(stadium),
+    ]
+      .filter((part) => part)
+      .join('_');
+
+    let fileName = `${baseName}${REC_EXTENSION}`;
+    for (let i = 2; fs.existsSync(path.join(directory, fileName)); i++) {
+      fileName = `${baseName}_${i}${REC_EXTENSION}`;
+    }
+    const recPath = path.join(directory, fileName);
+
+    const info = {
+      roomId: this.roomId,
+      fileName,
+      stadium,
+      startedAt,
+      endedAt,
+      duration: endedAt - startedAt,
+      score,
+      winner: match ? match.winner : null,
+      teams: match ? match.teams : null,
+      goals: match ? match.goals : [],
+    };
+    await fs.promises.writeFile(recPath, rec);
+    await fs.promises.writeFile(
+      infoPath(recPath),
+      `${JSON.stringify(info, null, 2)}\n`
+    );
+    return {
+      fileName,
+      path: recPath,
+      size: rec.length,
+      savedAt: Date.now(),
+      info,
+    };
+  }
+
+  /**
+   * Removes the oldest recordings until the rest fit the policy.
+   * @private
+   */
+  async removeOld({ maxCount, maxAge, maxSize }) {
+    const recordings = await this.list();
+    const now = Date.now();
+    const removed = [];
+    let totalSize = 0;
+    recordings.forEach((recording, i) => {
+      totalSize += recording.size;
+      if (
+        (maxCount !== undefined && i >= maxCount) ||
+        (maxAge !== undefined && now - recording.savedAt > maxAge) ||
+        (maxSize !== undefined && totalSize > maxSize)
+      ) {
+        removed.push(recording);
+      }
+    });
+
+    for (let recording of removed) {
+      try {
+        await fs.promises.rm(recording.path, { force: true });
+        await fs.promises.rm(infoPath(recording.path), { force: true });
+      } catch (err) {
+        logger.error(
+          `[${this.roomId}] Could not remove the recording ` +
+            `${recording.fileName}: ${err}`
+        );
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Checks the retention policy and returns only its options.
+ * @private
+ */
+function validatePolicy({ maxCount, maxAge, maxSize }) {
+  const policy = {};
+  for (let [name, value] of Object.entries({ maxCount, maxAge, maxSize })) {
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new TypeError(`recording.${name} has to be a positive number`);
+    }
+    policy[name] = value;
+  }
+  return policy;
+}
+
+async function readInfo(recPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(infoPath(recPath), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function infoPath(recPath) {
+  return `${recPath.slice(0, -REC_EXTENSION.length)}${INFO_EXTENSION}`;
+}
+
+/**
+ * Formats the date as `YYYY-MM-DD_HH-mm-ss` in UTC.
+ * @private
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+}
+
+/**
+ * Makes the stadium name safe to use in a file name.
+ * @private
+ */
+function sanitize(name) {
+  return String(name || '')
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+module.exports = RecordingController;
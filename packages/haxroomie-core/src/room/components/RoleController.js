@@ -1,96 +1,267 @@
+const RoleList = require('../../RoleList');
+
+/**
+ * Player that has a role.
+ *
+ * @typedef {Object} RolePlayer
+ * @property {number|null} id - Id of the player or `null` if the player is
+ *    not in the room.
+ * @property {string} name - Name of the player.
+ * @property {string} auth - Auth of the player.
+ * @property {boolean} online - Is the player in the room.
+ * @property {boolean} persistent - Is the role saved for the auth of the
+ *    player. Roles that are not saved are lost when the player leaves.
+ */
+
 /**
- * Class for controlling the sav/roles plugin of HHM.
+ * Information about a role and the players in it.
  *
- * Requires the `sav/roles` plugin to be loaded and enabled.
+ * @typedef {Object} RoleInfo
+ * @property {string} roleName - Name of the role.
+ * @property {string|null} password - Password of the role.
+ * @property {Array.<RolePlayer>} players - Players that have the role.
+ */
+
+/**
+ * Class for managing the roles of a room.
+ *
+ * The roles and the players they are saved for are kept in a
+ * {@link RoleList}. Players in the room can get a role with
+ * `!auth <role> <password>` until they leave and players with the `admin`
+ * role get admin rights.
  */
 class RoleController {
+  /**
+   * @param {object} opt - Options.
+   * @param {object} opt.page - Puppeteer.Page object of the room.
+   * @param {RoleList} [opt.roleList] - Roles of the room. The roles are
+   *    only kept in memory if not given.
+   */
   constructor(opt) {
     this.page = opt.page;
-    this.plugins = opt.plugins;
+    this.roleList = opt.roleList || new RoleList();
+    /** Are the roles kept only in memory. */
+    this.inMemory = !opt.roleList;
   }
 
   /**
-   * Returns the roles of player with given id or auth.
+   * Returns the roles and the players that have them.
    *
-   * Returns null if roles cannot be found and empty array if player does
-   * not have any roles.
-   *
-   * @param {number|string} playerId - Player id or auth.
-   * @returns {Array.<string>} - Roles of player.
+   * @param {object} [opt] - Options.
+   * @param {boolean} [opt.offlinePlayers=false] - Include the players that
+   *    have a saved role but are not in the room.
+   * @returns {Promise.<Array.<RoleInfo>>} - The roles.
    */
-  async getPlayerRoles(playerId) {
-    let rolesPlugin = await this.plugins.getPlugin('sav/roles');
-    if (!rolesPlugin || !rolesPlugin.isEnabled) {
-      throw new Error('sav/roles plugin needs to be loaded and enabled!');
-    }
-    return this.page.evaluate((playerId) => {
-      if (typeof playerId === 'number') {
-        const rolesPlugin = HHM.manager.getPlugin('sav/roles');
-        let roles = rolesPlugin.getPlayerRoles(playerId);
-        return roles;
-      } else if (typeof playerId === 'string') {
-        const playersPlugin = HHM.manager.getPlugin('sav/players');
-        let roles = playersPlugin.getUserData(playerId, 'sav/roles').roles;
-        return roles;
-      }
-    }, playerId);
+  async getRoles(opt) {
+    const onlinePlayers = await this.getPlayersWithRoles();
+    return this.roleList
+      .getRoles()
+      .map((role) => this.toRoleInfo(role, onlinePlayers, opt));
   }
 
   /**
    * Gets the players in given role.
    *
    * @param {string} roleName - Name of the role.
-   * @param {object} opt - Options.
-   * @param {boolean} opt.offlinePlayers - Include offline players in the
-   *    result.
+   * @param {object} [opt] - Options.
+   * @param {boolean} [opt.offlinePlayers=false] - Include the players that
+   *    have a saved role but are not in the room.
+   * @returns {Promise.<RoleInfo|null>} - The role or `null` if there is no
+   *    role with the name.
    */
   async getRole(roleName, opt) {
-    let rolesPlugin = await this.plugins.getPlugin('sav/roles');
-    if (!rolesPlugin || !rolesPlugin.isEnabled) {
-      throw new Error('sav/roles plugin needs to be loaded and enabled!');
+    const role = this.roleList.getRole(roleName);
+    if (!role) return null;
+    return this.toRoleInfo(role, await this.getPlayersWithRoles(), opt);
+  }
+
+  /**
+   * Adds a role or changes the password of an existing role.
+   *
+   * @param {string} roleName - Name of the role. Can not contain whitespace.
+   * @param {string} [password] - Password the players can use to get the
+   *    role. Without a password the role can only be given to the players.
+   * @returns {Promise.<RoleInfo>} - The role.
+   * @throws {TypeError} - Invalid name or password.
+   */
+  async addRole(roleName, password) {
+    await this.roleList.addRole(roleName, password);
+    await this.syncRoles();
+    return this.getRole(roleName);
+  }
+
+  /**
+   * Removes a role from the room and from all the players.
+   *
+   * @param {string} roleName - Name of the role.
+   * @returns {Promise.<boolean>} - Was there a role with the name.
+   */
+  async removeRole(roleName) {
+    const removed = await this.roleList.removeRole(roleName);
+    await this.syncRoles();
+    return !!removed;
+  }
+
+  /**
+   * Returns the roles of player with given id or auth.
+   *
+   * With an id the roles are the ones the player has in the room. With an
+   * auth the roles are the ones saved for the player.
+   *
+   * @param {number|string} playerId - Player id or auth.
+   * @returns {Promise.<Array.<string>|null>} - Roles of the player or `null`
+   *    if there is no player with the id in the room.
+   */
+  async getPlayerRoles(playerId) {
+    if (typeof playerId === 'string') {
+      return this.roleList.getPlayerRoles(playerId);
     }
-    return this.page.evaluate(
-      (roleName, opt) => {
-        const rolesPlugin = HHM.manager.getPlugin('sav/roles');
-        let role = rolesPlugin.getRole(roleName, opt);
-        return role;
-      },
-      roleName,
-      opt
-    );
+    return this.page.evaluate((playerId) => {
+      return window.haxroomie.getPlayerRoles(playerId);
+    }, playerId);
   }
 
   /**
-   * Can be used to add and remover roles from players.
+   * Can be used to add and remove roles from players.
+   *
+   * Roles given by auth are always persistent, so the player does not have
+   * to be in the room. Removing a role from a player in the room removes
+   * both the saved role and the role the player got for the session.
    *
    * @param {number|string} playerId - Id or auth of player.
    * @param {string} role - Role to add/remove.
-   * @param {boolean} state - `true` to add a role and `false` to remove.
-   * @param {boolean} persistent - Whether to save the change to database or
-   *    not.
+   * @param {boolean} [state=true] - `true` to add a role and `false` to
+   *    remove.
+   * @param {boolean} [persistent=false] - Whether to save the role for the
+   *    auth of the player or give it only until the player leaves.
+   * @returns {Promise.<Array.<string>|null>} - Roles of the player or `null`
+   *    if there is no player with the id in the room.
+   * @throws {TypeError} - There is no such role.
    */
   async setPlayerRole(playerId, role, state = true, persistent = false) {
-    let rolesPlugin = await this.plugins.getPlugin('sav/roles');
-    if (!rolesPlugin || !rolesPlugin.isEnabled) {
-      throw new Error('sav/roles plugin needs to be loaded and enabled!');
+    if (!this.roleList.getRole(role)) {
+      throw new TypeError(`There is no role named ${role}`);
     }
+    if (typeof playerId === 'string') {
+      const roles = await this.roleList.setPlayerRole(playerId, role, state);
+      await this.syncRoles();
+      return roles;
+    }
+
+    const player = await this.page.evaluate((playerId) => {
+      return window.haxroomie.getPlayerIdentity(playerId);
+    }, playerId);
+    if (!player) return null;
 
+    if (persistent || !state) {
+      const saved = this.roleList.getPlayerRoles(player.auth).includes(role);
+      if (state || saved) {
+        await this.roleList.setPlayerRole(
+          player.auth,
+          role,
+          state,
+          player.name
+        );
+        await this.syncRoles();
+      }
+    }
+    if (persistent && state) return this.getPlayerRoles(playerId);
     return this.page.evaluate(
-      (playerId, role, state, persistent) => {
-        const rolesPlugin = HHM.manager.getPlugin('sav/roles');
-
-        if (typeof playerId === 'number') {
-          return rolesPlugin.setPlayerRole(playerId, role, state, persistent);
-        } else if (typeof playerId === 'string') {
-          // TODO
-        }
+      (playerId, role, state) => {
+        return window.haxroomie.setPlayerRole(playerId, role, state);
       },
       playerId,
       role,
-      state,
-      persistent
+      state
+    );
+  }
+
+  /**
+   * Sends the roles to the room.
+   */
+  async syncRoles() {
+    const roles = {};
+    const players = {};
+    for (let role of this.roleList.getRoles()) {
+      roles[role.name] = role.password;
+      for (let { auth } of role.players) {
+        players[auth] = this.roleList.getPlayerRoles(auth);
+      }
+    }
+    await this.page.evaluate(
+      (roleData) => window.haxroomie.setRoles(roleData),
+      { roles, players }
     );
   }
+
+  /**
+   * Restores the roles after the RoomController is attached to a room that
+   * is already running.
+   *
+   * The roles in the room are kept if there is no role list, since the
+   * room has the only copy of them. Otherwise the roles are sent to the
+   * room.
+   */
+  async reattach() {
+    if (!this.inMemory) {
+      await this.syncRoles();
+      return;
+    }
+    const roleData = await this.page.evaluate(() => {
+      // Rooms opened with an older core plugin do not have the function.
+      if (!window.haxroomie.getRoles) return null;
+      return window.haxroomie.getRoles();
+    });
+    if (!roleData) return;
+    for (let [name, password] of Object.entries(roleData.roles)) {
+      await this.roleList.addRole(name, password);
+    }
+    for (let [auth, roles] of Object.entries(roleData.players)) {
+      for (let role of roles) {
+        await this.roleList.setPlayerRole(auth, role, true);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  getPlayersWithRoles() {
+    return this.page.evaluate(() => {
+      return window.haxroomie.getPlayersWithRoles();
+    });
+  }
+
+  /**
+   * @private
+   */
+  toRoleInfo(role, onlinePlayers, opt) {
+    opt = opt || {};
+    const savedAuths = new Set(role.players.map((p) => p.auth));
+    const players = onlinePlayers
+      .filter((p) => p.roles.includes(role.name))
+      .map((p) => ({
+        id: p.id,
+        name: p.name,
+        auth: p.auth,
+        online: true,
+        persistent: savedAuths.has(p.auth),
+      }));
+    if (opt.offlinePlayers) {
+      const onlineAuths = new Set(onlinePlayers.map((p) => p.auth));
+      for (let p of role.players) {
+        if (onlineAuths.has(p.auth)) continue;
+        players.push({
+          id: null,
+          name: p.name || null,
+          auth: p.auth,
+          online: false,
+          persistent: true,
+        });
+      }
+    }
+    return { roleName: role.name, password: role.password, players };
+  }
 }
 
 module.exports = RoleController;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+
+/**
+ * File downloaded by a room.
+ *
+ * @typedef {Object} Download
+ * @property {string} path - Absolute path to the downloaded file.
+ * @property {string} fileName - Name of the file in the download directory
+ *    of the room. Differs from the suggested name if a file with that name
+ *    already existed.
+ * @property {string} suggestedFilename - Name the page gave to the file.
+ * @property {number} size - Size of the file in bytes.
+ * @property {string} url - URL the file was downloaded from (usually a blob
+ *    URL).
+ */
+
+/**
+ * Saves the files downloaded by the page of a room to the download
+ * directory of the room.
+ *
+ * The download directory of Chromium is shared by all the pages in a
+ * browser context, so the files are first downloaded to a temporary
+ * directory with unique names and then moved to the directory of the room
+ * that downloaded them.
+ */
+class RoomDownloadHandler {
+  /**
+   * @param {object} opt - Options.
+   * @param {object} opt.page - Puppeteer.Page object of the room.
+   * @param {function} opt.emit - RoomControllers emit function.
+   * @param {string|number} opt.roomId - Id of the room.
+   */
+  constructor({ page, emit, roomId }) {
+    this.page = page;
+    this.emit = emit;
+    this.roomId = roomId;
+    this.directory = null;
+    this.tempDirectory = null;
+    /** Downloads in progress by guid. */
+    this.downloads = new Map();
+    this.moving = Promise.resolve();
+
+    const client = this.page._client;
+    client.on('Page.downloadWillBegin', (e) => this.onDownloadWillBegin(e));
+    client.on('Page.downloadProgress', (e) => this.onDownloadProgress(e));
+  }
+
+  /**
+   * Sets the directory where the downloaded files are saved.
+   *
+   * @param {string} directory - Download directory of the room.
+   * @param {string} [tempDirectory] - Directory where the files are kept
+   *    until they are downloaded. Has to be the same for all the rooms in
+   *    the browser context and in the same file system as `directory`.
+   *    Defaults to `.downloading` next to `directory`.
+   */
+  async setDirectory(directory, tempDirectory) {
+    this.directory = path.resolve(directory);
+    this.tempDirectory = path.resolve(
+      tempDirectory || path.join(path.dirname(this.directory), '.downloading')
+    );
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.mkdir(this.tempDirectory, { recursive: true });
+    await this.page._client.send('Page.setDownloadBehavior', {
+      behavior: 'allowAndName',
+      downloadPath: this.tempDirectory,
+    });
+  }
+
+  /**
+   * @private
+   */
+  onDownloadWillBegin({ guid, url, suggestedFilename }) {
+    if (!this.directory) return;
+    // The download directory may change before the download completes.
+    this.downloads.set(guid, {
+      url,
+      suggestedFilename,
+      directory: this.directory,
+      tempDirectory: this.tempDirectory,
+    });
+  }
+
+  /**
+   * @private
+   */
+  onDownloadProgress({ guid, state }) {
+    const download = this.downloads.get(guid);
+    if (!download || state === 'inProgress') return;
+    this.downloads.delete(guid);
+    if (state === 'canceled') {
+      logger.debug(
+        `[${this.roomId}] Download canceled: ${download.suggestedFilename}`
+      );
+      return;
+    }
+    // One at a time, so the files that have the same name get different
+    // names.
+    const move = () => this.moveDownload(guid, download);
+    this.moving = this.moving.then(move, move).catch((err) => {
+      logger.error(
+        `[${this.roomId}] Could not save the download ` +
+          `${download.suggestedFilename}: ${err}`
+      );
+    });
+  }
+
+  /**
+   * Moves the downloaded file to the directory of the room.
+   *
+   * @emits RoomController#download-complete
+   * @private
+   */
+  async moveDownload(
+    guid,
+    { url, suggestedFilename, directory, tempDirectory }
+  ) {
+    const tempPath = path.join(tempDirectory, guid);
+    const fileName = await getAvailableName(directory, suggestedFilename);
+    const filePath = path.join(directory, fileName);
+    await fs.promises.rename(tempPath, filePath);
+    const { size } = await fs.promises.stat(filePath);
+    this.emit('download-complete', {
+      path: filePath,
+      fileName,
+      suggestedFilename,
+      size,
+      url,
+    });
+  }
+}
+
+/**
+ * Returns a name like `file (1).txt` if the file already exists in the
+ * directory.
+ * @private
+ */
+async function getAvailableName(directory, suggestedFilename) {
+  const baseName = path.basename(suggestedFilename || 'download');
+  const ext = path.extname(baseName);
+  const name = baseName.slice(0, baseName.length - ext.length);
+  let fileName = baseName;
+  for (let i = 1; await exists(path.join(directory, fileName)); i++) {
+    fileName = `${name} (${i})${ext}`;
+  }
+  return fileName;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.promises.access(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = RoomDownloadHandler;
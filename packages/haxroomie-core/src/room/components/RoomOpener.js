@@ -25,6 +25,10 @@ module.exports = class RoomOpener extends EventEmitter {
    *    browser context when browser wants to send data.
    * @param {number} [opt.timeout=30] - Time to wait for the room link before
    *    giving up.
+   * @param {string} [opt.url] - URL of the HaxBall headless host page.
+   * @param {string} [opt.hhmUrl] - URL from where the HHM releases are loaded.
+   * @param {string} [opt.isolation='shared'] - Isolation of the page. The
+   *    shared storage module is injected only with the `shared` isolation.
    */
   constructor(opt) {
     super();
@@ -42,9 +46,12 @@ module.exports = class RoomOpener extends EventEmitter {
     this.onBrowserAction = opt.onBrowserAction;
     this.timeout = opt.timeout || 30;
     this.id = opt.id;
+    this.isolation = opt.isolation || 'shared';
 
     /** URL of the HaxBall headless host site. */
-    this.url = 'https://haxball.com/headless';
+    this.url = opt.url || 'https://haxball.com/headless';
+    /** URL of the directory containing the HHM releases. */
+    this.hhmUrl = opt.hhmUrl || 'https://hhm.surge.sh/releases';
   }
 
   /**
@@ -101,12 +108,68 @@ module.exports = class RoomOpener extends EventEmitter {
   async initializePage({ hhmVersion, hhm = {} }) {
     await this.navigateToHaxballHeadlessPage();
     await this.waitForHaxballToLoad();
-    await this.injectSharedStorage();
+    // Isolated pages do not share the storage with the other rooms.
+    if (this.isolation === 'shared') await this.injectSharedStorage();
     await this.initBrowserCommunicationChannel();
     await this.injectHaxroomieNamespace();
     await this.loadHHM({ hhmVersion, hhm });
   }
 
+  /**
+   * Reattaches to a page that was initialized by another RoomOpener (e.g.
+   * before the Node process restarted).
+   *
+   * Exposes a new communication channel for the browser because the one
+   * exposed by the previous process does not work anymore.
+   *
+   * @returns {object} - Object with `hhmLoaded` and `roomInfo` properties.
+   *    `roomInfo` is `null` if the room is not running.
+   */
+  async reattach() {
+    logger.debug(
+      `[${colors.cyan(this.id)}] [${colors.green('INFO')}] ` +
+        `Reattaching to the page.`
+    );
+    const channelName = `haxroomieSendBrowserAction_${Date.now()}`;
+    await this.page.exposeFunction(channelName, this.onBrowserAction);
+    await this.page.evaluate((channelName) => {
+      window.haxroomieSendBrowserAction = window[channelName];
+    }, channelName);
+
+    const { hhmLoaded, hhmStarted } = await this.page.evaluate(() => ({
+      hhmLoaded: typeof HHM !== 'undefined' && !!HHM.manager,
+      hhmStarted: !!window.haxroomie.hhmStarted,
+    }));
+    if (!hhmStarted) {
+      return { hhmLoaded, roomInfo: null };
+    }
+
+    const haxframe = await this.getHaxframe();
+    const roomLink = await haxframe.$eval('#roomlink a', (element) => {
+      return element.getAttribute('href');
+    });
+    const hhmRoomInfo = await this.getRoomInfoFromHHM();
+    return { hhmLoaded, roomInfo: { ...hhmRoomInfo, roomLink } };
+  }
+
+  /**
+   * Checks if the link of the room is still shown in the HaxBall headless
+   * page. HaxBall removes the link when the room loses its connection.
+   *
+   * @returns {boolean} - Is the room link in the page.
+   */
+  async hasRoomLink() {
+    try {
+      const haxframe = await this.getHaxframe();
+      return !!(await haxframe.$('#roomlink a'));
+    } catch (err) {
+      logger.debug(
+        `[${colors.cyan(this.id)}] [${colors.red('ERROR')}] ` + `${err}`
+      );
+      return false;
+    }
+  }
+
   /**
    * Closes the room by navigating the tab to about:blank.
    */
@@ -187,15 +250,13 @@ module.exports = class RoomOpener extends EventEmitter {
       // prevent caching if using the development version
       if (config.hhmVersion === 'git') {
         await this.page.addScriptTag({
-          url: `https://hhm.surge.sh/releases/hhm-${
-            config.hhmVersion
-          }.js?_=${Date.now()}`,
+          url: `${this.hhmUrl}/hhm-${config.hhmVersion}.js?_=${Date.now()}`,
         });
 
         // load the possibly cached version
       } else {
         await this.page.addScriptTag({
-          url: `https://hhm.surge.sh/releases/hhm-${config.hhmVersion}.js`,
+          url: `${this.hhmUrl}/hhm-${config.hhmVersion}.js`,
         });
       }
     }
@@ -381,6 +442,10 @@ module.exports = class RoomOpener extends EventEmitter {
       path.join(__dirname, '..', '..', 'browser', 'haxroomie.js')
     );
     await this.page.evaluate(haxroomie);
+    // Makes it possible to find the page after Node process restarts.
+    await this.page.evaluate((id) => {
+      window.haxroomie.roomId = id;
+    }, this.id);
   }
 
   /**
@@ -404,6 +469,7 @@ module.exports = class RoomOpener extends EventEmitter {
    * @returns {string|null} the roomLink or null if time ran out
    * 
    * @throws {InvalidTokenError} - The token is invalid or expired.
+   * @throws {Error} - HHM failed to start.
 
    * @private
    */
@@ -424,6 +490,12 @@ module.exports = class RoomOpener extends EventEmitter {
       if (recaptcha) {
         throw new InvalidTokenError(`Token is invalid or has expired!`);
       }
+      let hhmStartError = await this.page.evaluate(
+        `window.haxroomie.hhmStartError`
+      );
+      if (hhmStartError) {
+        throw new Error(`HHM failed to start: ${hhmStartError}`);
+      }
       hhmStarted = await this.page.evaluate(`window.haxroomie.hhmStarted`);
       await sleep(1000);
       currentTime = new Date().getTime();
@@ -0,0 +1,210 @@
+const logger = require('../../logger');
+const colors = require('colors');
+
+/**
+ * Options for the watchdog of a room.
+ *
+ * @typedef {Object} WatchdogOptions
+ * @property {number} [interval=5000] - How often to ping the page in
+ *    milliseconds.
+ * @property {number} [timeout=10000] - How long to wait for the page to
+ *    answer before it is considered unresponsive.
+ * @property {boolean} [metrics=false] - Sample the performance metrics of
+ *    the page (e.g. `JSHeapUsedSize` and `TaskDuration`) after each ping.
+ * @property {boolean} [recycle=false] - Should the
+ *    [RoomSupervisor]{@link RoomSupervisor} replace the page when it becomes
+ *    unresponsive.
+ */
+
+/**
+ * Object describing the health of the page.
+ *
+ * @typedef {Object} RoomHealth
+ * @property {boolean} responsive - Did the page answer to the last ping in
+ *    time.
+ * @property {?number} latency - How long the last answered ping took in
+ *    milliseconds.
+ * @property {?number} lastPingAt - When the page last answered (ms since
+ *    epoch).
+ * @property {?object} metrics - Last sampled metrics of the page if the
+ *    `metrics` option is enabled. Keys are the names of the
+ *    [CDP Performance metrics](https://chromedevtools.github.io/devtools-protocol/tot/Performance/#method-getMetrics).
+ */
+
+/**
+ * Pings the page of a running room periodically and emits
+ * `room-unresponsive` if the page does not answer before the deadline,
+ * e.g. because a plugin is stuck in a loop. Pages that get stuck do not
+ * fire `close` or `error`, so nothing else notices them.
+ */
+class RoomWatchdog {
+  /**
+   * @param {object} opt - Options.
+   * @param {object} opt.page - RoomControllers page object.
+   * @param {function} opt.emit - RoomControllers emit function.
+   * @param {string|number} opt.roomId - Id of the room.
+   * @param {WatchdogOptions} [opt.options] - Options for the watchdog.
+   */
+  constructor({ page, emit, roomId, options }) {
+    this.page = page;
+    this.emit = emit;
+    this.roomId = roomId;
+
+    this.timer = null;
+    this.deadline = null;
+    this.pending = null;
+    this.cdpSession = null;
+    this.health = {
+      responsive: true,
+      latency: null,
+      lastPingAt: null,
+      metrics: null,
+    };
+    this.configure(options);
+  }
+
+  /**
+   * Validates and sets the options. Restarts the pinging if it was running.
+   *
+   * @param {WatchdogOptions} [options] - Options for the watchdog.
+   * @throws {TypeError} - Invalid options.
+   */
+  configure({
+    interval = 5000,
+    timeout = 10000,
+    metrics = false,
+    recycle = false,
+  } = {}) {
+    if (!(interval > 0)) {
+      throw new TypeError('interval has to be a positive number');
+    }
+    if (!(timeout > 0)) {
+      throw new TypeError('timeout has to be a positive number');
+    }
+    this.options = { interval, timeout, metrics: !!metrics, recycle };
+
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  /**
+   * Starts pinging the page.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.ping(), this.options.interval);
+    // The watchdog alone should not keep the process running.
+    this.timer.unref();
+  }
+
+  /**
+   * Stops pinging the page.
+   */
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.deadline);
+    this.timer = null;
+    this.deadline = null;
+    this.pending = null;
+    this.health.responsive = true;
+  }
+
+  /**
+   * Pings the page unless the previous ping is still waiting for an answer.
+   * @private
+   */
+  async ping() {
+    if (this.pending) return;
+    const startTime = Date.now();
+    const pending = this.page.evaluate(() => window.haxroomie.ping());
+    this.pending = pending;
+    this.deadline = setTimeout(() => {
+      this.onDeadline(startTime);
+    }, this.options.timeout);
+
+    try {
+      await pending;
+    } catch (err) {
+      // The page closed or navigated away, the other handlers report those.
+      logger.debug(`[${this.roomId}] RoomWatchdog: ${err.message}`);
+      if (this.pending === pending) this.clearPending();
+      return;
+    }
+    if (this.pending !== pending) return;
+    this.clearPending();
+    this.onAnswer(startTime);
+    if (this.options.metrics) await this.sampleMetrics();
+  }
+
+  /**
+   * @private
+   */
+  clearPending() {
+    clearTimeout(this.deadline);
+    this.deadline = null;
+    this.pending = null;
+  }
+
+  /**
+   * @emits RoomController#room-responsive
+   * @private
+   */
+  onAnswer(startTime) {
+    const now = Date.now();
+    this.health.latency = now - startTime;
+    this.health.lastPingAt = now;
+    if (this.health.responsive) return;
+
+    this.health.responsive = true;
+    logger.debug(
+      `[${colors.cyan(this.roomId)}] [${colors.green('RESPONSIVE')}] ` +
+        `page answered after ${this.health.latency} ms`
+    );
+    this.emit('room-responsive', { elapsed: this.health.latency });
+  }
+
+  /**
+   * @emits RoomController#room-unresponsive
+   * @private
+   */
+  onDeadline(startTime) {
+    this.deadline = null;
+    if (!this.health.responsive) return;
+    this.health.responsive = false;
+    const elapsed = Date.now() - startTime;
+    logger.debug(
+      `[${colors.cyan(this.roomId)}] [${colors.red('UNRESPONSIVE')}] ` +
+        `page did not answer in ${elapsed} ms`
+    );
+    this.emit('room-unresponsive', {
+      elapsed,
+      lastPingAt: this.health.lastPingAt,
+      metrics: this.health.metrics,
+    });
+  }
+
+  /**
+   * Samples the CDP performance metrics of the page.
+   * @private
+   */
+  async sampleMetrics() {
+    try {
+      if (!this.cdpSession) {
+        this.cdpSession = await this.page.target().createCDPSession();
+        await this.cdpSession.send('Performance.enable');
+      }
+      const { metrics } = await this.cdpSession.send('Performance.getMetrics');
+      this.health.metrics = {};
+      for (let { name, value } of metrics) {
+        this.health.metrics[name] = value;
+      }
+    } catch (err) {
+      logger.debug(`[${this.roomId}] RoomWatchdog: ${err.message}`);
+      this.cdpSession = null;
+    }
+  }
+}
+
+module.exports = RoomWatchdog;
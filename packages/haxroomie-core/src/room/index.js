@@ -1,5 +1,7 @@
 const RoomController = require('./RoomController');
+const NodePlugin = require('./NodePlugin');
 
 module.exports = {
   RoomController,
+  NodePlugin,
 };
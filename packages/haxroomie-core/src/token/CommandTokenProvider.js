@@ -0,0 +1,48 @@
+const { exec } = require('child_process');
+const logger = require('../logger');
+const TokenProvider = require('./TokenProvider');
+
+/**
+ * Gets the token from the standard output of a command (e.g. a script that
+ * fetches it from a secret store).
+ *
+ * The id of the room is passed to the command in the `HR_ROOM_ID`
+ * environment variable.
+ */
+class CommandTokenProvider extends TokenProvider {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.command - The command to run in a shell.
+   * @param {number} [opt.timeout=10000] - Max time to wait for the command
+   *    to finish (milliseconds).
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.command) throw new TypeError('invalid arguments');
+    this.command = opt.command;
+    this.timeout = opt.timeout || 10000;
+  }
+
+  getToken(roomId) {
+    return new Promise((resolve) => {
+      exec(
+        this.command,
+        {
+          timeout: this.timeout,
+          env: { ...process.env, HR_ROOM_ID: `${roomId}` },
+        },
+        (err, stdout) => {
+          if (err) {
+            logger.debug(`CommandTokenProvider: ${err.message}`);
+            resolve(undefined);
+            return;
+          }
+          resolve(stdout.trim() || undefined);
+        }
+      );
+    });
+  }
+}
+
+module.exports = CommandTokenProvider;
@@ -0,0 +1,24 @@
+const TokenProvider = require('./TokenProvider');
+
+/**
+ * Reads the token from an environment variable.
+ */
+class EnvTokenProvider extends TokenProvider {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.name - Name of the environment variable.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.name) throw new TypeError('invalid arguments');
+    this.name = opt.name;
+  }
+
+  async getToken() {
+    const token = process.env[this.name];
+    return token ? token.trim() : undefined;
+  }
+}
+
+module.exports = EnvTokenProvider;
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const TokenProvider = require('./TokenProvider');
+
+/**
+ * Reads the token from a file. The file is watched, so the token can be
+ * replaced without restarting haxroomie.
+ *
+ * @emits TokenProvider#token-changed
+ */
+class FileTokenProvider extends TokenProvider {
+  /**
+   * @param {object} opt - Options.
+   * @param {string} opt.path - Path to the file containing the token.
+   * @param {number} [opt.interval=2000] - How often to check the file for
+   *    changes (milliseconds).
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!opt.path) throw new TypeError('invalid arguments');
+    this.path = path.resolve(process.cwd(), opt.path);
+    this.interval = opt.interval || 2000;
+
+    this.onFileChange = this.onFileChange.bind(this);
+    fs.watchFile(
+      this.path,
+      { interval: this.interval, persistent: false },
+      this.onFileChange
+    );
+  }
+
+  async getToken() {
+    try {
+      const token = (await fs.promises.readFile(this.path, 'utf8')).trim();
+      return token || undefined;
+    } catch (err) {
+      logger.debug(`FileTokenProvider: ${err.message}`);
+      return undefined;
+    }
+  }
+
+  close() {
+    fs.unwatchFile(this.path, this.onFileChange);
+  }
+
+  /**
+   * @private
+   */
+  onFileChange(curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    // File was removed.
+    if (curr.mtimeMs === 0) return;
+    this.emit('token-changed');
+  }
+}
+
+module.exports = FileTokenProvider;
@@ -0,0 +1,42 @@
+const EventEmitter = require('events');
+
+/**
+ * Emitted when the provider has a new token available (e.g. the token file
+ * was modified).
+ * @event TokenProvider#token-changed
+ */
+
+/**
+ * Base class for the objects that supply the tokens for opening the rooms.
+ *
+ * Any object with a `getToken(roomId)` method can be used as a token
+ * provider. Extending this class is only needed for the optional
+ * `invalidateToken` method and the `token-changed` event.
+ */
+class TokenProvider extends EventEmitter {
+  /**
+   * Returns a token for the room.
+   *
+   * @param {string|number} roomId - Id of the room that needs the token.
+   * @returns {Promise.<?string>} - The token or `undefined` if the provider
+   *    does not have one.
+   */
+  async getToken() {
+    throw new Error('getToken is not implemented!');
+  }
+
+  /**
+   * Tells the provider that HaxBall rejected the token.
+   *
+   * @param {string|number} roomId - Id of the room the token was used for.
+   * @param {string} token - The rejected token.
+   */
+  invalidateToken() {}
+
+  /**
+   * Releases the resources of the provider (e.g. file watchers).
+   */
+  close() {}
+}
+
+module.exports = TokenProvider;
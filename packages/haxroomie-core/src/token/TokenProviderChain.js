@@ -0,0 +1,79 @@
+const logger = require('../logger');
+const TokenProvider = require('./TokenProvider');
+
+/**
+ * Emitted when none of the providers has a valid token for a room.
+ * @event TokenProviderChain#token-required
+ * @param {string|number} roomId - Id of the room that needs a token.
+ */
+
+/**
+ * Asks the token from each provider in order and returns the first one that
+ * has not been rejected by HaxBall.
+ *
+ * @emits TokenProvider#token-changed
+ */
+class TokenProviderChain extends TokenProvider {
+  /**
+   * @param {object} opt - Options.
+   * @param {Array.<TokenProvider>} opt.providers - The providers in the order
+   *    they are tried.
+   */
+  constructor(opt) {
+    super();
+    opt = opt || {};
+    if (!Array.isArray(opt.providers)) throw new TypeError('invalid arguments');
+    this.providers = opt.providers;
+    // Map of room ids to Sets of rejected tokens.
+    this.invalidTokens = new Map();
+
+    this.onTokenChanged = () => this.emit('token-changed');
+    for (let provider of this.providers) {
+      if (typeof provider.on === 'function') {
+        provider.on('token-changed', this.onTokenChanged);
+      }
+    }
+  }
+
+  /**
+   * @emits TokenProviderChain#token-required
+   */
+  async getToken(roomId) {
+    const invalidTokens = this.invalidTokens.get(roomId) || new Set();
+    for (let provider of this.providers) {
+      let token;
+      try {
+        token = await provider.getToken(roomId);
+      } catch (err) {
+        logger.error(`Could not get the token for ${roomId}: ${err.message}`);
+        continue;
+      }
+      if (token && !invalidTokens.has(token)) return token;
+    }
+    this.emit('token-required', roomId);
+    return undefined;
+  }
+
+  invalidateToken(roomId, token) {
+    if (!this.invalidTokens.has(roomId)) {
+      this.invalidTokens.set(roomId, new Set());
+    }
+    this.invalidTokens.get(roomId).add(token);
+    for (let provider of this.providers) {
+      if (typeof provider.invalidateToken === 'function') {
+        provider.invalidateToken(roomId, token);
+      }
+    }
+  }
+
+  close() {
+    for (let provider of this.providers) {
+      if (typeof provider.off === 'function') {
+        provider.off('token-changed', this.onTokenChanged);
+      }
+      if (typeof provider.close === 'function') provider.close();
+    }
+  }
+}
+
+module.exports = TokenProviderChain;
@@ -0,0 +1,52 @@
+const TokenProvider = require('./TokenProvider');
+const FileTokenProvider = require('./FileTokenProvider');
+const EnvTokenProvider = require('./EnvTokenProvider');
+const CommandTokenProvider = require('./CommandTokenProvider');
+const TokenProviderChain = require('./TokenProviderChain');
+
+/**
+ * Creates a token provider from a plain object, e.g. from a config file.
+ *
+ * - `{ file: '/path/to/token' }` creates a
+ *   [FileTokenProvider]{@link FileTokenProvider}.
+ * - `{ env: 'HAXBALL_TOKEN' }` creates an
+ *   [EnvTokenProvider]{@link EnvTokenProvider}.
+ * - `{ command: 'get-token.sh' }` creates a
+ *   [CommandTokenProvider]{@link CommandTokenProvider}.
+ * - An array of the above creates a
+ *   [TokenProviderChain]{@link TokenProviderChain}.
+ *
+ * Objects that already have a `getToken` method are returned as they are.
+ *
+ * @param {object|Array.<object>} spec - Description of the provider.
+ * @returns {TokenProvider} - The token provider.
+ */
+function createTokenProvider(spec) {
+  if (Array.isArray(spec)) {
+    return new TokenProviderChain({ providers: spec.map(createTokenProvider) });
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new TypeError(`Invalid token provider: ${spec}`);
+  }
+  if (typeof spec.getToken === 'function') return spec;
+  if (spec.file) {
+    return new FileTokenProvider({ path: spec.file, interval: spec.interval });
+  }
+  if (spec.env) return new EnvTokenProvider({ name: spec.env });
+  if (spec.command) {
+    return new CommandTokenProvider({
+      command: spec.command,
+      timeout: spec.timeout,
+    });
+  }
+  throw new TypeError(`Invalid token provider: ${JSON.stringify(spec)}`);
+}
+
+module.exports = {
+  TokenProvider,
+  FileTokenProvider,
+  EnvTokenProvider,
+  CommandTokenProvider,
+  TokenProviderChain,
+  createTokenProvider,
+};
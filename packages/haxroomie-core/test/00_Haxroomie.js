@@ -2,9 +2,10 @@ require('./setup');
 const expect = require('chai').expect;
 
 const { Haxroomie } = require('../');
+const { haxroomieOptions } = require('./utils');
 
 describe('Haxroomie launching browser', function () {
-  let haxroomie = new Haxroomie();
+  let haxroomie = new Haxroomie(haxroomieOptions());
 
   function expectBrowserToBeUsable(browser) {
     expect(browser).to.have.property('pages');
@@ -24,11 +25,24 @@ describe('Haxroomie launching browser', function () {
   });
 });
 
+describe('Haxroomie failing to launch the browser', function () {
+  it('should allow launching again after a failed launch', async function () {
+    let haxroomie = new Haxroomie(
+      haxroomieOptions({ executablePath: '/nonexistent/chrome' })
+    );
+    await expect(haxroomie.launchBrowser()).to.be.rejected;
+    expect(haxroomie.offlineServer).to.be.null;
+    haxroomie = new Haxroomie(haxroomieOptions());
+    expect(await haxroomie.launchBrowser()).to.have.property('pages');
+    await haxroomie.closeBrowser();
+  });
+});
+
 describe('Haxroomie', function () {
-  let haxroomie = new Haxroomie();
+  let haxroomie = new Haxroomie(haxroomieOptions());
 
   beforeEach(async function () {
-    haxroomie = await new Haxroomie();
+    haxroomie = await new Haxroomie(haxroomieOptions());
     await haxroomie.launchBrowser();
   });
 
@@ -42,7 +56,7 @@ describe('Haxroomie', function () {
     });
 
     it('should not allow to launch multiple browsers from different instances', async function () {
-      let haxroomie2 = new Haxroomie({ port: 3099 });
+      let haxroomie2 = new Haxroomie(haxroomieOptions({ port: 3099 }));
       await expect(haxroomie2.launchBrowser()).to.eventually.be.rejected;
       return haxroomie2.closeBrowser();
     });
@@ -5,6 +5,16 @@ const { createRooms } = require('./utils');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Returns a promise that resolves with the arguments of the next `event`
+ * emitted by `emitter`.
+ */
+function nextEvent(emitter, event) {
+  return new Promise((resolve) => {
+    emitter.once(event, (...args) => resolve(args));
+  });
+}
+
 describe('RoomController.plugins', async function () {
   let rooms, configs, haxroomie;
 
@@ -73,7 +83,7 @@ describe('RoomController.plugins', async function () {
       await rooms[0].plugins.addPlugin({
         name: 'default-plugin',
         content: fs.readFileSync(
-          path.join(__dirname, 'data', 'default-plugin.js'),
+          path.join(__dirname, 'data', 'console-log-plugin.js'),
           { encoding: 'utf-8' }
         ),
       });
@@ -124,4 +134,65 @@ describe('RoomController.plugins', async function () {
       expect(pConfig.test).to.equal('test');
     });
   });
+
+  describe('plugin events', function () {
+    it('should emit plugin-disabled when a plugin gets disabled', async function () {
+      const event = nextEvent(rooms[0], 'plugin-disabled');
+      await rooms[0].plugins.disablePlugin('sav/commands');
+      const [pluginData] = await event;
+      expect(pluginData.name).to.equal('sav/commands');
+      expect(pluginData.isEnabled).to.equal(false);
+    });
+
+    it('should emit plugin-enabled when a plugin gets enabled', async function () {
+      const event = nextEvent(rooms[0], 'plugin-enabled');
+      await rooms[0].plugins.enablePlugin('sav/commands');
+      const [pluginData] = await event;
+      expect(pluginData.name).to.equal('sav/commands');
+      expect(pluginData.isEnabled).to.equal(true);
+    });
+
+    it('should emit plugin-loaded when a plugin gets loaded', async function () {
+      const event = nextEvent(rooms[0], 'plugin-loaded');
+      await rooms[0].plugins.addPlugin({
+        name: 'event-plugin',
+        content: fs.readFileSync(
+          path.join(__dirname, 'data', 'plugin-without-pluginspec.js'),
+          { encoding: 'utf-8' }
+        ),
+      });
+      const [pluginData] = await event;
+      expect(pluginData.name).to.equal('event-plugin');
+    });
+
+    it('should emit plugin-config-changed when config of a plugin changes', async function () {
+      const event = nextEvent(rooms[0], 'plugin-config-changed');
+      await rooms[0].plugins.setPluginConfig(
+        { commandPrefix: '?' },
+        'sav/commands'
+      );
+      const [pluginData] = await event;
+      expect(pluginData.name).to.equal('sav/commands');
+      expect(pluginData.pluginSpec.config.commandPrefix).to.equal('?');
+    });
+
+    it('should emit plugin-removed when a plugin gets removed', async function () {
+      const event = nextEvent(rooms[0], 'plugin-removed');
+      await rooms[0].plugins.removePlugin('event-plugin');
+      const [pluginData] = await event;
+      expect(pluginData.name).to.equal('event-plugin');
+    });
+
+    it('should emit plugin-load-error when a plugin fails to load', async function () {
+      const event = nextEvent(rooms[0], 'plugin-load-error');
+      try {
+        await rooms[0].plugins.addPlugin('invalid/plugin-that-does-not-exist');
+      } catch (err) {
+        // the error is also delivered with the event
+      }
+      const [info] = await event;
+      expect(info.pluginName).to.equal('invalid/plugin-that-does-not-exist');
+      expect(info.error).to.be.a('string');
+    });
+  });
 });
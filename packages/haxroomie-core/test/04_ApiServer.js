@@ -0,0 +1,254 @@
+require('./setup');
+const http = require('http');
+const net = require('net');
+const expect = require('chai').expect;
+const WebSocket = require('ws');
+
+const { createRooms } = require('./utils');
+const { ApiServer } = require('../');
+
+const API_KEY = 'test-api-key';
+
+describe('ApiServer', function () {
+  let rooms, configs, haxroomie, api;
+
+  /**
+   * Sends a request to the API and resolves with the status code and the
+   * parsed body.
+   */
+  function request(method, path, { body, apiKey = API_KEY } = {}) {
+    return new Promise((resolve, reject) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+      const req = http.request(
+        `${api.url}${path}`,
+        { method, headers },
+        (res) => {
+          let data = '';
+          res.on('data', (chunk) => (data += chunk));
+          res.on('end', () => {
+            resolve({
+              statusCode: res.statusCode,
+              body: data ? JSON.parse(data) : undefined,
+            });
+          });
+        }
+      );
+      req.on('error', reject);
+      if (body !== undefined) req.write(JSON.stringify(body));
+      req.end();
+    });
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    let data = await createRooms({ amount: 1, open: false });
+    rooms = data.rooms;
+    configs = data.configs;
+    haxroomie = data.haxroomie;
+    api = new ApiServer({ haxroomie, port: 0, apiKeys: [API_KEY] });
+    await api.start();
+  });
+
+  after(async function () {
+    await api.stop();
+    await haxroomie.closeBrowser();
+  });
+
+  describe('constructor', function () {
+    it('should require API keys', function () {
+      expect(() => new ApiServer({ haxroomie })).to.throw(TypeError);
+      expect(() => new ApiServer({ haxroomie, apiKeys: [] })).to.throw(
+        TypeError
+      );
+    });
+  });
+
+  describe('authentication', function () {
+    it('should reject requests without an API key', async function () {
+      let res = await request('GET', '/rooms', { apiKey: null });
+      expect(res.statusCode).to.equal(401);
+      expect(res.body.error.name).to.equal('HttpError');
+    });
+
+    it('should reject requests with an invalid API key', async function () {
+      let res = await request('GET', '/rooms', { apiKey: 'invalid' });
+      expect(res.statusCode).to.equal(401);
+    });
+  });
+
+  describe('REST', function () {
+    it('should list the rooms', async function () {
+      let res = await request('GET', '/rooms');
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.have.lengthOf(1);
+      expect(res.body[0].id).to.equal(rooms[0].id);
+      expect(res.body[0].running).to.be.false;
+    });
+
+    it('should respond with 404 to unknown rooms', async function () {
+      let res = await request('GET', '/rooms/unknown');
+      expect(res.statusCode).to.equal(404);
+    });
+
+    it('should respond with 409 when the room is not running', async function () {
+      let res = await request('GET', '/rooms/1/plugins');
+      expect(res.statusCode).to.equal(409);
+      expect(res.body.error.name).to.equal('RoomNotRunningError');
+    });
+
+    it('should open the room', async function () {
+      this.timeout(20000);
+      let res = await request('POST', '/rooms/1/open', { body: configs[0] });
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.roomLink).to.be.a('string');
+      expect(rooms[0].running).to.be.true;
+    });
+
+    it('should call a function of the roomObject', async function () {
+      let res = await request('POST', '/rooms/1/call', {
+        body: { fn: 'getPlayerList' },
+      });
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.result).to.be.an('array');
+    });
+
+    it('should get the plugins', async function () {
+      let res = await request('GET', '/rooms/1/plugins');
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.map((p) => p.name)).to.include('sav/commands');
+    });
+
+    it('should get a plugin with an encoded name', async function () {
+      let res = await request('GET', '/rooms/1/plugins/sav%2Fcommands');
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.name).to.equal('sav/commands');
+    });
+
+    it('should get the repositories', async function () {
+      let res = await request('GET', '/rooms/1/repositories');
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.be.an('array');
+    });
+
+    it('should respond with 400 to invalid JSON', async function () {
+      let res = await new Promise((resolve, reject) => {
+        const req = http.request(
+          `${api.url}/rooms/1/call`,
+          { method: 'POST', headers: { 'X-API-Key': API_KEY } },
+          (res) => resolve(res)
+        );
+        req.on('error', reject);
+        req.end('{');
+      });
+      res.resume();
+      expect(res.statusCode).to.equal(400);
+    });
+
+    it('should respond with 400 to invalid percent-encoding', async function () {
+      let res = await request('GET', '/rooms/%E0');
+      expect(res.statusCode).to.equal(400);
+    });
+
+    it('should listen to an IPv6 address', async function () {
+      const ipv6Api = new ApiServer({
+        haxroomie,
+        port: 0,
+        host: '::1',
+        apiKeys: [API_KEY],
+      });
+      await ipv6Api.start();
+      try {
+        expect(ipv6Api.url).to.match(/^http:\/\/\[::1\]:\d+$/);
+        const statusCode = await new Promise((resolve, reject) => {
+          http
+            .get(`${ipv6Api.url}/rooms`, { headers: { 'X-API-Key': API_KEY } })
+            .on('response', (res) => {
+              res.resume();
+              resolve(res.statusCode);
+            })
+            .on('error', reject);
+        });
+        expect(statusCode).to.equal(200);
+      } finally {
+        await ipv6Api.stop();
+      }
+    });
+  });
+
+  describe('WebSocket', function () {
+    let ws;
+
+    afterEach(function () {
+      if (ws) ws.terminate();
+      ws = null;
+    });
+
+    it('should reject connections without an API key', function (done) {
+      ws = new WebSocket(`${api.url.replace('http', 'ws')}/events`);
+      ws.on('unexpected-response', (req, res) => {
+        try {
+          expect(res.statusCode).to.equal(401);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      ws.on('open', () => done(new Error('should not connect')));
+      ws.on('error', () => {});
+    });
+
+    it('should respond with 400 to an invalid URL', async function () {
+      const { port } = new URL(api.url);
+      const response = await new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => {
+          socket.write(
+            'GET http://[ HTTP/1.1\r\nHost: localhost\r\n' +
+              'Connection: Upgrade\r\nUpgrade: websocket\r\n\r\n'
+          );
+        });
+        let data = '';
+        socket.on('data', (chunk) => (data += chunk));
+        socket.on('end', () => resolve(data));
+        socket.on('error', reject);
+      });
+      expect(response).to.match(/^HTTP\/1.1 400/);
+    });
+
+    it('should stream the room events', function (done) {
+      ws = new WebSocket(
+        `${api.url.replace('http', 'ws')}/events?apiKey=${API_KEY}`
+      );
+      ws.on('message', (data) => {
+        let message = JSON.parse(data);
+        if (message.event !== 'room-event') return;
+        if (message.args[0].handlerName !== 'onGameStart') return;
+        try {
+          expect(message.roomId).to.equal(rooms[0].id);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      // Starting the game works without players and the offline stand-in.
+      ws.on('open', () => rooms[0].callRoom('startGame'));
+    });
+
+    it('should stream the close-room events', function (done) {
+      ws = new WebSocket(`${api.url.replace('http', 'ws')}/events`, {
+        headers: { 'X-API-Key': API_KEY },
+      });
+      ws.on('message', (data) => {
+        let message = JSON.parse(data);
+        if (message.event !== 'close-room-stop') return;
+        try {
+          expect(message.roomId).to.equal(rooms[0].id);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      ws.on('open', () => request('POST', '/rooms/1/close'));
+    });
+  });
+});
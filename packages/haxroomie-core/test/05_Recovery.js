@@ -0,0 +1,104 @@
+require('./setup');
+const expect = require('chai').expect;
+
+const { createConfigs, haxroomieOptions, isOffline } = require('./utils');
+const { Haxroomie } = require('../');
+
+describe('Haxroomie room recovery', function () {
+  let haxroomie, configs, roomInfo, subscriptions;
+
+  before(async function () {
+    this.timeout(30000);
+    configs = createConfigs(1);
+    if (!configs) this.skip();
+    haxroomie = new Haxroomie(haxroomieOptions({ detachBrowser: true }));
+    await haxroomie.launchBrowser();
+    let room = await haxroomie.addRoom(1);
+    roomInfo = await room.openRoom(configs[0]);
+    await room.roles.addRole('vip', 'secret');
+    await room.roles.setPlayerRole('auth-vip', 'vip');
+    await room.unsubscribe('onPlayerChat');
+    subscriptions = Object.keys(room.subscriptions);
+    await haxroomie.disconnectBrowser();
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  describe('#connectBrowser', function () {
+    it('should connect to the browser that is still running', async function () {
+      haxroomie = new Haxroomie(haxroomieOptions());
+      let browser = await haxroomie.connectBrowser();
+      expect(browser).to.be.an('object');
+      expect(haxroomie.getRooms()).to.have.lengthOf(0);
+    });
+  });
+
+  describe('#recoverRooms', function () {
+    const moderation = { rules: [{ type: 'words', words: ['noob'] }] };
+    let room;
+
+    it('should rebuild the RoomControllers of the running rooms', async function () {
+      this.timeout(10000);
+      let ids = [];
+      let rooms = await haxroomie.recoverRooms(async (id) => {
+        ids.push(id);
+        return { moderation };
+      });
+      expect(ids).to.deep.equal([1]);
+      expect(rooms).to.have.lengthOf(1);
+      room = haxroomie.getRoom(1);
+      expect(room).to.equal(rooms[0]);
+      expect(room.running).to.be.true;
+      expect(room.hhmLoaded).to.be.true;
+      expect(room.roomInfo.roomLink).to.equal(roomInfo.roomLink);
+      expect(room.roomInfo.roomName).to.equal(configs[0].roomName);
+      expect(room.moderation.enabled).to.be.true;
+    });
+
+    it('should keep the subscriptions of the room', function () {
+      expect(Object.keys(room.subscriptions)).to.have.members(subscriptions);
+    });
+
+    it('should keep the roles of the room without a role list', async function () {
+      let roles = await room.roles.getRoles({ offlinePlayers: true });
+      expect(roles.map((r) => [r.roleName, r.password])).to.deep.equal([
+        ['vip', 'secret'],
+      ]);
+      expect(roles[0].players.map((p) => p.auth)).to.deep.equal(['auth-vip']);
+    });
+
+    it('should not recover the same rooms twice', async function () {
+      let rooms = await haxroomie.recoverRooms();
+      expect(rooms).to.have.lengthOf(0);
+    });
+
+    it('should be able to call the room', async function () {
+      let players = await room.callRoom('getPlayerList');
+      expect(players).to.be.an('array');
+    });
+
+    it('should emit the room events', function (done) {
+      if (!isOffline()) this.skip();
+      room.once('room-event', (roomEventArgs) => {
+        try {
+          expect(roomEventArgs.handlerName).to.equal('onPlayerJoin');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      room.eval(() => {
+        window.haxballStandIn.addPlayer({ name: 'recovered' });
+      });
+    });
+
+    it('should recreate the room with the same options', async function () {
+      this.timeout(10000);
+      let recreated = await haxroomie.recreateRoom(1);
+      expect(recreated).to.not.equal(room);
+      expect(recreated.moderation.enabled).to.be.true;
+    });
+  });
+});
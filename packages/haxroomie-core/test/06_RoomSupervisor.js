@@ -0,0 +1,183 @@
+require('./setup');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { RoomSupervisor, TokenProvider } = require('../');
+
+describe('RoomSupervisor', function () {
+  let haxroomie, supervisor, tokenProvider, configs, token;
+
+  /**
+   * Resolves with the arguments of the next `event` emitted by the
+   * supervisor.
+   */
+  function waitFor(event) {
+    return new Promise((resolve) => {
+      supervisor.once(event, (...args) => resolve(args));
+    });
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    // The rooms are reopened with the same token, so only run offline.
+    if (!isOffline()) this.skip();
+    let data = await createRooms({ amount: 1, open: false });
+    haxroomie = data.haxroomie;
+    configs = data.configs;
+    token = configs[0].token;
+    tokenProvider = new TokenProvider();
+    tokenProvider.getToken = async () => token;
+    supervisor = new RoomSupervisor({
+      haxroomie,
+      policy: { initialDelay: 10, maxRetries: 2, cooldown: 0 },
+      tokenProvider,
+      checkInterval: 200,
+    });
+    supervisor.start();
+    supervisor.supervise(1);
+    await data.rooms[0].openRoom(data.configs[0]);
+  });
+
+  after(async function () {
+    if (supervisor) supervisor.stop();
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  afterEach(function () {
+    if (configs) token = configs[0].token;
+  });
+
+  describe('constructor', function () {
+    it('should require haxroomie', function () {
+      expect(() => new RoomSupervisor()).to.throw(TypeError);
+    });
+  });
+
+  describe('restarting', function () {
+    it('should reopen the room when its page closes', async function () {
+      this.timeout(20000);
+      const oldRoom = haxroomie.getRoom(1);
+      const oldRoomLink = oldRoom.roomInfo.roomLink;
+      const scheduled = waitFor('restart-scheduled');
+      const restarted = waitFor('room-restarted');
+      await oldRoom.page.close();
+
+      const [, scheduleInfo] = await scheduled;
+      expect(scheduleInfo.reason).to.equal('page-closed');
+      expect(scheduleInfo.attempt).to.equal(1);
+
+      const [roomId, { room, roomInfo }] = await restarted;
+      expect(roomId).to.equal(1);
+      expect(room).to.not.equal(oldRoom);
+      expect(haxroomie.getRoom(1)).to.equal(room);
+      expect(room.running).to.be.true;
+      expect(roomInfo.roomLink).to.not.equal(oldRoomLink);
+    });
+
+    it('should reopen the room when the room link disappears', async function () {
+      this.timeout(20000);
+      const scheduled = waitFor('restart-scheduled');
+      const restarted = waitFor('room-restarted');
+      await haxroomie.getRoom(1).eval(() => {
+        const haxframe = document.querySelector('iframe');
+        haxframe.contentDocument.getElementById('roomlink').remove();
+      });
+
+      const [, { reason }] = await scheduled;
+      expect(reason).to.equal('roomlink-missing');
+      const [, { roomInfo }] = await restarted;
+      expect(roomInfo.roomLink).to.be.a('string');
+    });
+
+    it('should use the token from the token provider', async function () {
+      this.timeout(20000);
+      token = 'offline-token-from-provider';
+      const restarted = waitFor('room-restarted');
+      await haxroomie.getRoom(1).page.close();
+      const [, { roomInfo }] = await restarted;
+      expect(roomInfo.token).to.equal(token);
+    });
+
+    it('should reopen the room when the browser exits', async function () {
+      this.timeout(30000);
+      const restarted = waitFor('room-restarted');
+      const scheduled = waitFor('restart-scheduled');
+      haxroomie.browser.process().kill('SIGKILL');
+
+      const [, { reason }] = await scheduled;
+      expect(reason).to.equal('browser-disconnected');
+      const [, { room }] = await restarted;
+      expect(haxroomie.browser).to.be.an('object');
+      expect(room.usable).to.be.true;
+      expect(room.running).to.be.true;
+    });
+
+    it('should give up after the max retries', async function () {
+      this.timeout(30000);
+      token = 'invalid-token';
+      const failures = [];
+      const onFailed = (roomId, { error }) => failures.push(error);
+      supervisor.on('restart-failed', onFailed);
+      const gaveUp = waitFor('restart-gave-up');
+      await haxroomie.getRoom(1).page.close();
+
+      const [roomId, { attempts }] = await gaveUp;
+      supervisor.off('restart-failed', onFailed);
+      expect(roomId).to.equal(1);
+      expect(attempts).to.equal(2);
+      expect(failures).to.have.lengthOf(2);
+      expect(failures[0].name).to.equal('InvalidTokenError');
+      expect(haxroomie.getRoom(1).running).to.be.false;
+    });
+
+    it('should restart the room when it gets a new token', async function () {
+      this.timeout(20000);
+      const scheduled = waitFor('restart-scheduled');
+      const restarted = waitFor('room-restarted');
+      tokenProvider.emit('token-changed');
+
+      const [, { reason }] = await scheduled;
+      expect(reason).to.equal('token-changed');
+      const [, { roomInfo }] = await restarted;
+      expect(roomInfo.token).to.equal(token);
+    });
+
+    it('should wait for a token when the provider has none', async function () {
+      this.timeout(20000);
+      token = undefined;
+      const gaveUp = waitFor('restart-gave-up');
+      const failed = waitFor('restart-failed');
+      await haxroomie.getRoom(1).page.close();
+      const [, { error }] = await failed;
+      expect(error.name).to.equal('TokenRequiredError');
+      await gaveUp;
+
+      token = configs[0].token;
+      const restarted = waitFor('room-restarted');
+      tokenProvider.emit('token-changed');
+      const [, { room }] = await restarted;
+      expect(room.running).to.be.true;
+    });
+
+    it('should not reopen a room that was closed', async function () {
+      this.timeout(20000);
+      const room = haxroomie.getRoom(1);
+      await room.closeRoom();
+      const restarted = waitFor('room-restarted');
+      await room.page.close();
+      const [, { roomInfo }] = await restarted;
+      expect(roomInfo).to.be.undefined;
+    });
+
+    it('should not restart a room that was removed', async function () {
+      let scheduled = false;
+      const onScheduled = () => (scheduled = true);
+      supervisor.on('restart-scheduled', onScheduled);
+      await haxroomie.removeRoom(1);
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      supervisor.off('restart-scheduled', onScheduled);
+      expect(scheduled).to.be.false;
+      expect(haxroomie.hasRoom(1)).to.be.false;
+    });
+  });
+});
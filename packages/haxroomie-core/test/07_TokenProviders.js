@@ -0,0 +1,140 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const {
+  TokenProvider,
+  FileTokenProvider,
+  EnvTokenProvider,
+  CommandTokenProvider,
+  TokenProviderChain,
+  createTokenProvider,
+} = require('../');
+
+describe('Token providers', function () {
+  describe('FileTokenProvider', function () {
+    let tokenDir, tokenPath, provider;
+
+    beforeEach(function () {
+      tokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-token-'));
+      tokenPath = path.join(tokenDir, 'token');
+      fs.writeFileSync(tokenPath, 'file-token\n');
+      provider = new FileTokenProvider({ path: tokenPath, interval: 50 });
+    });
+
+    afterEach(function () {
+      provider.close();
+      fs.rmSync(tokenDir, { recursive: true, force: true });
+    });
+
+    it('should read the token from the file', async function () {
+      expect(await provider.getToken('room')).to.equal('file-token');
+    });
+
+    it('should not have a token if the file is missing', async function () {
+      fs.unlinkSync(tokenPath);
+      expect(await provider.getToken('room')).to.be.undefined;
+    });
+
+    it('should emit token-changed when the file changes', function (done) {
+      provider.once('token-changed', async () => {
+        try {
+          expect(await provider.getToken('room')).to.equal('new-token');
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      // Make sure the modification time changes.
+      setTimeout(() => fs.writeFileSync(tokenPath, 'new-token'), 100);
+    });
+  });
+
+  describe('EnvTokenProvider', function () {
+    afterEach(function () {
+      delete process.env.HR_TEST_ENV_TOKEN;
+    });
+
+    it('should read the token from the environment variable', async function () {
+      const provider = new EnvTokenProvider({ name: 'HR_TEST_ENV_TOKEN' });
+      expect(await provider.getToken('room')).to.be.undefined;
+      process.env.HR_TEST_ENV_TOKEN = 'env-token';
+      expect(await provider.getToken('room')).to.equal('env-token');
+    });
+  });
+
+  describe('CommandTokenProvider', function () {
+    it('should read the token from the output of the command', async function () {
+      const provider = new CommandTokenProvider({
+        command: 'echo "command-token-$HR_ROOM_ID"',
+      });
+      expect(await provider.getToken('room1')).to.equal('command-token-room1');
+    });
+
+    it('should not have a token if the command fails', async function () {
+      const provider = new CommandTokenProvider({ command: 'exit 1' });
+      expect(await provider.getToken('room1')).to.be.undefined;
+    });
+  });
+
+  describe('TokenProviderChain', function () {
+    function staticProvider(token) {
+      const provider = new TokenProvider();
+      provider.getToken = async () => token;
+      return provider;
+    }
+
+    it('should return the first token', async function () {
+      const chain = new TokenProviderChain({
+        providers: [staticProvider(undefined), staticProvider('second')],
+      });
+      expect(await chain.getToken('room')).to.equal('second');
+    });
+
+    it('should skip the invalidated tokens', async function () {
+      const chain = new TokenProviderChain({
+        providers: [staticProvider('first'), staticProvider('second')],
+      });
+      chain.invalidateToken('room', 'first');
+      expect(await chain.getToken('room')).to.equal('second');
+      expect(await chain.getToken('other-room')).to.equal('first');
+    });
+
+    it('should emit token-required when there are no valid tokens', async function () {
+      const chain = new TokenProviderChain({
+        providers: [staticProvider('first')],
+      });
+      chain.invalidateToken('room', 'first');
+      let requiredFor;
+      chain.on('token-required', (roomId) => (requiredFor = roomId));
+      expect(await chain.getToken('room')).to.be.undefined;
+      expect(requiredFor).to.equal('room');
+    });
+
+    it('should forward the token-changed events', function (done) {
+      const provider = staticProvider('first');
+      const chain = new TokenProviderChain({ providers: [provider] });
+      chain.once('token-changed', () => done());
+      provider.emit('token-changed');
+    });
+  });
+
+  describe('createTokenProvider', function () {
+    it('should create the providers from the specs', function () {
+      const chain = createTokenProvider([
+        { env: 'HAXBALL_TOKEN' },
+        { command: 'get-token' },
+      ]);
+      expect(chain).to.be.an.instanceof(TokenProviderChain);
+      expect(chain.providers[0]).to.be.an.instanceof(EnvTokenProvider);
+      expect(chain.providers[1]).to.be.an.instanceof(CommandTokenProvider);
+    });
+
+    it('should throw with invalid specs', function () {
+      expect(() => createTokenProvider({ foo: 'bar' })).to.throw(TypeError);
+      expect(() => createTokenProvider('token')).to.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createConfigs, haxroomieOptions, isOffline } = require('./utils');
+const { BanList, createHaxroomie } = require('../');
+
+describe('BanList', function () {
+  let banDir, banPath, banList;
+
+  beforeEach(function () {
+    banDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-bans-'));
+    banPath = path.join(banDir, 'bans.json');
+    banList = new BanList({ path: banPath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(banDir, { recursive: true, force: true });
+  });
+
+  it('should require a path', function () {
+    expect(() => new BanList()).to.throw(TypeError);
+  });
+
+  it('should have no bans without a file', async function () {
+    await banList.load();
+    expect(banList.getBans()).to.have.lengthOf(0);
+  });
+
+  it('should require auth or conn', async function () {
+    await expect(banList.add({ name: 'player' })).to.be.rejectedWith(TypeError);
+  });
+
+  it('should save the bans to the file', async function () {
+    let ban = await banList.add({
+      auth: 'auth1',
+      conn: 'conn1',
+      name: 'player',
+      reason: 'spam',
+      issuer: 'admin',
+    });
+    expect(ban.id).to.equal(1);
+    expect(ban.expiresAt).to.be.null;
+
+    let loaded = new BanList({ path: banPath });
+    await loaded.load();
+    expect(loaded.getBans()).to.deep.equal([ban]);
+    expect((await loaded.add({ auth: 'auth2' })).id).to.equal(2);
+  });
+
+  it('should remove bans', async function () {
+    let ban = await banList.add({ auth: 'auth1' });
+    let removed = new Promise((resolve) =>
+      banList.once('ban-removed', resolve)
+    );
+    expect(await banList.remove(ban.id)).to.deep.equal(ban);
+    expect(await removed).to.deep.equal(ban);
+    expect(await banList.remove(ban.id)).to.be.null;
+    expect(banList.getBans()).to.have.lengthOf(0);
+  });
+
+  it('should ignore expired bans', async function () {
+    let ban = await banList.add({ auth: 'auth1', duration: 20 });
+    expect(ban.expiresAt).to.be.a('number');
+    expect(banList.findBan({ auth: 'auth1' })).to.deep.equal(ban);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(banList.findBan({ auth: 'auth1' })).to.be.null;
+    expect(banList.get(ban.id)).to.be.null;
+  });
+
+  it('should find bans by auth or conn', async function () {
+    let authBan = await banList.add({ auth: 'auth1' });
+    let connBan = await banList.add({ conn: 'conn2' });
+    expect(banList.findBan({ auth: 'auth1', conn: 'x' })).to.deep.equal(
+      authBan
+    );
+    expect(banList.findBan({ auth: 'x', conn: 'conn2' })).to.deep.equal(
+      connBan
+    );
+    expect(banList.findBan({ auth: 'x', conn: 'y' })).to.be.null;
+  });
+
+  it('should search the bans', async function () {
+    await banList.add({ auth: 'auth1', name: 'Griefer', reason: 'spam' });
+    await banList.add({ auth: 'auth2', name: 'other', issuer: 'admin' });
+    expect(banList.search('grief')).to.have.lengthOf(1);
+    expect(banList.search('SPAM')[0].name).to.equal('Griefer');
+    expect(banList.search('auth')).to.have.lengthOf(2);
+    expect(banList.search('nobody')).to.have.lengthOf(0);
+  });
+
+  describe('enforcing', function () {
+    let haxroomie, room;
+
+    /**
+     * Adds a player to the room and returns the player or `null` if the
+     * player got kicked right away.
+     */
+    async function addPlayer(player) {
+      return room.eval((player) => {
+        const p = window.haxballStandIn.addPlayer(player);
+        const players = HHM.manager.room.getPlayerList();
+        return players.find((pl) => pl.id === p.id) ? p : null;
+      }, player);
+    }
+
+    beforeEach(async function () {
+      this.timeout(30000);
+      // Auth and conn of the players can not be controlled online.
+      if (!isOffline()) this.skip();
+      await banList.add({ auth: 'banned-auth', reason: 'Banned for spam' });
+      haxroomie = await createHaxroomie(haxroomieOptions({ banList }));
+      room = await haxroomie.addRoom(1);
+      await room.openRoom(createConfigs(1)[0]);
+    });
+
+    afterEach(async function () {
+      if (haxroomie) await haxroomie.closeBrowser();
+      haxroomie = null;
+    });
+
+    it('should kick banned players when they join', async function () {
+      expect(await addPlayer({ name: 'banned', auth: 'banned-auth' })).to.be
+        .null;
+      expect(await addPlayer({ name: 'ok', auth: 'ok-auth' })).to.be.an(
+        'object'
+      );
+    });
+
+    it('should kick players in the room when they get banned', async function () {
+      let player = await addPlayer({ name: 'player', conn: 'player-conn' });
+      let identity = await room.getPlayerIdentity(player.id);
+      expect(identity.conn).to.equal('player-conn');
+
+      let kicked = new Promise((resolve) => {
+        room.on('room-event', ({ handlerName, args }) => {
+          if (handlerName === 'onPlayerKicked') resolve(args);
+        });
+      });
+      await banList.add({ conn: identity.conn });
+      let [kickedPlayer] = await kicked;
+      expect(kickedPlayer.id).to.equal(player.id);
+      expect(await room.getPlayerIdentity(player.id)).to.be.null;
+    });
+
+    it('should let players in after they are unbanned', async function () {
+      await banList.remove(banList.findBan({ auth: 'banned-auth' }).id);
+      // Wait for the sync.
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(await addPlayer({ auth: 'banned-auth' })).to.be.an('object');
+    });
+  });
+});
@@ -0,0 +1,210 @@
+require('./setup');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { NodePlugin } = require('../');
+
+/**
+ * Plugin that records the calls of its handlers and hooks.
+ */
+class RecordingPlugin extends NodePlugin {
+  constructor(opt) {
+    super(opt);
+    this.calls = [];
+    RecordingPlugin.instances.push(this);
+  }
+
+  record(name, ...args) {
+    this.calls.push({ name, args });
+    if (this.config.onCall) this.config.onCall(name, ...args);
+  }
+
+  onLoad() {
+    this.record('onLoad');
+  }
+  onUnload() {
+    this.record('onUnload');
+  }
+  onEnable() {
+    this.record('onEnable');
+  }
+  onDisable() {
+    this.record('onDisable');
+  }
+  onRoomOpen(roomInfo) {
+    this.record('onRoomOpen', roomInfo);
+  }
+  onRoomClose() {
+    this.record('onRoomClose');
+  }
+  async onPlayerJoin(player) {
+    this.record('onPlayerJoin', player);
+    if (this.config.adminOnJoin) {
+      await this.callRoom('setPlayerAdmin', player.id, true);
+    }
+  }
+}
+RecordingPlugin.instances = [];
+
+describe('Node plugins', function () {
+  let haxroomie, room, configs;
+
+  function lastInstance() {
+    return RecordingPlugin.instances[RecordingPlugin.instances.length - 1];
+  }
+
+  /**
+   * Resolves when the plugin handler `name` gets called.
+   */
+  function waitForCall(plugin, name) {
+    return new Promise((resolve) => {
+      const onCall = plugin.config.onCall;
+      plugin.config.onCall = (calledName, ...args) => {
+        if (onCall) onCall(calledName, ...args);
+        if (calledName === name) resolve(args);
+      };
+    });
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    let data = await createRooms({ amount: 1, open: false });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+    configs = data.configs;
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  describe('#addPlugin', function () {
+    it('should require a class', async function () {
+      await expect(
+        room.nodePlugins.addPlugin({ name: 'invalid', plugin: {} })
+      ).to.be.rejectedWith(TypeError);
+    });
+
+    it('should load the plugin before the room is opened', async function () {
+      let pluginData = await room.nodePlugins.addPlugin({
+        name: 'recorder',
+        plugin: RecordingPlugin,
+        config: { adminOnJoin: true },
+      });
+      expect(pluginData.name).to.equal('recorder');
+      expect(pluginData.isEnabled).to.be.true;
+      expect(pluginData.config.adminOnJoin).to.be.true;
+      expect(lastInstance().calls.map((c) => c.name)).to.deep.equal(['onLoad']);
+      expect(room.nodePlugins.hasPlugin('recorder')).to.be.true;
+    });
+
+    it('should not allow plugins with the same name', async function () {
+      await expect(
+        room.nodePlugins.addPlugin({
+          name: 'recorder',
+          plugin: RecordingPlugin,
+        })
+      ).to.be.rejectedWith(Error);
+    });
+  });
+
+  describe('events', function () {
+    let plugin;
+
+    before(function () {
+      plugin = lastInstance();
+    });
+
+    it('should call onRoomOpen when the room opens', async function () {
+      this.timeout(20000);
+      const opened = waitForCall(plugin, 'onRoomOpen');
+      await room.openRoom(configs[0]);
+      const [roomInfo] = await opened;
+      expect(roomInfo.roomLink).to.be.a('string');
+    });
+
+    it('should receive the room events and call the room', async function () {
+      if (!isOffline()) this.skip();
+      const joined = waitForCall(plugin, 'onPlayerJoin');
+      const adminChanged = new Promise((resolve) => {
+        room.on('room-event', function onEvent({ handlerName, args }) {
+          if (handlerName !== 'onPlayerAdminChange') return;
+          room.off('room-event', onEvent);
+          resolve(args[0]);
+        });
+      });
+      await room.eval(() => {
+        window.haxballStandIn.addPlayer({ name: 'node-plugin' });
+      });
+      const [player] = await joined;
+      expect(player.name).to.equal('node-plugin');
+      expect((await adminChanged).admin).to.be.true;
+    });
+
+    it('should not pass events to disabled plugins', async function () {
+      if (!isOffline()) this.skip();
+      const callCount = plugin.calls.length;
+      expect(await room.nodePlugins.disablePlugin('recorder')).to.be.true;
+      expect(room.nodePlugins.getPlugin('recorder').isEnabled).to.be.false;
+      await room.eval(() => {
+        window.haxballStandIn.addPlayer({ name: 'ignored' });
+      });
+      await room.callRoom('getPlayerList');
+      expect(plugin.calls.slice(callCount).map((c) => c.name)).to.deep.equal([
+        'onDisable',
+      ]);
+      expect(await room.nodePlugins.enablePlugin('recorder')).to.be.true;
+    });
+
+    it('should emit the errors of the plugins', async function () {
+      if (!isOffline()) this.skip();
+      class FailingPlugin extends NodePlugin {
+        onPlayerJoin() {
+          throw new Error('failed');
+        }
+      }
+      await room.nodePlugins.addPlugin({
+        name: 'failing',
+        plugin: FailingPlugin,
+      });
+      const failed = new Promise((resolve) => {
+        room.once('node-plugin-error', resolve);
+      });
+      await room.eval(() => {
+        window.haxballStandIn.addPlayer({ name: 'failing' });
+      });
+      const { name, handlerName, error } = await failed;
+      expect(name).to.equal('failing');
+      expect(handlerName).to.equal('onPlayerJoin');
+      expect(error.message).to.equal('failed');
+      expect(await room.nodePlugins.removePlugin('failing')).to.be.true;
+    });
+
+    it('should call onRoomClose when the room closes', async function () {
+      const closed = waitForCall(plugin, 'onRoomClose');
+      await room.closeRoom();
+      await closed;
+    });
+  });
+
+  describe('#removePlugin', function () {
+    it('should unload the plugin', async function () {
+      const plugin = lastInstance();
+      expect(await room.nodePlugins.removePlugin('recorder')).to.be.true;
+      expect(plugin.calls[plugin.calls.length - 1].name).to.equal('onUnload');
+      expect(room.nodePlugins.getPlugins()).to.have.lengthOf(0);
+      expect(await room.nodePlugins.removePlugin('recorder')).to.be.false;
+    });
+
+    it('should unload the plugins when the room is removed', async function () {
+      await room.nodePlugins.addPlugin({
+        name: 'recorder',
+        plugin: RecordingPlugin,
+      });
+      const plugin = lastInstance();
+      await haxroomie.removeRoom(room.id);
+      expect(plugin.calls[plugin.calls.length - 1].name).to.equal('onUnload');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+require('./setup');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+
+describe('Room event subscriptions', function () {
+  let haxroomie, room, configs;
+
+  /**
+   * Collects the room events of the given handler.
+   */
+  function collectEvents(handlerName) {
+    const events = [];
+    const listener = (event) => {
+      if (event.handlerName === handlerName) events.push(event.args);
+    };
+    room.on('room-event', listener);
+    return {
+      events,
+      stop: () => room.off('room-event', listener),
+    };
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    let data = await createRooms({ amount: 1, open: false });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+    configs = data.configs;
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  describe('#subscribe', function () {
+    it('should have the default subscriptions', function () {
+      const subscriptions = room.subscriptions;
+      expect(subscriptions).to.have.property('onPlayerJoin');
+      expect(subscriptions).to.have.property('onTeamGoal');
+      expect(subscriptions).to.not.have.property('onGameTick');
+    });
+
+    it('should validate the arguments', async function () {
+      await expect(room.subscribe('gameTick')).to.be.rejectedWith(TypeError);
+      await expect(
+        room.subscribe('onGameTick', { sample: 0 })
+      ).to.be.rejectedWith(TypeError);
+      await expect(
+        room.subscribe('onGameTick', { throttle: -1 })
+      ).to.be.rejectedWith(TypeError);
+      await expect(
+        room.subscribe('onPlayerChat', { throttle: 1000 })
+      ).to.be.rejectedWith(TypeError);
+    });
+
+    it('should keep the subscriptions made before the room opens', async function () {
+      this.timeout(20000);
+      await room.subscribe('onPlayerBallKick');
+      await room.openRoom(configs[0]);
+      expect(room.subscriptions).to.have.property('onPlayerBallKick');
+    });
+
+    it('should emit the subscribed events', async function () {
+      if (!isOffline()) this.skip();
+      const kicks = collectEvents('onPlayerBallKick');
+      await room.eval(() => {
+        const player = window.haxballStandIn.addPlayer({ name: 'kicker' });
+        HHM.manager.room.setPlayerTeam(player.id, 1);
+        HHM.manager.room.startGame();
+        window.haxballStandIn.kickBall(player.id);
+      });
+      await room.callRoom('getPlayerList');
+      kicks.stop();
+      expect(kicks.events).to.have.lengthOf(1);
+      expect(kicks.events[0][0].name).to.equal('kicker');
+    });
+
+    it('should sample the game ticks', async function () {
+      if (!isOffline()) this.skip();
+      this.timeout(5000);
+      await room.subscribe('onGameTick', { sample: 30 });
+      expect(room.subscriptions.onGameTick.sample).to.equal(30);
+      const ticks = collectEvents('onGameTick');
+      await wait(1100);
+      ticks.stop();
+      expect(ticks.events.length).to.be.within(1, 3);
+      const [positions] = ticks.events[0];
+      expect(positions.ballPosition).to.deep.equal({ x: 0, y: 0 });
+      expect(positions.players).to.be.an('array');
+    });
+
+    it('should throttle the game ticks', async function () {
+      if (!isOffline()) this.skip();
+      this.timeout(5000);
+      await room.subscribe('onGameTick', { throttle: 500 });
+      const ticks = collectEvents('onGameTick');
+      await wait(1100);
+      ticks.stop();
+      expect(ticks.events.length).to.be.within(1, 3);
+    });
+
+    it('should sample every 60th tick by default', async function () {
+      await room.subscribe('onGameTick');
+      expect(room.subscriptions.onGameTick.sample).to.equal(60);
+    });
+  });
+
+  describe('#unsubscribe', function () {
+    it('should stop emitting the events', async function () {
+      if (!isOffline()) this.skip();
+      this.timeout(5000);
+      await room.unsubscribe('onGameTick');
+      await room.unsubscribe('onPlayerJoin');
+      expect(room.subscriptions).to.not.have.property('onGameTick');
+      const ticks = collectEvents('onGameTick');
+      const joins = collectEvents('onPlayerJoin');
+      await room.eval(() => {
+        window.haxballStandIn.addPlayer({ name: 'unheard' });
+      });
+      await wait(1100);
+      ticks.stop();
+      joins.stop();
+      expect(ticks.events).to.have.lengthOf(0);
+      expect(joins.events).to.have.lengthOf(0);
+      await room.subscribe('onPlayerJoin');
+    });
+
+    it('should keep sending the events the room needs', async function () {
+      await room.unsubscribe('onPlayerChat');
+      expect(room.subscriptions).to.not.have.property('onPlayerChat');
+      const subscriptions = await room.eval(() => {
+        return window.haxroomie.getSubscriptions();
+      });
+      expect(subscriptions).to.have.property('onPlayerChat');
+      await room.subscribe('onPlayerChat');
+    });
+
+    it('should keep the subscriptions when the room is reopened', async function () {
+      this.timeout(20000);
+      await room.closeRoom();
+      await room.openRoom(configs[0]);
+      const subscriptions = await room.eval(() => {
+        return window.haxroomie.getSubscriptions();
+      });
+      expect(subscriptions).to.have.property('onPlayerBallKick');
+      expect(subscriptions).to.not.have.property('onGameTick');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createRooms, createConfigs, haxroomieOptions } = require('./utils');
+const { createHaxroomie } = require('../');
+
+/**
+ * Writes data to all the storages of the page the room is running in.
+ */
+function writeStorage(room, value) {
+  return room.eval((value) => {
+    window.localStorage.setItem('isolation-test', value);
+    window.sessionStorage.setItem('isolation-test', value);
+    document.cookie = `isolationtest=${value}`;
+  }, value);
+}
+
+/**
+ * Reads the data written by writeStorage.
+ */
+function readStorage(room) {
+  return room.eval(() => {
+    return {
+      localStorage: window.localStorage.getItem('isolation-test'),
+      sessionStorage: window.sessionStorage.getItem('isolation-test'),
+      cookie: document.cookie.includes('isolationtest='),
+    };
+  });
+}
+
+describe('Room isolation', function () {
+  describe('shared', function () {
+    let haxroomie, rooms;
+
+    before(async function () {
+      this.timeout(30000);
+      let data = await createRooms({ amount: 2 });
+      if (!data) this.skip();
+      haxroomie = data.haxroomie;
+      rooms = data.rooms;
+    });
+
+    after(async function () {
+      if (haxroomie) await haxroomie.closeBrowser();
+    });
+
+    it('should prefix the localStorage of the rooms', async function () {
+      await writeStorage(rooms[0], 'room1');
+      const storage = await readStorage(rooms[1]);
+      expect(storage.localStorage).to.be.null;
+    });
+
+    it('should store empty values to localStorage', async function () {
+      const value = await rooms[0].eval(() => {
+        window.localStorage.setItem('empty', '');
+        return window.localStorage.getItem('empty');
+      });
+      expect(value).to.equal('');
+    });
+  });
+
+  describe('context', function () {
+    let haxroomie, rooms;
+
+    before(async function () {
+      this.timeout(30000);
+      let data = await createRooms({
+        amount: 2,
+        roomControllerOptions: { isolation: 'context' },
+      });
+      if (!data) this.skip();
+      haxroomie = data.haxroomie;
+      rooms = data.rooms;
+    });
+
+    after(async function () {
+      if (haxroomie) await haxroomie.closeBrowser();
+    });
+
+    it('should run the rooms in their own browser contexts', function () {
+      const [context1, context2] = rooms.map((r) => r.page.browserContext());
+      expect(context1.isIncognito()).to.be.true;
+      expect(context1).to.not.equal(context2);
+      expect(rooms[0].isolation).to.equal('context');
+    });
+
+    it('should not share any storage between the rooms', async function () {
+      await writeStorage(rooms[0], 'room1');
+      expect(await readStorage(rooms[0])).to.deep.equal({
+        localStorage: 'room1',
+        sessionStorage: 'room1',
+        cookie: true,
+      });
+      expect(await readStorage(rooms[1])).to.deep.equal({
+        localStorage: null,
+        sessionStorage: null,
+        cookie: false,
+      });
+    });
+
+    it('should close the browser context when the room is removed', async function () {
+      const context = rooms[1].page.browserContext();
+      await haxroomie.removeRoom(rooms[1].id);
+      expect(haxroomie.browser.browserContexts()).to.not.include(context);
+    });
+  });
+
+  describe('process', function () {
+    let haxroomie, room, userDataDir;
+
+    before(async function () {
+      this.timeout(60000);
+      let configs = createConfigs(1);
+      if (!configs) this.skip();
+      userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-isolation-'));
+      haxroomie = await createHaxroomie(haxroomieOptions());
+      room = await haxroomie.addRoom('isolated', {
+        isolation: 'process',
+        userDataDir,
+      });
+      await room.openRoom(configs[0]);
+    });
+
+    after(async function () {
+      if (haxroomie) await haxroomie.closeBrowser();
+      if (userDataDir) fs.rmSync(userDataDir, { recursive: true, force: true });
+    });
+
+    it('should run the room in its own browser', async function () {
+      expect(room.page.browser()).to.not.equal(haxroomie.browser);
+      expect(room.running).to.be.true;
+      expect(fs.readdirSync(userDataDir)).to.not.be.empty;
+    });
+
+    it('should close the browser when the room is removed', async function () {
+      this.timeout(10000);
+      const browser = room.page.browser();
+      await haxroomie.removeRoom(room.id);
+      expect(browser.isConnected()).to.be.false;
+      expect(haxroomie.isolatedBrowsers.size).to.equal(0);
+    });
+  });
+
+  it('should not accept unknown isolation modes', async function () {
+    this.timeout(30000);
+    let haxroomie = await createHaxroomie(haxroomieOptions());
+    try {
+      await expect(
+        haxroomie.addRoom('invalid', { isolation: 'tab' })
+      ).to.be.rejectedWith(TypeError);
+    } finally {
+      await haxroomie.closeBrowser();
+    }
+  });
+});
@@ -0,0 +1,97 @@
+require('./setup');
+const expect = require('chai').expect;
+
+const { createConfigs, haxroomieOptions } = require('./utils');
+const { createHaxroomie, RoomSupervisor } = require('../');
+
+describe('Browser pool', function () {
+  let haxroomie, configs, supervisor;
+
+  before(async function () {
+    this.timeout(30000);
+    configs = createConfigs(3);
+    if (!configs) this.skip();
+    haxroomie = await createHaxroomie(haxroomieOptions({ roomsPerBrowser: 2 }));
+  });
+
+  after(async function () {
+    if (supervisor) supervisor.stop();
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  it('should fill the main browser first', async function () {
+    this.timeout(20000);
+    await haxroomie.addRoom(1);
+    await haxroomie.addRoom(2);
+    const browsers = haxroomie.getBrowsers();
+    expect(browsers).to.have.lengthOf(1);
+    expect(browsers[0].index).to.equal(0);
+    expect(browsers[0].roomIds).to.deep.equal([1, 2]);
+  });
+
+  it('should launch a new browser when the others are full', async function () {
+    this.timeout(30000);
+    const room = await haxroomie.addRoom(3);
+    const browsers = haxroomie.getBrowsers();
+    expect(browsers).to.have.lengthOf(2);
+    expect(browsers[1].roomIds).to.deep.equal([3]);
+    expect(browsers[1].pid).to.be.a('number');
+    expect(room.page.browser()).to.not.equal(haxroomie.browser);
+    await room.openRoom(configs[2]);
+    expect(haxroomie.getRooms()).to.have.lengthOf(3);
+  });
+
+  it('should only take down the rooms of a crashed browser', async function () {
+    this.timeout(30000);
+    await haxroomie.getRoom(1).openRoom(configs[0]);
+    supervisor = new RoomSupervisor({
+      haxroomie,
+      policy: { initialDelay: 100 },
+    });
+    supervisor.start();
+    supervisor.supervise(1, { config: configs[0] });
+    supervisor.supervise(3, { config: configs[2] });
+
+    const restarted = new Promise((resolve) => {
+      supervisor.once('room-restarted', resolve);
+    });
+    const crashedRoom = haxroomie.getRoom(3);
+    crashedRoom.page.browser().process().kill('SIGKILL');
+
+    expect(await restarted).to.equal(3);
+    expect(crashedRoom.usable).to.be.false;
+    expect(haxroomie.getRoom(1).usable).to.be.true;
+    expect(haxroomie.getRoom(1).running).to.be.true;
+    expect(haxroomie.getRoom(3).running).to.be.true;
+    expect(haxroomie.getBrowsers()).to.have.lengthOf(2);
+  });
+
+  it('should close the browser when its last room is removed', async function () {
+    this.timeout(10000);
+    const browser = haxroomie.getRoom(3).page.browser();
+    await haxroomie.removeRoom(3);
+    expect(browser.isConnected()).to.be.false;
+    expect(haxroomie.getBrowsers()).to.have.lengthOf(1);
+  });
+
+  it('should keep the other rooms usable when the main browser disconnects', async function () {
+    this.timeout(20000);
+    supervisor.stop();
+    supervisor = null;
+    const room = await haxroomie.addRoom(3);
+    await room.openRoom(configs[2]);
+
+    const disconnected = new Promise((resolve) => {
+      haxroomie.once('browser-disconnected', resolve);
+    });
+    haxroomie.browser.process().kill('SIGKILL');
+    await disconnected;
+
+    expect(haxroomie.getRoom(1).usable).to.be.false;
+    expect(haxroomie.getRoom(3)).to.equal(room);
+    expect(haxroomie.hasRoom(3)).to.be.true;
+    expect(room.usable).to.be.true;
+    expect(haxroomie.offlineServer).to.not.be.null;
+    expect(haxroomie.getBrowsers()).to.have.lengthOf(1);
+  });
+});
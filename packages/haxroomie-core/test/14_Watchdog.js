@@ -0,0 +1,117 @@
+require('./setup');
+const expect = require('chai').expect;
+
+const { createRooms } = require('./utils');
+const { RoomSupervisor } = require('../');
+
+describe('Room watchdog', function () {
+  let haxroomie, rooms, configs, supervisor;
+
+  /**
+   * Blocks the main thread of the page for the given time without waiting
+   * for it to finish.
+   */
+  function freeze(room, ms) {
+    room.page
+      .evaluate((ms) => {
+        const end = Date.now() + ms;
+        while (Date.now() < end);
+      }, ms)
+      .catch(() => {});
+  }
+
+  function waitForEvent(emitter, event) {
+    return new Promise((resolve) => emitter.once(event, resolve));
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    let data = await createRooms({
+      amount: 2,
+      roomControllerOptions: {
+        watchdog: { interval: 200, timeout: 500, recycle: true },
+      },
+    });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    rooms = data.rooms;
+    configs = data.configs;
+  });
+
+  after(async function () {
+    if (supervisor) supervisor.stop();
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  it('should not accept invalid options', function () {
+    expect(() => rooms[0].configureWatchdog({ interval: 0 })).to.throw(
+      TypeError
+    );
+    expect(() => rooms[0].configureWatchdog({ timeout: 'a' })).to.throw(
+      TypeError
+    );
+  });
+
+  it('should report the health of the page', async function () {
+    this.timeout(5000);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    const health = rooms[0].health;
+    expect(health.responsive).to.be.true;
+    expect(health.latency).to.be.a('number');
+    expect(health.lastPingAt).to.be.a('number');
+  });
+
+  it('should emit room-unresponsive and room-responsive', async function () {
+    this.timeout(10000);
+    const unresponsive = waitForEvent(rooms[0], 'room-unresponsive');
+    const responsive = waitForEvent(rooms[0], 'room-responsive');
+    freeze(rooms[0], 2000);
+
+    const data = await unresponsive;
+    expect(data.elapsed).to.be.at.least(500);
+    expect(rooms[0].health.responsive).to.be.false;
+    expect((await responsive).elapsed).to.be.at.least(500);
+    expect(rooms[0].health.responsive).to.be.true;
+  });
+
+  it('should sample the performance metrics', async function () {
+    this.timeout(5000);
+    rooms[0].configureWatchdog({ interval: 200, timeout: 500, metrics: true });
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    expect(rooms[0].health.metrics).to.have.property('JSHeapUsedSize');
+  });
+
+  it('should stop when disabled', async function () {
+    this.timeout(5000);
+    rooms[0].configureWatchdog(false);
+    expect(rooms[0].health).to.be.null;
+    let emitted = false;
+    rooms[0].once('room-unresponsive', () => (emitted = true));
+    freeze(rooms[0], 1000);
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    expect(emitted).to.be.false;
+  });
+
+  it('should let the supervisor recycle unresponsive rooms', async function () {
+    this.timeout(20000);
+    supervisor = new RoomSupervisor({
+      haxroomie,
+      policy: { initialDelay: 100 },
+    });
+    supervisor.start();
+    supervisor.supervise(rooms[1].id, { config: configs[1] });
+
+    const restarted = waitForEvent(supervisor, 'room-restarted');
+    const scheduled = new Promise((resolve) => {
+      supervisor.once('restart-scheduled', (roomId, info) => resolve(info));
+    });
+    freeze(rooms[1], 60000);
+
+    expect((await scheduled).reason).to.equal('room-unresponsive');
+    expect(await restarted).to.equal(rooms[1].id);
+    const room = haxroomie.getRoom(rooms[1].id);
+    expect(room).to.not.equal(rooms[1]);
+    expect(room.running).to.be.true;
+    expect(room.watchdogOptions.recycle).to.be.true;
+  });
+});
@@ -0,0 +1,174 @@
+require('./setup');
+const http = require('http');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { MetricsServer, NodePlugin } = require('../');
+
+describe('MetricsServer', function () {
+  let haxroomie, rooms, configs, metrics;
+
+  /**
+   * Sends a request to the metrics server and resolves with the status
+   * code and the body.
+   */
+  function request(path, method = 'GET') {
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${metrics.url}${path}`, { method }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () =>
+          resolve({ statusCode: res.statusCode, body: data })
+        );
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  /**
+   * Returns the value of the sample with the given name and labels.
+   */
+  async function sample(name, labels) {
+    const { body } = await request('/metrics');
+    const line = body
+      .split('\n')
+      .find((l) => l.startsWith(`${name}{${labels}}`));
+    return line ? parseFloat(line.split(' ').pop()) : undefined;
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    let data = await createRooms({ amount: 1, open: false });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    rooms = data.rooms;
+    configs = data.configs;
+    metrics = new MetricsServer({ haxroomie, port: 0 });
+    await metrics.start();
+  });
+
+  after(async function () {
+    if (metrics) await metrics.stop();
+    if (haxroomie) await haxroomie.closeBrowser();
+  });
+
+  it('should require haxroomie', function () {
+    expect(() => new MetricsServer()).to.throw(TypeError);
+  });
+
+  it('should serve the metrics only in /metrics', async function () {
+    expect((await request('/')).statusCode).to.equal(404);
+    expect((await request('/metrics', 'POST')).statusCode).to.equal(405);
+    const res = await request('/metrics');
+    expect(res.statusCode).to.equal(200);
+    expect(res.body).to.include('# TYPE haxroomie_room_players gauge');
+    expect(res.body).to.include(`haxroomie_room_running{room="1"} 0`);
+  });
+
+  it('should measure the openRoom duration', async function () {
+    this.timeout(20000);
+    await rooms[0].openRoom(configs[0]);
+    expect(
+      await sample('haxroomie_room_open_duration_seconds_count', 'room="1"')
+    ).to.equal(1);
+    expect(await sample('haxroomie_room_running', 'room="1"')).to.equal(1);
+  });
+
+  it('should count the open failures', async function () {
+    await expect(rooms[0].openRoom(configs[0])).to.be.rejected;
+    expect(
+      await sample('haxroomie_room_open_failures_total', 'room="1"')
+    ).to.equal(1);
+  });
+
+  it('should count the players, goals and chat messages', async function () {
+    if (!isOffline()) this.skip();
+    this.timeout(10000);
+    await rooms[0].eval(() => {
+      const standIn = window.haxballStandIn;
+      const p1 = standIn.addPlayer();
+      const p2 = standIn.addPlayer();
+      standIn.chat(p1.id, 'hello');
+      standIn.removePlayer(p2.id);
+      standIn.room.startGame();
+      standIn.scoreGoal(1);
+    });
+    await wait(500);
+    expect(await sample('haxroomie_room_players', 'room="1"')).to.equal(1);
+    expect(
+      await sample('haxroomie_room_player_joins_total', 'room="1"')
+    ).to.equal(2);
+    expect(
+      await sample('haxroomie_room_player_leaves_total', 'room="1"')
+    ).to.equal(1);
+    expect(
+      await sample('haxroomie_room_chat_messages_total', 'room="1"')
+    ).to.equal(1);
+    expect(await sample('haxroomie_room_goals_total', 'room="1"')).to.equal(1);
+  });
+
+  it('should count the players and chat messages when unsubscribed', async function () {
+    if (!isOffline()) this.skip();
+    this.timeout(10000);
+    await rooms[0].unsubscribe('onPlayerJoin');
+    await rooms[0].unsubscribe('onPlayerChat');
+    await rooms[0].eval(() => {
+      const standIn = window.haxballStandIn;
+      standIn.chat(standIn.addPlayer().id, 'hello');
+    });
+    await wait(500);
+    await rooms[0].subscribe('onPlayerJoin');
+    await rooms[0].subscribe('onPlayerChat');
+    expect(await sample('haxroomie_room_players', 'room="1"')).to.equal(2);
+    expect(
+      await sample('haxroomie_room_player_joins_total', 'room="1"')
+    ).to.equal(3);
+    expect(
+      await sample('haxroomie_room_chat_messages_total', 'room="1"')
+    ).to.equal(2);
+  });
+
+  it('should read the JS heap of the page', async function () {
+    expect(
+      await sample('haxroomie_room_js_heap_used_bytes', 'room="1"')
+    ).to.be.above(0);
+  });
+
+  it('should count the plugin errors', async function () {
+    if (!isOffline()) this.skip();
+    class FailingPlugin extends NodePlugin {
+      onPlayerJoin() {
+        throw new Error('failed');
+      }
+    }
+    await rooms[0].nodePlugins.addPlugin({
+      name: 'failing',
+      plugin: FailingPlugin,
+    });
+    const failed = new Promise((resolve) => {
+      rooms[0].once('node-plugin-error', resolve);
+    });
+    await rooms[0].eval(() => window.haxballStandIn.addPlayer());
+    await failed;
+    expect(
+      await sample(
+        'haxroomie_room_plugin_errors_total',
+        'room="1",source="node-plugin"'
+      )
+    ).to.equal(1);
+  });
+
+  it('should keep the counters when the room is recreated', async function () {
+    this.timeout(20000);
+    await haxroomie.recreateRoom(rooms[0].id);
+    expect(
+      await sample('haxroomie_room_open_failures_total', 'room="1"')
+    ).to.equal(1);
+    expect(await sample('haxroomie_room_players', 'room="1"')).to.equal(0);
+  });
+});
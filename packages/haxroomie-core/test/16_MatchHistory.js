@@ -0,0 +1,206 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createConfigs, haxroomieOptions, isOffline } = require('./utils');
+const { MatchHistory, createHaxroomie } = require('../');
+
+/**
+ * Creates a match record with the given players and goals.
+ */
+function createMatch({ red, blue, goals = [], winner = null }) {
+  const player = (auth) => ({ auth, name: `name-${auth}` });
+  return {
+    id: `${Math.random()}`,
+    roomId: 1,
+    startedAt: 0,
+    endedAt: 1000,
+    duration: 1000,
+    completed: true,
+    winner,
+    score: { red: 0, blue: 0 },
+    teams: { red: red.map(player), blue: blue.map(player) },
+    goals: goals.map(([team, scorer, assist, ownGoal = false]) => ({
+      team,
+      time: 0,
+      scorer: player(scorer),
+      assist: assist ? player(assist) : null,
+      ownGoal,
+    })),
+  };
+}
+
+describe('MatchHistory', function () {
+  let historyDir, historyPath, history;
+
+  beforeEach(function () {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-matches-'));
+    historyPath = path.join(historyDir, 'matches.jsonl');
+    history = new MatchHistory({ path: historyPath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(historyDir, { recursive: true, force: true });
+  });
+
+  it('should require a path', function () {
+    expect(() => new MatchHistory()).to.throw(TypeError);
+  });
+
+  it('should have no matches without a file', async function () {
+    await history.load();
+    expect(history.getMatches()).to.have.lengthOf(0);
+  });
+
+  it('should append the matches to the file', async function () {
+    await history.add(createMatch({ red: ['a'], blue: ['b'] }));
+    await history.add(createMatch({ red: ['a'], blue: ['c'] }));
+    const lines = fs.readFileSync(historyPath, 'utf8').trim().split('\n');
+    expect(lines).to.have.lengthOf(2);
+
+    const loaded = new MatchHistory({ path: historyPath });
+    await loaded.load();
+    expect(loaded.getMatches()).to.have.lengthOf(2);
+    expect(loaded.getPlayerStats('a').matches).to.equal(2);
+  });
+
+  it('should skip the lines that can not be parsed', async function () {
+    await history.add(createMatch({ red: ['a'], blue: ['b'] }));
+    fs.appendFileSync(historyPath, '{"id": "half');
+    const loaded = new MatchHistory({ path: historyPath });
+    await loaded.load();
+    expect(loaded.getMatches()).to.have.lengthOf(1);
+  });
+
+  it('should query the matches', async function () {
+    await history.add(createMatch({ red: ['a'], blue: ['b'] }));
+    await history.add(createMatch({ red: ['c'], blue: ['b'] }));
+    expect(history.getMatches({ auth: 'a' })).to.have.lengthOf(1);
+    expect(history.getMatches({ auth: 'b' })).to.have.lengthOf(2);
+    expect(history.getMatches({ limit: 1 })[0].teams.red[0].auth).to.equal('c');
+  });
+
+  it('should combine the statistics of the players', async function () {
+    await history.add(
+      createMatch({
+        red: ['a', 'b'],
+        blue: ['c'],
+        winner: 1,
+        goals: [
+          [1, 'a', 'b'],
+          [1, 'a'],
+          [2, 'b', null, true],
+        ],
+      })
+    );
+    await history.add(createMatch({ red: ['a'], blue: ['c'], winner: null }));
+    expect(history.getPlayerStats('a')).to.deep.equal({
+      auth: 'a',
+      name: 'name-a',
+      matches: 2,
+      wins: 1,
+      losses: 0,
+      draws: 1,
+      goals: 2,
+      assists: 0,
+      ownGoals: 0,
+    });
+    expect(history.getPlayerStats('b')).to.include({
+      assists: 1,
+      ownGoals: 1,
+      goals: 0,
+    });
+    expect(history.getPlayerStats('c')).to.include({ losses: 1, draws: 1 });
+    expect(history.getPlayerStats('nobody')).to.be.null;
+  });
+
+  it('should return the leaderboards', async function () {
+    await history.add(
+      createMatch({
+        red: ['a'],
+        blue: ['b'],
+        goals: [
+          [1, 'a'],
+          [2, 'b'],
+          [1, 'a'],
+        ],
+      })
+    );
+    const top = history.getLeaderboard('goals');
+    expect(top.map((s) => s.auth)).to.deep.equal(['a', 'b']);
+    expect(history.getLeaderboard('goals', { limit: 1 })).to.have.lengthOf(1);
+    expect(history.getLeaderboard('assists')).to.have.lengthOf(0);
+    expect(() => history.getLeaderboard('kicks')).to.throw(TypeError);
+  });
+
+  describe('recording', function () {
+    let haxroomie, room;
+
+    before(function () {
+      // The stand-in is needed to control the players.
+      if (!isOffline()) this.skip();
+    });
+
+    beforeEach(async function () {
+      this.timeout(30000);
+      haxroomie = await createHaxroomie(
+        haxroomieOptions({ matchHistory: history })
+      );
+      room = await haxroomie.addRoom(1);
+      await room.openRoom(createConfigs(1)[0]);
+    });
+
+    afterEach(async function () {
+      if (haxroomie) await haxroomie.closeBrowser();
+      haxroomie = null;
+    });
+
+    it('should record the matches of the room', async function () {
+      this.timeout(10000);
+      expect(room.subscriptions).to.not.have.property('onPlayerBallKick');
+      const recorded = new Promise((resolve) => {
+        room.once('match-recorded', resolve);
+      });
+      await room.eval(() => {
+        const standIn = window.haxballStandIn;
+        const hhmRoom = HHM.manager.room;
+        const p1 = standIn.addPlayer({ name: 'p1', auth: 'auth1' });
+        const p2 = standIn.addPlayer({ name: 'p2', auth: 'auth2' });
+        const p3 = standIn.addPlayer({ name: 'p3', auth: 'auth3' });
+        hhmRoom.setPlayerTeam(p1.id, 1);
+        hhmRoom.setPlayerTeam(p3.id, 1);
+        hhmRoom.setPlayerTeam(p2.id, 2);
+        hhmRoom.startGame();
+        standIn.kickBall(p1.id);
+        standIn.kickBall(p3.id);
+        standIn.scoreGoal(1);
+        standIn.kickBall(p2.id);
+        standIn.scoreGoal(1);
+        hhmRoom.stopGame();
+      });
+
+      const match = await recorded;
+      expect(match.roomId).to.equal(1);
+      expect(match.completed).to.be.false;
+      expect(match.winner).to.equal(1);
+      expect(match.score).to.deep.equal({ red: 2, blue: 0 });
+      expect(match.teams.red.map((p) => p.auth)).to.deep.equal([
+        'auth1',
+        'auth3',
+      ]);
+      expect(match.teams.blue.map((p) => p.auth)).to.deep.equal(['auth2']);
+      expect(match.goals[0]).to.include({ team: 1, ownGoal: false });
+      expect(match.goals[0].scorer.auth).to.equal('auth3');
+      expect(match.goals[0].assist.auth).to.equal('auth1');
+      expect(match.goals[1]).to.include({ team: 1, ownGoal: true });
+      expect(match.goals[1].scorer.auth).to.equal('auth2');
+      expect(history.getPlayerStats('auth3')).to.include({ goals: 1 });
+      expect(history.getPlayerStats('auth2')).to.include({
+        ownGoals: 1,
+        losses: 1,
+      });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+
+describe('Game recordings', function () {
+  let haxroomie, room, recordingDir;
+
+  /**
+   * Plays a game where the red team scores the given amount of goals.
+   */
+  function playGame(goals = 1) {
+    return room.eval((goals) => {
+      const standIn = window.haxballStandIn;
+      const hhmRoom = HHM.manager.room;
+      const p1 = standIn.addPlayer({ name: 'p1', auth: 'auth1' });
+      const p2 = standIn.addPlayer({ name: 'p2', auth: 'auth2' });
+      hhmRoom.setPlayerTeam(p1.id, 1);
+      hhmRoom.setPlayerTeam(p2.id, 2);
+      hhmRoom.startGame();
+      for (let i = 0; i < goals; i++) {
+        standIn.kickBall(p1.id);
+        standIn.scoreGoal(1);
+      }
+      hhmRoom.stopGame();
+      standIn.removePlayer(p1.id);
+      standIn.removePlayer(p2.id);
+    }, goals);
+  }
+
+  function waitForRecording() {
+    return new Promise((resolve) => room.once('recording-saved', resolve));
+  }
+
+  before(async function () {
+    // The stand-in is needed to play the games.
+    if (!isOffline()) this.skip();
+    this.timeout(30000);
+    recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-recordings-'));
+    let data = await createRooms({
+      amount: 1,
+      roomControllerOptions: {
+        recording: { directory: recordingDir, maxCount: 2 },
+      },
+    });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+    if (recordingDir) {
+      fs.rmSync(recordingDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should not accept invalid options', function () {
+    expect(() => room.recordings.configure({ maxCount: -1 })).to.throw(
+      TypeError
+    );
+    expect(() => room.recordings.configure({ maxAge: '1d' })).to.throw(
+      TypeError
+    );
+    expect(room.recordings.options.maxCount).to.equal(2);
+  });
+
+  it('should save the recording of a game', async function () {
+    this.timeout(10000);
+    const saved = waitForRecording();
+    await playGame(1);
+    const recording = await saved;
+
+    expect(recording.fileName).to.match(
+      /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}_1-0_Classic\.hbr2$/
+    );
+    expect(fs.readFileSync(recording.path, 'utf8')).to.equal('HBR2');
+    const info = JSON.parse(
+      fs.readFileSync(recording.path.replace(/\.hbr2$/, '.json'), 'utf8')
+    );
+    expect(info).to.include({ roomId: 1, stadium: 'Classic', winner: 1 });
+    expect(info.score).to.deep.equal({ red: 1, blue: 0 });
+    expect(info.teams.red.map((p) => p.auth)).to.deep.equal(['auth1']);
+    expect(info.teams.blue.map((p) => p.auth)).to.deep.equal(['auth2']);
+    expect(info.goals[0].scorer.auth).to.equal('auth1');
+  });
+
+  it('should keep only the newest recordings', async function () {
+    this.timeout(10000);
+    for (let goals of [2, 3]) {
+      const saved = waitForRecording();
+      await playGame(goals);
+      await saved;
+    }
+    const recordings = await room.recordings.list();
+    expect(recordings.map((r) => r.info.score.red)).to.deep.equal([3, 2]);
+    expect(fs.readdirSync(recordingDir)).to.have.lengthOf(4);
+  });
+
+  it('should prune the recordings', async function () {
+    const removed = await room.recordings.prune({ maxCount: 1 });
+    expect(removed.map((r) => r.info.score.red)).to.deep.equal([2]);
+    expect(fs.readdirSync(recordingDir)).to.have.lengthOf(2);
+  });
+
+  it('should not record when recording is disabled', async function () {
+    this.timeout(10000);
+    await room.configureRecording(false);
+    let saved = false;
+    room.once('recording-saved', () => (saved = true));
+    await playGame(1);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(saved).to.be.false;
+    expect(await room.recordings.list()).to.have.lengthOf(0);
+    expect(fs.readdirSync(recordingDir)).to.have.lengthOf(2);
+  });
+
+  it('should save to the download directory by default', async function () {
+    await room.configureRecording(true);
+    expect(room.recordings.options.directory).to.equal(
+      path.join(haxroomie.downloadDirectory, 'recordings', '1')
+    );
+  });
+});
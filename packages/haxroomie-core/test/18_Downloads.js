@@ -0,0 +1,91 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createConfigs, haxroomieOptions } = require('./utils');
+const { createHaxroomie, NodePlugin } = require('../');
+
+describe('Room downloads', function () {
+  let haxroomie, rooms, downloadDir;
+
+  /**
+   * Downloads a text file in the room and resolves with the
+   * download-complete event.
+   */
+  async function download(room, fileName, text) {
+    const completed = new Promise((resolve) => {
+      room.once('download-complete', resolve);
+    });
+    await room.eval(
+      (fileName, text) => {
+        window.haxroomie.download({ fileName, file: new Blob([text]) });
+      },
+      fileName,
+      text
+    );
+    return completed;
+  }
+
+  before(async function () {
+    this.timeout(30000);
+    const configs = createConfigs(2);
+    if (!configs) this.skip();
+    downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-downloads-'));
+    haxroomie = await createHaxroomie(
+      haxroomieOptions({ downloadDirectory: downloadDir })
+    );
+    rooms = [await haxroomie.addRoom(1), await haxroomie.addRoom(2)];
+    await Promise.all(rooms.map((r, i) => r.openRoom(configs[i])));
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+    if (downloadDir) fs.rmSync(downloadDir, { recursive: true, force: true });
+  });
+
+  it('should give each room its own download directory', function () {
+    expect(rooms[0].downloadDirectory).to.equal(path.join(downloadDir, '1'));
+    expect(rooms[1].downloadDirectory).to.equal(path.join(downloadDir, '2'));
+  });
+
+  it('should save the downloads to the directory of the room', async function () {
+    this.timeout(10000);
+    const first = await download(rooms[0], 'first.txt', 'hello');
+    const second = await download(rooms[1], 'second.txt', 'hi');
+
+    expect(first).to.include({
+      path: path.join(downloadDir, '1', 'first.txt'),
+      fileName: 'first.txt',
+      suggestedFilename: 'first.txt',
+      size: 5,
+    });
+    expect(fs.readFileSync(first.path, 'utf8')).to.equal('hello');
+    expect(second.path).to.equal(path.join(downloadDir, '2', 'second.txt'));
+    expect(fs.readFileSync(second.path, 'utf8')).to.equal('hi');
+  });
+
+  it('should not overwrite the existing files', async function () {
+    this.timeout(10000);
+    const saved = await download(rooms[0], 'first.txt', 'again');
+    expect(saved.fileName).to.equal('first (1).txt');
+    expect(fs.readFileSync(saved.path, 'utf8')).to.equal('again');
+    expect(
+      fs.readFileSync(path.join(downloadDir, '1', 'first.txt'), 'utf8')
+    ).to.equal('hello');
+  });
+
+  it('should pass the downloads to the Node plugins', async function () {
+    this.timeout(10000);
+    let downloaded;
+    class Indexer extends NodePlugin {
+      onDownloadComplete(download) {
+        downloaded = download;
+      }
+    }
+    await rooms[1].nodePlugins.addPlugin({ name: 'indexer', plugin: Indexer });
+    const saved = await download(rooms[1], 'game.hbr2', 'HBR2');
+    expect(downloaded).to.deep.equal(saved);
+  });
+});
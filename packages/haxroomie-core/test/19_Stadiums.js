@@ -0,0 +1,147 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createRooms } = require('./utils');
+const { StadiumLibrary } = require('../');
+
+const LENIENT_STADIUM = `{
+  // Stadium with everything HaxBall accepts in the files.
+  name: 'Lenient "quoted" stadium',
+  width: 420,
+  height: 200,
+  /* two vertexes and a segment between them */
+  vertexes: [{ x: -10, y: 0 }, { x: 10, y: 0, },],
+  segments: [{ "v0": 0, "v1": 1 }],
+}`;
+
+describe('StadiumLibrary', function () {
+  let stadiumDir, library;
+
+  before(function () {
+    stadiumDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-stadiums-'));
+    fs.writeFileSync(path.join(stadiumDir, 'lenient.hbs'), LENIENT_STADIUM);
+    fs.writeFileSync(
+      path.join(stadiumDir, 'Futsal.HBS'),
+      JSON.stringify({ name: 'Futsal 3v3', width: 500, height: 250 })
+    );
+    fs.writeFileSync(path.join(stadiumDir, 'broken.hbs'), '{ name: "a", ');
+    fs.writeFileSync(path.join(stadiumDir, 'notes.txt'), 'not a stadium');
+    library = new StadiumLibrary({ directory: stadiumDir });
+  });
+
+  after(function () {
+    fs.rmSync(stadiumDir, { recursive: true, force: true });
+  });
+
+  it('should require a directory', function () {
+    expect(() => new StadiumLibrary()).to.throw(TypeError);
+  });
+
+  it('should parse the lenient JSON of the stadium files', function () {
+    const stadium = StadiumLibrary.parse(LENIENT_STADIUM);
+    expect(stadium.name).to.equal('Lenient "quoted" stadium');
+    expect(stadium.vertexes).to.have.lengthOf(2);
+    expect(stadium.segments[0]).to.deep.equal({ v0: 0, v1: 1 });
+  });
+
+  it('should not accept invalid stadiums', function () {
+    const invalid = [
+      '{ width: 1, height: 1 }',
+      '{ name: "a", width: 0, height: 1 }',
+      '{ name: "a", width: 1, height: 1, discs: {} }',
+      '{ name: "a", width: 1, height: 1, segments: [{ v0: 0, v1: 1 }] }',
+      '[]',
+      '{ name: "a" ',
+    ];
+    for (let text of invalid) {
+      expect(() => StadiumLibrary.parse(text), text)
+        .to.throw(Error)
+        .with.property('name', 'InvalidStadiumError');
+    }
+  });
+
+  it('should find the default stadiums', function () {
+    expect(StadiumLibrary.findDefaultStadium('bighockey')).to.equal(
+      'Big Hockey'
+    );
+    expect(StadiumLibrary.findDefaultStadium('classic')).to.equal('Classic');
+    expect(StadiumLibrary.findDefaultStadium('futsal')).to.be.null;
+  });
+
+  it('should load the stadiums from the directory', async function () {
+    await library.load();
+    expect(library.getStadiums().map((s) => s.name)).to.deep.equal([
+      'Futsal 3v3',
+      'Lenient "quoted" stadium',
+    ]);
+    expect(library.errors.map((e) => e.fileName)).to.deep.equal(['broken.hbs']);
+    expect(library.getStadium('futsal 3v3').fileName).to.equal('Futsal.HBS');
+    expect(library.getStadium('lenient').name).to.equal(
+      'Lenient "quoted" stadium'
+    );
+    expect(library.getStadium('missing')).to.be.null;
+    const contents = JSON.parse(library.getStadium('lenient').contents);
+    expect(contents.width).to.equal(420);
+  });
+
+  describe('rooms', function () {
+    let haxroomie, room, configs;
+
+    function waitForStadiumChange() {
+      return new Promise((resolve) => {
+        const listener = ({ handlerName, args }) => {
+          if (handlerName !== 'onStadiumChange') return;
+          room.off('room-event', listener);
+          resolve(args[0]);
+        };
+        room.on('room-event', listener);
+      });
+    }
+
+    before(async function () {
+      this.timeout(30000);
+      let data = await createRooms({ amount: 1 });
+      if (!data) this.skip();
+      haxroomie = data.haxroomie;
+      room = data.rooms[0];
+      configs = data.configs;
+    });
+
+    after(async function () {
+      if (haxroomie) await haxroomie.closeBrowser();
+    });
+
+    it('should know the stadium of the room', function () {
+      expect(room.stadium).to.equal('Classic');
+    });
+
+    it('should change to a default stadium', async function () {
+      const changed = waitForStadiumChange();
+      await room.setStadium('big hockey');
+      expect(await changed).to.equal('Big Hockey');
+      expect(room.stadium).to.equal('Big Hockey');
+      await expect(room.setStadium('futsal')).to.be.rejectedWith(TypeError);
+    });
+
+    it('should change to a stadium of the library', async function () {
+      const changed = waitForStadiumChange();
+      await room.setStadium(library.getStadium('futsal'));
+      expect(await changed).to.equal('Futsal 3v3');
+      expect(room.stadium).to.equal('Futsal 3v3');
+      await expect(
+        room.setStadium({ contents: '{ name: "a" }' })
+      ).to.be.rejectedWith(Error, /width/);
+    });
+
+    it('should have no stadium when the room is closed', async function () {
+      this.timeout(20000);
+      await room.closeRoom();
+      expect(room.stadium).to.be.null;
+      await room.openRoom(configs[0]);
+      expect(room.stadium).to.equal('Classic');
+    });
+  });
+});
@@ -0,0 +1,225 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { RoleList } = require('../');
+
+describe('RoleList', function () {
+  let roleDir, rolePath, roleList;
+
+  beforeEach(function () {
+    roleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-roles-'));
+    rolePath = path.join(roleDir, 'roles.json');
+    roleList = new RoleList({ path: rolePath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(roleDir, { recursive: true, force: true });
+  });
+
+  it('should have no roles without a file', async function () {
+    await roleList.load();
+    expect(roleList.getRoles()).to.have.lengthOf(0);
+  });
+
+  it('should not accept invalid roles', async function () {
+    await expect(roleList.addRole('')).to.be.rejectedWith(TypeError);
+    await expect(roleList.addRole('two words')).to.be.rejectedWith(TypeError);
+    await expect(roleList.addRole('admin', 123)).to.be.rejectedWith(TypeError);
+    await expect(roleList.setPlayerRole('auth1', 'missing')).to.be.rejectedWith(
+      TypeError
+    );
+  });
+
+  it('should save the roles and players to the file', async function () {
+    await roleList.addRole('admin', 'secret');
+    await roleList.addRole('vip');
+    await roleList.setPlayerRole('auth1', 'admin', true, 'p1');
+    await roleList.setPlayerRole('auth1', 'vip');
+
+    let loaded = new RoleList({ path: rolePath });
+    await loaded.load();
+    expect(loaded.getRoles()).to.deep.equal([
+      {
+        name: 'admin',
+        password: 'secret',
+        players: [{ auth: 'auth1', name: 'p1' }],
+      },
+      { name: 'vip', password: null, players: [{ auth: 'auth1', name: 'p1' }] },
+    ]);
+    expect(loaded.getPlayerRoles('auth1')).to.deep.equal(['admin', 'vip']);
+  });
+
+  it('should remove roles from the players', async function () {
+    await roleList.addRole('admin', 'secret');
+    await roleList.addRole('vip');
+    await roleList.setPlayerRole('auth1', 'admin');
+    await roleList.setPlayerRole('auth2', 'vip');
+
+    expect((await roleList.removeRole('admin')).players).to.have.lengthOf(1);
+    expect(await roleList.removeRole('admin')).to.be.null;
+    expect(roleList.getPlayerRoles('auth1')).to.deep.equal([]);
+    expect(await roleList.setPlayerRole('auth2', 'vip', false)).to.deep.equal(
+      []
+    );
+    expect(roleList.getRole('vip').players).to.have.lengthOf(0);
+  });
+});
+
+describe('RoleController', function () {
+  let haxroomie, room, configs, roleList, roleDir;
+
+  function addPlayer(name, auth) {
+    return room.eval(
+      (name, auth) => window.haxballStandIn.addPlayer({ name, auth }).id,
+      name,
+      auth
+    );
+  }
+
+  function isAdmin(id) {
+    return room.eval((id) => HHM.manager.room.getPlayer(id).admin, id);
+  }
+
+  before(async function () {
+    // The stand-in is needed to add the players.
+    if (!isOffline()) this.skip();
+    this.timeout(30000);
+    roleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-roles-'));
+    roleList = new RoleList({ path: path.join(roleDir, 'roles.json') });
+    let data = await createRooms({
+      amount: 1,
+      roomControllerOptions: { roleList },
+    });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+    configs = data.configs;
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+    if (roleDir) fs.rmSync(roleDir, { recursive: true, force: true });
+  });
+
+  it('should create and list the roles', async function () {
+    let role = await room.roles.addRole('admin', 'secret');
+    expect(role).to.deep.equal({
+      roleName: 'admin',
+      password: 'secret',
+      players: [],
+    });
+    await room.roles.addRole('vip');
+    let roles = await room.roles.getRoles();
+    expect(roles.map((r) => r.roleName)).to.deep.equal(['admin', 'vip']);
+    expect(await room.roles.getRole('missing')).to.be.null;
+  });
+
+  it('should give roles to offline players by auth', async function () {
+    await room.roles.setPlayerRole('auth-offline', 'vip', true);
+    expect(await room.roles.getPlayerRoles('auth-offline')).to.deep.equal([
+      'vip',
+    ]);
+    let role = await room.roles.getRole('vip', { offlinePlayers: true });
+    expect(role.players).to.deep.equal([
+      {
+        id: null,
+        name: null,
+        auth: 'auth-offline',
+        online: false,
+        persistent: true,
+      },
+    ]);
+    expect((await room.roles.getRole('vip')).players).to.have.lengthOf(0);
+    await expect(
+      room.roles.setPlayerRole('auth-offline', 'missing')
+    ).to.be.rejectedWith(TypeError);
+  });
+
+  it('should give the saved roles to joining players', async function () {
+    await room.roles.setPlayerRole('auth-admin', 'admin', true);
+    let id = await addPlayer('boss', 'auth-admin');
+    expect(await room.roles.getPlayerRoles(id)).to.deep.equal(['admin']);
+    expect(await isAdmin(id)).to.be.true;
+
+    let role = await room.roles.getRole('admin');
+    expect(role.players).to.deep.equal([
+      { id, name: 'boss', auth: 'auth-admin', online: true, persistent: true },
+    ]);
+
+    await room.roles.setPlayerRole(id, 'admin', false);
+    expect(await room.roles.getPlayerRoles(id)).to.deep.equal([]);
+    expect(await room.roles.getPlayerRoles('auth-admin')).to.deep.equal([]);
+    expect(await isAdmin(id)).to.be.false;
+  });
+
+  it('should give roles for the session or persistently', async function () {
+    let id = await addPlayer('guest', 'auth-guest');
+    await room.roles.setPlayerRole(id, 'vip', true);
+    expect(await room.roles.getPlayerRoles(id)).to.deep.equal(['vip']);
+    expect(await room.roles.getPlayerRoles('auth-guest')).to.deep.equal([]);
+
+    await room.roles.setPlayerRole(id, 'admin', true, true);
+    expect(await room.roles.getPlayerRoles(id)).to.deep.equal(['admin', 'vip']);
+    expect(roleList.getRole('admin').players).to.deep.include({
+      auth: 'auth-guest',
+      name: 'guest',
+    });
+
+    await room.eval((id) => window.haxballStandIn.removePlayer(id), id);
+    let rejoinedId = await addPlayer('guest', 'auth-guest');
+    expect(await room.roles.getPlayerRoles(rejoinedId)).to.deep.equal([
+      'admin',
+    ]);
+    expect(await room.roles.getPlayerRoles(id)).to.be.null;
+  });
+
+  it('should give the role to players with the password', async function () {
+    let events = [];
+    const listener = ({ handlerName, args }) => {
+      if (handlerName === 'onPlayerChat') events.push(args[1]);
+    };
+    room.on('room-event', listener);
+    let id = await addPlayer('claimer', 'auth-claimer');
+    let sent = await room.eval(
+      (id) => [
+        window.haxballStandIn.chat(id, '!auth admin wrong'),
+        window.haxballStandIn.chat(id, '!auth vip '),
+        window.haxballStandIn.chat(id, 'hello'),
+        // Roles of other plugins.
+        window.haxballStandIn.chat(id, '!auth host hostpass'),
+        window.haxballStandIn.chat(id, '!auth admin secret'),
+      ],
+      id
+    );
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    room.off('room-event', listener);
+
+    expect(sent).to.deep.equal([false, false, true, true, false]);
+    expect(events).to.deep.equal(['hello', '!auth host hostpass']);
+    expect(await room.roles.getPlayerRoles(id)).to.deep.equal(['admin']);
+    expect(await room.roles.getPlayerRoles('auth-claimer')).to.deep.equal([]);
+    expect(await isAdmin(id)).to.be.true;
+  });
+
+  it('should remove deleted roles from the players', async function () {
+    expect(await room.roles.removeRole('admin')).to.be.true;
+    expect(await room.roles.removeRole('admin')).to.be.false;
+    let players = await room.eval(() => window.haxroomie.getPlayersWithRoles());
+    for (let player of players) {
+      expect(player.roles).to.not.include('admin');
+    }
+  });
+
+  it('should give the roles again when the room reopens', async function () {
+    this.timeout(20000);
+    await room.roles.setPlayerRole('auth-vip', 'vip');
+    await room.closeRoom();
+    await room.openRoom(configs[0]);
+    let id = await addPlayer('vip', 'auth-vip');
+    expect(await room.roles.getPlayerRoles(id)).to.deep.equal(['vip']);
+  });
+});
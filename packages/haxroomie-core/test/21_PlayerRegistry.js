@@ -0,0 +1,175 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { PlayerRegistry } = require('../');
+
+/** Connection of the player as HaxBall gives it. */
+function encodeIp(ip) {
+  return Buffer.from(ip).toString('hex').toUpperCase();
+}
+
+describe('PlayerRegistry', function () {
+  let registryDir, registryPath, registry;
+
+  beforeEach(function () {
+    registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-players-'));
+    registryPath = path.join(registryDir, 'players.json');
+    registry = new PlayerRegistry({ path: registryPath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(registryDir, { recursive: true, force: true });
+  });
+
+  it('should require a path', function () {
+    expect(() => new PlayerRegistry()).to.throw(TypeError);
+  });
+
+  it('should decode the connections to IP addresses', function () {
+    expect(PlayerRegistry.decodeConn(encodeIp('127.0.0.1'))).to.equal(
+      '127.0.0.1'
+    );
+    expect(PlayerRegistry.decodeConn(encodeIp('2001:db8::1'))).to.equal(
+      '2001:db8::1'
+    );
+    expect(PlayerRegistry.decodeConn('conn1')).to.be.null;
+    expect(PlayerRegistry.decodeConn(encodeIp('not an ip'))).to.be.null;
+  });
+
+  it('should record the names, connections and rooms', function () {
+    const conn = encodeIp('10.0.0.1');
+    registry.onPlayerJoin('room1', { id: 1, name: 'p1', auth: 'a1', conn });
+    registry.onPlayerLeave('room1', { id: 1 });
+    registry.onPlayerJoin('room2', { id: 4, name: 'P1 alt', auth: 'a1', conn });
+    expect(registry.onPlayerJoin('room1', { id: 2, name: 'guest' })).to.be.null;
+
+    const player = registry.get('a1');
+    expect(player.name).to.equal('P1 alt');
+    expect(player.names).to.deep.equal(['p1', 'P1 alt']);
+    expect(player.conns).to.deep.equal([conn]);
+    expect(player.ips).to.deep.equal(['10.0.0.1']);
+    expect(player.rooms).to.deep.equal(['room1', 'room2']);
+    expect(player.sessions).to.equal(2);
+    expect(player.online).to.deep.equal([{ roomId: 'room2', id: 4 }]);
+    expect(registry.getByPlayerId('room2', 4).auth).to.equal('a1');
+    expect(registry.getByPlayerId('room1', 1)).to.be.null;
+    expect(registry.get('missing')).to.be.null;
+  });
+
+  it('should count the playtime of the sessions', async function () {
+    registry.onPlayerJoin('room1', { id: 1, name: 'p1', auth: 'a1' });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const ongoing = registry.get('a1').playtime;
+    expect(ongoing).to.be.at.least(40);
+    registry.endSessions('room1');
+    const player = registry.get('a1');
+    expect(player.playtime).to.be.at.least(ongoing);
+    expect(player.online).to.have.lengthOf(0);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(registry.get('a1').playtime).to.equal(player.playtime);
+  });
+
+  it('should find the players by auth, name and IP', function () {
+    const conn = encodeIp('10.0.0.1');
+    registry.onPlayerJoin('room1', { id: 1, name: 'Bob', auth: 'a1', conn });
+    registry.onPlayerJoin('room1', { id: 2, name: 'bob', auth: 'a2' });
+    registry.onPlayerJoin('room1', { id: 3, name: 'alice', auth: 'a3', conn });
+
+    expect(registry.find('a1').map((p) => p.auth)).to.deep.equal(['a1']);
+    expect(registry.find('BOB').map((p) => p.auth)).to.have.members([
+      'a1',
+      'a2',
+    ]);
+    expect(registry.find('10.0.0.1').map((p) => p.auth)).to.have.members([
+      'a1',
+      'a3',
+    ]);
+    expect(registry.find('nobody')).to.have.lengthOf(0);
+  });
+
+  it('should find the alt accounts', function () {
+    const conn = encodeIp('10.0.0.1');
+    registry.onPlayerJoin('room1', { id: 1, name: 'main', auth: 'a1', conn });
+    registry.onPlayerJoin('room1', { id: 2, name: 'alt', auth: 'a2', conn });
+    registry.onPlayerJoin('room1', {
+      id: 3,
+      name: 'other',
+      auth: 'a3',
+      conn: encodeIp('10.0.0.2'),
+    });
+    expect(registry.findAlts('a1').map((p) => p.auth)).to.deep.equal(['a2']);
+    expect(registry.findAlts('a3')).to.have.lengthOf(0);
+    expect(registry.findAlts('missing')).to.have.lengthOf(0);
+  });
+
+  it('should save the players to the file', async function () {
+    registry.onPlayerJoin('room1', { id: 1, name: 'p1', auth: 'a1' });
+    registry.onPlayerJoin('room1', { id: 2, name: 'p2', auth: 'a2' });
+    await registry.save();
+
+    const loaded = new PlayerRegistry({ path: registryPath });
+    await loaded.load();
+    expect(loaded.get('a1').names).to.deep.equal(['p1']);
+    expect(loaded.get('a2').rooms).to.deep.equal(['room1']);
+    expect(loaded.get('a1').online).to.have.lengthOf(0);
+  });
+});
+
+describe('RoomController with a PlayerRegistry', function () {
+  let haxroomie, room, registry, registryDir;
+
+  before(async function () {
+    // The stand-in is needed to add the players.
+    if (!isOffline()) this.skip();
+    this.timeout(30000);
+    registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-players-'));
+    registry = new PlayerRegistry({
+      path: path.join(registryDir, 'players.json'),
+    });
+    let data = await createRooms({
+      amount: 1,
+      roomControllerOptions: { playerRegistry: registry },
+    });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+    if (registryDir) fs.rmSync(registryDir, { recursive: true, force: true });
+  });
+
+  it('should record the players of the room', async function () {
+    const id = await room.eval(() => {
+      return window.haxballStandIn.addPlayer({
+        name: 'joiner',
+        auth: 'auth-joiner',
+        conn: '3132372E302E302E31',
+      }).id;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    let player = registry.get('auth-joiner');
+    expect(player.names).to.deep.equal(['joiner']);
+    expect(player.ips).to.deep.equal(['127.0.0.1']);
+    expect(player.online).to.deep.equal([{ roomId: room.id, id }]);
+
+    await room.eval((id) => window.haxballStandIn.removePlayer(id), id);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(registry.get('auth-joiner').online).to.have.lengthOf(0);
+  });
+
+  it('should end the sessions when the room closes', async function () {
+    await room.eval(() => {
+      window.haxballStandIn.addPlayer({ name: 'stayer', auth: 'auth-stayer' });
+    });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(registry.get('auth-stayer').online).to.have.lengthOf(1);
+    await room.closeRoom();
+    expect(registry.get('auth-stayer').online).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,159 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { ChatLog } = require('../');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ChatLog', function () {
+  let logDir, chatLog;
+
+  function add(roomId, time, name, message, auth) {
+    return chatLog.add({ time, roomId, id: 1, name, auth, message });
+  }
+
+  beforeEach(function () {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-chat-'));
+    chatLog = new ChatLog({ directory: logDir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  it('should require a directory', function () {
+    expect(() => new ChatLog()).to.throw(TypeError);
+    expect(() => new ChatLog({ directory: logDir, maxAge: -1 })).to.throw(
+      TypeError
+    );
+  });
+
+  it('should have no messages without files', async function () {
+    expect(await chatLog.search()).to.have.lengthOf(0);
+    expect(await chatLog.getRecent('room1')).to.have.lengthOf(0);
+  });
+
+  it('should write a file per room and day', async function () {
+    const time = Date.parse('2026-01-02T10:00:00Z');
+    await add('room 1', time, 'p1', 'hello', 'a1');
+    await add('room 1', time + DAY, 'p1', 'again', 'a1');
+    await add('room2', time, 'p2', 'hi');
+
+    expect(fs.readdirSync(path.join(logDir, 'room%201')).sort()).to.deep.equal([
+      '2026-01-02.jsonl',
+      '2026-01-03.jsonl',
+    ]);
+    const line = fs.readFileSync(
+      path.join(logDir, 'room2', '2026-01-02.jsonl'),
+      'utf8'
+    );
+    expect(JSON.parse(line)).to.deep.equal({
+      time,
+      roomId: 'room2',
+      id: 1,
+      name: 'p2',
+      auth: null,
+      conn: null,
+      message: 'hi',
+    });
+  });
+
+  it('should search by room, player, text and time', async function () {
+    const time = Date.parse('2026-01-02T10:00:00Z');
+    await add('room1', time, 'Bob', 'hello all', 'a1');
+    await add('room1', time + 1000, 'alice', 'HELLO bob', 'a2');
+    await add('room2', time + 2000, 'bobby', 'gg', 'a3');
+    await add('room1', time + DAY, 'Bob', 'you noob', 'a1');
+
+    const messages = (query) =>
+      chatLog.search(query).then((m) => m.map((e) => e.message));
+
+    expect(await messages()).to.deep.equal([
+      'hello all',
+      'HELLO bob',
+      'gg',
+      'you noob',
+    ]);
+    expect(await messages({ roomId: 'room2' })).to.deep.equal(['gg']);
+    expect(await messages({ player: 'a1' })).to.deep.equal([
+      'hello all',
+      'you noob',
+    ]);
+    expect(await messages({ player: 'BOB' })).to.deep.equal([
+      'hello all',
+      'gg',
+      'you noob',
+    ]);
+    expect(await messages({ text: 'hello' })).to.deep.equal([
+      'hello all',
+      'HELLO bob',
+    ]);
+    expect(
+      await messages({ since: time + 1000, until: time + DAY })
+    ).to.deep.equal(['HELLO bob', 'gg']);
+    expect(await messages({ limit: 2 })).to.deep.equal(['gg', 'you noob']);
+    expect(
+      (await chatLog.getRecent('room1', 1)).map((e) => e.message)
+    ).to.deep.equal(['you noob']);
+  });
+
+  it('should remove the files older than maxAge', async function () {
+    chatLog = new ChatLog({ directory: logDir, maxAge: 7 * DAY });
+    await add('room1', Date.now() - 30 * DAY, 'p1', 'old');
+    await add('room1', Date.now(), 'p1', 'new');
+    const messages = await chatLog.search({ roomId: 'room1' });
+    expect(messages.map((e) => e.message)).to.deep.equal(['new']);
+    expect(fs.readdirSync(path.join(logDir, 'room1'))).to.have.lengthOf(1);
+  });
+});
+
+describe('RoomController with a ChatLog', function () {
+  let haxroomie, room, chatLog, logDir;
+
+  before(async function () {
+    // The stand-in is needed to add the players.
+    if (!isOffline()) this.skip();
+    this.timeout(30000);
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-chat-'));
+    chatLog = new ChatLog({ directory: logDir });
+    let data = await createRooms({
+      amount: 1,
+      roomControllerOptions: { chatLog },
+    });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+    if (logDir) fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  it('should log the chat with the auth of the player', async function () {
+    const id = await room.eval(() => {
+      const player = window.haxballStandIn.addPlayer({
+        name: 'talker',
+        auth: 'auth-talker',
+      });
+      window.haxballStandIn.chat(player.id, 'hello there');
+      return player.id;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const messages = await room.getChat();
+    expect(messages).to.have.lengthOf(1);
+    expect(messages[0]).to.include({
+      roomId: room.id,
+      id,
+      name: 'talker',
+      auth: 'auth-talker',
+      conn: `conn${id}`,
+      message: 'hello there',
+    });
+    expect(await room.getChat({ text: 'missing' })).to.have.lengthOf(0);
+  });
+});
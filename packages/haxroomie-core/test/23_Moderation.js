@@ -0,0 +1,313 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { BanList } = require('../');
+const ModerationController = require('../src/room/components/ModerationController');
+
+describe('ModerationController', function () {
+  let room, calls, actions, moderation;
+
+  function createModeration(options, banList) {
+    moderation = new ModerationController({
+      room,
+      emit: (eventName, event) => actions.push(event),
+      banList,
+      options,
+    });
+    moderation.onRoomEvent({
+      handlerName: 'onPlayerJoin',
+      args: [{ id: 1, name: 'p1', auth: 'auth1', conn: 'conn1' }],
+    });
+    return moderation;
+  }
+
+  async function chat(message, player = { id: 1, name: 'p1', admin: false }) {
+    moderation.onRoomEvent({
+      handlerName: 'onPlayerChat',
+      args: [player, message],
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  beforeEach(function () {
+    calls = [];
+    actions = [];
+    room = new EventEmitter();
+    room.id = 'room1';
+    room.callRoom = async (...args) => calls.push(args);
+    room.syncBans = async () => calls.push(['syncBans']);
+    room.mutePlayer = async (...args) => calls.push(['mutePlayer', ...args]);
+    room.page = {
+      evaluate: async (fn, ...args) => {
+        calls.push(['evaluate', ...args]);
+        return true;
+      },
+    };
+  });
+
+  it('should not accept invalid rules', function () {
+    const create = (options) => () => createModeration(options);
+    expect(create({ rules: 'words' })).to.throw(TypeError);
+    expect(create({ rules: [{ type: 'unknown' }] })).to.throw(TypeError);
+    expect(create({ rules: [{ type: 'words', words: [] }] })).to.throw(
+      TypeError
+    );
+    expect(create({ rules: [{ type: 'regex', pattern: '(' }] })).to.throw(
+      TypeError
+    );
+    for (let pattern of ['a*', '\\b', /^/, '(?:)|bad']) {
+      expect(create({ rules: [{ type: 'regex', pattern }] })).to.throw(
+        TypeError,
+        'empty string'
+      );
+    }
+    expect(create({ rules: [{ type: 'name', pattern: 'x?' }] })).to.throw(
+      TypeError,
+      'empty string'
+    );
+    expect(create({ rules: [{ type: 'flood', actions: ['shout'] }] })).to.throw(
+      TypeError
+    );
+    expect(create({ rules: [{ type: 'flood' }, { type: 'flood' }] })).to.throw(
+      TypeError
+    );
+    expect(createModeration().enabled).to.be.false;
+  });
+
+  it('should escalate the actions for the same player', async function () {
+    const banList = { add: async (ban) => calls.push(['ban', ban]) };
+    createModeration(
+      { rules: [{ type: 'words', words: ['noob'], reason: 'No insults.' }] },
+      banList
+    );
+    await chat('you NOOB!');
+    await chat('noobs are fine');
+    await chat('noob');
+    await chat('noob');
+    await chat('noob');
+    await chat('noob');
+
+    expect(actions.map((a) => a.action)).to.deep.equal([
+      'warn',
+      'mute',
+      'kick',
+      'ban',
+      'ban',
+    ]);
+    expect(actions[1]).to.deep.include({
+      rule: 'words',
+      reason: 'No insults.',
+      strikes: 2,
+      message: 'noob',
+      player: { id: 1, name: 'p1', auth: 'auth1', conn: 'conn1' },
+    });
+    expect(calls.find((c) => c[0] === 'mutePlayer')).to.deep.equal([
+      'mutePlayer',
+      'auth1',
+      {
+        name: 'p1',
+        reason: 'No insults.',
+        issuer: 'moderation',
+        duration: 5 * 60 * 1000,
+      },
+    ]);
+    const ban = calls.find((c) => c[0] === 'ban')[1];
+    expect(ban).to.include({
+      auth: 'auth1',
+      conn: 'conn1',
+      issuer: 'moderation',
+      duration: 60 * 60 * 1000,
+    });
+  });
+
+  it('should kick the players without an auth instead of muting', async function () {
+    createModeration({
+      rules: [{ type: 'words', words: ['noob'], actions: ['warn', 'mute'] }],
+    });
+    moderation.onRoomEvent({
+      handlerName: 'onPlayerJoin',
+      args: [{ id: 2, name: 'p2', auth: null, conn: 'conn2' }],
+    });
+    const player = { id: 2, name: 'p2', admin: false };
+    await chat('noob', player);
+    await chat('noob', player);
+
+    expect(actions.map((a) => a.action)).to.deep.equal(['warn', 'kick']);
+    expect(actions[1].player.auth).to.be.null;
+    expect(calls.find((c) => c[0] === 'mutePlayer')).to.be.undefined;
+    expect(calls).to.deep.include([
+      'kickPlayer',
+      2,
+      'Breaking the rule: words',
+      false,
+    ]);
+  });
+
+  it('should detect flooding and repeated messages', async function () {
+    createModeration({
+      rules: [
+        { type: 'flood', messages: 3, interval: 1000, actions: ['warn'] },
+        { type: 'repeat', count: 2, interval: 1000, actions: ['kick'] },
+      ],
+    });
+    await chat('a');
+    await chat('b');
+    await chat('c');
+    expect(actions).to.have.lengthOf(0);
+    await chat('d');
+    expect(actions.map((a) => a.rule)).to.deep.equal(['flood']);
+    await chat('Same');
+    await chat('same ');
+    expect(actions.map((a) => a.rule)).to.deep.equal(['flood', 'repeat']);
+    expect(calls).to.deep.include([
+      'kickPlayer',
+      1,
+      'Breaking the rule: repeat',
+      false,
+    ]);
+  });
+
+  it('should block links that are not allowed', async function () {
+    createModeration({
+      rules: [{ type: 'links', allow: ['haxball.com'], actions: ['warn'] }],
+    });
+    await chat('join https://www.haxball.com/play?c=abc');
+    await chat('see example.com');
+    await chat('one.two');
+    expect(actions.map((a) => a.message)).to.deep.equal(['see example.com']);
+
+    await moderation.sync();
+    const [, filters, ignoreAdmins] = calls.find((c) => c[0] === 'evaluate');
+    expect(filters).to.have.lengthOf(1);
+    expect(filters[0].allow).to.deep.equal(['haxball.com']);
+    expect(ignoreAdmins).to.be.true;
+  });
+
+  it('should ignore the admins and check the names', async function () {
+    createModeration({
+      rules: [
+        { type: 'regex', pattern: 'bad' },
+        { type: 'name', pattern: '^admin', reason: 'Bad name.' },
+      ],
+    });
+    await chat('bad', { id: 1, name: 'p1', admin: true });
+    expect(actions).to.have.lengthOf(0);
+    moderation.onRoomEvent({
+      handlerName: 'onPlayerJoin',
+      args: [{ id: 2, name: 'Admin', auth: 'auth2', conn: 'conn2' }],
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(actions.map((a) => a.rule)).to.deep.equal(['name']);
+    expect(calls).to.deep.include(['kickPlayer', 2, 'Bad name.', false]);
+  });
+});
+
+describe('RoomController with moderation', function () {
+  let haxroomie, room, banList, banDir;
+
+  function addPlayer(name, auth) {
+    return room.eval(
+      (name, auth) => window.haxballStandIn.addPlayer({ name, auth }).id,
+      name,
+      auth
+    );
+  }
+
+  function chat(id, message) {
+    return room.eval(
+      (id, message) => window.haxballStandIn.chat(id, message),
+      id,
+      message
+    );
+  }
+
+  function wait() {
+    return new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  before(async function () {
+    // The stand-in is needed to add the players.
+    if (!isOffline()) this.skip();
+    this.timeout(30000);
+    banDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-moderation-'));
+    banList = new BanList({ path: path.join(banDir, 'bans.json') });
+    let data = await createRooms({
+      amount: 1,
+      roomControllerOptions: {
+        banList,
+        moderation: {
+          rules: [{ type: 'words', words: ['noob'] }],
+        },
+      },
+    });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+    if (banDir) fs.rmSync(banDir, { recursive: true, force: true });
+  });
+
+  it('should block the messages and mute the player', async function () {
+    let events = [];
+    const listener = (event) => events.push(event);
+    room.on('moderation-action', listener);
+    let id = await addPlayer('rude', 'auth-rude');
+    expect(await chat(id, 'hello')).to.be.true;
+    expect(await chat(id, 'noob')).to.be.false;
+    await wait();
+    expect(await chat(id, 'you noob')).to.be.false;
+    await wait();
+    // Muted players can not chat at all.
+    expect(await chat(id, 'hello again')).to.be.false;
+    room.off('moderation-action', listener);
+
+    expect(events.map((e) => e.action)).to.deep.equal(['warn', 'mute']);
+    const mutes = await room.getMutes();
+    expect(mutes.map((m) => m.playerId)).to.deep.equal([id]);
+    expect(mutes[0]).to.include({ auth: 'auth-rude', issuer: 'moderation' });
+    // The warning, the mute and the blocked message.
+    const announcements = await room.eval(() =>
+      window.haxballStandIn.getAnnouncements()
+    );
+    expect(announcements.filter((a) => a.targetId === id)).to.have.lengthOf(3);
+  });
+
+  it('should moderate the chat when it is unsubscribed', async function () {
+    await room.unsubscribe('onPlayerChat');
+    let id = await addPlayer('quiet', 'auth-quiet');
+    expect(await chat(id, 'noob')).to.be.false;
+    await wait();
+    await room.subscribe('onPlayerChat');
+    const announcements = await room.eval(() =>
+      window.haxballStandIn.getAnnouncements()
+    );
+    expect(announcements.filter((a) => a.targetId === id)).to.have.lengthOf(1);
+  });
+
+  it('should change the rules with configureModeration', async function () {
+    await room.configureModeration({
+      rules: [{ type: 'regex', pattern: 'spam', actions: ['kick'] }],
+    });
+    let id = await addPlayer('spammer', 'auth-spammer');
+    expect(await chat(id, 'noob')).to.be.true;
+    expect(await chat(id, 'SPAM')).to.be.false;
+    await wait();
+    const players = await room.callRoom('getPlayerList');
+    expect(players.map((p) => p.id)).to.not.include(id);
+
+    await room.configureModeration(null);
+    id = await addPlayer('spammer', 'auth-spammer');
+    expect(await chat(id, 'spam')).to.be.true;
+    await expect(
+      room.configureModeration({ rules: [{ type: 'missing' }] })
+    ).to.be.rejectedWith(TypeError);
+  });
+});
@@ -0,0 +1,169 @@
+require('./setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+
+const { createRooms, isOffline } = require('./utils');
+const { MuteList } = require('../');
+
+describe('MuteList', function () {
+  let muteDir, mutePath, muteList;
+
+  beforeEach(function () {
+    muteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-mutes-'));
+    mutePath = path.join(muteDir, 'mutes.json');
+    muteList = new MuteList({ path: mutePath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(muteDir, { recursive: true, force: true });
+  });
+
+  it('should have no mutes without a file', async function () {
+    await muteList.load();
+    expect(muteList.getMutes()).to.have.lengthOf(0);
+  });
+
+  it('should not accept invalid mutes', async function () {
+    await expect(muteList.add({ name: 'p1' })).to.be.rejectedWith(TypeError);
+    await expect(
+      muteList.add({ auth: 'auth1', duration: -1 })
+    ).to.be.rejectedWith(TypeError);
+  });
+
+  it('should save the mutes to the file by auth', async function () {
+    let events = [];
+    muteList.on('mute-added', (mute) => events.push(mute.auth));
+    await muteList.add({ auth: 'auth1', name: 'p1', reason: 'spam' });
+    await muteList.add({ auth: 'auth2', duration: 60000 });
+    // Muting again replaces the mute.
+    let mute = await muteList.add({ auth: 'auth1', name: 'p1', issuer: 'me' });
+    expect(mute).to.include({ auth: 'auth1', issuer: 'me', expiresAt: null });
+    expect(events).to.deep.equal(['auth1', 'auth2', 'auth1']);
+
+    let loaded = new MuteList({ path: mutePath });
+    await loaded.load();
+    expect(loaded.getMutes().map((m) => m.auth)).to.deep.equal([
+      'auth2',
+      'auth1',
+    ]);
+    expect(loaded.get('auth1').reason).to.be.undefined;
+  });
+
+  it('should remove and expire the mutes', async function () {
+    await muteList.add({ auth: 'auth1' });
+    await muteList.add({ auth: 'auth2', duration: 50 });
+    expect((await muteList.remove('auth1')).auth).to.equal('auth1');
+    expect(await muteList.remove('auth1')).to.be.null;
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(muteList.get('auth2')).to.be.null;
+    expect(muteList.getMutes()).to.have.lengthOf(0);
+  });
+
+  it('should keep the mutes in memory without a path', async function () {
+    let memoryList = new MuteList();
+    await memoryList.load();
+    await memoryList.add({ auth: 'auth1' });
+    expect(memoryList.get('auth1')).to.include({ auth: 'auth1' });
+  });
+});
+
+describe('RoomController mutes', function () {
+  let haxroomie, room, muteList, muteDir;
+
+  function addPlayer(name, auth) {
+    return room.eval(
+      (name, auth) => window.haxballStandIn.addPlayer({ name, auth }).id,
+      name,
+      auth
+    );
+  }
+
+  function removePlayer(id) {
+    return room.eval((id) => window.haxballStandIn.removePlayer(id), id);
+  }
+
+  function chat(id, message) {
+    return room.eval(
+      (id, message) => window.haxballStandIn.chat(id, message),
+      id,
+      message
+    );
+  }
+
+  function getNotices(id) {
+    return room.eval(
+      (id) =>
+        window.haxballStandIn
+          .getAnnouncements()
+          .filter((a) => a.targetId === id)
+          .map((a) => a.msg),
+      id
+    );
+  }
+
+  before(async function () {
+    // The stand-in is needed to add the players.
+    if (!isOffline()) this.skip();
+    this.timeout(30000);
+    muteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-mutes-'));
+    muteList = new MuteList({ path: path.join(muteDir, 'mutes.json') });
+    let data = await createRooms({
+      amount: 1,
+      roomControllerOptions: { muteList },
+    });
+    if (!data) this.skip();
+    haxroomie = data.haxroomie;
+    room = data.rooms[0];
+  });
+
+  after(async function () {
+    if (haxroomie) await haxroomie.closeBrowser();
+    if (muteDir) fs.rmSync(muteDir, { recursive: true, force: true });
+  });
+
+  it('should mute a player until unmuted', async function () {
+    let id = await addPlayer('loud', 'auth-loud');
+    let mute = await room.mutePlayer(id, { reason: 'Too loud.' });
+    expect(mute).to.include({
+      auth: 'auth-loud',
+      name: 'loud',
+      reason: 'Too loud.',
+      expiresAt: null,
+    });
+    expect(await chat(id, 'hello')).to.be.false;
+    expect(await getNotices(id)).to.deep.equal([
+      'You are muted: Too loud.',
+      'You are muted: Too loud.',
+    ]);
+    expect(await room.getMutes()).to.deep.equal([{ ...mute, playerId: id }]);
+
+    // Rejoining does not help.
+    await removePlayer(id);
+    id = await addPlayer('loud', 'auth-loud');
+    expect(await chat(id, 'hello')).to.be.false;
+
+    expect((await room.unmutePlayer(id)).auth).to.equal('auth-loud');
+    expect(await chat(id, 'hello')).to.be.true;
+    expect((await getNotices(id)).pop()).to.equal('You are no longer muted.');
+    expect(await room.unmutePlayer(id)).to.be.null;
+    expect(await room.getMutes()).to.have.lengthOf(0);
+  });
+
+  it('should mute the players by auth for a duration', async function () {
+    await room.mutePlayer('auth-later', { duration: 90000, name: 'later' });
+    let id = await addPlayer('later', 'auth-later');
+    expect(await getNotices(id)).to.deep.equal([
+      'You are muted for 2 minutes.',
+    ]);
+    expect(await chat(id, 'hello')).to.be.false;
+    expect(await room.mutePlayer(12345)).to.be.null;
+    await expect(room.mutePlayer({})).to.be.rejectedWith(TypeError);
+
+    await room.mutePlayer('auth-later', { duration: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(await chat(id, 'hello')).to.be.true;
+    await room.unmutePlayer('auth-later');
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Stand-in for the sav/commands plugin that is used when running the tests
+ * offline.
+ */
+
+let room = HBInit();
+room.pluginSpec = {
+  name: `sav/commands`,
+  author: `haxroomie`,
+  version: `1.0.0`,
+  config: {
+    commandPrefix: `!`,
+  },
+};
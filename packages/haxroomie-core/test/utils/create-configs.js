@@ -1,7 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+const { isOffline } = require('./haxroomie-options');
+
 /**
  * Creates mock room configs for Haxroomie. Requires environment variables
- * `HR_TEST_TOKEN1...HR_TEST_TOKENn` to be set. If they are not, set then
- * `undefined` is returned.
+ * `HR_TEST_TOKEN1...HR_TEST_TOKENn` to be set unless the tests are run
+ * offline. If they are not set, then `undefined` is returned.
+ *
+ * When running offline, the configs use a local repository from
+ * `test/data/repository` instead of the default one.
  *
  * @param {number} n - Amount of mock configs to create.
  * @returns {?Array.<roomConfig>} - Created config or `undefined` if n < 1 or if
@@ -11,7 +18,9 @@ function createConfigs(n = 1) {
   if (n < 1) return;
   let configs = [];
   for (let i = 1; i <= n; i++) {
-    let token = process.env[`HR_TEST_TOKEN${i}`];
+    let token = isOffline()
+      ? `offline-token-${i}`
+      : process.env[`HR_TEST_TOKEN${i}`];
     if (!token) return;
     let roomConfig = {
       token: token,
@@ -23,9 +32,29 @@ function createConfigs(n = 1) {
         },
       },
     };
+    if (isOffline()) {
+      roomConfig.repositories = [createLocalRepository()];
+    }
     configs[i - 1] = roomConfig;
   }
   return configs;
 }
 
+/**
+ * Creates a `local` repository of the plugins in `test/data/repository`.
+ */
+function createLocalRepository() {
+  const repositoryPath = path.join(__dirname, '..', 'data', 'repository');
+  const plugins = {};
+  for (let author of fs.readdirSync(repositoryPath)) {
+    for (let file of fs.readdirSync(path.join(repositoryPath, author))) {
+      plugins[`${author}/${path.basename(file, '.js')}`] = fs.readFileSync(
+        path.join(repositoryPath, author, file),
+        { encoding: 'utf-8' }
+      );
+    }
+  }
+  return { type: 'local', plugins };
+}
+
 module.exports = createConfigs;
@@ -1,14 +1,19 @@
 const createConfigs = require('./create-configs');
+const { haxroomieOptions } = require('./haxroomie-options');
 const { createHaxroomie } = require('../../');
 
-async function createRooms({ amount = 1, open = true } = {}) {
+async function createRooms({
+  amount = 1,
+  open = true,
+  roomControllerOptions,
+} = {}) {
   let configs = createConfigs(amount);
   if (!configs) return;
 
   let rooms = [];
-  let haxroomie = await createHaxroomie();
+  let haxroomie = await createHaxroomie(haxroomieOptions());
   for (let i = 1; i <= configs.length; i++) {
-    let r = await haxroomie.addRoom(i);
+    let r = await haxroomie.addRoom(i, roomControllerOptions);
     rooms.push(r);
   }
   if (open) {
@@ -0,0 +1,34 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Returns the options for Haxroomie used in the tests.
+ *
+ * The rooms are run against the offline stand-in of HaxBall unless
+ * environment variable `HR_TEST_TOKEN1` is set. The browser can be
+ * configured with `HR_EXECUTABLE_PATH` and `HR_NO_SANDBOX`.
+ *
+ * @param {object} [options] - Options that override the defaults.
+ * @returns {object} - Options for the Haxroomie constructor.
+ */
+function haxroomieOptions(options = {}) {
+  return {
+    downloadDirectory: path.join(os.tmpdir(), 'haxroomie-test-downloads'),
+    offline: isOffline(),
+    executablePath: process.env.HR_EXECUTABLE_PATH,
+    noSandbox: !!process.env.HR_NO_SANDBOX,
+    ...options,
+  };
+}
+
+/**
+ * @returns {boolean} - Are the tests run against the offline stand-in.
+ */
+function isOffline() {
+  return !process.env.HR_TEST_TOKEN1;
+}
+
+module.exports = {
+  haxroomieOptions,
+  isOffline,
+};
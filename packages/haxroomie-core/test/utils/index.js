@@ -1,7 +1,10 @@
 const createRooms = require('./create-rooms');
 const createConfigs = require('./create-configs');
+const { haxroomieOptions, isOffline } = require('./haxroomie-options');
 
 module.exports = {
   createRooms,
   createConfigs,
+  haxroomieOptions,
+  isOffline,
 };